@@ -0,0 +1,67 @@
+import { DynamoDBClient, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { parseBody, formatResponse } from '../utils/api.mjs';
+import { resolveBrandingUpload } from '../utils/branding.mjs';
+
+const ddb = new DynamoDBClient();
+const s3 = new S3Client();
+
+try { s3.middlewareStack.remove('flexibleChecksumsMiddleware'); } catch {}
+
+const TTL_SECONDS = 15 * 60;
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { asset } = event.pathParameters;
+
+    const body = parseBody(event);
+    if (body === null) {
+      return formatResponse(400, { message: 'Invalid request' });
+    }
+
+    const filename = typeof body.filename === 'string' ? body.filename.trim() : '';
+    const { key, error } = resolveBrandingUpload(tenantId, asset, filename);
+    if (error) {
+      return formatResponse(400, { message: error });
+    }
+
+    const uploadUrl = await getSignedUrl(s3, new PutObjectCommand({
+      Bucket: process.env.BUCKET_NAME,
+      Key: key
+    }), { expiresIn: TTL_SECONDS });
+
+    // The record points at the newest upload, so replacing a logo with another format takes effect right away
+    const now = new Date();
+    await ddb.send(new UpdateItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: tenantId, sk: 'branding' }),
+      UpdateExpression: 'SET #asset = :asset, #updatedAt = :now',
+      ExpressionAttributeNames: {
+        '#asset': asset,
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: marshall({
+        ':asset': { key, filename, updatedAt: now.toISOString() },
+        ':now': now.toISOString()
+      })
+    }));
+
+    return formatResponse(201, {
+      key,
+      uploadUrl,
+      expiresAt: new Date(now.getTime() + TTL_SECONDS * 1000).toISOString()
+    });
+  } catch (err) {
+    console.error('Error creating branding upload URL:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
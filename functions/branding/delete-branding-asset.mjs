@@ -0,0 +1,57 @@
+import { DynamoDBClient, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { S3Client, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { formatResponse, formatEmptyResponse } from '../utils/api.mjs';
+import { BRANDING_ASSETS } from '../utils/branding.mjs';
+
+const ddb = new DynamoDBClient();
+const s3 = new S3Client();
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { asset } = event.pathParameters;
+    if (!BRANDING_ASSETS[asset]) {
+      return formatResponse(404, { message: 'Branding asset not found' });
+    }
+
+    let removed;
+    try {
+      const response = await ddb.send(new UpdateItemCommand({
+        TableName: process.env.TABLE_NAME,
+        Key: marshall({ pk: tenantId, sk: 'branding' }),
+        ConditionExpression: 'attribute_exists(#asset)',
+        UpdateExpression: 'REMOVE #asset SET #updatedAt = :now',
+        ExpressionAttributeNames: {
+          '#asset': asset,
+          '#updatedAt': 'updatedAt'
+        },
+        ExpressionAttributeValues: marshall({ ':now': new Date().toISOString() }),
+        ReturnValues: 'ALL_OLD'
+      }));
+      removed = unmarshall(response.Attributes)[asset];
+    } catch (e) {
+      if (e.name === 'ConditionalCheckFailedException') {
+        return formatResponse(404, { message: 'Branding asset not found' });
+      }
+      throw e;
+    }
+
+    try {
+      await s3.send(new DeleteObjectCommand({ Bucket: process.env.BUCKET_NAME, Key: removed.key }));
+    } catch (error) {
+      console.warn(`Failed to delete branding asset ${removed.key}: ${error.message}`);
+    }
+
+    return formatEmptyResponse();
+  } catch (err) {
+    console.error('Error deleting branding asset:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
@@ -0,0 +1,18 @@
+import { formatResponse } from '../utils/api.mjs';
+import { loadBranding, formatBranding } from '../utils/branding.mjs';
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    return formatResponse(200, formatBranding(await loadBranding(tenantId)));
+  } catch (err) {
+    console.error('Error getting branding:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
@@ -0,0 +1,49 @@
+import { DynamoDBClient, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { parseBody, formatResponse, formatEmptyResponse } from '../utils/api.mjs';
+import { parseBrandingSettings } from '../utils/branding.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const data = parseBody(event);
+    if (data === null) {
+      return formatResponse(400, { message: 'Invalid request' });
+    }
+
+    const { settings, errors } = parseBrandingSettings(data);
+    if (errors.length) {
+      return formatResponse(400, { message: errors.join(', ') });
+    }
+
+    // Settings are replaced as a whole; uploaded assets are left alone
+    await ddb.send(new UpdateItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: tenantId, sk: 'branding' }),
+      UpdateExpression: 'SET #enabled = :enabled, #watermark = :watermark, #updatedAt = :now',
+      ExpressionAttributeNames: {
+        '#enabled': 'enabled',
+        '#watermark': 'watermark',
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: marshall({
+        ':enabled': settings.enabled,
+        ':watermark': settings.watermark,
+        ':now': new Date().toISOString()
+      })
+    }));
+
+    return formatEmptyResponse();
+  } catch (err) {
+    console.error('Error updating branding:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
@@ -0,0 +1,120 @@
+import { DynamoDBClient, GetItemCommand, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { randomUUID } from 'crypto';
+import { parseBody, formatResponse } from '../utils/api.mjs';
+import {
+  CLIP_SOURCES,
+  CLIP_RENDER_SETTINGS,
+  clipInputSchema,
+  formatSchemaIssues,
+  createClipHash,
+  calcTotalDuration,
+  formatClip
+} from '../utils/clips.mjs';
+import { loadEpisodeTranscript, validateSegmentsAgainstTranscript } from '../utils/transcripts.mjs';
+import { incrementClipsCreated } from '../utils/statistics.mjs';
+
+const ddb = new DynamoDBClient();
+const eb = new EventBridgeClient();
+
+export const handler = async (event) => {
+  try {
+    const { tenantId, userId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { episodeId } = event.pathParameters;
+
+    const data = parseBody(event);
+    if (data === null) {
+      return formatResponse(400, { message: 'Invalid request' });
+    }
+
+    const parsed = clipInputSchema.safeParse(data);
+    if (!parsed.success) {
+      return formatResponse(400, { message: 'Invalid clip', errors: formatSchemaIssues(parsed.error) });
+    }
+    const clip = parsed.data;
+
+    const episode = await ddb.send(new GetItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: 'metadata' })
+    }));
+    if (!episode?.Item) {
+      return formatResponse(404, { message: `Episode '${episodeId}' not found` });
+    }
+
+    // Without a transcript the segments are stored as given, the same as clips from the detector
+    const cues = await loadEpisodeTranscript(tenantId, episodeId);
+    if (cues.length) {
+      const { segments, errors } = validateSegmentsAgainstTranscript(clip.segments, cues);
+      if (errors.length) {
+        return formatResponse(400, { message: 'Segments do not match the transcript', errors });
+      }
+      clip.segments = segments;
+    }
+
+    const id = randomUUID();
+    const now = new Date().toISOString();
+    const item = {
+      pk: `${tenantId}#${episodeId}`,
+      sk: `clip#${id}`,
+      GSI1PK: `${tenantId}#clips`,
+      GSI1SK: `${now}#${episodeId}#${id}`,
+      clipId: id,
+      clipHash: createClipHash(clip),
+      segments: clip.segments,
+      segmentCount: clip.segments.length,
+      totalDurationSeconds: calcTotalDuration(clip.segments),
+      ...clip.hook && { hook: clip.hook },
+      ...clip.summary && { summary: clip.summary },
+      ...clip.bRollSuggestions && { bRollSuggestions: clip.bRollSuggestions },
+      ...clip.clipType && { clipType: clip.clipType },
+      ...Object.fromEntries(CLIP_RENDER_SETTINGS.filter(field => clip[field]).map(field => [field, clip[field]])),
+      source: CLIP_SOURCES.MANUAL,
+      revision: 1,
+      ...userId && { createdBy: userId },
+      status: 'pending',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await ddb.send(new PutItemCommand({
+      TableName: process.env.TABLE_NAME,
+      ConditionExpression: 'attribute_not_exists(pk) AND attribute_not_exists(sk)',
+      Item: marshall(item)
+    }));
+
+    if (clip.clipType) {
+      try {
+        await incrementClipsCreated(tenantId, clip.clipType);
+      } catch (statsErr) {
+        console.error('Error updating clip stats:', statsErr);
+      }
+    }
+
+    // Renders the clip now if the episode's tracks are ready; otherwise it waits with the detector's clips
+    try {
+      await eb.send(new PutEventsCommand({
+        Entries: [
+          {
+            Source: 'nullcheck',
+            DetailType: 'Clip Queued',
+            Detail: JSON.stringify({ tenantId, episodeId, clipId: id })
+          }
+        ]
+      }));
+    } catch (e) {
+      console.error('Failed to publish Clip Queued event:', e);
+    }
+
+    return formatResponse(201, formatClip(item));
+  } catch (err) {
+    console.error('Error creating clip:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
@@ -0,0 +1,33 @@
+import { DynamoDBClient, GetItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { formatResponse } from '../utils/api.mjs';
+import { formatClip } from '../utils/clips.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { episodeId, clipId } = event.pathParameters;
+
+    const res = await ddb.send(new GetItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: `clip#${clipId}` })
+    }));
+
+    if (!res.Item) {
+      return formatResponse(404, { message: `Clip '${clipId}' not found for episode '${episodeId}'` });
+    }
+
+    return formatResponse(200, formatClip(unmarshall(res.Item)));
+  } catch (err) {
+    console.error('Error getting clip:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
@@ -0,0 +1,58 @@
+import { DynamoDBClient, GetItemCommand, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { formatResponse } from '../utils/api.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { episodeId, clipId } = event.pathParameters;
+
+    const existing = await ddb.send(new GetItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: `clip#${clipId}` })
+    }));
+
+    if (!existing?.Item) {
+      return formatResponse(404, { message: `Clip '${clipId}' not found for episode '${episodeId}'` });
+    }
+
+    const clip = unmarshall(existing.Item);
+    const revisions = [];
+    let startKey;
+    do {
+      const res = await ddb.send(new QueryCommand({
+        TableName: process.env.TABLE_NAME,
+        KeyConditionExpression: 'pk = :pk AND begins_with(sk, :sk)',
+        ExpressionAttributeValues: marshall({
+          ':pk': `${tenantId}#${episodeId}`,
+          ':sk': `clip-revision#${clipId}#`
+        }),
+        ScanIndexForward: false,
+        ...startKey && { ExclusiveStartKey: startKey }
+      }));
+      revisions.push(...(res?.Items || []).map((i) => {
+        const { pk, sk, ...revision } = unmarshall(i);
+        return revision;
+      }));
+      startKey = res?.LastEvaluatedKey;
+    } while (startKey);
+
+    return formatResponse(200, {
+      clipId,
+      revision: clip.revision ?? 1,
+      items: revisions,
+      count: revisions.length
+    });
+  } catch (err) {
+    console.error('Error listing clip revisions:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
@@ -0,0 +1,62 @@
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { formatResponse } from '../utils/api.mjs';
+import { encrypt, decrypt } from '../utils/encoding.mjs';
+import { formatClip } from '../utils/clips.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { episodeId } = event.pathParameters;
+    const query = event?.queryStringParameters || {};
+    const status = (query.status || '').toString().trim();
+
+    const n = parseInt(query.limit, 10);
+    const limit = Math.max(1, Math.min(50, Number.isFinite(n) ? n : 20));
+
+    let startKey;
+    if (query.nextToken) {
+      try {
+        startKey = JSON.parse(decrypt(query.nextToken));
+      } catch (e) {
+        console.warn('Invalid nextToken supplied');
+        startKey = undefined;
+      }
+    }
+
+    const res = await ddb.send(new QueryCommand({
+      TableName: process.env.TABLE_NAME,
+      Limit: limit,
+      ...startKey && { ExclusiveStartKey: startKey },
+      KeyConditionExpression: 'pk = :pk AND begins_with(sk, :sk)',
+      ...status && {
+        FilterExpression: '#status = :status',
+        ExpressionAttributeNames: { '#status': 'status' }
+      },
+      ExpressionAttributeValues: marshall({
+        ':pk': `${tenantId}#${episodeId}`,
+        ':sk': 'clip#',
+        ...status && { ':status': status }
+      })
+    }));
+
+    const clips = (res.Items || []).map((i) => formatClip(unmarshall(i)));
+
+    return formatResponse(200, {
+      items: clips,
+      count: clips.length,
+      ...res.LastEvaluatedKey && { nextToken: encrypt(JSON.stringify(res.LastEvaluatedKey)) }
+    });
+  } catch (err) {
+    console.error('Error listing clips:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
@@ -0,0 +1,90 @@
+import { DynamoDBClient, GetItemCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { parseBody, formatResponse } from '../utils/api.mjs';
+import { CLIP_REVIEW_ACTIONS, isValidStatusTransition, formatClip } from '../utils/clips.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const { tenantId, userId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { episodeId, clipId } = event.pathParameters;
+
+    const data = parseBody(event);
+    if (data === null) {
+      return formatResponse(400, { message: 'Invalid request' });
+    }
+
+    const action = (data?.action ?? '').toString().trim();
+    const newStatus = CLIP_REVIEW_ACTIONS[action];
+    if (!newStatus) {
+      return formatResponse(400, { message: `action must be one of: ${Object.keys(CLIP_REVIEW_ACTIONS).join(', ')}` });
+    }
+
+    const notes = data?.notes !== undefined ? String(data.notes).trim() : undefined;
+
+    const clipKey = marshall({ pk: `${tenantId}#${episodeId}`, sk: `clip#${clipId}` });
+    const existing = await ddb.send(new GetItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: clipKey
+    }));
+
+    if (!existing.Item) {
+      return formatResponse(404, { message: `Clip '${clipId}' not found for episode '${episodeId}'` });
+    }
+
+    const clip = unmarshall(existing.Item);
+    if (!isValidStatusTransition(clip.status, newStatus)) {
+      return formatResponse(409, { message: `Cannot ${action} a clip with status '${clip.status}'` });
+    }
+
+    const now = new Date().toISOString();
+    try {
+      const res = await ddb.send(new UpdateItemCommand({
+        TableName: process.env.TABLE_NAME,
+        Key: clipKey,
+        ConditionExpression: '#status = :currentStatus',
+        UpdateExpression: [
+          'SET #status = :status',
+          '#reviewedAt = :now',
+          '#updatedAt = :now',
+          ...userId ? ['#reviewedBy = :reviewedBy'] : [],
+          ...notes ? ['#reviewNotes = :notes'] : [],
+          ...newStatus === 'published' ? ['#publishedAt = :now'] : []
+        ].join(', '),
+        ExpressionAttributeNames: {
+          '#status': 'status',
+          '#reviewedAt': 'reviewedAt',
+          '#updatedAt': 'updatedAt',
+          ...userId && { '#reviewedBy': 'reviewedBy' },
+          ...notes && { '#reviewNotes': 'reviewNotes' },
+          ...newStatus === 'published' && { '#publishedAt': 'publishedAt' }
+        },
+        ExpressionAttributeValues: marshall({
+          ':status': newStatus,
+          ':currentStatus': clip.status,
+          ':now': now,
+          ...userId && { ':reviewedBy': userId },
+          ...notes && { ':notes': notes }
+        }),
+        ReturnValues: 'ALL_NEW'
+      }));
+
+      return formatResponse(200, formatClip(unmarshall(res.Attributes)));
+    } catch (e) {
+      if (e.name === 'ConditionalCheckFailedException') {
+        return formatResponse(409, { message: `Clip '${clipId}' was modified by another request. Reload and try again.` });
+      }
+      throw e;
+    }
+  } catch (err) {
+    console.error('Error reviewing clip:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
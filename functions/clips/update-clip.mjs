@@ -0,0 +1,253 @@
+import { DynamoDBClient, GetItemCommand, UpdateItemCommand, TransactWriteItemsCommand } from '@aws-sdk/client-dynamodb';
+import { S3Client, ListObjectsV2Command, DeleteObjectsCommand } from '@aws-sdk/client-s3';
+import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { parseBody, formatResponse } from '../utils/api.mjs';
+import {
+  CLIP_STATUS,
+  CLIP_RENDER_FIELDS,
+  CLIP_RENDER_SETTINGS,
+  clipInputSchema,
+  formatSchemaIssues,
+  createClipHash,
+  createClipRevisionSk,
+  calcTotalDuration,
+  formatClip
+} from '../utils/clips.mjs';
+import { loadEpisodeTranscript, validateSegmentsAgainstTranscript } from '../utils/transcripts.mjs';
+
+const ddb = new DynamoDBClient();
+const s3 = new S3Client();
+const eb = new EventBridgeClient();
+
+const clipUpdateSchema = clipInputSchema.partial();
+
+// Clips that have not been rendered yet pick up edits when their render starts
+const UNRENDERED_CLIP_STATUSES = new Set([CLIP_STATUS.PENDING, CLIP_STATUS.DETECTED]);
+
+export const handler = async (event) => {
+  try {
+    const { tenantId, userId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { episodeId, clipId } = event.pathParameters;
+
+    const data = parseBody(event);
+    if (data === null) {
+      return formatResponse(400, { message: 'Invalid request' });
+    }
+
+    const parsed = clipUpdateSchema.safeParse(data);
+    if (!parsed.success) {
+      return formatResponse(400, { message: 'Invalid clip', errors: formatSchemaIssues(parsed.error) });
+    }
+    const changes = parsed.data;
+    if (!Object.keys(changes).length) {
+      return formatResponse(400, { message: `Provide at least one of: ${Object.keys(clipInputSchema.shape).join(', ')}` });
+    }
+
+    const clipKey = { pk: `${tenantId}#${episodeId}`, sk: `clip#${clipId}` };
+    const existing = await ddb.send(new GetItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall(clipKey)
+    }));
+
+    if (!existing?.Item) {
+      return formatResponse(404, { message: `Clip '${clipId}' not found for episode '${episodeId}'` });
+    }
+
+    const clip = unmarshall(existing.Item);
+    if (clip.status === CLIP_STATUS.PROCESSING) {
+      return formatResponse(409, { message: `Clip '${clipId}' is being rendered. Try again when it finishes.` });
+    }
+    if (clip.status === CLIP_STATUS.PUBLISHED) {
+      return formatResponse(409, { message: 'Published clips cannot be edited' });
+    }
+
+    if (changes.segments) {
+      const cues = await loadEpisodeTranscript(tenantId, episodeId);
+      if (cues.length) {
+        const { segments, errors } = validateSegmentsAgainstTranscript(changes.segments, cues);
+        if (errors.length) {
+          return formatResponse(400, { message: 'Segments do not match the transcript', errors });
+        }
+        changes.segments = segments;
+      }
+
+      if (segmentSignature(changes.segments) === segmentSignature(clip.segments)) {
+        delete changes.segments;
+      }
+    }
+
+    // Settings are compared as stored; null clears a setting the clip does not have, which changes nothing
+    const settings = CLIP_RENDER_SETTINGS.filter(field => field in changes);
+    for (const field of settings) {
+      if (JSON.stringify(changes[field] ?? null) === JSON.stringify(clip[field] ?? null)) {
+        delete changes[field];
+      }
+    }
+    const changedSettings = settings.filter(field => field in changes);
+    const renderChanged = Boolean(changes.segments) || changedSettings.length > 0;
+
+    if (!Object.keys(changes).length) {
+      return formatResponse(200, formatClip(clip));
+    }
+
+    const now = new Date().toISOString();
+    const currentRevision = clip.revision ?? 1;
+    const rendered = !UNRENDERED_CLIP_STATUSES.has(clip.status);
+    const cleared = changedSettings.filter(field => changes[field] === null);
+    const set = {
+      ...Object.fromEntries(Object.entries(changes).filter(([field]) => !cleared.includes(field))),
+      clipHash: createClipHash({ ...clip, ...changes }),
+      updatedAt: now,
+      ...userId && { updatedBy: userId }
+    };
+    const remove = [...cleared];
+
+    if (changes.segments) {
+      set.segmentCount = changes.segments.length;
+      set.totalDurationSeconds = calcTotalDuration(changes.segments);
+    }
+
+    if (renderChanged) {
+      set.revision = currentRevision + 1;
+      if (rendered) {
+        // The render no longer matches the clip; it goes back through the render workflow
+        set.status = CLIP_STATUS.PENDING;
+        set.renderInvalidatedAt = now;
+        remove.push(...CLIP_RENDER_FIELDS.filter(field => clip[field] !== undefined));
+      }
+    }
+
+    const names = Object.fromEntries([...Object.keys(set), ...remove, 'status', 'revision'].map(field => [`#${field}`, field]));
+    const update = {
+      TableName: process.env.TABLE_NAME,
+      Key: marshall(clipKey),
+      ConditionExpression: '#status = :currentStatus AND (attribute_not_exists(#revision) OR #revision = :currentRevision)',
+      UpdateExpression: [
+        `SET ${Object.keys(set).map(field => `#${field} = :${field}`).join(', ')}`,
+        ...remove.length ? [`REMOVE ${remove.map(field => `#${field}`).join(', ')}`] : []
+      ].join(' '),
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: marshall({
+        ...Object.fromEntries(Object.entries(set).map(([field, value]) => [`:${field}`, value])),
+        ':currentStatus': clip.status,
+        ':currentRevision': currentRevision
+      })
+    };
+
+    try {
+      if (renderChanged) {
+        // The edit and its revision record are written together so the history never misses a revision
+        await ddb.send(new TransactWriteItemsCommand({
+          TransactItems: [
+            { Update: update },
+            {
+              Put: {
+                TableName: process.env.TABLE_NAME,
+                ConditionExpression: 'attribute_not_exists(pk) AND attribute_not_exists(sk)',
+                Item: marshall({
+                  pk: clipKey.pk,
+                  sk: createClipRevisionSk(clipId, set.revision),
+                  clipId,
+                  revision: set.revision,
+                  changedFields: [...changes.segments ? ['segments'] : [], ...changedSettings],
+                  segments: changes.segments ?? clip.segments,
+                  previousSegments: clip.segments,
+                  ...changedSettings.length && {
+                    settings: Object.fromEntries(changedSettings.map(field => [field, changes[field]])),
+                    previousSettings: Object.fromEntries(changedSettings.map(field => [field, clip[field] ?? null]))
+                  },
+                  previousStatus: clip.status,
+                  renderInvalidated: rendered,
+                  ...userId && { editedBy: userId },
+                  editedAt: now,
+                  // Revisions expire with the clip they belong to
+                  ...clip.ttl && { ttl: clip.ttl }
+                })
+              }
+            }
+          ]
+        }));
+      } else {
+        await ddb.send(new UpdateItemCommand(update));
+      }
+    } catch (e) {
+      if (e.name === 'ConditionalCheckFailedException' || e.name === 'TransactionCanceledException') {
+        return formatResponse(409, { message: `Clip '${clipId}' was modified by another request. Reload and try again.` });
+      }
+      throw e;
+    }
+
+    const updated = Object.fromEntries(Object.entries({ ...clip, ...set }).filter(([field]) => !remove.includes(field)));
+
+    if (renderChanged) {
+      // The new revision renders under its own segment keys, so files of the previous revision are only removed to
+      // free storage. The edit is already saved, so a failed cleanup is logged and the clip is still queued.
+      try {
+        const deleted = await deleteObjects(`${tenantId}/${episodeId}/clips/${clipId}/`);
+        console.log(`Clip ${clipId} is now revision ${set.revision}; removed ${deleted} rendered objects`);
+      } catch (e) {
+        console.error(`Failed to remove rendered objects of clip ${clipId} revision ${currentRevision}:`, e);
+      }
+
+      try {
+        await eb.send(new PutEventsCommand({
+          Entries: [
+            {
+              Source: 'nullcheck',
+              DetailType: 'Clip Queued',
+              Detail: JSON.stringify({ tenantId, episodeId, clipId, revision: set.revision })
+            }
+          ]
+        }));
+      } catch (e) {
+        console.error('Failed to publish Clip Queued event:', e);
+      }
+    }
+
+    return formatResponse(200, formatClip(updated));
+  } catch (err) {
+    console.error('Error updating clip:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
+
+const segmentSignature = (segments = []) => JSON.stringify(
+  [...segments]
+    .sort((a, b) => a.order - b.order)
+    .map(({ order, startTime, endTime, speaker, notes }) => [order, startTime, endTime, speaker, notes ?? null])
+);
+
+const deleteObjects = async (prefix) => {
+  let deleted = 0;
+  let continuationToken;
+  do {
+    const res = await s3.send(new ListObjectsV2Command({
+      Bucket: process.env.BUCKET_NAME,
+      Prefix: prefix,
+      ...continuationToken && { ContinuationToken: continuationToken }
+    }));
+
+    const objects = (res?.Contents || []).map(o => ({ Key: o.Key }));
+    if (objects.length) {
+      const result = await s3.send(new DeleteObjectsCommand({
+        Bucket: process.env.BUCKET_NAME,
+        Delete: { Objects: objects, Quiet: true }
+      }));
+      if (result?.Errors?.length) {
+        throw new Error(`Failed to delete ${result.Errors.length} objects under ${prefix}: ${result.Errors[0].Key} (${result.Errors[0].Code})`);
+      }
+      deleted += objects.length;
+    }
+
+    continuationToken = res?.IsTruncated ? res.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return deleted;
+};
@@ -84,6 +84,7 @@ export const handler = async (event) => {
           trackName,
           uploadKey: key,
           speakers: speakers,
+          speakerAliases: record.speakerAliases || {},
           createdAt: now,
           updatedAt: now
         })
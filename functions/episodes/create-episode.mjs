@@ -2,11 +2,10 @@ import { DynamoDBClient, PutItemCommand } from '@aws-sdk/client-dynamodb';
 import { marshall } from '@aws-sdk/util-dynamodb';
 import crypto from 'crypto';
 import { parseBody, formatResponse } from '../utils/api.mjs';
+import { parseEpisodeInput } from '../utils/episodes.mjs';
 
 const ddb = new DynamoDBClient();
 
-const PLATFORMS = new Set(['linkedin live', 'X', 'twitch', 'youtube']);
-
 export const handler = async (event) => {
   try {
     const { tenantId } = event.requestContext.authorizer;
@@ -21,32 +20,11 @@ export const handler = async (event) => {
       return formatResponse(400, { message: 'Invalid request' });
     }
 
-    const errors = [];
-    const title = (data?.title ?? '').toString().trim();
-    const episodeNumberRaw = data?.episodeNumber;
-    const episodeNumber = Number.isFinite(episodeNumberRaw)
-      ? Math.trunc(episodeNumberRaw)
-      : parseInt(episodeNumberRaw, 10);
-
-    if (!title) errors.push('title is required');
-    if (!Number.isFinite(episodeNumber)) errors.push('episodeNumber is required and must be a number');
-
+    const { fields, errors } = parseEpisodeInput(data);
     if (errors.length) {
       return formatResponse(400, { message: errors.join(', ') });
     }
 
-    const description = data?.description ? String(data.description) : undefined;
-    const airDate = data?.airDate ? String(data.airDate) : undefined;
-    let platforms = data?.platforms;
-    if (platforms) {
-      if (!Array.isArray(platforms)) platforms = [platforms];
-      platforms = platforms
-        .map((p) => (p ?? '').toString())
-        .filter((p) => PLATFORMS.has(p));
-    }
-    const themes = Array.isArray(data?.themes) ? data.themes.map((t) => String(t)) : undefined;
-    const seriesName = data?.seriesName ? String(data.seriesName) : undefined;
-
     const now = new Date().toISOString();
     const id = crypto.randomUUID();
 
@@ -55,14 +33,8 @@ export const handler = async (event) => {
       sk: 'metadata',
       GSI1PK: `${tenantId}#episode`,
       GSI1SK: now,
-      title,
-      episodeNumber,
+      ...fields,
       status: 'Draft',
-      ...(description && { description }),
-      ...(airDate && { airDate }),
-      ...(platforms?.length && { platforms }),
-      ...(themes?.length && { themes }),
-      ...(seriesName && { seriesName }),
       numTracks: 0,
       createdAt: now,
       updatedAt: now,
@@ -2,6 +2,7 @@ import { DynamoDBClient, GetItemCommand, PutItemCommand } from '@aws-sdk/client-
 import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
 import { S3Client, CreateMultipartUploadCommand } from '@aws-sdk/client-s3';
 import { parseBody, formatResponse, sanitizeTrackName } from '../utils/api.mjs';
+import { parseSpeakerAliases } from '../utils/speaker-matching.mjs';
 
 const ddb = new DynamoDBClient();
 const s3 = new S3Client();
@@ -33,6 +34,7 @@ export const handler = async (event) => {
     // Sanitize track name and trim/validate speakers
     const trackName = sanitizeTrackName(rawTrackName);
     const normalizedSpeakers = speakers ? speakers.map(speaker => speaker.trim()).filter(speaker => speaker.length > 0) : [];
+    const { speakerAliases } = parseSpeakerAliases(body.speakerAliases ?? {});
 
     const idempotencyKey = marshall({ pk: `${tenantId}#${episodeId}`, sk: `track-upload:${trackName}` });
     const existing = await ddb.send(new GetItemCommand({ TableName: process.env.TABLE_NAME, Key: idempotencyKey }));
@@ -83,6 +85,7 @@ export const handler = async (event) => {
         originalFilename: filename,
         trackName,
         speakers: normalizedSpeakers,
+        speakerAliases,
         createdAt: new Date(now * 1000).toISOString(),
         expiresAt: expiresAtISO,
         ttl: now + TTL_SECONDS,
@@ -139,5 +142,12 @@ const validateTrackUploadRequest = (data) => {
     }
   }
 
+  if (data.speakerAliases !== undefined) {
+    const { error } = parseSpeakerAliases(data.speakerAliases);
+    if (error) {
+      errors.push(error);
+    }
+  }
+
   return errors;
 };
@@ -0,0 +1,188 @@
+import { DynamoDBClient, QueryCommand, GetItemCommand, BatchWriteItemCommand, DeleteItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import {
+  S3Client,
+  ListMultipartUploadsCommand,
+  AbortMultipartUploadCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand
+} from '@aws-sdk/client-s3';
+import { SFNClient, StopExecutionCommand } from '@aws-sdk/client-sfn';
+import { formatResponse, formatEmptyResponse } from '../utils/api.mjs';
+import { SEARCH_INDEX_SK, searchPostingKey } from '../utils/search.mjs';
+
+const ddb = new DynamoDBClient();
+const s3 = new S3Client();
+const sfn = new SFNClient();
+
+const BATCH_WRITE_LIMIT = 25;
+const MAX_BATCH_ATTEMPTS = 5;
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { episodeId } = event.pathParameters;
+    const pk = `${tenantId}#${episodeId}`;
+
+    const items = await loadPartitionKeys(pk);
+    const metadata = items.find(i => i.sk === 'metadata');
+    if (!metadata) {
+      return formatResponse(404, { message: 'Episode not found' });
+    }
+
+    // Renders write clips under the episode prefix, so they are stopped before the objects are deleted
+    const stopped = await stopExecutions(metadata.clipProcessingExecutions ?? []);
+
+    // Abort uploads before deleting objects so a part landing mid-delete cannot leave a completed object behind
+    const prefix = `${tenantId}/${episodeId}/`;
+    const aborted = await abortMultipartUploads(prefix);
+    const deleted = await deleteObjects(prefix);
+
+    // Search postings live in the tenant's term partitions and go before the index item that lists them
+    await batchDelete(await loadSearchPostingKeys(tenantId, episodeId));
+
+    // The metadata item goes last so a failed cleanup can be retried with the same request
+    await batchDelete(items.filter(i => i.sk !== 'metadata'));
+    await ddb.send(new DeleteItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk, sk: 'metadata' })
+    }));
+
+    console.log(`Deleted episode ${episodeId} (tenant ${tenantId}): ${items.length} items, ${deleted} objects, ${aborted} aborted uploads, ${stopped} stopped executions`);
+    return formatEmptyResponse();
+  } catch (err) {
+    console.error('Error deleting episode:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
+
+const loadPartitionKeys = async (pk) => {
+  const items = [];
+  let startKey;
+  do {
+    const res = await ddb.send(new QueryCommand({
+      TableName: process.env.TABLE_NAME,
+      KeyConditionExpression: 'pk = :pk',
+      ExpressionAttributeValues: marshall({ ':pk': pk }),
+      ProjectionExpression: 'pk, sk, clipProcessingExecutions',
+      ...startKey && { ExclusiveStartKey: startKey }
+    }));
+    items.push(...(res.Items || []).map(i => unmarshall(i)));
+    startKey = res.LastEvaluatedKey;
+  } while (startKey);
+
+  return items;
+};
+
+const loadSearchPostingKeys = async (tenantId, episodeId) => {
+  const res = await ddb.send(new GetItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: SEARCH_INDEX_SK }),
+    ProjectionExpression: 'terms'
+  }));
+  const terms = res?.Item ? unmarshall(res.Item).terms ?? [] : [];
+
+  return terms.map(term => searchPostingKey(tenantId, term, episodeId));
+};
+
+const stopExecutions = async (executionArns) => {
+  let stopped = 0;
+  for (const executionArn of executionArns) {
+    try {
+      await sfn.send(new StopExecutionCommand({ executionArn, cause: 'Episode deleted' }));
+      stopped++;
+    } catch (e) {
+      if (e.name !== 'ExecutionDoesNotExist') throw e;
+    }
+  }
+
+  return stopped;
+};
+
+const abortMultipartUploads = async (prefix) => {
+  let aborted = 0;
+  let keyMarker;
+  let uploadIdMarker;
+  do {
+    const res = await s3.send(new ListMultipartUploadsCommand({
+      Bucket: process.env.BUCKET_NAME,
+      Prefix: prefix,
+      ...keyMarker && { KeyMarker: keyMarker },
+      ...uploadIdMarker && { UploadIdMarker: uploadIdMarker }
+    }));
+
+    for (const upload of res.Uploads || []) {
+      try {
+        await s3.send(new AbortMultipartUploadCommand({
+          Bucket: process.env.BUCKET_NAME,
+          Key: upload.Key,
+          UploadId: upload.UploadId
+        }));
+        aborted++;
+      } catch (e) {
+        if (e.name !== 'NoSuchUpload') throw e;
+      }
+    }
+
+    keyMarker = res.IsTruncated ? res.NextKeyMarker : undefined;
+    uploadIdMarker = res.IsTruncated ? res.NextUploadIdMarker : undefined;
+  } while (keyMarker);
+
+  return aborted;
+};
+
+const deleteObjects = async (prefix) => {
+  let deleted = 0;
+  let continuationToken;
+  do {
+    const res = await s3.send(new ListObjectsV2Command({
+      Bucket: process.env.BUCKET_NAME,
+      Prefix: prefix,
+      ...continuationToken && { ContinuationToken: continuationToken }
+    }));
+
+    const objects = (res.Contents || []).map(o => ({ Key: o.Key }));
+    if (objects.length) {
+      const result = await s3.send(new DeleteObjectsCommand({
+        Bucket: process.env.BUCKET_NAME,
+        Delete: { Objects: objects, Quiet: true }
+      }));
+      if (result.Errors?.length) {
+        throw new Error(`Failed to delete ${result.Errors.length} objects under ${prefix}: ${result.Errors[0].Key} (${result.Errors[0].Code})`);
+      }
+      deleted += objects.length;
+    }
+
+    continuationToken = res.IsTruncated ? res.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return deleted;
+};
+
+const batchDelete = async (items) => {
+  for (let i = 0; i < items.length; i += BATCH_WRITE_LIMIT) {
+    let requests = {
+      [process.env.TABLE_NAME]: items.slice(i, i + BATCH_WRITE_LIMIT).map(item => ({
+        DeleteRequest: { Key: marshall({ pk: item.pk, sk: item.sk }) }
+      }))
+    };
+
+    for (let attempt = 1; requests && Object.keys(requests).length; attempt++) {
+      if (attempt > MAX_BATCH_ATTEMPTS) {
+        throw new Error('Unable to delete all episode items after retries');
+      }
+      if (attempt > 1) {
+        await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+      }
+
+      const res = await ddb.send(new BatchWriteItemCommand({ RequestItems: requests }));
+      requests = res.UnprocessedItems;
+    }
+  }
+};
@@ -0,0 +1,106 @@
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { formatResponse } from '../utils/api.mjs';
+import { TRANSCRIPTION_STATUS } from '../utils/transcription.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { episodeId } = event.pathParameters;
+
+    const items = [];
+    let startKey;
+    do {
+      const res = await ddb.send(new QueryCommand({
+        TableName: process.env.TABLE_NAME,
+        KeyConditionExpression: 'pk = :pk',
+        ExpressionAttributeValues: marshall({ ':pk': `${tenantId}#${episodeId}` }),
+        ...startKey && { ExclusiveStartKey: startKey }
+      }));
+      items.push(...(res.Items || []).map(i => unmarshall(i)));
+      startKey = res.LastEvaluatedKey;
+    } while (startKey);
+
+    const episode = items.find(i => i.sk === 'metadata');
+    if (!episode) {
+      return formatResponse(404, { message: 'Episode not found' });
+    }
+
+    const tracks = items
+      .filter(i => i.sk.startsWith('track#'))
+      .map(track => ({
+        name: track.trackName || track.sk.slice('track#'.length),
+        status: track.status,
+        speakers: track.speakers || [],
+        ...Object.keys(track.speakerAliases || {}).length > 0 && { speakerAliases: track.speakerAliases },
+        ...track.segmentCount !== undefined && { segmentCount: track.segmentCount },
+        ...track.totalDurationSeconds !== undefined && { totalDurationSeconds: track.totalDurationSeconds },
+        ...track.offsetSeconds !== undefined && { offsetSeconds: track.offsetSeconds },
+        ...track.alignmentStatus && { alignmentStatus: track.alignmentStatus },
+        ...track.alignmentConfidence !== undefined && { alignmentConfidence: track.alignmentConfidence },
+        ...track.failureReason && { failureReason: track.failureReason },
+        ...track.createdAt && { createdAt: track.createdAt },
+        ...track.updatedAt && { updatedAt: track.updatedAt }
+      }));
+
+    const byStatus = {};
+    const clips = items.filter(i => i.sk.startsWith('clip#'));
+    for (const clip of clips) {
+      byStatus[clip.status] = (byStatus[clip.status] || 0) + 1;
+    }
+
+    return formatResponse(200, {
+      id: episodeId,
+      title: episode.title,
+      episodeNumber: episode.episodeNumber,
+      status: episode.status,
+      ...episode.description && { description: episode.description },
+      ...episode.airDate && { airDate: episode.airDate },
+      ...episode.platforms && { platforms: episode.platforms },
+      ...episode.themes && { themes: episode.themes },
+      ...episode.seriesName && { seriesName: episode.seriesName },
+      ...episode.summary && { summary: episode.summary },
+      transcript: getTranscriptState(episode, items.find(i => i.sk === 'transcript-upload-url')),
+      tracks,
+      clips: { total: clips.length, byStatus },
+      createdAt: episode.createdAt,
+      updatedAt: episode.updatedAt
+    });
+  } catch (err) {
+    console.error('Error getting episode:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
+
+// The upload URL record is deleted once the transcript lands, so its presence means an upload was requested but not finished
+const getTranscriptState = (episode, uploadRecord) => {
+  if (episode.transcriptKey) {
+    return { status: 'Uploaded', key: episode.transcriptKey };
+  }
+
+  if (uploadRecord && uploadRecord.ttl > Math.floor(Date.now() / 1000)) {
+    return {
+      status: 'Awaiting Upload',
+      expiresAt: uploadRecord.expiresAt,
+      ...uploadRecord.originalFilename && { filename: uploadRecord.originalFilename }
+    };
+  }
+
+  if (episode.transcriptionStatus === TRANSCRIPTION_STATUS.TRANSCRIBING) {
+    return { status: 'Transcribing' };
+  }
+
+  if (episode.transcriptionStatus === TRANSCRIPTION_STATUS.FAILED) {
+    return { status: 'Transcription Failed', ...episode.transcriptionError && { error: episode.transcriptionError } };
+  }
+
+  return { status: 'Missing' };
+};
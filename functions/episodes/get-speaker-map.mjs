@@ -0,0 +1,32 @@
+import { DynamoDBClient, GetItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { formatResponse } from '../utils/api.mjs';
+import { loadSpeakerMapRecord, formatSpeakerMap } from '../utils/speaker-mapping.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { episodeId } = event.pathParameters;
+
+    const episode = await ddb.send(new GetItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: 'metadata' })
+    }));
+    if (!episode.Item) {
+      return formatResponse(404, { message: 'Episode not found' });
+    }
+
+    return formatResponse(200, formatSpeakerMap(await loadSpeakerMapRecord(tenantId, episodeId)));
+  } catch (err) {
+    console.error('Error getting speaker map:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
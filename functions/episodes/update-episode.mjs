@@ -0,0 +1,66 @@
+import { DynamoDBClient, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { parseBody, formatResponse, formatEmptyResponse } from '../utils/api.mjs';
+import { parseEpisodeInput } from '../utils/episodes.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { episodeId } = event.pathParameters;
+
+    const data = parseBody(event);
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      return formatResponse(400, { message: 'Invalid request' });
+    }
+
+    const { fields, remove, errors } = parseEpisodeInput(data, { partial: true });
+    if (errors.length) {
+      return formatResponse(400, { message: errors.join(', ') });
+    }
+
+    if (!Object.keys(fields).length && !remove.length) {
+      return formatResponse(400, { message: 'No updatable fields provided' });
+    }
+
+    const names = { '#updatedAt': 'updatedAt' };
+    const values = { ':updatedAt': new Date().toISOString() };
+    const sets = ['#updatedAt = :updatedAt'];
+    for (const [name, value] of Object.entries(fields)) {
+      names[`#${name}`] = name;
+      values[`:${name}`] = value;
+      sets.push(`#${name} = :${name}`);
+    }
+    for (const name of remove) {
+      names[`#${name}`] = name;
+    }
+
+    try {
+      await ddb.send(new UpdateItemCommand({
+        TableName: process.env.TABLE_NAME,
+        Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: 'metadata' }),
+        ConditionExpression: 'attribute_exists(pk) AND attribute_exists(sk)',
+        UpdateExpression: `SET ${sets.join(', ')}${remove.length ? ` REMOVE ${remove.map(n => `#${n}`).join(', ')}` : ''}`,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: marshall(values)
+      }));
+    } catch (e) {
+      if (e.name === 'ConditionalCheckFailedException') {
+        return formatResponse(404, { message: 'Episode not found' });
+      }
+      throw e;
+    }
+
+    return formatEmptyResponse();
+  } catch (err) {
+    console.error('Error updating episode:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
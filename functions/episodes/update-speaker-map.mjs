@@ -0,0 +1,57 @@
+import { DynamoDBClient, GetItemCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { parseBody, formatResponse, formatEmptyResponse } from '../utils/api.mjs';
+import { SPEAKER_MAP_SK, parseSpeakerMappings } from '../utils/speaker-mapping.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { episodeId } = event.pathParameters;
+
+    const data = parseBody(event);
+    if (data === null) {
+      return formatResponse(400, { message: 'Invalid request' });
+    }
+
+    const { mappings, errors } = parseSpeakerMappings(data);
+    if (errors.length) {
+      return formatResponse(400, { message: errors.join(', ') });
+    }
+
+    const episode = await ddb.send(new GetItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: 'metadata' })
+    }));
+    if (!episode.Item) {
+      return formatResponse(404, { message: 'Episode not found' });
+    }
+
+    // Manual mappings are replaced as a whole; suggestions are kept and fill in the labels left out
+    await ddb.send(new UpdateItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: SPEAKER_MAP_SK }),
+      UpdateExpression: 'SET #mappings = :mappings, #updatedAt = :now',
+      ExpressionAttributeNames: {
+        '#mappings': 'mappings',
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: marshall({
+        ':mappings': mappings,
+        ':now': new Date().toISOString()
+      })
+    }));
+
+    return formatEmptyResponse();
+  } catch (err) {
+    console.error('Error updating speaker map:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
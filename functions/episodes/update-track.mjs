@@ -1,8 +1,12 @@
 import { DynamoDBClient, GetItemCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
 import { marshall } from '@aws-sdk/util-dynamodb';
+import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
 import { parseBody, formatResponse, formatEmptyResponse, sanitizeTrackName } from '../utils/api.mjs';
+import { ALIGNMENT_STATUS, parseTrackOffset } from '../utils/alignment.mjs';
+import { parseSpeakerAliases } from '../utils/speaker-matching.mjs';
 
 const ddb = new DynamoDBClient();
+const eb = new EventBridgeClient();
 
 export const handler = async (event) => {
   try {
@@ -30,10 +34,28 @@ export const handler = async (event) => {
       speakers = speakers
         .map(speaker => String(speaker || '').trim())
         .filter(speaker => speaker.length > 0);
-    } else {
+    } else if (data?.offsetSeconds === undefined && data?.speakerAliases === undefined) {
       speakers = [];
     }
 
+    let offsetSeconds;
+    if (data?.offsetSeconds !== undefined) {
+      const parsed = parseTrackOffset(data.offsetSeconds);
+      if (parsed.error) {
+        return formatResponse(400, { message: parsed.error });
+      }
+      offsetSeconds = parsed.offsetSeconds;
+    }
+
+    let speakerAliases;
+    if (data?.speakerAliases !== undefined) {
+      const parsed = parseSpeakerAliases(data.speakerAliases);
+      if (parsed.error) {
+        return formatResponse(400, { message: parsed.error });
+      }
+      speakerAliases = parsed.speakerAliases;
+    }
+
     const trackKey = marshall({ pk: `${tenantId}#${episodeId}`, sk: `track#${trackName}` });
     const getTrackResponse = await ddb.send(new GetItemCommand({
       TableName: process.env.TABLE_NAME,
@@ -45,17 +67,47 @@ export const handler = async (event) => {
     }
 
     const now = new Date().toISOString();
+    const sets = ['updatedAt = :updatedAt'];
+    const values = { ':updatedAt': now };
+    if (speakers !== undefined) {
+      sets.push('speakers = :speakers');
+      values[':speakers'] = speakers;
+    }
+    if (speakerAliases !== undefined) {
+      sets.push('speakerAliases = :speakerAliases');
+      values[':speakerAliases'] = speakerAliases;
+    }
+    // A manual offset replaces the detected one and is never overwritten by detection
+    if (offsetSeconds !== undefined) {
+      sets.push('offsetSeconds = :offsetSeconds', 'alignmentStatus = :manual');
+      values[':offsetSeconds'] = offsetSeconds;
+      values[':manual'] = ALIGNMENT_STATUS.MANUAL;
+    }
+
     await ddb.send(new UpdateItemCommand({
       TableName: process.env.TABLE_NAME,
       Key: trackKey,
-      UpdateExpression: 'SET speakers = :speakers, updatedAt = :updatedAt',
-      ExpressionAttributeValues: marshall({
-        ':speakers': speakers,
-        ':updatedAt': now
-      }),
+      UpdateExpression: `SET ${sets.join(', ')}`,
+      ExpressionAttributeValues: marshall(values),
       ReturnValues: 'NONE'
     }));
 
+    if (offsetSeconds !== undefined) {
+      try {
+        await eb.send(new PutEventsCommand({
+          Entries: [
+            {
+              Source: 'nullcheck',
+              DetailType: 'Track Aligned',
+              Detail: JSON.stringify({ tenantId, episodeId, trackName, aligned: true })
+            }
+          ]
+        }));
+      } catch (error) {
+        console.error('Failed to publish Track Aligned event:', error);
+      }
+    }
+
     return formatEmptyResponse();
   } catch (error) {
     console.error('Error updating track:', error);
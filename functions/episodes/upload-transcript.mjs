@@ -33,6 +33,9 @@ export const handler = async (event) => {
       return formatResponse(400, { message: 'Must include a valid filename' });
     }
 
+    const format = filename?.toLowerCase().endsWith('.vtt') ? 'vtt' : 'srt';
+    const key = `${tenantId}/${episodeId}/transcript.${format}`;
+
     const idempotencyKey = marshall({ pk: `${tenantId}#${episodeId}`, sk: 'transcript-upload-url' });
     const existing = await ddb.send(new GetItemCommand({
       TableName: process.env.TABLE_NAME,
@@ -42,7 +45,7 @@ export const handler = async (event) => {
     const now = Math.floor(Date.now() / 1000);
     if (existing.Item) {
       const record = unmarshall(existing.Item);
-      if (typeof record.ttl === 'number' && record.ttl > now && record.uploadUrl && record.key && record.expiresAt) {
+      if (typeof record.ttl === 'number' && record.ttl > now && record.uploadUrl && record.key === key && record.expiresAt) {
         return formatResponse(200, {
           key: record.key,
           uploadUrl: record.uploadUrl,
@@ -60,8 +63,6 @@ export const handler = async (event) => {
       return formatResponse(404, { message: 'Episode not found' });
     }
 
-    const key = `${tenantId}/${episodeId}/transcript.srt`;
-
     const putParams = {
       Bucket: process.env.BUCKET_NAME,
       Key: key,
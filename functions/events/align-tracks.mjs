@@ -0,0 +1,178 @@
+import { DynamoDBClient, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
+import { getTracksForEpisode } from '../utils/track-selection.mjs';
+import { loadHlsManifest, calculateChunkMapping, secondsToTime } from '../utils/video-processing.mjs';
+import { downloadVideoFile } from '../utils/s3-video.mjs';
+import { extractAudioSamples, createTempDir, cleanup } from '../utils/ffmpeg.mjs';
+import {
+  ALIGNMENT_SAMPLE_RATE,
+  ALIGNMENT_WINDOW_SECONDS,
+  ALIGNMENT_MAX_LAG_SECONDS,
+  ALIGNMENT_MIN_CONFIDENCE,
+  ALIGNMENT_STATUS,
+  findTrackOffset,
+  needsAlignment
+} from '../utils/alignment.mjs';
+import { join } from 'path';
+
+const ddb = new DynamoDBClient();
+const eb = new EventBridgeClient();
+
+export const handler = async (event) => {
+  let tempDir = null;
+
+  try {
+    const detail = event?.detail || {};
+    const tenantId = (detail.tenantId || '').toString().trim();
+    const episodeId = (detail.episodeId || '').toString().trim();
+
+    if (!tenantId || !episodeId) {
+      console.warn('Missing identifiers in event detail. Expecting { tenantId, episodeId }.', JSON.stringify(detail));
+      return { statusCode: 200 };
+    }
+
+    const tracks = await getTracksForEpisode(episodeId, tenantId);
+    const main = tracks.find(t => t.trackName === 'main');
+    if (!main || main.status !== 'Processed') {
+      console.log(`Episode ${episodeId} has no processed main track yet; nothing to align against`);
+      return { statusCode: 200 };
+    }
+
+    const pending = tracks.filter(t => t.status === 'Processed' && needsAlignment(t, tracks));
+    if (!pending.length) {
+      return { statusCode: 200 };
+    }
+
+    // Start the reference window late enough to find tracks that started recording before main
+    const referenceStartSeconds = Math.max(0, Math.min(ALIGNMENT_MAX_LAG_SECONDS, (main.totalDurationSeconds ?? Infinity) - ALIGNMENT_WINDOW_SECONDS));
+    tempDir = await createTempDir('track-alignment-');
+    let reference = null;
+    try {
+      reference = await loadTrackAudio(tenantId, episodeId, 'main', referenceStartSeconds, ALIGNMENT_WINDOW_SECONDS, tempDir);
+    } catch (error) {
+      console.error(`Failed to load the main track audio of episode ${episodeId}:`, error);
+    }
+
+    // Tracks are always marked, even when detection fails, so clip processing does not wait on them forever
+    for (const track of pending) {
+      let result = null;
+      if (reference) {
+        try {
+          const signal = await loadTrackAudio(tenantId, episodeId, track.trackName, 0, referenceStartSeconds + ALIGNMENT_WINDOW_SECONDS + ALIGNMENT_MAX_LAG_SECONDS, tempDir);
+          result = findTrackOffset(reference, signal, { sampleRate: ALIGNMENT_SAMPLE_RATE, referenceStartSeconds });
+        } catch (error) {
+          console.error(`Failed to measure the offset of track '${track.trackName}':`, error);
+        }
+      }
+
+      const aligned = result !== null && result.confidence >= ALIGNMENT_MIN_CONFIDENCE;
+      if (aligned) {
+        console.log(`Track '${track.trackName}' is offset ${result.offsetSeconds}s from main (confidence ${result.confidence})`);
+      } else {
+        console.warn(`Could not align track '${track.trackName}' with main${result ? ` (confidence ${result.confidence})` : ''}; using an offset of 0`);
+      }
+
+      const recorded = await recordAlignment(tenantId, episodeId, track.trackName, aligned ? result : null, result?.confidence);
+      if (recorded) {
+        await publishTrackAligned(tenantId, episodeId, track.trackName, aligned);
+      }
+    }
+
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('Track alignment failed:', error);
+    throw error;
+  } finally {
+    if (tempDir) {
+      await cleanup(tempDir);
+    }
+  }
+};
+
+async function loadTrackAudio(tenantId, episodeId, trackName, startSeconds, durationSeconds, tempDir) {
+  const manifest = await loadHlsManifest(episodeId, trackName, tenantId);
+  const chunkMappings = calculateChunkMapping({
+    startTime: secondsToTime(startSeconds),
+    endTime: secondsToTime(startSeconds + durationSeconds)
+  }, manifest.segments);
+
+  const parts = [];
+  for (const chunkMapping of chunkMappings) {
+    const chunkLocalPath = join(tempDir, `align_${trackName}_${chunkMapping.mappingIndex}.mp4`);
+    try {
+      await downloadVideoFile(process.env.BUCKET_NAME, chunkMapping.s3Key, chunkLocalPath);
+      parts.push(await extractAudioSamples(chunkLocalPath, {
+        startOffset: chunkMapping.startOffset,
+        duration: chunkMapping.duration,
+        sampleRate: ALIGNMENT_SAMPLE_RATE
+      }));
+    } finally {
+      await cleanup(chunkLocalPath);
+    }
+  }
+
+  const samples = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    samples.set(part, position);
+    position += part.length;
+  }
+  return samples;
+}
+
+// A manual offset set while detection was running wins
+async function recordAlignment(tenantId, episodeId, trackName, result, confidence) {
+  const names = { '#alignmentStatus': 'alignmentStatus', '#updatedAt': 'updatedAt' };
+  const values = {
+    ':status': result ? ALIGNMENT_STATUS.ALIGNED : ALIGNMENT_STATUS.FAILED,
+    ':manual': ALIGNMENT_STATUS.MANUAL,
+    ':now': new Date().toISOString()
+  };
+  const sets = ['#alignmentStatus = :status', '#updatedAt = :now'];
+
+  if (result) {
+    names['#offsetSeconds'] = 'offsetSeconds';
+    values[':offset'] = result.offsetSeconds;
+    sets.push('#offsetSeconds = :offset');
+  }
+  if (typeof confidence === 'number') {
+    names['#alignmentConfidence'] = 'alignmentConfidence';
+    values[':confidence'] = confidence;
+    sets.push('#alignmentConfidence = :confidence');
+  }
+
+  try {
+    await ddb.send(new UpdateItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: `track#${trackName}` }),
+      ConditionExpression: 'attribute_exists(pk) AND (attribute_not_exists(#alignmentStatus) OR #alignmentStatus <> :manual)',
+      UpdateExpression: `SET ${sets.join(', ')}`,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: marshall(values)
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      console.log(`Track '${trackName}' was removed or aligned manually; keeping it as is`);
+      return false;
+    }
+    throw error;
+  }
+}
+
+async function publishTrackAligned(tenantId, episodeId, trackName, aligned) {
+  try {
+    await eb.send(new PutEventsCommand({
+      Entries: [
+        {
+          Source: 'nullcheck',
+          DetailType: 'Track Aligned',
+          Detail: JSON.stringify({ tenantId, episodeId, trackName, aligned })
+        }
+      ]
+    }));
+  } catch (error) {
+    console.error('Failed to publish Track Aligned event:', error);
+  }
+}
@@ -0,0 +1,50 @@
+import { DynamoDBClient, GetItemCommand } from '@aws-sdk/client-dynamodb';
+import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { parseEpisodeIdFromKey } from '../utils/clips.mjs';
+import { parseTranscript } from '../utils/transcripts.mjs';
+import { indexEpisodeTranscript } from '../utils/search.mjs';
+
+const ddb = new DynamoDBClient();
+const s3 = new S3Client();
+
+export const handler = async (event) => {
+  try {
+    const rawKey = event?.detail?.object?.key;
+    if (!rawKey) {
+      console.log('Unsupported event shape (expecting EventBridge S3 event):', JSON.stringify(event?.detail || {}));
+      return { statusCode: 200 };
+    }
+
+    const key = decodeURIComponent(rawKey);
+    let tenantId, episodeId;
+    try {
+      ({ tenantId, episodeId } = parseEpisodeIdFromKey(key));
+    } catch (e) {
+      console.warn(`Skipping object with unexpected key: ${key}. Reason: ${e.message}`);
+      return { statusCode: 200 };
+    }
+
+    const episodeResponse = await ddb.send(new GetItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: 'metadata' })
+    }));
+    if (!episodeResponse.Item) {
+      console.warn(`Episode ${episodeId} not found; skipping search indexing for key ${key}`);
+      return { statusCode: 200 };
+    }
+
+    // Read the object directly so a failed read is retried instead of indexing an empty transcript
+    const res = await s3.send(new GetObjectCommand({ Bucket: process.env.BUCKET_NAME, Key: key }));
+    const text = res.Body ? await res.Body.transformToString() : '';
+    const cues = parseTranscript(text, key.toLowerCase().endsWith('.vtt') ? 'vtt' : 'srt');
+
+    const { terms, removed } = await indexEpisodeTranscript(tenantId, episodeId, cues, { transcriptKey: key });
+    console.log(`Indexed ${cues.length} cues of episode ${episodeId} under ${terms} terms (${removed} stale terms removed)`);
+
+    return { statusCode: 200 };
+  } catch (err) {
+    console.error('Error indexing transcript:', err);
+    throw err;
+  }
+};
@@ -1,9 +1,11 @@
 import { DynamoDBClient, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
 import { marshall } from '@aws-sdk/util-dynamodb';
 import { S3Client, ListObjectsV2Command, GetObjectCommand } from '@aws-sdk/client-s3';
+import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
 
 const ddb = new DynamoDBClient();
 const s3 = new S3Client();
+const eb = new EventBridgeClient();
 
 export const handler = async (event) => {
   try {
@@ -88,6 +90,20 @@ export const handler = async (event) => {
       })
     }));
 
+    try {
+      await eb.send(new PutEventsCommand({
+        Entries: [
+          {
+            Source: 'nullcheck',
+            DetailType: 'Track Processed',
+            Detail: JSON.stringify({ tenantId, episodeId, trackName })
+          }
+        ]
+      }));
+    } catch (e) {
+      console.error('Failed to publish Track Processed event:', e);
+    }
+
     return { statusCode: 200 };
   } catch (err) {
     console.error('Error handling MediaConvert completion:', err);
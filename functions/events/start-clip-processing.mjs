@@ -0,0 +1,173 @@
+import { DynamoDBClient, QueryCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { SFNClient, StartExecutionCommand } from '@aws-sdk/client-sfn';
+import { hash } from '../utils/encoding.mjs';
+import { loadShowProfile } from '../utils/show-profiles.mjs';
+import { resolveRenderTargets } from '../utils/renditions.mjs';
+import { resolveTransition } from '../utils/transitions.mjs';
+import { resolveLayout } from '../utils/layouts.mjs';
+import { resolveLoudnessTarget } from '../utils/loudness.mjs';
+import { needsAlignment } from '../utils/alignment.mjs';
+import { loadBranding, resolveBranding } from '../utils/branding.mjs';
+import { SPEAKER_MAP_SK, needsSpeakerSuggestions } from '../utils/speaker-mapping.mjs';
+
+const ddb = new DynamoDBClient();
+const sfn = new SFNClient();
+
+const READY_CLIP_STATUSES = new Set(['pending', 'detected']);
+
+export const handler = async (event) => {
+  try {
+    const detail = event?.detail || {};
+    const tenantId = (detail.tenantId || '').toString().trim();
+    const episodeId = (detail.episodeId || '').toString().trim();
+
+    if (!tenantId || !episodeId) {
+      console.warn('Missing identifiers in event detail. Expecting { tenantId, episodeId }.', JSON.stringify(detail));
+      return { statusCode: 200 };
+    }
+
+    const items = await loadEpisodePartition(tenantId, episodeId);
+    const episode = items.find(i => i.sk === 'metadata');
+    const tracks = items.filter(i => i.sk.startsWith('track#'));
+    const clips = items.filter(i => i.sk.startsWith('clip#') && READY_CLIP_STATUSES.has(i.status));
+
+    if (!episode) {
+      console.warn(`Episode ${episodeId} not found; skipping clip processing`);
+      return { statusCode: 200 };
+    }
+
+    if (episode.status !== 'Analyzed') {
+      console.log(`Episode ${episodeId} is '${episode.status}', waiting for clip detection to finish`);
+      return { statusCode: 200 };
+    }
+
+    if (!tracks.length || tracks.some(t => t.status !== 'Processed')) {
+      console.log(`Episode ${episodeId} has tracks that are not processed yet; waiting`);
+      return { statusCode: 200 };
+    }
+
+    if (tracks.some(t => needsAlignment(t, tracks))) {
+      console.log(`Episode ${episodeId} has tracks that are not aligned with the main track yet; waiting`);
+      return { statusCode: 200 };
+    }
+
+    if (needsSpeakerSuggestions(tracks, items.find(i => i.sk === SPEAKER_MAP_SK))) {
+      console.log(`Episode ${episodeId} is waiting for speaker suggestions to map transcript labels to tracks`);
+      return { statusCode: 200 };
+    }
+
+    if (!clips.length) {
+      console.log(`No clips awaiting processing for episode ${episodeId}`);
+      return { statusCode: 200 };
+    }
+
+    const profile = await loadShowProfile(tenantId, episode.seriesName);
+    const branding = resolveBranding(await loadBranding(tenantId));
+
+    // Edited clips are named by revision, so re-rendering them starts a new execution
+    const clipIds = clips.map(c => (c.revision > 1 ? `${c.clipId}@${c.revision}` : c.clipId)).sort();
+    const executionName = `${episodeId}-${hash(clipIds.join(','))}`;
+    const executionArn = await startExecution(executionName, {
+      tenantId,
+      episodeId,
+      trackName: 'main',
+      loudness: resolveLoudnessTarget(profile),
+      branding,
+      clips: clips.map(c => ({
+        clipId: c.clipId,
+        revision: c.revision ?? 1,
+        segments: c.segments,
+        renderTargets: resolveRenderTargets(c, profile),
+        transition: resolveTransition(c),
+        layout: resolveLayout(c)
+      }))
+    });
+
+    const now = new Date().toISOString();
+    try {
+      await ddb.send(new UpdateItemCommand({
+        TableName: process.env.TABLE_NAME,
+        Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: 'metadata' }),
+        ConditionExpression: 'attribute_exists(pk) AND NOT contains(#executions, :arn)',
+        UpdateExpression: 'SET #executions = list_append(if_not_exists(#executions, :empty), :arns), #updatedAt = :now',
+        ExpressionAttributeNames: {
+          '#executions': 'clipProcessingExecutions',
+          '#updatedAt': 'updatedAt'
+        },
+        ExpressionAttributeValues: marshall({
+          ':arn': executionArn,
+          ':arns': [executionArn],
+          ':empty': [],
+          ':now': now
+        })
+      }));
+    } catch (e) {
+      if (e.name !== 'ConditionalCheckFailedException') throw e;
+      console.log(`Execution ${executionArn} already recorded for episode ${episodeId}`);
+    }
+
+    await Promise.all(clips.map(clip => markClipProcessing(tenantId, episodeId, clip, now)));
+
+    console.log(`Started clip processing ${executionArn} for ${clips.length} clips (episode ${episodeId}, tenant ${tenantId})`);
+    return { statusCode: 200, executionArn };
+  } catch (err) {
+    console.error('Error starting clip processing:', err);
+    throw err;
+  }
+};
+
+const loadEpisodePartition = async (tenantId, episodeId) => {
+  const items = [];
+  let startKey;
+  do {
+    const res = await ddb.send(new QueryCommand({
+      TableName: process.env.TABLE_NAME,
+      KeyConditionExpression: 'pk = :pk',
+      ExpressionAttributeValues: marshall({ ':pk': `${tenantId}#${episodeId}` }),
+      ...startKey && { ExclusiveStartKey: startKey }
+    }));
+    items.push(...(res.Items || []).map(i => unmarshall(i)));
+    startKey = res.LastEvaluatedKey;
+  } while (startKey);
+
+  return items;
+};
+
+// Execution names are derived from the clip set, so a redelivered event for the same clips
+// resolves to the execution that is already running instead of starting a duplicate
+const startExecution = async (name, input) => {
+  try {
+    const res = await sfn.send(new StartExecutionCommand({
+      stateMachineArn: process.env.STATE_MACHINE_ARN,
+      name,
+      input: JSON.stringify(input)
+    }));
+    return res.executionArn;
+  } catch (e) {
+    if (e.name !== 'ExecutionAlreadyExists') throw e;
+    return `${process.env.STATE_MACHINE_ARN.replace(':stateMachine:', ':execution:')}:${name}`;
+  }
+};
+
+const markClipProcessing = async (tenantId, episodeId, clip, now) => {
+  try {
+    await ddb.send(new UpdateItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: `clip#${clip.clipId}` }),
+      ConditionExpression: '#status = :current',
+      UpdateExpression: 'SET #status = :processing, #updatedAt = :now',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: marshall({
+        ':current': clip.status,
+        ':processing': 'processing',
+        ':now': now
+      })
+    }));
+  } catch (e) {
+    if (e.name !== 'ConditionalCheckFailedException') throw e;
+  }
+};
@@ -0,0 +1,164 @@
+import { DynamoDBClient, QueryCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
+import { parseEpisodeIdFromKey } from '../utils/clips.mjs';
+import { loadEpisodeTranscript } from '../utils/transcripts.mjs';
+import { loadHlsManifest, calculateChunkMapping, secondsToTime } from '../utils/video-processing.mjs';
+import { getVideoFileUrl } from '../utils/s3-video.mjs';
+import { measureMeanVolume } from '../utils/ffmpeg.mjs';
+import { needsAlignment } from '../utils/alignment.mjs';
+import { SPEAKER_MAP_SK, findUnmappedLabels, selectLabelTurns, suggestSpeakerMappings } from '../utils/speaker-mapping.mjs';
+
+const ddb = new DynamoDBClient();
+const eb = new EventBridgeClient();
+
+export const handler = async (event) => {
+  try {
+    const detail = event?.detail || {};
+    // Runs on transcript uploads (S3) as well as track events, whichever completes the episode last
+    const transcriptKey = detail.object?.key ? decodeURIComponent(detail.object.key) : null;
+    let tenantId = (detail.tenantId || '').toString().trim();
+    let episodeId = (detail.episodeId || '').toString().trim();
+    if (transcriptKey) {
+      try {
+        ({ tenantId, episodeId } = parseEpisodeIdFromKey(transcriptKey));
+      } catch (e) {
+        console.warn(`Skipping object with unexpected key: ${transcriptKey}. Reason: ${e.message}`);
+        return { statusCode: 200 };
+      }
+    }
+
+    if (!tenantId || !episodeId) {
+      console.warn('Missing identifiers in event detail. Expecting { tenantId, episodeId }.', JSON.stringify(detail));
+      return { statusCode: 200 };
+    }
+
+    const items = await loadEpisodePartition(tenantId, episodeId);
+    const episode = items.find(i => i.sk === 'metadata');
+    const tracks = items.filter(i => i.sk.startsWith('track#'));
+    const record = items.find(i => i.sk === SPEAKER_MAP_SK);
+
+    if (!episode) {
+      console.warn(`Episode ${episodeId} not found; skipping speaker suggestions`);
+      return { statusCode: 200 };
+    }
+
+    // A new transcript brings new labels; otherwise suggestions are made once
+    if (record?.suggestedAt && !transcriptKey) {
+      return { statusCode: 200 };
+    }
+
+    if (!tracks.length || tracks.some(t => t.status !== 'Processed') || tracks.some(t => needsAlignment(t, tracks))) {
+      console.log(`Episode ${episodeId} has tracks that are not processed and aligned yet; waiting`);
+      return { statusCode: 200 };
+    }
+
+    const cues = await loadEpisodeTranscript(tenantId, episodeId, { mapSpeakers: false });
+    if (!cues.length) {
+      console.log(`Episode ${episodeId} has no transcript yet; waiting`);
+      return { statusCode: 200 };
+    }
+
+    const candidates = tracks.filter(t => t.trackName !== 'main' && (t.speakers || []).length > 0);
+    const labels = findUnmappedLabels(cues, tracks);
+    let suggestions = {};
+    if (candidates.length && labels.length) {
+      const turnLevels = {};
+      for (const label of labels) {
+        turnLevels[label] = await measureLabelTurns(tenantId, episodeId, selectLabelTurns(cues, label), candidates);
+      }
+      suggestions = suggestSpeakerMappings(turnLevels, candidates);
+    }
+
+    // Recorded even when nothing could be suggested, so clip processing does not wait on it forever
+    await ddb.send(new UpdateItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: SPEAKER_MAP_SK }),
+      UpdateExpression: 'SET #labels = :labels, #suggestions = :suggestions, #suggestedAt = :now, #updatedAt = :now',
+      ExpressionAttributeNames: {
+        '#labels': 'labels',
+        '#suggestions': 'suggestions',
+        '#suggestedAt': 'suggestedAt',
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: marshall({
+        ':labels': labels,
+        ':suggestions': suggestions,
+        ':now': new Date().toISOString()
+      })
+    }));
+
+    for (const [label, suggestion] of Object.entries(suggestions)) {
+      console.log(`Label '${label}' is loudest on track '${suggestion.trackName}' (${suggestion.speaker ?? 'several speakers'}, confidence ${suggestion.confidence})`);
+    }
+
+    try {
+      await eb.send(new PutEventsCommand({
+        Entries: [
+          {
+            Source: 'nullcheck',
+            DetailType: 'Speakers Suggested',
+            Detail: JSON.stringify({ tenantId, episodeId })
+          }
+        ]
+      }));
+    } catch (e) {
+      console.error('Failed to publish Speakers Suggested event:', e);
+    }
+
+    return { statusCode: 200, suggestions };
+  } catch (err) {
+    console.error('Error suggesting speakers:', err);
+    throw err;
+  }
+};
+
+const loadEpisodePartition = async (tenantId, episodeId) => {
+  const items = [];
+  let startKey;
+  do {
+    const res = await ddb.send(new QueryCommand({
+      TableName: process.env.TABLE_NAME,
+      KeyConditionExpression: 'pk = :pk',
+      ExpressionAttributeValues: marshall({ ':pk': `${tenantId}#${episodeId}` }),
+      ...startKey && { ExclusiveStartKey: startKey }
+    }));
+    items.push(...(res.Items || []).map(i => unmarshall(i)));
+    startKey = res.LastEvaluatedKey;
+  } while (startKey);
+
+  return items;
+};
+
+// Measures the mean volume of every candidate track during each turn; turns a track cannot be read for are left out
+async function measureLabelTurns(tenantId, episodeId, turns, tracks) {
+  const levels = turns.map(() => ({}));
+
+  for (const track of tracks) {
+    let manifest;
+    try {
+      manifest = await loadHlsManifest(episodeId, track.trackName, tenantId);
+    } catch (error) {
+      console.warn(`Skipping track '${track.trackName}' for speaker suggestions: ${error.message}`);
+      continue;
+    }
+
+    for (const [i, turn] of turns.entries()) {
+      try {
+        const mappings = calculateChunkMapping({
+          startTime: secondsToTime(turn.startMs / 1000),
+          endTime: secondsToTime(turn.endMs / 1000)
+        }, manifest.segments, { offsetSeconds: track.offsetSeconds ?? 0 });
+        // The longest piece of a turn that straddles two chunks is enough to compare levels
+        const mapping = mappings.reduce((longest, m) => (m.duration > longest.duration ? m : longest));
+        const url = await getVideoFileUrl(process.env.BUCKET_NAME, mapping.s3Key);
+        const level = await measureMeanVolume(url, { startOffset: mapping.startOffset, duration: mapping.duration });
+        if (level !== null) levels[i][track.trackName] = level;
+      } catch (error) {
+        console.warn(`Could not measure track '${track.trackName}' at ${turn.startMs}ms: ${error.message}`);
+      }
+    }
+  }
+
+  return levels;
+}
@@ -0,0 +1,194 @@
+import { DynamoDBClient, QueryCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { loadHlsManifest } from '../utils/video-processing.mjs';
+import { getVideoFileUrl } from '../utils/s3-video.mjs';
+import { extractTranscriptionAudio, createTempDir, cleanup } from '../utils/ffmpeg.mjs';
+import { needsAlignment } from '../utils/alignment.mjs';
+import { formatSrt } from '../utils/transcripts.mjs';
+import { TRANSCRIPTION_STATUS, createTranscriber, selectTranscriptionTracks, buildTranscriptCues } from '../utils/transcription.mjs';
+import { join } from 'path';
+
+const ddb = new DynamoDBClient();
+const s3 = new S3Client();
+
+export const handler = async (event) => {
+  let tempDir = null;
+
+  try {
+    const detail = event?.detail || {};
+    const tenantId = (detail.tenantId || '').toString().trim();
+    const episodeId = (detail.episodeId || '').toString().trim();
+
+    if (!tenantId || !episodeId) {
+      console.warn('Missing identifiers in event detail. Expecting { tenantId, episodeId }.', JSON.stringify(detail));
+      return { statusCode: 200 };
+    }
+
+    const items = await loadEpisodePartition(tenantId, episodeId);
+    const episode = items.find(i => i.sk === 'metadata');
+    const tracks = items.filter(i => i.sk.startsWith('track#'));
+
+    if (!episode) {
+      console.warn(`Episode ${episodeId} not found; skipping transcription`);
+      return { statusCode: 200 };
+    }
+
+    if (episode.transcriptKey || episode.transcriptionStatus) {
+      return { statusCode: 200 };
+    }
+
+    // An outstanding upload URL means the user is about to provide their own transcript
+    const uploadRecord = items.find(i => i.sk === 'transcript-upload-url');
+    if (uploadRecord && uploadRecord.ttl > Math.floor(Date.now() / 1000)) {
+      console.log(`Episode ${episodeId} is awaiting a transcript upload; not transcribing`);
+      return { statusCode: 200 };
+    }
+
+    if (!tracks.length || tracks.some(t => t.status !== 'Processed')) {
+      console.log(`Episode ${episodeId} has tracks that are not processed yet; waiting`);
+      return { statusCode: 200 };
+    }
+
+    if (tracks.some(t => needsAlignment(t, tracks))) {
+      console.log(`Episode ${episodeId} has tracks that are not aligned with the main track yet; waiting`);
+      return { statusCode: 200 };
+    }
+
+    let transcriber;
+    try {
+      transcriber = createTranscriber();
+    } catch (error) {
+      console.warn(`Automatic transcription is not configured: ${error.message}`);
+      return { statusCode: 200 };
+    }
+
+    const sources = selectTranscriptionTracks(tracks);
+    if (!(await claimTranscription(tenantId, episodeId, transcriber.name))) {
+      return { statusCode: 200 };
+    }
+
+    try {
+      tempDir = await createTempDir('transcription-');
+      const results = [];
+      for (const source of sources) {
+        console.log(`Transcribing track '${source.trackName}' of episode ${episodeId} with ${transcriber.name}`);
+        const { segments } = await transcribeTrack(tenantId, episodeId, source.trackName, transcriber, tempDir);
+        results.push({ ...source, segments });
+      }
+
+      const cues = buildTranscriptCues(results);
+      if (!cues.length) {
+        throw new Error('No speech was recognized in any track');
+      }
+
+      const key = `${tenantId}/${episodeId}/transcript.srt`;
+      await s3.send(new PutObjectCommand({
+        Bucket: process.env.BUCKET_NAME,
+        Key: key,
+        Body: formatSrt(cues),
+        ContentType: 'application/x-subrip',
+        Metadata: {
+          'episode-id': episodeId,
+          transcriber: transcriber.name,
+          'source-tracks': sources.map(s => s.trackName).join(',')
+        }
+      }));
+
+      await recordTranscription(tenantId, episodeId, TRANSCRIPTION_STATUS.TRANSCRIBED);
+      console.log(`Wrote ${cues.length} transcript cues for episode ${episodeId} to ${key}`);
+      return { statusCode: 200, key };
+    } catch (error) {
+      // Recorded rather than retried: the claim keeps redelivered events from transcribing again
+      console.error(`Transcription of episode ${episodeId} failed:`, error);
+      await recordTranscription(tenantId, episodeId, TRANSCRIPTION_STATUS.FAILED, error.message);
+      return { statusCode: 200 };
+    }
+  } catch (err) {
+    console.error('Error transcribing episode:', err);
+    throw err;
+  } finally {
+    if (tempDir) {
+      await cleanup(tempDir);
+    }
+  }
+};
+
+const loadEpisodePartition = async (tenantId, episodeId) => {
+  const items = [];
+  let startKey;
+  do {
+    const res = await ddb.send(new QueryCommand({
+      TableName: process.env.TABLE_NAME,
+      KeyConditionExpression: 'pk = :pk',
+      ExpressionAttributeValues: marshall({ ':pk': `${tenantId}#${episodeId}` }),
+      ...startKey && { ExclusiveStartKey: startKey }
+    }));
+    items.push(...(res.Items || []).map(i => unmarshall(i)));
+    startKey = res.LastEvaluatedKey;
+  } while (startKey);
+
+  return items;
+};
+
+// Every track event of a ready episode reaches this handler, so only the first one to claim it transcribes
+const claimTranscription = async (tenantId, episodeId, transcriberName) => {
+  try {
+    await ddb.send(new UpdateItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: 'metadata' }),
+      ConditionExpression: 'attribute_exists(pk) AND attribute_not_exists(#transcriptKey) AND attribute_not_exists(#transcriptionStatus)',
+      UpdateExpression: 'SET #transcriptionStatus = :status, #transcriber = :transcriber, #updatedAt = :now',
+      ExpressionAttributeNames: {
+        '#transcriptKey': 'transcriptKey',
+        '#transcriptionStatus': 'transcriptionStatus',
+        '#transcriber': 'transcriber',
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: marshall({
+        ':status': TRANSCRIPTION_STATUS.TRANSCRIBING,
+        ':transcriber': transcriberName,
+        ':now': new Date().toISOString()
+      })
+    }));
+    return true;
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') throw error;
+    console.log(`Episode ${episodeId} already has a transcript or is being transcribed`);
+    return false;
+  }
+};
+
+const recordTranscription = async (tenantId, episodeId, status, errorMessage = null) => {
+  await ddb.send(new UpdateItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: 'metadata' }),
+    ConditionExpression: 'attribute_exists(pk)',
+    UpdateExpression: errorMessage
+      ? 'SET #transcriptionStatus = :status, #transcriptionError = :error, #updatedAt = :now'
+      : 'SET #transcriptionStatus = :status, #updatedAt = :now REMOVE #transcriptionError',
+    ExpressionAttributeNames: {
+      '#transcriptionStatus': 'transcriptionStatus',
+      '#transcriptionError': 'transcriptionError',
+      '#updatedAt': 'updatedAt'
+    },
+    ExpressionAttributeValues: marshall({
+      ':status': status,
+      ':now': new Date().toISOString(),
+      ...errorMessage && { ':error': errorMessage }
+    })
+  }));
+};
+
+async function transcribeTrack(tenantId, episodeId, trackName, transcriber, tempDir) {
+  const manifest = await loadHlsManifest(episodeId, trackName, tenantId);
+  const chunkUrls = await Promise.all(manifest.segments.map(chunk => getVideoFileUrl(process.env.BUCKET_NAME, chunk.key)));
+  const audioFile = join(tempDir, `${trackName}.mp3`);
+
+  try {
+    await extractTranscriptionAudio(chunkUrls, audioFile);
+    return await transcriber.transcribe(audioFile, { durationSeconds: manifest.totalDuration });
+  } finally {
+    await cleanup(audioFile);
+  }
+}
@@ -1,8 +1,10 @@
 import { DynamoDBClient, GetItemCommand, UpdateItemCommand, DeleteItemCommand } from '@aws-sdk/client-dynamodb';
+import { S3Client, DeleteObjectCommand } from '@aws-sdk/client-s3';
 import { marshall } from '@aws-sdk/util-dynamodb';
-import { parseEpisodeIdFromKey } from '../utils/clips.mjs';
+import { parseEpisodeIdFromKey, TRANSCRIPT_FILENAMES } from '../utils/clips.mjs';
 
 const ddb = new DynamoDBClient();
+const s3 = new S3Client();
 
 export const handler = async (event) => {
   try {
@@ -56,6 +58,15 @@ export const handler = async (event) => {
       }),
     }));
 
+    // An upload in the other format replaces the transcript, so the old file must not be read again
+    for (const filename of TRANSCRIPT_FILENAMES.filter(f => !key.endsWith(`/${f}`))) {
+      try {
+        await s3.send(new DeleteObjectCommand({ Bucket: process.env.BUCKET_NAME, Key: `${tenantId}/${episodeId}/${filename}` }));
+      } catch (e) {
+        console.warn(`Failed to delete replaced transcript ${filename} of ${episodeId}: ${e?.message || e}`);
+      }
+    }
+
     try {
       await ddb.send(new DeleteItemCommand({
         TableName: process.env.TABLE_NAME,
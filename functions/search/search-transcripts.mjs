@@ -0,0 +1,38 @@
+import { formatResponse } from '../utils/api.mjs';
+import { searchTranscripts, tokenize, DEFAULT_SEARCH_RESULTS, MAX_SEARCH_RESULTS } from '../utils/search.mjs';
+
+const MAX_QUERY_LENGTH = 200;
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const query = event?.queryStringParameters || {};
+    const q = (query.q || '').toString().trim();
+    if (!q || q.length > MAX_QUERY_LENGTH) {
+      return formatResponse(400, { message: `q is required and must be at most ${MAX_QUERY_LENGTH} characters` });
+    }
+    if (!tokenize(q).length) {
+      return formatResponse(400, { message: 'q must contain at least one searchable word' });
+    }
+
+    const n = parseInt(query.limit, 10);
+    const limit = Math.max(1, Math.min(MAX_SEARCH_RESULTS, Number.isFinite(n) ? n : DEFAULT_SEARCH_RESULTS));
+
+    const hits = await searchTranscripts(tenantId, q, { limit });
+
+    return formatResponse(200, {
+      query: q,
+      items: hits,
+      count: hits.length
+    });
+  } catch (err) {
+    console.error('Error searching transcripts:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
@@ -0,0 +1,58 @@
+import { DynamoDBClient, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import crypto from 'crypto';
+import { parseBody, formatResponse } from '../utils/api.mjs';
+import { parseShowProfile, listShowProfiles, findProfileForSeries } from '../utils/show-profiles.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const data = parseBody(event);
+    if (data === null) {
+      return formatResponse(400, { message: 'Invalid request' });
+    }
+
+    const { profile, errors } = parseShowProfile(data);
+    if (errors.length) {
+      return formatResponse(400, { message: errors.join(', ') });
+    }
+
+    const existing = findProfileForSeries(await listShowProfiles(tenantId), profile.seriesName);
+    if (existing) {
+      return formatResponse(409, {
+        message: profile.seriesName
+          ? `A show profile already exists for series '${profile.seriesName}'`
+          : 'A default show profile already exists'
+      });
+    }
+
+    const now = new Date().toISOString();
+    const id = crypto.randomUUID();
+
+    await ddb.send(new PutItemCommand({
+      TableName: process.env.TABLE_NAME,
+      ConditionExpression: 'attribute_not_exists(pk) AND attribute_not_exists(sk)',
+      Item: marshall({
+        pk: tenantId,
+        sk: `profile#${id}`,
+        profileId: id,
+        ...profile,
+        createdAt: now,
+        updatedAt: now
+      })
+    }));
+
+    return formatResponse(201, { id });
+  } catch (err) {
+    console.error('Error creating show profile:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
@@ -0,0 +1,36 @@
+import { DynamoDBClient, DeleteItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { formatResponse, formatEmptyResponse } from '../utils/api.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { profileId } = event.pathParameters;
+
+    try {
+      await ddb.send(new DeleteItemCommand({
+        TableName: process.env.TABLE_NAME,
+        Key: marshall({ pk: tenantId, sk: `profile#${profileId}` }),
+        ConditionExpression: 'attribute_exists(pk) AND attribute_exists(sk)'
+      }));
+    } catch (e) {
+      if (e.name === 'ConditionalCheckFailedException') {
+        return formatResponse(404, { message: 'Show profile not found' });
+      }
+      throw e;
+    }
+
+    return formatEmptyResponse();
+  } catch (err) {
+    console.error('Error deleting show profile:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
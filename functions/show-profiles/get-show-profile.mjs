@@ -0,0 +1,33 @@
+import { DynamoDBClient, GetItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { formatResponse } from '../utils/api.mjs';
+import { formatShowProfile } from '../utils/show-profiles.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { profileId } = event.pathParameters;
+
+    const response = await ddb.send(new GetItemCommand({
+      TableName: process.env.TABLE_NAME,
+      Key: marshall({ pk: tenantId, sk: `profile#${profileId}` })
+    }));
+
+    if (!response.Item) {
+      return formatResponse(404, { message: 'Show profile not found' });
+    }
+
+    return formatResponse(200, formatShowProfile(unmarshall(response.Item)));
+  } catch (err) {
+    console.error('Error getting show profile:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
@@ -0,0 +1,23 @@
+import { formatResponse } from '../utils/api.mjs';
+import { listShowProfiles, formatShowProfile } from '../utils/show-profiles.mjs';
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const profiles = await listShowProfiles(tenantId);
+    const items = profiles
+      .map(formatShowProfile)
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+    return formatResponse(200, { items, count: items.length });
+  } catch (err) {
+    console.error('Error listing show profiles:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
@@ -0,0 +1,69 @@
+import { DynamoDBClient, PutItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { parseBody, formatResponse, formatEmptyResponse } from '../utils/api.mjs';
+import { parseShowProfile, listShowProfiles, findProfileForSeries } from '../utils/show-profiles.mjs';
+
+const ddb = new DynamoDBClient();
+
+export const handler = async (event) => {
+  try {
+    const { tenantId } = event.requestContext.authorizer;
+
+    if (!tenantId) {
+      console.error('Missing tenantId in authorizer context');
+      return formatResponse(401, { error: 'Unauthorized' });
+    }
+
+    const { profileId } = event.pathParameters;
+
+    const data = parseBody(event);
+    if (data === null) {
+      return formatResponse(400, { message: 'Invalid request' });
+    }
+
+    const { profile, errors } = parseShowProfile(data);
+    if (errors.length) {
+      return formatResponse(400, { message: errors.join(', ') });
+    }
+
+    const profiles = await listShowProfiles(tenantId);
+    const current = profiles.find(p => p.profileId === profileId);
+    if (!current) {
+      return formatResponse(404, { message: 'Show profile not found' });
+    }
+
+    const conflict = findProfileForSeries(profiles.filter(p => p.profileId !== profileId), profile.seriesName);
+    if (conflict) {
+      return formatResponse(409, {
+        message: profile.seriesName
+          ? `A show profile already exists for series '${profile.seriesName}'`
+          : 'A default show profile already exists'
+      });
+    }
+
+    try {
+      await ddb.send(new PutItemCommand({
+        TableName: process.env.TABLE_NAME,
+        ConditionExpression: 'attribute_exists(pk) AND attribute_exists(sk)',
+        Item: marshall({
+          pk: tenantId,
+          sk: `profile#${profileId}`,
+          profileId,
+          ...profile,
+          createdAt: current.createdAt,
+          updatedAt: new Date().toISOString()
+        })
+      }));
+    } catch (e) {
+      if (e.name === 'ConditionalCheckFailedException') {
+        return formatResponse(404, { message: 'Show profile not found' });
+      }
+      throw e;
+    }
+
+    return formatEmptyResponse();
+  } catch (err) {
+    console.error('Error updating show profile:', err);
+    return formatResponse(500, { message: 'Something went wrong' });
+  }
+};
@@ -1,30 +1,27 @@
 import { z } from 'zod';
 import { DynamoDBClient, PutItemCommand } from '@aws-sdk/client-dynamodb';
 import { marshall } from '@aws-sdk/util-dynamodb';
-import crypto, { randomUUID } from 'crypto';
+import { randomUUID } from 'crypto';
 import { incrementClipsCreated } from '../utils/statistics.mjs';
+import { loadEpisodeTranscript, validateSegmentsAgainstTranscript } from '../utils/transcripts.mjs';
+import {
+  CLIP_TYPES,
+  CLIP_SOURCES,
+  MAX_SEGMENTS_PER_CLIP,
+  segmentSchema,
+  createClipHash,
+  calcTotalDuration
+} from '../utils/clips.mjs';
+import { LAYOUT_TYPES, parseLayout } from '../utils/layouts.mjs';
 
 const ddb = new DynamoDBClient();
 const MAX_CLIPS_PER_REQUEST = 10;
-const MAX_SEGMENTS_PER_CLIP = 10;
-
-const segmentSchema = z.object({
-  startTime: z.string()
-    .regex(/^\d{2}:\d{2}:\d{2}$/)
-    .describe('Start time in hh:mm:ss format (required)'),
-  endTime: z.string()
-    .regex(/^\d{2}:\d{2}:\d{2}$/)
-    .describe('End time in hh:mm:ss format (required)'),
-  speaker: z.string().min(1).describe('Speaker name (required)'),
-  order: z.number().int().min(1).describe('Order of segment for reassembly (required, starting from 1)'),
-  notes: z.string().optional().describe('Optional contextual notes for this segment')
-});
 
 export const createClipTool = {
   isMultiTenant: true,
   name: 'createClip',
   description:
-    'Creates one or more clip recommendations for a livestream transcript, each composed of one or more segments with required timestamps and speaker information',
+    'Creates one or more clip recommendations for a livestream transcript, each composed of one or more segments with required timestamps and speaker information. Segments are checked against the transcript and clips that do not match are rejected with the reasons',
   schema: z.object({
     episodeId: z.string().describe('The ID of the episode for which to create clips'),
     clips: z.array(
@@ -36,7 +33,9 @@ export const createClipTool = {
         hook: z.string().min(5).describe('Short, catchy phrase to grab attention'),
         summary: z.string().min(10).describe('Brief description of what happens in the clip'),
         bRollSuggestions: z.array(z.string()).min(1).describe('List of suggested visuals or overlays'),
-        clipType: z.enum(['educational', 'funny', 'demo', 'hot_take', 'insight']).describe('Type of clip')
+        clipType: z.enum(CLIP_TYPES).describe('Type of clip'),
+        layout: z.enum(LAYOUT_TYPES).optional()
+          .describe('How the episode cameras are arranged. Use side-by-side or stacked for back-and-forth between speakers and picture-in-picture when a screen share is the focus. Omit for a single camera on the speaker')
       })
     ).min(1).max(MAX_CLIPS_PER_REQUEST)
   }),
@@ -47,19 +46,33 @@ export const createClipTool = {
         return 'Unauthorized: Missing tenant context';
       }
 
+      const cues = await loadEpisodeTranscript(tenantId, episodeId);
+      if (!cues.length) {
+        console.warn(`No transcript found for episode ${episodeId}; storing clips without segment validation`);
+      }
+
+      const accepted = [];
+      const rejected = [];
+      clips.forEach((clip, index) => {
+        if (!cues.length) {
+          accepted.push({ ...clip, index: index + 1 });
+          return;
+        }
+
+        const { segments, adjusted, errors } = validateSegmentsAgainstTranscript(clip.segments, cues);
+        if (errors.length) {
+          rejected.push({ index: index + 1, hook: clip.hook, errors });
+        } else {
+          if (adjusted) console.log(`Snapped ${adjusted} segment(s) to transcript cues for clip "${clip.hook}"`);
+          accepted.push({ ...clip, segments, index: index + 1 });
+        }
+      });
+
       const results = await Promise.allSettled(
-        clips.map(async (clip) => {
+        accepted.map(async (clip) => {
           const id = randomUUID();
 
-          const segmentSignature = clip.segments
-            .map((s) => `${s.order}-${s.startTime}-${s.endTime}-${s.speaker}`)
-            .join('|');
-
-          const clipHash = crypto
-            .createHash('sha256')
-            .update(`${segmentSignature}|${clip.hook}|${clip.summary}`)
-            .digest('hex')
-            .slice(0, 16);
+          const clipHash = createClipHash(clip);
 
           await ddb.send(
             new PutItemCommand({
@@ -79,6 +92,9 @@ export const createClipTool = {
                 summary: clip.summary,
                 bRollSuggestions: clip.bRollSuggestions,
                 clipType: clip.clipType,
+                ...clip.layout && { layout: parseLayout(clip.layout).layout },
+                source: CLIP_SOURCES.AI,
+                revision: 1,
                 status: 'pending',
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString(),
@@ -98,28 +114,31 @@ export const createClipTool = {
       );
 
       const created = results.filter((r) => r.status === 'fulfilled' && r.value).length;
+      const failed = results
+        .map((r, i) => ({ clip: accepted[i], reason: r.reason }))
+        .filter((r, i) => results[i].status === 'rejected');
 
       console.log(`Created ${created} clips for episode ${episodeId} (tenant: ${tenantId})`);
 
-      return `${created} clips added for episode ${episodeId}. All clips have been created with tenant isolation.`;
+      if (!rejected.length && !failed.length) {
+        return `${created} clips added for episode ${episodeId}. All clips have been created with tenant isolation.`;
+      }
+
+      const replies = [`${created} clips added for episode ${episodeId}.`];
+      if (rejected.length) {
+        console.log(`Rejected ${rejected.length} clips for episode ${episodeId} (tenant: ${tenantId})`);
+        const reasons = rejected.map(r => `- Clip ${r.index} "${r.hook}": ${r.errors.join('; ')}`).join('\n');
+        replies.push(`${rejected.length} clips were rejected because their segments do not match the transcript. Fix them and call createClip again with only the corrected clips:\n${reasons}`);
+      }
+      if (failed.length) {
+        failed.forEach(f => console.error(`Failed to save clip ${f.clip.index} for episode ${episodeId}:`, f.reason));
+        const clipList = failed.map(f => `- Clip ${f.clip.index} "${f.clip.hook}"`).join('\n');
+        replies.push(`${failed.length} clips could not be saved. Call createClip again with only these clips:\n${clipList}`);
+      }
+      return replies.join('\n');
     } catch (err) {
       console.error('Error creating clips:', err);
       return 'Something went wrong while creating clips';
     }
   }
 };
-
-/**
- * Compute total duration from segments with required timestamps
- */
-function calcTotalDuration(segments) {
-  const toSeconds = (t) => {
-    const [hh, mm, ss] = t.split(':').map(Number);
-    return hh * 3600 + mm * 60 + ss;
-  };
-  return segments.reduce((acc, seg) => {
-    const start = toSeconds(seg.startTime);
-    const end = toSeconds(seg.endTime);
-    return acc + Math.max(0, end - start);
-  }, 0);
-}
@@ -0,0 +1,153 @@
+/**
+ * Time alignment between separately recorded tracks of an episode
+ */
+
+export const MAX_TRACK_OFFSET_SECONDS = 3600;
+
+// Detection compares a minute of the main track against the same minute give or take a minute on the other track
+export const ALIGNMENT_SAMPLE_RATE = 8000;
+export const ALIGNMENT_WINDOW_SECONDS = 60;
+export const ALIGNMENT_MAX_LAG_SECONDS = 60;
+export const ALIGNMENT_MIN_CONFIDENCE = 0.2;
+
+export const ALIGNMENT_STATUS = {
+  ALIGNED: 'Aligned',
+  FAILED: 'AlignmentFailed',
+  MANUAL: 'Manual'
+};
+
+/**
+ * Validate a manually set track offset
+ * @param {*} value - Seconds the track's timeline is ahead of the episode's
+ * @returns {{offsetSeconds: number|null, error: string|null}}
+ */
+export const parseTrackOffset = (value) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) > MAX_TRACK_OFFSET_SECONDS) {
+    return { offsetSeconds: null, error: `"offsetSeconds" must be a number between -${MAX_TRACK_OFFSET_SECONDS} and ${MAX_TRACK_OFFSET_SECONDS}` };
+  }
+
+  return { offsetSeconds: Math.round(value * 1000) / 1000, error: null };
+};
+
+/**
+ * Whether a track still has to be aligned before its chunks can be mapped. The main track defines episode time,
+ * so only the other tracks of an episode that has one are aligned.
+ */
+export const needsAlignment = (track, tracks) =>
+  track.trackName !== 'main' && !track.alignmentStatus && tracks.some(t => t.trackName === 'main');
+
+/**
+ * Find how far a track is offset from the reference by normalized cross-correlation of their audio.
+ * The reference window starts referenceStartSeconds into the main track; the track's samples start at its zero.
+ * @param {Float32Array} reference - Mono samples of the main track window
+ * @param {Float32Array} signal - Mono samples from the start of the track being aligned
+ * @param {Object} options
+ * @param {number} options.sampleRate - Sample rate of both inputs
+ * @param {number} options.referenceStartSeconds - Where the reference window starts on the main track
+ * @returns {{offsetSeconds: number, confidence: number}|null} Offset in the sense of calculateChunkMapping and the
+ * peak correlation (0-1), or null when the inputs cannot overlap
+ */
+export const findTrackOffset = (reference, signal, { sampleRate, referenceStartSeconds }) => {
+  const maxLag = signal.length - reference.length;
+  if (!reference.length || maxLag < 0) return null;
+
+  const correlation = crossCorrelate(reference, signal);
+  const referenceEnergy = reference.reduce((sum, x) => sum + x * x, 0);
+  if (!referenceEnergy) return null;
+
+  // Energy of every reference-sized window of the signal, for normalizing each lag
+  let windowEnergy = 0;
+  for (let i = 0; i < reference.length; i++) windowEnergy += signal[i] * signal[i];
+
+  let best = { lag: 0, confidence: -Infinity };
+  for (let lag = 0; lag <= maxLag; lag++) {
+    if (lag > 0) {
+      windowEnergy += signal[lag + reference.length - 1] ** 2 - signal[lag - 1] ** 2;
+    }
+    if (windowEnergy <= 0) continue;
+
+    const confidence = correlation[lag] / Math.sqrt(referenceEnergy * windowEnergy);
+    if (confidence > best.confidence) {
+      best = { lag, confidence };
+    }
+  }
+
+  if (!Number.isFinite(best.confidence)) return null;
+
+  return {
+    offsetSeconds: Math.round((best.lag / sampleRate - referenceStartSeconds) * 1000) / 1000,
+    confidence: Math.round(best.confidence * 1000) / 1000
+  };
+};
+
+// correlation[lag] = sum over j of reference[j] * signal[lag + j], computed with FFTs
+const crossCorrelate = (reference, signal) => {
+  let size = 1;
+  while (size < reference.length + signal.length) size <<= 1;
+
+  const signalRe = new Float64Array(size);
+  const signalIm = new Float64Array(size);
+  const referenceRe = new Float64Array(size);
+  const referenceIm = new Float64Array(size);
+  signalRe.set(signal);
+  referenceRe.set(reference);
+
+  fft(signalRe, signalIm, false);
+  fft(referenceRe, referenceIm, false);
+
+  // Multiply the signal by the conjugate of the reference
+  for (let i = 0; i < size; i++) {
+    const re = signalRe[i] * referenceRe[i] + signalIm[i] * referenceIm[i];
+    const im = signalIm[i] * referenceRe[i] - signalRe[i] * referenceIm[i];
+    signalRe[i] = re;
+    signalIm[i] = im;
+  }
+
+  fft(signalRe, signalIm, true);
+  return signalRe;
+};
+
+// In-place iterative radix-2 FFT; the inverse is scaled by 1/n
+const fft = (re, im, inverse) => {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let length = 2; length <= n; length <<= 1) {
+    const angle = (inverse ? 2 : -2) * Math.PI / length;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += length) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < length / 2; k++) {
+        const a = start + k;
+        const b = a + length / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+};
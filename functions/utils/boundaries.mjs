@@ -0,0 +1,90 @@
+/**
+ * Boundary refinement that moves clip segment edges off mid-word cuts before extraction
+ */
+import { timeToSeconds, secondsToTime } from './video-processing.mjs';
+
+export const DEFAULT_BOUNDARY_TOLERANCE_MS = 750;
+
+// Breathing room kept between a cut and the first or last syllable
+const SPEECH_PADDING_MS = 100;
+const MIN_SEGMENT_MS = 500;
+
+/**
+ * Read the refinement tolerance, falling back to the default for missing or invalid values. 0 disables refinement.
+ */
+export const parseBoundaryTolerance = (value) => {
+  const tolerance = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(tolerance) && tolerance >= 0
+    ? tolerance
+    : DEFAULT_BOUNDARY_TOLERANCE_MS;
+};
+
+/**
+ * Snap a segment's start and end to the nearest transcript cue edge and the silence around it.
+ * A start moves to just before speech resumes after a silence, an end to just after speech stops. Edges only
+ * move within the tolerance of the requested time; without a cue edge or silence in reach they stay put.
+ * @param {Object} segment - Segment with HH:MM:SS[.mmm] startTime and endTime
+ * @param {Object} options
+ * @param {Array} [options.cues] - Transcript cues with startMs/endMs
+ * @param {Array<{startMs: number, endMs: number}>} [options.silences] - Silent intervals in episode time
+ * @param {number} [options.toleranceMs] - How far either edge may move
+ * @returns {{startTime: string, endTime: string, startSnappedTo: string|null, endSnappedTo: string|null}}
+ */
+export const refineSegmentBoundaries = (segment, { cues = [], silences = [], toleranceMs = DEFAULT_BOUNDARY_TOLERANCE_MS } = {}) => {
+  const requestedStartMs = Math.round(timeToSeconds(segment.startTime) * 1000);
+  const requestedEndMs = Math.round(timeToSeconds(segment.endTime) * 1000);
+
+  const start = snapBoundary(requestedStartMs, {
+    cueEdges: cues.map(c => c.startMs),
+    // Speech resumes where a silence ends
+    silenceEdges: silences.map(s => ({ edgeMs: s.endMs, snapMs: Math.max(s.startMs, s.endMs - SPEECH_PADDING_MS) })),
+    toleranceMs
+  });
+  const end = snapBoundary(requestedEndMs, {
+    cueEdges: cues.map(c => c.endMs),
+    // Speech stops where a silence starts
+    silenceEdges: silences.map(s => ({ edgeMs: s.startMs, snapMs: Math.min(s.endMs, s.startMs + SPEECH_PADDING_MS) })),
+    toleranceMs
+  });
+
+  if (end.ms - start.ms < MIN_SEGMENT_MS) {
+    return { startTime: segment.startTime, endTime: segment.endTime, startSnappedTo: null, endSnappedTo: null };
+  }
+
+  return {
+    startTime: start.snappedTo ? secondsToTime(start.ms / 1000) : segment.startTime,
+    endTime: end.snappedTo ? secondsToTime(end.ms / 1000) : segment.endTime,
+    startSnappedTo: start.snappedTo,
+    endSnappedTo: end.snappedTo
+  };
+};
+
+// The cue edge decides where the sentence breaks; a silence next to it decides exactly where to cut
+const snapBoundary = (requestedMs, { cueEdges, silenceEdges, toleranceMs }) => {
+  if (!toleranceMs) return { ms: requestedMs, snappedTo: null };
+
+  const cueMs = nearest(cueEdges, requestedMs, toleranceMs);
+  const anchorMs = cueMs ?? requestedMs;
+  const silence = silenceEdges
+    .filter(s => Math.abs(s.edgeMs - requestedMs) <= toleranceMs)
+    .sort((a, b) => Math.abs(a.edgeMs - anchorMs) - Math.abs(b.edgeMs - anchorMs))[0];
+
+  if (silence) {
+    return { ms: silence.snapMs, snappedTo: cueMs !== undefined ? 'cue+silence' : 'silence' };
+  }
+  if (cueMs !== undefined) {
+    return { ms: cueMs, snappedTo: 'cue' };
+  }
+  return { ms: requestedMs, snappedTo: null };
+};
+
+const nearest = (values, targetMs, toleranceMs) => {
+  let best;
+  for (const value of values) {
+    const distance = Math.abs(value - targetMs);
+    if (distance <= toleranceMs && (best === undefined || distance < Math.abs(best - targetMs))) {
+      best = value;
+    }
+  }
+  return best;
+};
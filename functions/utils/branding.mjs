@@ -0,0 +1,197 @@
+/**
+ * Per-tenant branding: intro and outro bumpers around every clip and a logo watermark over the footage
+ */
+import { DynamoDBClient, GetItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+
+const ddb = new DynamoDBClient();
+
+export const BRANDING_ASSETS = {
+  logo: { extensions: ['png', 'jpg', 'jpeg', 'webp'] },
+  intro: { extensions: ['mp4', 'mov', 'webm'] },
+  outro: { extensions: ['mp4', 'mov', 'webm'] }
+};
+
+export const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+export const DEFAULT_WATERMARK = { position: 'bottom-right', opacity: 0.8, widthRatio: 0.12 };
+
+const MIN_WATERMARK_WIDTH_RATIO = 0.03;
+const MAX_WATERMARK_WIDTH_RATIO = 0.5;
+// Margin between the watermark and the frame edges, as a share of the shorter side
+const WATERMARK_MARGIN_RATIO = 0.03;
+const DEFAULT_FRAME_RATE = '30';
+
+/**
+ * Validate a branding settings request body. Omitted settings keep their defaults.
+ * @param {Object} data - Parsed request body with enabled and watermark
+ * @returns {{settings: {enabled: boolean, watermark: Object}, errors: string[]}}
+ */
+export const parseBrandingSettings = (data) => {
+  const errors = [];
+  const enabled = data?.enabled ?? true;
+  if (typeof enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  const watermark = { ...DEFAULT_WATERMARK, ...(data?.watermark ?? {}) };
+  if (data?.watermark !== undefined && (typeof data.watermark !== 'object' || data.watermark === null || Array.isArray(data.watermark))) {
+    errors.push('watermark must be an object');
+  } else {
+    if (!WATERMARK_POSITIONS.includes(watermark.position)) {
+      errors.push(`watermark position must be one of ${WATERMARK_POSITIONS.join(', ')}`);
+    }
+    if (typeof watermark.opacity !== 'number' || !(watermark.opacity > 0 && watermark.opacity <= 1)) {
+      errors.push('watermark opacity must be a number greater than 0 and at most 1');
+    }
+    if (typeof watermark.widthRatio !== 'number' || watermark.widthRatio < MIN_WATERMARK_WIDTH_RATIO || watermark.widthRatio > MAX_WATERMARK_WIDTH_RATIO) {
+      errors.push(`watermark widthRatio must be a number between ${MIN_WATERMARK_WIDTH_RATIO} and ${MAX_WATERMARK_WIDTH_RATIO}`);
+    }
+  }
+
+  return {
+    settings: {
+      enabled: enabled === true,
+      watermark: { position: watermark.position, opacity: watermark.opacity, widthRatio: watermark.widthRatio }
+    },
+    errors
+  };
+};
+
+/**
+ * Work out where a branding asset upload is stored from its name and filename
+ * @param {string} tenantId
+ * @param {string} asset - logo, intro or outro
+ * @param {string} filename - Client-side filename; its extension decides the stored format
+ * @returns {{key: string|null, extension: string|null, error: string|null}}
+ */
+export const resolveBrandingUpload = (tenantId, asset, filename) => {
+  const spec = BRANDING_ASSETS[asset];
+  if (!spec) {
+    return { key: null, extension: null, error: `asset must be one of ${Object.keys(BRANDING_ASSETS).join(', ')}` };
+  }
+
+  const extension = typeof filename === 'string' && filename.includes('.') ? filename.trim().split('.').pop().toLowerCase() : '';
+  if (!spec.extensions.includes(extension)) {
+    return { key: null, extension: null, error: `${asset} filename must end in .${spec.extensions.join(', .')}` };
+  }
+
+  return { key: generateBrandingKey(tenantId, asset, extension), extension, error: null };
+};
+
+export const generateBrandingKey = (tenantId, asset, extension) => {
+  if (!tenantId) {
+    throw new Error('tenantId is required for generating branding keys');
+  }
+
+  return `${tenantId}/branding/${asset}.${extension}`;
+};
+
+/**
+ * Load a tenant's branding record
+ * @returns {Promise<Object|null>} The record, or null when the tenant has not set up branding
+ */
+export const loadBranding = async (tenantId) => {
+  const response = await ddb.send(new GetItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall({ pk: tenantId, sk: 'branding' })
+  }));
+
+  return response?.Item ? unmarshall(response.Item) : null;
+};
+
+/**
+ * Shape a branding record for API responses, with defaults for a tenant that has none
+ */
+export const formatBranding = (branding) => ({
+  enabled: branding?.enabled ?? true,
+  watermark: { ...DEFAULT_WATERMARK, ...(branding?.watermark ?? {}) },
+  assets: Object.fromEntries(Object.keys(BRANDING_ASSETS).map(asset => [asset, branding?.[asset] ?? null])),
+  updatedAt: branding?.updatedAt ?? null
+});
+
+/**
+ * Reduce a branding record to what the render step needs
+ * @param {Object|null} branding - Record from loadBranding
+ * @returns {{logoKey: string|null, introKey: string|null, outroKey: string|null, watermark: Object}|null} null when
+ * branding is off or no asset has been uploaded
+ */
+export const resolveBranding = (branding) => {
+  if (!branding || branding.enabled === false) return null;
+
+  const resolved = {
+    logoKey: branding.logo?.key ?? null,
+    introKey: branding.intro?.key ?? null,
+    outroKey: branding.outro?.key ?? null,
+    watermark: { ...DEFAULT_WATERMARK, ...(branding.watermark ?? {}) }
+  };
+
+  return resolved.logoKey || resolved.introKey || resolved.outroKey ? resolved : null;
+};
+
+/**
+ * Build the filter_complex that watermarks a clip and joins the bumpers around it. Bumpers are fitted to the
+ * clip's frame size and frame rate first, and bumpers or clips without audio get silence, so every part concatenates.
+ * Inputs are the clip, then the intro, outro and logo that are present, in that order.
+ * @param {Object} options
+ * @param {number} options.width - Output frame width
+ * @param {number} options.height - Output frame height
+ * @param {string} [options.frameRate] - Clip frame rate as FFprobe reports it, e.g. 30000/1001
+ * @param {string} [options.mainFilter] - Filter chain applied to the clip before the watermark, e.g. a reframe
+ * @param {{durationSeconds: number, hasAudio: boolean}} options.main - The clip
+ * @param {{durationSeconds: number, hasAudio: boolean}} [options.intro]
+ * @param {{durationSeconds: number, hasAudio: boolean}} [options.outro]
+ * @param {boolean} [options.logo] - Whether a logo input is present
+ * @param {Object} [options.watermark] - Position, opacity and widthRatio of the logo
+ * @returns {{filterComplex: string, videoLabel: string, audioLabel: string, inputs: string[]}} inputs names the
+ * input order the graph expects
+ */
+export const buildBrandingFilterGraph = ({ width, height, frameRate, mainFilter, main, intro, outro, logo = false, watermark = DEFAULT_WATERMARK }) => {
+  const fps = frameRate && !/^0(\/|$)/.test(frameRate) ? frameRate : DEFAULT_FRAME_RATE;
+  const inputs = ['main', ...(intro ? ['intro'] : []), ...(outro ? ['outro'] : []), ...(logo ? ['logo'] : [])];
+  const index = (name) => inputs.indexOf(name);
+  const filters = [];
+
+  const mainChain = [...(mainFilter ? [mainFilter] : []), `fps=${fps}`, 'setsar=1', 'format=yuv420p'].join(',');
+  if (logo) {
+    const logoWidth = even(width * watermark.widthRatio);
+    const margin = Math.round(Math.min(width, height) * WATERMARK_MARGIN_RATIO);
+    const [vertical, horizontal] = watermark.position.split('-');
+    const x = horizontal === 'left' ? `${margin}` : `main_w-overlay_w-${margin}`;
+    const y = vertical === 'top' ? `${margin}` : `main_h-overlay_h-${margin}`;
+    filters.push(`[0:v]${mainChain}[body]`);
+    filters.push(`[${index('logo')}:v]scale=${logoWidth}:-1,format=rgba,colorchannelmixer=aa=${watermark.opacity}[logo]`);
+    filters.push(`[body][logo]overlay=x=${x}:y=${y}:format=auto,format=yuv420p[mainv]`);
+  } else {
+    filters.push(`[0:v]${mainChain}[mainv]`);
+  }
+  filters.push(audioChain(0, main, 'maina'));
+
+  const parts = [];
+  for (const name of ['intro', 'main', 'outro']) {
+    if (name === 'main') {
+      parts.push('[mainv][maina]');
+      continue;
+    }
+
+    const bumper = name === 'intro' ? intro : outro;
+    if (!bumper) continue;
+    const i = index(name);
+    filters.push(`[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1,fps=${fps},format=yuv420p[${name}v]`);
+    filters.push(audioChain(i, bumper, `${name}a`));
+    parts.push(`[${name}v][${name}a]`);
+  }
+
+  if (parts.length === 1) {
+    return { filterComplex: filters.join(';'), videoLabel: '[mainv]', audioLabel: '[maina]', inputs };
+  }
+
+  filters.push(`${parts.join('')}concat=n=${parts.length}:v=1:a=1[vout][aout]`);
+  return { filterComplex: filters.join(';'), videoLabel: '[vout]', audioLabel: '[aout]', inputs };
+};
+
+const audioChain = (inputIndex, { durationSeconds, hasAudio }, label) => hasAudio
+  ? `[${inputIndex}:a]aformat=sample_rates=48000:channel_layouts=stereo[${label}]`
+  : `anullsrc=r=48000:cl=stereo,atrim=duration=${durationSeconds}[${label}]`;
+
+const even = (value) => Math.max(2, Math.floor(value / 2) * 2);
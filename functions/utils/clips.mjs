@@ -3,16 +3,26 @@
  * Provides functions for working with enhanced clip entities and S3 key parsing
  * Requirements: 1.5, 4.4
  */
+import { z } from 'zod';
+import { hash } from './encoding.mjs';
+import { parseRenderTargets } from './renditions.mjs';
+import { parseTransition } from './transitions.mjs';
+import { parseLayout } from './layouts.mjs';
+
+/**
+ * Transcript file names accepted under an episode prefix
+ */
+export const TRANSCRIPT_FILENAMES = ['transcript.srt', 'transcript.vtt'];
 
 /**
  * Parse episode ID and tenant ID from S3 transcript key
- * Expected format: /<tenantId>/<episodeId>/transcript.srt
+ * Expected format: /<tenantId>/<episodeId>/transcript.srt (or transcript.vtt)
  */
 export const parseEpisodeIdFromKey = (key) => {
   const cleaned = key.replace(/^\/+/, '');
   const parts = cleaned.split('/').filter(Boolean);
-  if (parts.length !== 3 || parts[2] !== 'transcript.srt') {
-    throw new Error(`Unexpected key format: ${key}. Expected "/<tenantId>/<episodeId>/transcript.srt"`);
+  if (parts.length !== 3 || !TRANSCRIPT_FILENAMES.includes(parts[2])) {
+    throw new Error(`Unexpected key format: ${key}. Expected "/<tenantId>/<episodeId>/transcript.srt" or "/<tenantId>/<episodeId>/transcript.vtt"`);
   }
   return {
     tenantId: parts[0],
@@ -37,6 +47,7 @@ export const parseTenantIdFromKey = (key) => {
  * Valid clip status values
  */
 export const CLIP_STATUS = {
+  PENDING: 'pending',
   DETECTED: 'detected',
   PROCESSING: 'processing',
   PROCESSED: 'processed',
@@ -47,6 +58,97 @@ export const CLIP_STATUS = {
   PUBLISHED: 'published'
 };
 
+/**
+ * Clip types the detector can assign
+ */
+export const CLIP_TYPES = ['educational', 'funny', 'demo', 'hot_take', 'insight'];
+
+/**
+ * Who created a clip: the clip detector through the createClip tool, or an editor through the API
+ */
+export const CLIP_SOURCES = {
+  AI: 'ai',
+  MANUAL: 'manual'
+};
+
+export const MAX_SEGMENTS_PER_CLIP = 10;
+
+const SEGMENT_TIME = /^\d{2}:\d{2}:\d{2}(\.\d{1,3})?$/;
+
+/**
+ * Schema of one clip segment, shared by the createClip tool and the clip API
+ */
+export const segmentSchema = z.object({
+  startTime: z.string()
+    .regex(SEGMENT_TIME)
+    .describe('Start time in hh:mm:ss or hh:mm:ss.mmm format (required)'),
+  endTime: z.string()
+    .regex(SEGMENT_TIME)
+    .describe('End time in hh:mm:ss or hh:mm:ss.mmm format (required)'),
+  speaker: z.string().min(1).describe('Speaker name (required)'),
+  order: z.number().int().min(1).describe('Order of segment for reassembly (required, starting from 1)'),
+  notes: z.string().optional().describe('Optional contextual notes for this segment')
+});
+
+/**
+ * Validate a render setting with the parser the render workflow resolves it with, so stored values are the
+ * normalized ones. null is kept, to let an update clear the setting.
+ */
+const renderSetting = (parse, key) => z.unknown()
+  .transform((value, ctx) => {
+    if (value === null) return null;
+    const result = parse(value);
+    for (const message of result.errors) ctx.addIssue({ code: 'custom', message });
+    return result[key];
+  })
+  .optional();
+
+/**
+ * Clip fields that change how a clip is rendered, besides its segments
+ */
+export const CLIP_RENDER_SETTINGS = ['renderTargets', 'transition', 'layout'];
+
+/**
+ * Clip fields editors can set through the clip API
+ */
+export const clipInputSchema = z.object({
+  segments: z.array(segmentSchema).min(1).max(MAX_SEGMENTS_PER_CLIP),
+  hook: z.string().trim().min(1).max(200).optional(),
+  summary: z.string().trim().min(1).max(2000).optional(),
+  bRollSuggestions: z.array(z.string().trim().min(1)).max(20).optional(),
+  clipType: z.enum(CLIP_TYPES).optional(),
+  renderTargets: renderSetting(parseRenderTargets, 'targets'),
+  transition: renderSetting(parseTransition, 'transition'),
+  layout: renderSetting(parseLayout, 'layout')
+}).strict();
+
+/**
+ * Describe schema validation issues as "path: message" strings for API responses. Messages that already
+ * name their field are not prefixed again.
+ */
+export const formatSchemaIssues = (error) => error.issues.map(issue => issue.path.length && !issue.message.startsWith(String(issue.path[0]))
+  ? `${issue.path.join('.')}: ${issue.message}`
+  : issue.message);
+
+/**
+ * Fields the render workflow writes on a clip. They describe the rendered segments and are removed when the
+ * segments or render settings change.
+ */
+export const CLIP_RENDER_FIELDS = [
+  's3Key', 'fileSize', 'duration', 'renditions', 'captions', 'thumbnailS3Key', 'contactSheetS3Key', 'previewS3Key',
+  'refinedSegments', 'processedAt', 'processingDuration', 'processingMetadata', 'processingError'
+];
+
+/**
+ * Review actions accepted by the clip review API and the status each one moves a clip to
+ */
+export const CLIP_REVIEW_ACTIONS = {
+  review: CLIP_STATUS.REVIEWED,
+  approve: CLIP_STATUS.APPROVED,
+  reject: CLIP_STATUS.REJECTED,
+  publish: CLIP_STATUS.PUBLISHED
+};
+
 /**
  * Create a clip key for DynamoDB operations
  */
@@ -63,11 +165,28 @@ export const createClipGSIKey = (createdAt, episodeId, clipId) => ({
   GSI1SK: `${createdAt}#${episodeId}#${clipId}`
 });
 
+/**
+ * Sort key of the segment edit that produced a clip revision. The prefix keeps revisions out of clip# queries.
+ */
+export const createClipRevisionSk = (clipId, revision) => `clip-revision#${clipId}#${String(revision).padStart(4, '0')}`;
+
+/**
+ * Hash of a clip's content, stored as clipHash so identical clips can be recognised
+ */
+export const createClipHash = ({ segments, hook, summary }) => {
+  const segmentSignature = segments
+    .map((s) => `${s.order}-${s.startTime}-${s.endTime}-${s.speaker}`)
+    .join('|');
+
+  return hash(`${segmentSignature}|${hook}|${summary}`);
+};
+
 /**
  * Validate clip status transition
  */
 export const isValidStatusTransition = (currentStatus, newStatus) => {
   const validTransitions = {
+    [CLIP_STATUS.PENDING]: [CLIP_STATUS.PROCESSING, CLIP_STATUS.FAILED],
     [CLIP_STATUS.DETECTED]: [CLIP_STATUS.PROCESSING, CLIP_STATUS.FAILED],
     [CLIP_STATUS.PROCESSING]: [CLIP_STATUS.PROCESSED, CLIP_STATUS.FAILED],
     [CLIP_STATUS.PROCESSED]: [CLIP_STATUS.REVIEWED, CLIP_STATUS.FAILED],
@@ -81,6 +200,17 @@ export const isValidStatusTransition = (currentStatus, newStatus) => {
   return validTransitions[currentStatus]?.includes(newStatus) || false;
 };
 
+/**
+ * Strip storage keys from a clip item before returning it to API callers
+ */
+export const formatClip = (item) => {
+  const { pk, sk, GSI1PK, GSI1SK, ttl, ...clip } = item;
+  return {
+    id: clip.clipId,
+    ...clip
+  };
+};
+
 /**
  * Create processing metadata object
  */
@@ -119,26 +249,41 @@ export const calculateClipDuration = (segments) => {
     return total + (end - start);
   }, 0);
 
-  return secondsToTime(totalSeconds);
+  return secondsToTime(Math.max(0, totalSeconds));
+};
+
+/**
+ * Total duration of segments in seconds, with millisecond precision
+ */
+export const calcTotalDuration = (segments) => {
+  const total = segments.reduce((acc, seg) => {
+    const start = timeToSeconds(seg.startTime);
+    const end = timeToSeconds(seg.endTime);
+    return acc + Math.max(0, end - start);
+  }, 0);
+  return Math.round(total * 1000) / 1000;
 };
 
 /**
- * Convert time string (HH:MM:SS) to seconds
+ * Convert time string (HH:MM:SS or HH:MM:SS.mmm) to seconds, keeping millisecond precision
  */
 export const timeToSeconds = (timeString) => {
-  const [hours, minutes, seconds] = timeString.split(':').map(Number);
-  return hours * 3600 + minutes * 60 + seconds;
+  const [hours, minutes, seconds] = timeString.replace(',', '.').split(':').map(Number);
+  return Math.round((hours * 3600 + minutes * 60 + seconds) * 1000) / 1000;
 };
 
 /**
- * Convert seconds to time string (HH:MM:SS)
+ * Convert seconds to time string (HH:MM:SS, with a .mmm suffix when there are milliseconds)
  */
 export const secondsToTime = (seconds) => {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const millis = totalMs % 1000;
 
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  const time = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  return millis ? `${time}.${millis.toString().padStart(3, '0')}` : time;
 };
 
 /**
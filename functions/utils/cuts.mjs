@@ -0,0 +1,65 @@
+/**
+ * Keyframe-aware cut planning that re-encodes only the frames before the first keyframe of a window
+ */
+
+// About a frame at 25 fps; a start this close to a keyframe is cut there without re-encoding
+export const KEYFRAME_TOLERANCE_SECONDS = 0.04;
+
+// Below this much stream-copyable tail, joining a re-encoded head to a copied tail costs more than it saves
+export const MIN_COPY_SECONDS = 1;
+
+export const CUT_STRATEGIES = {
+  COPY: 'copy',
+  SMART: 'smart',
+  REENCODE: 'reencode'
+};
+
+/**
+ * Decide how to cut a window out of a file given the file's keyframe times.
+ * - copy: the window starts on a keyframe, so every frame is stream-copied
+ * - smart: the frames up to the first keyframe in the window are re-encoded and the rest are stream-copied
+ * - reencode: there is no usable keyframe in the window, so the whole window is re-encoded
+ * @param {number[]} keyframes - Keyframe times in seconds; empty when they are unknown
+ * @param {number} startOffset - Start of the window in seconds
+ * @param {number} duration - Length of the window in seconds
+ * @returns {{strategy: string, seekPoint: number, keyframe: number|null, reencodedSeconds: number, copiedSeconds: number}}
+ * seekPoint is the last keyframe at or before the start, where input seeking lands without decoding
+ */
+export const planSegmentCut = (keyframes, startOffset, duration) => {
+  const sorted = keyframes.filter(Number.isFinite).sort((a, b) => a - b);
+  const endOffset = startOffset + duration;
+  const previous = sorted.filter(t => t <= startOffset + KEYFRAME_TOLERANCE_SECONDS).pop();
+  const seekPoint = previous ?? startOffset;
+
+  if (previous !== undefined && startOffset - previous <= KEYFRAME_TOLERANCE_SECONDS) {
+    return cut(CUT_STRATEGIES.COPY, previous, previous, 0, endOffset - previous);
+  }
+
+  const keyframe = sorted.find(t => t > startOffset + KEYFRAME_TOLERANCE_SECONDS && t < endOffset);
+  if (keyframe === undefined || endOffset - keyframe < MIN_COPY_SECONDS) {
+    return cut(CUT_STRATEGIES.REENCODE, seekPoint, null, duration, 0);
+  }
+
+  return cut(CUT_STRATEGIES.SMART, seekPoint, keyframe, keyframe - startOffset, endOffset - keyframe);
+};
+
+/**
+ * Summarize the cuts that went into one segment file as S3 object metadata
+ * @param {Array} cuts - Results of planSegmentCut, in extraction order
+ * @returns {Object} cut-strategy, reencoded-duration and copied-duration metadata entries
+ */
+export const describeCuts = (cuts) => ({
+  'cut-strategy': [...new Set(cuts.map(c => c.strategy))].join(','),
+  'reencoded-duration': round(cuts.reduce((sum, c) => sum + c.reencodedSeconds, 0)).toString(),
+  'copied-duration': round(cuts.reduce((sum, c) => sum + c.copiedSeconds, 0)).toString()
+});
+
+const cut = (strategy, seekPoint, keyframe, reencodedSeconds, copiedSeconds) => ({
+  strategy,
+  seekPoint: round(seekPoint),
+  keyframe: keyframe === null ? null : round(keyframe),
+  reencodedSeconds: round(reencodedSeconds),
+  copiedSeconds: round(copiedSeconds)
+});
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
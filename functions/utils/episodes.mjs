@@ -0,0 +1,81 @@
+/**
+ * Episode input validation shared by the create and update endpoints
+ */
+
+export const PLATFORMS = new Set(['linkedin live', 'X', 'twitch', 'youtube']);
+
+/**
+ * Fields that can be cleared on update by sending null, an empty string or an empty list
+ */
+export const OPTIONAL_EPISODE_FIELDS = ['description', 'airDate', 'platforms', 'themes', 'seriesName'];
+
+/**
+ * Validate and normalize episode fields from a request body
+ * @param {Object} data - Parsed request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields present in data (PATCH semantics). Create leaves
+ * out optional values it cannot use, as it always has; an update rejects them so it never clears a field by accident.
+ * @returns {{fields: Object, remove: string[], errors: string[]}} Normalized fields to set, optional fields to clear, and validation errors
+ */
+export const parseEpisodeInput = (data, { partial = false } = {}) => {
+  const errors = [];
+  const fields = {};
+  const remove = [];
+  const has = (name) => !partial || Object.prototype.hasOwnProperty.call(data ?? {}, name);
+
+  if (has('title')) {
+    const title = (data?.title ?? '').toString().trim();
+    if (!title) errors.push('title is required');
+    else fields.title = title;
+  }
+
+  if (has('episodeNumber')) {
+    const episodeNumberRaw = data?.episodeNumber;
+    const episodeNumber = Number.isFinite(episodeNumberRaw)
+      ? Math.trunc(episodeNumberRaw)
+      : parseInt(episodeNumberRaw, 10);
+    if (!Number.isFinite(episodeNumber)) errors.push('episodeNumber is required and must be a number');
+    else fields.episodeNumber = episodeNumber;
+  }
+
+  for (const name of OPTIONAL_EPISODE_FIELDS) {
+    if (!has(name) || (!partial && !data?.[name])) continue;
+
+    const { value, error } = normalizeOptional(name, data?.[name]);
+    if (error) {
+      if (partial) errors.push(error);
+    } else if (value === undefined) {
+      if (partial) remove.push(name);
+    } else {
+      fields[name] = value;
+    }
+  }
+
+  return { fields, remove, errors };
+};
+
+// Only an explicit null, empty string or empty list means "no value"; anything else must be valid
+const normalizeOptional = (name, value) => {
+  if (value === undefined || value === null || value === '') return { value: undefined };
+
+  switch (name) {
+    case 'platforms': {
+      const requested = Array.isArray(value) ? value : [value];
+      if (!requested.length) return { value: undefined };
+
+      const platforms = requested
+        .map((p) => (p ?? '').toString())
+        .filter((p) => PLATFORMS.has(p));
+      return platforms.length
+        ? { value: platforms }
+        : { error: `platforms must include at least one of: ${[...PLATFORMS].join(', ')}` };
+    }
+    case 'themes': {
+      if (!Array.isArray(value)) return { error: 'themes must be an array of strings' };
+      const themes = value.map((t) => String(t));
+      return { value: themes.length ? themes : undefined };
+    }
+    default:
+      return { value: String(value) };
+  }
+};
@@ -1,6 +1,8 @@
 import { spawn } from 'child_process';
 import { promises as fs } from 'fs';
 import { join } from 'path';
+import { buildLoudnormFilter, parseLoudnormOutput } from './loudness.mjs';
+import { CUT_STRATEGIES, planSegmentCut } from './cuts.mjs';
 
 /**
  * Get the FFmpeg binary path (from Lambda layer or system)
@@ -20,22 +22,30 @@ const getFFprobePath = () => {
   return process.env.AWS_LAMBDA_FUNCTION_NAME ? '/opt/bin/ffprobe' : 'ffprobe';
 };
 
+/**
+ * Hide the query string of presigned URLs so their signatures never reach the logs
+ */
+const redactUrls = (text) => String(text).replace(/(https?:\/\/[^\s'"?]+)\?[^\s'"]*/g, '$1?<redacted>');
+
 /**
  * Execute FFmpeg command with proper error handling
  * @param {Array} args - FFmpeg command arguments
  * @param {Object} options - Execution options
+ * @param {boolean} [options.captureStderr] - Resolve with stderr, where analysis filters such as silencedetect log
  * @returns {Promise<string>} - Command output
  */
 export const execFFmpeg = (args, options = {}) => {
+  const { captureStderr = false, ...spawnOptions } = options;
+
   return new Promise((resolve, reject) => {
     const ffmpegPath = getFFmpegPath();
-    console.log('Executing FFmpeg command:', [ffmpegPath, ...args].join(' '));
+    console.log('Executing FFmpeg command:', redactUrls([ffmpegPath, ...args].join(' ')));
 
     const ffmpeg = spawn(ffmpegPath, args, {
       stdio: ['pipe', 'pipe', 'pipe'],
       env: process.env,
-      cwd: options.cwd || '/tmp',
-      ...options
+      cwd: spawnOptions.cwd || '/tmp',
+      ...spawnOptions
     });
 
     let stdout = '';
@@ -52,10 +62,10 @@ export const execFFmpeg = (args, options = {}) => {
     ffmpeg.on('close', (code) => {
       if (code === 0) {
         console.log('FFmpeg command completed successfully');
-        resolve(stdout);
+        resolve(captureStderr ? stderr : stdout);
       } else {
-        console.error('FFmpeg command failed:', stderr);
-        reject(new Error(`FFmpeg failed with code ${code}: ${stderr}`));
+        console.error('FFmpeg command failed:', redactUrls(stderr));
+        reject(new Error(`FFmpeg failed with code ${code}: ${redactUrls(stderr)}`));
       }
     });
 
@@ -67,20 +77,23 @@ export const execFFmpeg = (args, options = {}) => {
 };
 
 /**
- * Extract video segment from source file using FFmpeg
- * @param {string} inputFile - Path to input video file
+ * Extract video segment from source file using FFmpeg. The cut starts exactly at startOffset: frames before the
+ * window's first keyframe are re-encoded and the rest is stream-copied when the source allows it.
+ * @param {string} inputFile - Path or presigned URL of the input video file
  * @param {string} outputFile - Path to output video file
  * @param {number} startOffset - Start time offset in seconds
  * @param {number} duration - Duration to extract in seconds
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} The cut that was made, as planned by planSegmentCut
  */
 export const extractVideoSegment = async (inputFile, outputFile, startOffset, duration) => {
-  console.log(`Extracting segment: input=${inputFile}, output=${outputFile}, start=${startOffset}s, duration=${duration}s`);
+  console.log(`Extracting segment: input=${redactUrls(inputFile)}, output=${outputFile}, start=${startOffset}s, duration=${duration}s`);
 
   // First, let's get info about the input file
+  let videoStream = null;
   try {
     const inputInfo = await getVideoInfo(inputFile);
     const inputDuration = parseFloat(inputInfo.format?.duration || 0);
+    videoStream = inputInfo.streams?.find(s => s.codec_type === 'video') || null;
     console.log(`Input file duration: ${inputDuration}s`);
 
     if (startOffset >= inputDuration) {
@@ -96,40 +109,35 @@ export const extractVideoSegment = async (inputFile, outputFile, startOffset, du
     console.warn('Could not get input file info:', infoError.message);
   }
 
-  // Use more robust FFmpeg parameters
-  const args = [
-    '-i', inputFile,
-    '-ss', startOffset.toString(),
-    '-t', duration.toString(),
-    '-c:v', 'libx264',  // Re-encode video to ensure compatibility
-    '-c:a', 'aac',      // Re-encode audio to ensure compatibility
-    '-preset', 'fast',  // Fast encoding preset
-    '-crf', '23',       // Good quality setting
-    '-avoid_negative_ts', 'make_zero',
-    '-y', // Overwrite output file
-    outputFile
-  ];
+  // Copied frames can only be joined to frames we encode ourselves when both are H.264
+  let keyframes = [];
+  if (videoStream?.codec_name === 'h264') {
+    try {
+      keyframes = await getKeyframeTimes(inputFile, { startOffset, duration });
+    } catch (error) {
+      console.warn('Could not read keyframes, re-encoding the whole segment:', error.message);
+    }
+  }
 
-  console.log('FFmpeg command:', args.join(' '));
+  let cut = planSegmentCut(keyframes, startOffset, duration);
+  console.log(`Cutting with strategy '${cut.strategy}': re-encoding ${cut.reencodedSeconds}s, copying ${cut.copiedSeconds}s`);
 
   try {
-    await execFFmpeg(args);
+    if (cut.strategy === CUT_STRATEGIES.COPY) {
+      await copyVideoRange(inputFile, outputFile, cut.keyframe, cut.copiedSeconds);
+    } else if (cut.strategy === CUT_STRATEGIES.SMART) {
+      await smartCutVideoRange(inputFile, outputFile, startOffset, cut, videoStream);
+    } else {
+      await reencodeVideoRange(inputFile, outputFile, cut.seekPoint, startOffset, duration);
+    }
   } catch (error) {
-    console.warn('Re-encoding failed, trying with stream copy:', error.message);
-
-    // Fallback to stream copy
-    const fallbackArgs = [
-      '-i', inputFile,
-      '-ss', startOffset.toString(),
-      '-t', duration.toString(),
-      '-c', 'copy',
-      '-avoid_negative_ts', 'make_zero',
-      '-y',
-      outputFile
-    ];
+    if (cut.strategy === CUT_STRATEGIES.REENCODE) {
+      throw error;
+    }
 
-    console.log('Fallback FFmpeg command:', fallbackArgs.join(' '));
-    await execFFmpeg(fallbackArgs);
+    console.warn(`Cutting with strategy '${cut.strategy}' failed, re-encoding the whole segment:`, error.message);
+    await reencodeVideoRange(inputFile, outputFile, cut.seekPoint, startOffset, duration);
+    cut = planSegmentCut([], startOffset, duration);
   }
 
   // Verify the output file
@@ -155,6 +163,493 @@ export const extractVideoSegment = async (inputFile, outputFile, startOffset, du
   } catch (verifyError) {
     console.warn('Could not verify output file:', verifyError.message);
   }
+
+  return cut;
+};
+
+// Every cut carries its H.264 parameter sets in-band on each keyframe, so parts cut differently from different
+// chunks can be stream-copied into one file without the first part's headers applying to the rest.
+
+// Fast input seeking lands on the keyframe at or before the start; the output -ss then trims accurately to it
+const reencodeVideoRange = async (inputFile, outputFile, seekPoint, startOffset, duration, format = []) => {
+  const trim = Math.round((startOffset - seekPoint) * 1000) / 1000;
+  await execFFmpeg([
+    '-ss', seekPoint.toString(),
+    '-i', inputFile,
+    ...(trim > 0 ? ['-ss', trim.toString()] : []),
+    '-t', duration.toString(),
+    '-map', '0:v:0',
+    '-map', '0:a:0?',
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-crf', '23',
+    '-x264-params', 'repeat-headers=1',
+    ...format,
+    '-c:a', 'aac',
+    '-avoid_negative_ts', 'make_zero',
+    '-y',
+    outputFile
+  ]);
+};
+
+// Input seeking to a keyframe with stream copy starts exactly on that keyframe
+const copyVideoRange = async (inputFile, outputFile, keyframe, duration, format = []) => {
+  await execFFmpeg([
+    '-ss', keyframe.toString(),
+    '-i', inputFile,
+    '-t', duration.toString(),
+    '-map', '0:v:0',
+    '-map', '0:a:0?',
+    '-c:v', 'copy',
+    '-bsf:v', 'h264_mp4toannexb',
+    '-c:a', 'aac',
+    ...format,
+    '-avoid_negative_ts', 'make_zero',
+    '-y',
+    outputFile
+  ]);
+};
+
+// Re-encode up to the first keyframe, stream-copy from it, and join the two through MPEG-TS
+const smartCutVideoRange = async (inputFile, outputFile, startOffset, cut, videoStream) => {
+  const headFile = `${outputFile}.head.ts`;
+  const tailFile = `${outputFile}.tail.ts`;
+  const listFile = `${outputFile}.concat.txt`;
+  const headFormat = [
+    ...(videoStream?.pix_fmt ? ['-pix_fmt', videoStream.pix_fmt] : []),
+    ...(H264_PROFILES[videoStream?.profile] ? ['-profile:v', H264_PROFILES[videoStream.profile]] : []),
+    '-f', 'mpegts'
+  ];
+
+  try {
+    await reencodeVideoRange(inputFile, headFile, cut.seekPoint, startOffset, cut.reencodedSeconds, headFormat);
+    await copyVideoRange(inputFile, tailFile, cut.keyframe, cut.copiedSeconds, ['-f', 'mpegts']);
+    await fs.writeFile(listFile, `file '${headFile}'\nfile '${tailFile}'\n`);
+    await execFFmpeg([
+      '-f', 'concat',
+      '-safe', '0',
+      '-i', listFile,
+      '-c', 'copy',
+      '-avoid_negative_ts', 'make_zero',
+      '-y',
+      outputFile
+    ]);
+  } finally {
+    await cleanup(headFile);
+    await cleanup(tailFile);
+    await cleanup(listFile);
+  }
+};
+
+// FFprobe profile names that libx264 can encode
+const H264_PROFILES = {
+  'Constrained Baseline': 'baseline',
+  Baseline: 'baseline',
+  Main: 'main',
+  High: 'high'
+};
+
+/**
+ * Re-encode a video through a filter chain, keeping the audio as is
+ * @param {string} inputFile - Path to input video file
+ * @param {string} outputFile - Path to output video file
+ * @param {string} videoFilter - Filter chain passed to -vf
+ * @returns {Promise<void>}
+ */
+export const renderRendition = async (inputFile, outputFile, videoFilter) => {
+  const args = [
+    '-i', inputFile,
+    '-vf', videoFilter,
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-crf', '23',
+    '-pix_fmt', 'yuv420p',
+    '-c:a', 'copy',
+    '-movflags', '+faststart',
+    '-y',
+    outputFile
+  ];
+
+  await execFFmpeg(args);
+
+  const stats = await fs.stat(outputFile);
+  if (stats.size === 0) {
+    throw new Error('FFmpeg produced empty rendition file');
+  }
+};
+
+/**
+ * Join several inputs through a filter_complex and re-encode the result
+ * @param {string[]} inputFiles - Paths of the inputs, referenced as [0:v], [1:v], ... in the graph
+ * @param {string} outputFile - Path to output video file
+ * @param {Object} graph
+ * @param {string} graph.filterComplex - Filter graph
+ * @param {string} graph.videoLabel - Output pad carrying the video
+ * @param {string|null} [graph.audioLabel] - Output pad carrying the audio, null for silent output
+ * @returns {Promise<void>}
+ */
+export const renderFilterGraph = async (inputFiles, outputFile, { filterComplex, videoLabel, audioLabel = null }) => {
+  const args = [
+    ...inputFiles.flatMap(file => ['-i', file]),
+    '-filter_complex', filterComplex,
+    '-map', videoLabel,
+    ...(audioLabel ? ['-map', audioLabel, '-c:a', 'aac', '-b:a', '192k'] : ['-an']),
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-crf', '23',
+    '-pix_fmt', 'yuv420p',
+    '-movflags', '+faststart',
+    '-y',
+    outputFile
+  ];
+
+  await execFFmpeg(args);
+
+  const stats = await fs.stat(outputFile);
+  if (stats.size === 0) {
+    throw new Error('FFmpeg produced empty output file');
+  }
+};
+
+/**
+ * Two-pass EBU R128 normalization: measure the input, then apply a linear correction to the audio and copy the video
+ * @param {string} inputFile - Path to input video file
+ * @param {string} outputFile - Path to output video file
+ * @param {Object} target - Target from resolveLoudnessTarget
+ * @returns {Promise<{normalized: boolean, measured: Object, output?: Object}>} Measurements of both passes; silent
+ * inputs are left alone and nothing is written
+ */
+export const normalizeLoudness = async (inputFile, outputFile, target) => {
+  const analysis = await execFFmpeg([
+    '-i', inputFile,
+    '-vn',
+    '-af', buildLoudnormFilter(target),
+    '-f', 'null',
+    '-'
+  ], { captureStderr: true });
+  const measured = parseLoudnormOutput(analysis);
+
+  if (measured.inputI === null) {
+    return { normalized: false, measured };
+  }
+
+  const correction = await execFFmpeg([
+    '-i', inputFile,
+    '-af', buildLoudnormFilter(target, measured),
+    '-c:v', 'copy',
+    '-c:a', 'aac',
+    '-b:a', '192k',
+    '-ar', '48000',
+    '-y',
+    outputFile
+  ], { captureStderr: true });
+
+  return { normalized: true, measured, output: parseLoudnormOutput(correction) };
+};
+
+/**
+ * Find silent stretches in part of a file's audio
+ * @param {string} inputFile - Path or presigned URL of the input media file
+ * @param {Object} options
+ * @param {number} options.startOffset - Start of the window to analyze in seconds
+ * @param {number} options.duration - Length of the window in seconds
+ * @param {number} [options.noiseDb] - Level below which audio counts as silence
+ * @param {number} [options.minSilenceSeconds] - Shortest pause worth reporting
+ * @returns {Promise<Array<{start: number, end: number}>>} Silent intervals in seconds from the start of the file
+ */
+export const detectSilence = async (inputFile, { startOffset, duration, noiseDb = -35, minSilenceSeconds = 0.15 }) => {
+  const args = [
+    '-ss', startOffset.toString(),
+    '-t', duration.toString(),
+    '-i', inputFile,
+    '-vn',
+    '-af', `silencedetect=noise=${noiseDb}dB:d=${minSilenceSeconds}`,
+    '-f', 'null',
+    '-'
+  ];
+
+  // Input seeking restarts timestamps at the window, so intervals are shifted back onto the file's timeline
+  const output = await execFFmpeg(args, { captureStderr: true });
+  return parseSilenceDetectOutput(output, duration).map(interval => ({
+    start: Math.round((interval.start + startOffset) * 1000) / 1000,
+    end: Math.round((interval.end + startOffset) * 1000) / 1000
+  }));
+};
+
+/**
+ * Decode part of a file's audio to mono samples
+ * @param {string} inputFile - Path to input media file
+ * @param {Object} options
+ * @param {number} options.startOffset - Start of the window in seconds
+ * @param {number} options.duration - Length of the window in seconds
+ * @param {number} options.sampleRate - Sample rate to resample to
+ * @returns {Promise<Float32Array>} Samples between -1 and 1
+ */
+export const extractAudioSamples = async (inputFile, { startOffset, duration, sampleRate }) => {
+  const rawFile = `${inputFile}.pcm`;
+  try {
+    await execFFmpeg([
+      '-ss', startOffset.toString(),
+      '-t', duration.toString(),
+      '-i', inputFile,
+      '-vn',
+      '-ac', '1',
+      '-ar', sampleRate.toString(),
+      '-f', 's16le',
+      '-y',
+      rawFile
+    ]);
+
+    const buffer = await fs.readFile(rawFile);
+    const samples = new Float32Array(Math.floor(buffer.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = buffer.readInt16LE(i * 2) / 32768;
+    }
+    return samples;
+  } finally {
+    await cleanup(rawFile);
+  }
+};
+
+/**
+ * Measure the mean volume of part of a file's audio
+ * @param {string} inputFile - Path or presigned URL of the input media file
+ * @param {Object} options
+ * @param {number} options.startOffset - Start of the window in seconds
+ * @param {number} options.duration - Length of the window in seconds
+ * @returns {Promise<number|null>} Mean volume in dBFS, or null when the window has no audio
+ */
+export const measureMeanVolume = async (inputFile, { startOffset, duration }) => {
+  const output = await execFFmpeg([
+    '-ss', startOffset.toString(),
+    '-t', duration.toString(),
+    '-i', inputFile,
+    '-vn',
+    '-af', 'volumedetect',
+    '-f', 'null',
+    '-'
+  ], { captureStderr: true });
+
+  return parseMeanVolume(output);
+};
+
+/**
+ * Read the mean volume reported by the volumedetect filter
+ * @param {string} output - FFmpeg stderr
+ * @returns {number|null} dBFS, or null when nothing was measured
+ */
+export const parseMeanVolume = (output) => {
+  const match = (output || '').match(/mean_volume:\s*(-?[\d.]+) dB/);
+  return match ? parseFloat(match[1]) : null;
+};
+
+/**
+ * Join the audio of a track's chunks into one small mono MP3 for speech recognition.
+ * 16 kHz at 32 kbps keeps an hour of audio around 14 MB, inside the upload limit of hosted Whisper APIs.
+ * @param {string[]} inputFiles - Paths or presigned URLs of the chunks in playback order
+ * @param {string} outputFile - Path to the output .mp3 file
+ */
+export const extractTranscriptionAudio = async (inputFiles, outputFile) => {
+  const listFile = `${outputFile}.txt`;
+  await fs.writeFile(listFile, inputFiles.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join('\n'));
+
+  try {
+    await execFFmpeg([
+      '-f', 'concat',
+      '-safe', '0',
+      '-protocol_whitelist', 'file,http,https,tcp,tls,crypto',
+      '-i', listFile,
+      '-vn',
+      '-ac', '1',
+      '-ar', '16000',
+      '-c:a', 'libmp3lame',
+      '-b:a', '32k',
+      '-y',
+      outputFile
+    ]);
+  } finally {
+    await cleanup(listFile);
+  }
+
+  const stats = await fs.stat(outputFile);
+  if (stats.size === 0) {
+    throw new Error('FFmpeg produced empty output file');
+  }
+};
+
+/**
+ * Score every sampled frame of a video by how much it differs from the previous one
+ * @param {string} inputFile - Path to input video file
+ * @param {Object} [options]
+ * @param {number} [options.sampleFps] - Frames per second to score; cuts survive sampling, camera noise mostly doesn't
+ * @returns {Promise<string>} FFmpeg output for parseSceneScores
+ */
+export const detectSceneScores = async (inputFile, { sampleFps = 4 } = {}) => {
+  return execFFmpeg([
+    '-i', inputFile,
+    '-an',
+    '-vf', `fps=${sampleFps},scale=320:-2,select='gte(scene,0)',metadata=print`,
+    '-f', 'null',
+    '-'
+  ], { captureStderr: true });
+};
+
+/**
+ * Save one frame of a video as a JPEG
+ * @param {string} inputFile - Path to input video file
+ * @param {string} outputFile - Path to output image
+ * @param {number} timeSeconds - Time of the frame
+ * @param {Object} [options]
+ * @param {number} [options.width] - Scale to this width, keeping the aspect ratio
+ * @returns {Promise<void>}
+ */
+export const extractFrame = async (inputFile, outputFile, timeSeconds, { width } = {}) => {
+  await execFFmpeg([
+    '-ss', timeSeconds.toString(),
+    '-i', inputFile,
+    '-frames:v', '1',
+    ...(width ? ['-vf', `scale=${width}:-2`] : []),
+    '-q:v', '2',
+    '-y',
+    outputFile
+  ]);
+};
+
+/**
+ * Tile numbered frame images into a single contact sheet image
+ * @param {string} framePattern - printf-style pattern of the frame files, e.g. frame_%02d.jpg
+ * @param {string} outputFile - Path to output image
+ * @param {{columns: number, rows: number}} grid - Sheet layout from contactSheetGrid
+ * @returns {Promise<void>}
+ */
+export const renderContactSheet = async (framePattern, outputFile, { columns, rows }) => {
+  await execFFmpeg([
+    '-f', 'image2',
+    '-i', framePattern,
+    '-vf', `tile=${columns}x${rows}:padding=4:margin=4`,
+    '-frames:v', '1',
+    '-q:v', '3',
+    '-y',
+    outputFile
+  ]);
+};
+
+/**
+ * Render a short, silent, looping animated preview of part of a video
+ * @param {string} inputFile - Path to input video file
+ * @param {string} outputFile - Path to output .webp or .gif
+ * @param {number} startSeconds - Start of the preview
+ * @param {number} durationSeconds - Length of the preview
+ * @returns {Promise<void>}
+ */
+export const renderAnimatedPreview = async (inputFile, outputFile, startSeconds, durationSeconds) => {
+  const frames = 'fps=10,scale=480:-2:flags=lanczos';
+  const format = outputFile.endsWith('.gif')
+    // A palette built from the preview itself keeps GIF banding down
+    ? ['-vf', `${frames},split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer`]
+    : ['-vf', frames, '-c:v', 'libwebp', '-quality', '70', '-compression_level', '4'];
+
+  await execFFmpeg([
+    '-ss', startSeconds.toString(),
+    '-t', durationSeconds.toString(),
+    '-i', inputFile,
+    '-an',
+    ...format,
+    '-loop', '0',
+    '-y',
+    outputFile
+  ]);
+};
+
+/**
+ * Parse silencedetect log lines into intervals. A silence still open when the window ends closes at windowEnd.
+ * @param {string} output - FFmpeg stderr
+ * @param {number} windowEnd - End of the analyzed window in seconds
+ * @returns {Array<{start: number, end: number}>}
+ */
+export const parseSilenceDetectOutput = (output, windowEnd) => {
+  const intervals = [];
+  let openStart = null;
+
+  for (const match of (output || '').matchAll(/silence_(start|end):\s*(-?[\d.]+)/g)) {
+    const time = Math.max(0, parseFloat(match[2]));
+    if (match[1] === 'start') {
+      openStart = time;
+    } else if (openStart !== null) {
+      intervals.push({ start: openStart, end: time });
+      openStart = null;
+    }
+  }
+
+  if (openStart !== null && windowEnd > openStart) {
+    intervals.push({ start: openStart, end: windowEnd });
+  }
+
+  return intervals;
+};
+
+/**
+ * List the video keyframe times in and just before a window of a file
+ * @param {string} inputFile - Path or presigned URL of the input video file
+ * @param {Object} options
+ * @param {number} options.startOffset - Start of the window in seconds
+ * @param {number} options.duration - Length of the window in seconds
+ * @returns {Promise<number[]>} Keyframe times in seconds from the start of the file
+ */
+export const getKeyframeTimes = async (inputFile, { startOffset, duration }) => {
+  // read_intervals seeks to the keyframe before the window start, so that keyframe is listed too
+  const output = await execFFprobe([
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-skip_frame', 'nokey',
+    '-read_intervals', `${startOffset}%+${duration}`,
+    '-show_entries', 'frame=pts_time',
+    '-of', 'csv=p=0',
+    inputFile
+  ]);
+  return parseKeyframeTimes(output);
+};
+
+/**
+ * Parse FFprobe csv frame times into sorted, de-duplicated seconds
+ * @param {string} output - One pts_time per line
+ * @returns {number[]}
+ */
+export const parseKeyframeTimes = (output) => {
+  const times = output.split('\n')
+    .map(line => parseFloat(line.split(',')[0]))
+    .filter(Number.isFinite);
+  return [...new Set(times)].sort((a, b) => a - b);
+};
+
+const execFFprobe = (args) => {
+  return new Promise((resolve, reject) => {
+    const ffprobe = spawn(getFFprobePath(), args, {
+      env: process.env,
+      cwd: '/tmp'
+    });
+
+    let stdout = '';
+    let stderr = '';
+    ffprobe.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    ffprobe.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffprobe.on('close', (code) => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(`FFprobe failed with code ${code}: ${redactUrls(stderr)}`));
+      }
+    });
+
+    ffprobe.on('error', (error) => {
+      reject(new Error(`Failed to spawn FFprobe: ${error.message}`));
+    });
+  });
 };
 
 /**
@@ -165,7 +660,7 @@ export const extractVideoSegment = async (inputFile, outputFile, startOffset, du
 export const getVideoInfo = async (filePath) => {
   return new Promise((resolve, reject) => {
     const ffprobePath = getFFprobePath();
-    console.log('Executing FFprobe command:', [ffprobePath, filePath].join(' '));
+    console.log('Executing FFprobe command:', redactUrls([ffprobePath, filePath].join(' ')));
 
     const ffprobe = spawn(ffprobePath, [
       '-v', 'quiet',
@@ -198,7 +693,7 @@ export const getVideoInfo = async (filePath) => {
           reject(new Error(`Failed to parse FFprobe output: ${error.message}`));
         }
       } else {
-        reject(new Error(`FFprobe failed with code ${code}: ${stderr}`));
+        reject(new Error(`FFprobe failed with code ${code}: ${redactUrls(stderr)}`));
       }
     });
 
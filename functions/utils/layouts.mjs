@@ -0,0 +1,173 @@
+/**
+ * Clip layouts that composite several episode tracks over the same time range
+ */
+import { findTrackForSpeaker } from './speaker-matching.mjs';
+
+export const LAYOUT_TYPES = ['single', 'side-by-side', 'stacked', 'picture-in-picture'];
+export const PIP_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+export const LAYOUT_AUDIO = ['speaker', 'mix'];
+
+export const DEFAULT_LAYOUT = { type: 'single' };
+
+export const COMPOSITE_CANVAS = {
+  'side-by-side': { width: 1920, height: 1080 },
+  stacked: { width: 1080, height: 1920 },
+  'picture-in-picture': { width: 1920, height: 1080 }
+};
+
+const MAX_COMPOSITE_TRACKS = 3;
+const PIP_WIDTH_RATIO = 0.3;
+const PIP_MARGIN = 32;
+
+/**
+ * Validate a clip's layout setting
+ * @param {Object|string} data - Layout type or { type, tracks, screenTrack, pipPosition, audio }
+ * @returns {{layout: Object, errors: string[]}}
+ */
+export const parseLayout = (data) => {
+  const type = typeof data === 'string' ? data : data?.type;
+  if (!LAYOUT_TYPES.includes(type)) {
+    return { layout: DEFAULT_LAYOUT, errors: [`layout type must be one of ${LAYOUT_TYPES.join(', ')}`] };
+  }
+
+  if (type === 'single') {
+    return { layout: DEFAULT_LAYOUT, errors: [] };
+  }
+
+  const options = typeof data === 'object' ? data : {};
+  const errors = [];
+  const layout = { type, audio: options.audio ?? 'speaker' };
+
+  if (options.tracks !== undefined) {
+    if (!Array.isArray(options.tracks) || !options.tracks.length || options.tracks.length > MAX_COMPOSITE_TRACKS ||
+      !options.tracks.every(t => typeof t === 'string' && t.trim())) {
+      errors.push(`layout tracks must list 1 to ${MAX_COMPOSITE_TRACKS} track names`);
+    } else {
+      layout.tracks = [...new Set(options.tracks.map(t => t.trim()))];
+    }
+  }
+
+  if (!LAYOUT_AUDIO.includes(layout.audio)) {
+    errors.push(`layout audio must be one of ${LAYOUT_AUDIO.join(', ')}`);
+  }
+
+  if (type === 'picture-in-picture') {
+    layout.pipPosition = options.pipPosition ?? 'bottom-right';
+    if (!PIP_POSITIONS.includes(layout.pipPosition)) {
+      errors.push(`layout pipPosition must be one of ${PIP_POSITIONS.join(', ')}`);
+    }
+    if (options.screenTrack !== undefined) {
+      if (typeof options.screenTrack !== 'string' || !options.screenTrack.trim()) {
+        errors.push('layout screenTrack must be a track name');
+      } else {
+        layout.screenTrack = options.screenTrack.trim();
+      }
+    }
+  }
+
+  return errors.length ? { layout: DEFAULT_LAYOUT, errors } : { layout, errors };
+};
+
+/**
+ * Pick the layout for a clip, falling back to a single camera when it has none or an invalid one
+ */
+export const resolveLayout = (clip) => {
+  if (clip?.layout === undefined) return DEFAULT_LAYOUT;
+
+  const { layout, errors } = parseLayout(clip.layout);
+  if (errors.length) {
+    console.warn(`Ignoring invalid layout ${JSON.stringify(clip.layout)}: ${errors.join(', ')}`);
+  }
+  return layout;
+};
+
+/**
+ * Choose the episode tracks to composite for one segment.
+ * Side-by-side and stacked keep the same order for every segment so nobody swaps sides between cuts; the
+ * speaker's track only decides whose audio is used. Picture-in-picture puts the speaker over the screen share.
+ * @param {Object} layout - Layout from resolveLayout
+ * @param {Array} tracks - Episode tracks from getTracksForEpisode
+ * @param {string} [speaker] - Speaker of the segment
+ * @returns {{tracks: string[], audioIndex: number}|null} Track names in input order, or null when fewer than two
+ * tracks are available
+ */
+export const selectLayoutTracks = (layout, tracks, speaker) => {
+  const byName = new Map(tracks.map(t => [t.trackName, t]));
+  const speakerTrack = findTrackForSpeaker(tracks, speaker) ?? undefined;
+
+  if (layout.type === 'picture-in-picture') {
+    const screen = layout.screenTrack ? byName.get(layout.screenTrack) : tracks.find(isScreenTrack);
+    if (!screen) return null;
+
+    const cameras = layout.tracks ? layout.tracks.map(name => byName.get(name)).filter(Boolean) : tracks.filter(t => !isScreenTrack(t));
+    const overlay = [speakerTrack, ...cameras].find(t => t && t.trackName !== screen.trackName);
+    return overlay ? { tracks: [screen.trackName, overlay.trackName], audioIndex: 1 } : null;
+  }
+
+  const candidates = layout.tracks
+    ? layout.tracks.map(name => byName.get(name)).filter(Boolean)
+    : tracks.filter(t => !isScreenTrack(t) && (t.speakers || []).length);
+  const selected = candidates.slice(0, MAX_COMPOSITE_TRACKS).map(t => t.trackName);
+  if (selected.length < 2) return null;
+
+  const audioIndex = speakerTrack ? Math.max(0, selected.indexOf(speakerTrack.trackName)) : 0;
+  return { tracks: selected, audioIndex };
+};
+
+/**
+ * Build the filter_complex that composites segment inputs onto the layout's canvas. A single input fills the
+ * whole canvas, so segments that could not be composited still match the size of the others.
+ * @param {Object} layout - Layout from resolveLayout
+ * @param {number} inputCount - Number of inputs, in the order returned by selectLayoutTracks
+ * @param {Object} [options]
+ * @param {number} [options.audioIndex] - Input whose audio is kept when the layout uses the speaker's audio
+ * @returns {{filterComplex: string, videoLabel: string, audioLabel: string, width: number, height: number}}
+ */
+export const buildCompositeFilterGraph = (layout, inputCount, { audioIndex = 0 } = {}) => {
+  const canvas = COMPOSITE_CANVAS[layout.type];
+  if (!canvas) {
+    throw new Error(`Unsupported layout type: ${layout.type}`);
+  }
+
+  const { width, height } = canvas;
+  const filters = [];
+
+  if (inputCount === 1) {
+    filters.push(`[0:v]${fill(width, height)}[vout]`);
+  } else if (layout.type === 'picture-in-picture') {
+    const pipWidth = even(width * PIP_WIDTH_RATIO);
+    const pipHeight = even(pipWidth * 9 / 16);
+    const [vertical, horizontal] = layout.pipPosition.split('-');
+    const x = horizontal === 'left' ? PIP_MARGIN : width - pipWidth - PIP_MARGIN;
+    const y = vertical === 'top' ? PIP_MARGIN : height - pipHeight - PIP_MARGIN;
+    filters.push(`[0:v]${fill(width, height)}[base]`);
+    filters.push(`[1:v]${fill(pipWidth, pipHeight)}[pip]`);
+    filters.push(`[base][pip]overlay=x=${x}:y=${y}:shortest=1[vout]`);
+  } else {
+    const horizontal = layout.type === 'side-by-side';
+    const tileWidth = horizontal ? even(width / inputCount) : width;
+    const tileHeight = horizontal ? height : even(height / inputCount);
+    for (let i = 0; i < inputCount; i++) {
+      filters.push(`[${i}:v]${fill(tileWidth, tileHeight)}[t${i}]`);
+    }
+    const tiles = Array.from({ length: inputCount }, (_, i) => `[t${i}]`).join('');
+    const stack = `${horizontal ? 'hstack' : 'vstack'}=inputs=${inputCount}:shortest=1`;
+    // Tiles rounded down to even sizes can leave a sliver; pad it black so the canvas is exact
+    filters.push(`${tiles}${stack},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black[vout]`);
+  }
+
+  if (layout.audio === 'mix' && inputCount > 1) {
+    const inputs = Array.from({ length: inputCount }, (_, i) => `[${i}:a]`).join('');
+    filters.push(`${inputs}amix=inputs=${inputCount}:duration=shortest:normalize=0[aout]`);
+  } else {
+    filters.push(`[${Math.min(audioIndex, inputCount - 1)}:a]aresample=48000[aout]`);
+  }
+
+  return { filterComplex: filters.join(';'), videoLabel: '[vout]', audioLabel: '[aout]', width, height };
+};
+
+const isScreenTrack = (track) => /screen/i.test(track.trackName);
+
+const fill = (width, height) => `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1,format=yuv420p`;
+
+const even = (value) => Math.floor(value / 2) * 2;
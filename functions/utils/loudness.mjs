@@ -0,0 +1,112 @@
+/**
+ * EBU R128 loudness targets per platform and the loudnorm filters that apply them
+ */
+
+export const LOUDNESS_TARGETS = {
+  youtube: { integratedLufs: -14, truePeakDb: -1, loudnessRange: 11 },
+  tiktok: { integratedLufs: -14, truePeakDb: -1, loudnessRange: 11 },
+  instagram: { integratedLufs: -14, truePeakDb: -1, loudnessRange: 11 },
+  linkedin: { integratedLufs: -14, truePeakDb: -1, loudnessRange: 11 },
+  twitch: { integratedLufs: -14, truePeakDb: -1, loudnessRange: 11 },
+  podcast: { integratedLufs: -16, truePeakDb: -1.5, loudnessRange: 11 },
+  broadcast: { integratedLufs: -23, truePeakDb: -1, loudnessRange: 15 }
+};
+
+export const DEFAULT_LOUDNESS_PLATFORM = 'youtube';
+
+/**
+ * Validate a loudness target. Targets can name a platform or give { platform?, integratedLufs, truePeakDb, loudnessRange };
+ * settings left out come from the named platform, or the default one.
+ * @param {string|Object} data - Platform name or explicit target
+ * @returns {{target: Object|null, errors: string[]}}
+ */
+export const parseLoudnessTarget = (data) => {
+  if (typeof data === 'string') {
+    const platform = data.trim().toLowerCase();
+    return LOUDNESS_TARGETS[platform]
+      ? { target: { platform, ...LOUDNESS_TARGETS[platform] }, errors: [] }
+      : { target: null, errors: [`loudness platform must be one of ${Object.keys(LOUDNESS_TARGETS).join(', ')}`] };
+  }
+
+  if (!data || typeof data !== 'object') {
+    return { target: null, errors: ['loudness must be a platform name or an object'] };
+  }
+
+  const platform = LOUDNESS_TARGETS[data.platform] ? data.platform : undefined;
+  const base = LOUDNESS_TARGETS[platform ?? DEFAULT_LOUDNESS_PLATFORM];
+  const target = {
+    ...(platform && { platform }),
+    integratedLufs: data.integratedLufs ?? base.integratedLufs,
+    truePeakDb: data.truePeakDb ?? base.truePeakDb,
+    loudnessRange: data.loudnessRange ?? base.loudnessRange
+  };
+
+  // Ranges accepted by the loudnorm filter
+  const errors = [];
+  if (!isBetween(target.integratedLufs, -70, -5)) errors.push('loudness integratedLufs must be between -70 and -5');
+  if (!isBetween(target.truePeakDb, -9, 0)) errors.push('loudness truePeakDb must be between -9 and 0');
+  if (!isBetween(target.loudnessRange, 1, 50)) errors.push('loudness loudnessRange must be between 1 and 50');
+
+  return errors.length ? { target: null, errors } : { target, errors };
+};
+
+/**
+ * Pick the loudness target for a show profile: its explicit loudness setting, then its platform, then YouTube
+ */
+export const resolveLoudnessTarget = (profile) => {
+  for (const candidate of [profile?.loudness, profile?.platform]) {
+    if (candidate === undefined || candidate === null) continue;
+    const { target } = parseLoudnessTarget(candidate);
+    if (target) return target;
+  }
+
+  return { platform: DEFAULT_LOUDNESS_PLATFORM, ...LOUDNESS_TARGETS[DEFAULT_LOUDNESS_PLATFORM] };
+};
+
+/**
+ * Build a loudnorm filter. Without a measurement it is the analysis pass; with one it is the linear correction pass.
+ * @param {Object} target - Target from resolveLoudnessTarget
+ * @param {Object} [measured] - First pass measurement from parseLoudnormOutput
+ * @returns {string} Filter for -af
+ */
+export const buildLoudnormFilter = (target, measured) => {
+  const filter = `loudnorm=I=${target.integratedLufs}:TP=${target.truePeakDb}:LRA=${target.loudnessRange}`;
+  if (!measured) {
+    return `${filter}:print_format=json`;
+  }
+
+  return `${filter}:measured_I=${measured.inputI}:measured_TP=${measured.inputTp}:measured_LRA=${measured.inputLra}` +
+    `:measured_thresh=${measured.inputThresh}:offset=${measured.targetOffset}:linear=true:print_format=json`;
+};
+
+/**
+ * Read the JSON block loudnorm prints at the end of a run
+ * @param {string} output - FFmpeg stderr
+ * @returns {Object} Measurement with numbers, or null for values loudnorm reports as -inf (silent input)
+ */
+export const parseLoudnormOutput = (output) => {
+  const match = (output || '').match(/\{[^{}]*"input_i"[^{}]*\}/);
+  if (!match) {
+    throw new Error('loudnorm did not report a measurement');
+  }
+
+  const raw = JSON.parse(match[0]);
+  const number = (value) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  };
+
+  return {
+    inputI: number(raw.input_i),
+    inputTp: number(raw.input_tp),
+    inputLra: number(raw.input_lra),
+    inputThresh: number(raw.input_thresh),
+    outputI: number(raw.output_i),
+    outputTp: number(raw.output_tp),
+    outputLra: number(raw.output_lra),
+    targetOffset: number(raw.target_offset),
+    normalizationType: raw.normalization_type
+  };
+};
+
+const isBetween = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
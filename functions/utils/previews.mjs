@@ -0,0 +1,101 @@
+/**
+ * Poster frame, contact sheet and animated preview selection for finished clips
+ */
+
+export const DEFAULT_CONTACT_SHEET_FRAMES = 9;
+export const MAX_CONTACT_SHEET_FRAMES = 25;
+export const PREVIEW_SECONDS = 3;
+
+// Scores below this are camera noise rather than a cut or a new shot
+const MIN_SCENE_SCORE = 0.1;
+// A frame right on a cut can still be blended with the previous shot
+const SHOT_SETTLE_SECONDS = 0.3;
+
+/**
+ * Read the contact sheet size, falling back to the default for missing or invalid values
+ */
+export const parseContactSheetFrames = (value) => {
+  const frames = Number(value);
+  return Number.isInteger(frames) && frames >= 1 && frames <= MAX_CONTACT_SHEET_FRAMES
+    ? frames
+    : DEFAULT_CONTACT_SHEET_FRAMES;
+};
+
+/**
+ * Parse the output of FFmpeg's scene detection printed by the metadata filter
+ * @param {string} output - FFmpeg stderr with frame/pts_time lines each followed by lavfi.scene_score
+ * @returns {Array<{time: number, score: number}>}
+ */
+export const parseSceneScores = (output) => {
+  const scores = [];
+  let time = null;
+
+  for (const line of output.split('\n')) {
+    const frame = line.match(/pts_time:(-?\d+(?:\.\d+)?)/);
+    if (frame) {
+      time = parseFloat(frame[1]);
+      continue;
+    }
+
+    const score = line.match(/lavfi\.scene_score=(\d+(?:\.\d+)?)/);
+    if (score && time !== null) {
+      scores.push({ time, score: parseFloat(score[1]) });
+      time = null;
+    }
+  }
+
+  return scores;
+};
+
+/**
+ * Pick the frames for a clip's thumbnail and contact sheet. The strongest scene changes come first, spread out so
+ * the sheet covers the whole clip; evenly spaced frames fill in when the clip has too few changes.
+ * @param {Array<{time: number, score: number}>} scores - Scene scores from parseSceneScores
+ * @param {number} durationSeconds - Clip duration
+ * @param {number} count - Number of contact sheet frames
+ * @returns {{frames: number[], thumbnail: number, preview: {startSeconds: number, durationSeconds: number}}}
+ * Frame times in clip order, the thumbnail time and the animated preview window around it
+ */
+export const selectPreviewFrames = (scores, durationSeconds, count) => {
+  const margin = Math.min(0.5, durationSeconds / 10);
+  const latest = Math.max(margin, durationSeconds - margin);
+  const minSpacing = durationSeconds / (count * 2);
+  const chosen = [];
+  const isSpaced = (time) => chosen.every(t => Math.abs(t - time) >= minSpacing);
+
+  const changes = scores
+    .filter(s => s.score >= MIN_SCENE_SCORE)
+    .sort((a, b) => b.score - a.score || a.time - b.time);
+  for (const change of changes) {
+    if (chosen.length === count) break;
+    const time = Math.min(Math.max(change.time + SHOT_SETTLE_SECONDS, margin), latest);
+    if (isSpaced(time)) chosen.push(time);
+  }
+
+  const evenly = Array.from({ length: count }, (_, i) => Math.min(Math.max((i + 0.5) * durationSeconds / count, margin), latest));
+  const thumbnail = chosen.length ? chosen[0] : evenly[Math.floor(count / 2)];
+  for (const time of evenly) {
+    if (chosen.length === count) break;
+    if (isSpaced(time)) chosen.push(time);
+  }
+
+  const previewSeconds = Math.min(PREVIEW_SECONDS, durationSeconds);
+  const previewStart = Math.min(Math.max(thumbnail - previewSeconds / 2, 0), durationSeconds - previewSeconds);
+
+  return {
+    frames: chosen.sort((a, b) => a - b).map(round),
+    thumbnail: round(thumbnail),
+    preview: { startSeconds: round(previewStart), durationSeconds: round(previewSeconds) }
+  };
+};
+
+/**
+ * Lay contact sheet frames out as close to square as possible
+ * @returns {{columns: number, rows: number}}
+ */
+export const contactSheetGrid = (count) => {
+  const columns = Math.ceil(Math.sqrt(count));
+  return { columns, rows: Math.ceil(count / columns) };
+};
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
@@ -0,0 +1,133 @@
+/**
+ * Render targets for social platforms and the FFmpeg filters that reframe a stitched clip into them
+ */
+
+export const RENDER_TARGETS = {
+  '16:9': { name: 'landscape', width: 1920, height: 1080 },
+  '9:16': { name: 'vertical', width: 1080, height: 1920 },
+  '1:1': { name: 'square', width: 1080, height: 1080 }
+};
+
+/**
+ * crop fills the frame and trims the sides, pad keeps the whole picture and letterboxes it
+ */
+export const RENDER_FITS = ['crop', 'pad'];
+
+export const DEFAULT_RENDER_TARGETS = [
+  { aspectRatio: '16:9', fit: 'crop' },
+  { aspectRatio: '9:16', fit: 'crop' },
+  { aspectRatio: '1:1', fit: 'crop' }
+];
+
+// libass lays SRT captions out on a 384x288 canvas stretched over the frame, so size and bottom margin are tuned per shape
+const CAPTION_LAYOUT = {
+  '16:9': { fontSize: 18, marginV: 18 },
+  '9:16': { fontSize: 9, marginV: 60 },
+  '1:1': { fontSize: 13, marginV: 30 }
+};
+const CAPTION_STYLE = 'FontName=Arial,Bold=1,PrimaryColour=&H00FFFFFF,OutlineColour=&H00000000,BorderStyle=1,Outline=2,Shadow=0,Alignment=2';
+
+// Source frames within this tolerance of the target aspect ratio are scaled without cropping or padding
+const ASPECT_TOLERANCE = 0.01;
+
+/**
+ * Validate render targets from a clip or show profile. Targets can be an aspect ratio string or { aspectRatio, fit, burnCaptions }.
+ * The same aspect ratio can be listed twice, once with burned-in captions and once without.
+ * @param {Array} targets - Requested render targets
+ * @returns {{targets: Array<{aspectRatio: string, fit: string, burnCaptions?: boolean}>, errors: string[]}} Deduplicated targets and validation errors
+ */
+export const parseRenderTargets = (targets) => {
+  const errors = [];
+  if (!Array.isArray(targets) || targets.length === 0) {
+    return { targets: [], errors: ['renderTargets must be a non-empty array'] };
+  }
+
+  const parsed = new Map();
+  for (const target of targets) {
+    const aspectRatio = typeof target === 'string' ? target : target?.aspectRatio;
+    const fit = (typeof target === 'object' && target?.fit) || 'crop';
+    const burnCaptions = typeof target === 'object' ? target?.burnCaptions ?? false : false;
+
+    if (!RENDER_TARGETS[aspectRatio]) {
+      errors.push(`renderTargets aspectRatio must be one of ${Object.keys(RENDER_TARGETS).join(', ')}`);
+    } else if (!RENDER_FITS.includes(fit)) {
+      errors.push(`renderTargets fit must be one of ${RENDER_FITS.join(', ')}`);
+    } else if (typeof burnCaptions !== 'boolean') {
+      errors.push('renderTargets burnCaptions must be a boolean');
+    } else {
+      parsed.set(`${aspectRatio}${burnCaptions ? '+captions' : ''}`, { aspectRatio, fit, ...(burnCaptions && { burnCaptions }) });
+    }
+  }
+
+  return { targets: [...parsed.values()], errors: [...new Set(errors)] };
+};
+
+/**
+ * Pick the render targets for a clip: its own targets, then the show profile's, then the defaults
+ */
+export const resolveRenderTargets = (clip, profile) => {
+  for (const candidate of [clip?.renderTargets, profile?.renderTargets]) {
+    if (candidate === undefined) continue;
+    const { targets, errors } = parseRenderTargets(candidate);
+    if (!errors.length) return targets;
+    console.warn(`Ignoring invalid render targets ${JSON.stringify(candidate)}: ${errors.join(', ')}`);
+  }
+
+  return DEFAULT_RENDER_TARGETS;
+};
+
+/**
+ * Whether a source frame already has the target's aspect ratio
+ */
+export const matchesAspectRatio = (width, height, aspectRatio) => {
+  const target = RENDER_TARGETS[aspectRatio];
+  if (!target || !width || !height) return false;
+  return Math.abs(width / height - target.width / target.height) <= ASPECT_TOLERANCE;
+};
+
+/**
+ * Build the FFmpeg video filter that reframes a source frame into a render target.
+ * Crop offsets are computed from the probed source size so the filter needs no expression escaping.
+ * @param {{width: number, height: number}} source - Source frame size
+ * @param {{aspectRatio: string, fit?: string}} target - Render target
+ * @returns {string} Filter chain for -vf
+ */
+export const buildReframeFilter = (source, { aspectRatio, fit = 'crop' }) => {
+  const target = RENDER_TARGETS[aspectRatio];
+  if (!target) {
+    throw new Error(`Unsupported aspect ratio: ${aspectRatio}`);
+  }
+
+  const { width: W, height: H } = target;
+  if (matchesAspectRatio(source.width, source.height, aspectRatio)) {
+    return `scale=${W}:${H},setsar=1`;
+  }
+
+  if (fit === 'pad') {
+    return `scale=${W}:${H}:force_original_aspect_ratio=decrease,pad=${W}:${H}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1`;
+  }
+
+  if (!source.width || !source.height) {
+    throw new Error('Source dimensions are required to crop a rendition');
+  }
+
+  // Keep the full height of wider sources (and the full width of taller ones) and trim the rest evenly
+  const even = (n) => Math.floor(n / 2) * 2;
+  const cropWidth = Math.min(source.width, even(source.height * W / H));
+  const cropHeight = Math.min(source.height, even(source.width * H / W));
+  const x = even((source.width - cropWidth) / 2);
+  const y = even((source.height - cropHeight) / 2);
+
+  return `crop=${cropWidth}:${cropHeight}:${x}:${y},scale=${W}:${H},setsar=1`;
+};
+
+/**
+ * Build the FFmpeg filter that burns captions into a frame already reframed for a render target
+ * @param {string} subtitlesPath - Local SRT file timed to the clip
+ * @param {string} aspectRatio - Render target the frame was scaled to
+ * @returns {string} Filter to append to the reframe chain
+ */
+export const buildCaptionFilter = (subtitlesPath, aspectRatio) => {
+  const { fontSize, marginV } = CAPTION_LAYOUT[aspectRatio] || CAPTION_LAYOUT['16:9'];
+  return `subtitles=filename='${subtitlesPath}':force_style='${CAPTION_STYLE},FontSize=${fontSize},MarginV=${marginV}'`;
+};
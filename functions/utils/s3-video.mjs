@@ -1,4 +1,5 @@
 import { S3Client, GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { promises as fs } from 'fs';
 import { createReadStream, createWriteStream } from 'fs';
 import { pipeline } from 'stream/promises';
@@ -28,6 +29,64 @@ export const downloadVideoFile = async (bucket, key, localPath) => {
   }
 };
 
+/**
+ * Presign a GET for a video file so FFmpeg can read only the byte ranges it seeks to
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @param {number} [expiresIn] - Seconds the URL stays valid; the default outlasts the longest Lambda run
+ * @returns {Promise<string>} Presigned URL
+ */
+export const getVideoFileUrl = async (bucket, key, expiresIn = 900) => {
+  return getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+};
+
+/**
+ * Hand out FFmpeg inputs for the chunk windows of a clip. A chunk read by a single window is streamed from a
+ * presigned URL; a chunk shared by several windows is downloaded once and deleted after its last window.
+ * @param {string} bucket - Bucket name
+ * @param {string} tempDir - Directory for shared chunks
+ * @param {string[]} chunkKeys - Chunk key of every window that will be opened, repeated once per window
+ * @returns {{open: (key: string) => Promise<string>, release: (key: string) => Promise<void>, stats: () => Object}}
+ */
+export const createChunkSource = (bucket, tempDir, chunkKeys) => {
+  const remaining = new Map();
+  for (const key of chunkKeys) {
+    remaining.set(key, (remaining.get(key) || 0) + 1);
+  }
+
+  const downloads = new Map();
+  const stats = { streamed: 0, downloaded: 0 };
+
+  return {
+    open: async (key) => {
+      if (!downloads.has(key) && (remaining.get(key) || 0) <= 1) {
+        stats.streamed++;
+        return getVideoFileUrl(bucket, key);
+      }
+
+      if (!downloads.has(key)) {
+        const localPath = join(tempDir, `source_${stats.downloaded}_${key.split('/').pop()}`);
+        downloads.set(key, downloadVideoFile(bucket, key, localPath).then(() => localPath));
+        stats.downloaded++;
+      }
+      return downloads.get(key);
+    },
+    release: async (key) => {
+      const left = (remaining.get(key) || 1) - 1;
+      remaining.set(key, left);
+      if (left > 0 || !downloads.has(key)) return;
+
+      const download = downloads.get(key);
+      downloads.delete(key);
+      const localPath = await download.catch(() => null);
+      if (localPath) {
+        await cleanupLocalFiles([localPath]);
+      }
+    },
+    stats: () => ({ ...stats })
+  };
+};
+
 export const uploadVideoFile = async (bucket, key, localPath) => {
   try {
     const stats = await fs.stat(localPath);
@@ -101,9 +160,9 @@ export const createClipDirectoryStructure = (episodeId, clipId) => {
   };
 };
 
-export const uploadSegmentFile = async (bucket, episodeId, clipId, segmentIndex, localPath, metadata = {}, tenantId = null) => {
+export const uploadSegmentFile = async (bucket, episodeId, clipId, segmentIndex, localPath, metadata = {}, tenantId = null, revision = 1) => {
   const { generateSegmentKey } = await import('./video-processing.mjs');
-  const segmentKey = generateSegmentKey(episodeId, clipId, segmentIndex, tenantId);
+  const segmentKey = generateSegmentKey(episodeId, clipId, segmentIndex, tenantId, revision);
 
   try {
     const stats = await fs.stat(localPath);
@@ -380,6 +439,121 @@ export const uploadFinalClip = async (bucket, episodeId, clipId, localPath, meta
   }
 };
 
+export const uploadClipRendition = async (bucket, episodeId, clipId, target, localPath, metadata = {}, tenantId = null) => {
+  const { generateRenditionKey } = await import('./video-processing.mjs');
+  const renditionKey = generateRenditionKey(episodeId, clipId, target.aspectRatio, tenantId, target.burnCaptions);
+
+  try {
+    const stats = await fs.stat(localPath);
+    const fileSize = stats.size;
+    const readStream = createReadStream(localPath);
+
+    const command = new PutObjectCommand({
+      Bucket: bucket,
+      Key: renditionKey,
+      Body: readStream,
+      ContentType: 'video/mp4',
+      Metadata: {
+        'episode-id': episodeId,
+        'clip-id': clipId,
+        'file-size': fileSize.toString(),
+        'upload-timestamp': new Date().toISOString(),
+        'content-type': 'clip-rendition',
+        'aspect-ratio': target.aspectRatio,
+        'fit': target.fit,
+        'burned-captions': (!!target.burnCaptions).toString(),
+        'duration': metadata.duration || '00:00:00',
+        'duration-seconds': (metadata.durationSeconds || 0).toString(),
+        'resolution': metadata.resolution || '0x0',
+        'width': (metadata.width || 0).toString(),
+        'height': (metadata.height || 0).toString(),
+        'video-codec': metadata.videoCodec || 'unknown',
+        'audio-codec': metadata.audioCodec || 'unknown',
+        'source-resolution': metadata.sourceResolution || '0x0',
+        'ffmpeg-version': metadata.ffmpegVersion || 'unknown'
+      }
+    });
+
+    const response = await s3.send(command);
+
+    return {
+      s3Key: renditionKey,
+      fileSize,
+      etag: response.ETag,
+      uploadedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error(`Failed to upload ${target.aspectRatio} rendition:`, error);
+    throw new Error(`Failed to upload clip rendition to S3: ${error.message}`);
+  }
+};
+
+export const uploadClipCaptions = async (bucket, episodeId, clipId, format, content, tenantId = null) => {
+  const { generateCaptionKey } = await import('./video-processing.mjs');
+  const captionKey = generateCaptionKey(episodeId, clipId, format, tenantId);
+
+  try {
+    const response = await s3.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: captionKey,
+      Body: content,
+      ContentType: format === 'vtt' ? 'text/vtt' : 'application/x-subrip',
+      Metadata: {
+        'episode-id': episodeId,
+        'clip-id': clipId,
+        'upload-timestamp': new Date().toISOString(),
+        'content-type': 'clip-captions'
+      }
+    }));
+
+    return {
+      s3Key: captionKey,
+      etag: response.ETag
+    };
+  } catch (error) {
+    console.error(`Failed to upload ${format} captions:`, error);
+    throw new Error(`Failed to upload clip captions to S3: ${error.message}`);
+  }
+};
+
+const PREVIEW_CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
+
+export const uploadClipPreview = async (bucket, episodeId, clipId, kind, localPath, tenantId = null) => {
+  const { generatePreviewKey } = await import('./video-processing.mjs');
+  const extension = localPath.split('.').pop();
+  const previewKey = generatePreviewKey(episodeId, clipId, `${kind}.${extension}`, tenantId);
+
+  try {
+    const stats = await fs.stat(localPath);
+    const response = await s3.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: previewKey,
+      Body: createReadStream(localPath),
+      ContentType: PREVIEW_CONTENT_TYPES[extension] || 'application/octet-stream',
+      Metadata: {
+        'episode-id': episodeId,
+        'clip-id': clipId,
+        'file-size': stats.size.toString(),
+        'upload-timestamp': new Date().toISOString(),
+        'content-type': `clip-${kind}`
+      }
+    }));
+
+    return {
+      s3Key: previewKey,
+      fileSize: stats.size,
+      etag: response.ETag
+    };
+  } catch (error) {
+    console.error(`Failed to upload clip ${kind}:`, error);
+    throw new Error(`Failed to upload clip ${kind} to S3: ${error.message}`);
+  }
+};
+
 export const verifySegmentIntegrity = async (bucket, key, expectedSize) => {
   try {
     const actualSize = await getS3FileSize(bucket, key);
@@ -0,0 +1,291 @@
+/**
+ * Per-tenant inverted index of transcript cues, so a tenant can search every episode they have recorded
+ */
+import { DynamoDBClient, QueryCommand, GetItemCommand, PutItemCommand, BatchWriteItemCommand } from '@aws-sdk/client-dynamodb';
+import { S3Client, GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { secondsToTime } from './clips.mjs';
+import { loadSpeakerMap, mapSpeaker } from './speaker-mapping.mjs';
+
+const ddb = new DynamoDBClient();
+const s3 = new S3Client();
+
+export const SEARCH_INDEX_SK = 'search-index';
+export const MAX_SEARCH_RESULTS = 100;
+export const DEFAULT_SEARCH_RESULTS = 20;
+
+// Hits are widened with neighbouring cues so the suggested clip has enough context to stand on its own
+export const MIN_CLIP_RANGE_MS = 15000;
+
+// Episodes are ranked by matching cues and only the best ones are loaded to build hits
+const MAX_SEARCH_EPISODES = 25;
+const MAX_QUERY_TERMS = 10;
+const BATCH_WRITE_LIMIT = 25;
+const MAX_BATCH_ATTEMPTS = 5;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'do', 'for', 'from', 'had', 'has', 'have', 'he', 'her',
+  'his', 'i', 'if', 'in', 'is', 'it', 'its', 'just', 'me', 'my', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the',
+  'their', 'them', 'then', 'there', 'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will',
+  'with', 'you', 'your', 'um', 'uh', 'like', 'yeah', 'oh'
+]);
+
+/**
+ * Split text into index terms: lowercase words without accents, stop words or plural endings, so "Step Functions"
+ * finds "step function" and "step functions"
+ * @returns {string[]} Terms in text order, repeated as often as they occur
+ */
+export const tokenize = (text) => String(text ?? '')
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(word => word && !STOP_WORDS.has(word))
+  .map(stem);
+
+/**
+ * Build the postings of one episode's transcript
+ * @param {Array} cues - Cues produced by parseTranscript
+ * @returns {Map<string, number[]>} Each term and the positions of the cues it occurs in
+ */
+export const buildSearchIndex = (cues) => {
+  const postings = new Map();
+  cues.forEach((cue, position) => {
+    for (const term of new Set(tokenize(cue.text))) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(position);
+    }
+  });
+
+  return postings;
+};
+
+/**
+ * Key of a term's posting for one episode. Every term gets its own partition per tenant, so looking a word up is a
+ * single query whatever the number of episodes.
+ */
+export const searchPostingKey = (tenantId, term, episodeId) => ({ pk: `${tenantId}#search#${term}`, sk: episodeId });
+
+export const searchCuesKey = (tenantId, episodeId) => `${tenantId}/${episodeId}/search/cues.json`;
+
+/**
+ * Replace the index of an episode with the postings of its transcript. Terms the previous transcript had and this
+ * one does not are removed, so re-uploading a transcript never leaves stale hits.
+ * @param {string} tenantId
+ * @param {string} episodeId
+ * @param {Array} cues - Cues of the transcript, with diarization labels as written
+ * @param {Object} [options]
+ * @param {string} [options.transcriptKey] - S3 key the cues were read from
+ * @returns {Promise<{terms: number, removed: number}>}
+ */
+export const indexEpisodeTranscript = async (tenantId, episodeId, cues, { transcriptKey } = {}) => {
+  const previous = await ddb.send(new GetItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: SEARCH_INDEX_SK })
+  }));
+  const previousTerms = previous?.Item ? unmarshall(previous.Item).terms ?? [] : [];
+
+  // Hits are read from this snapshot, so positions stay valid until the postings are replaced
+  await s3.send(new PutObjectCommand({
+    Bucket: process.env.BUCKET_NAME,
+    Key: searchCuesKey(tenantId, episodeId),
+    ContentType: 'application/json',
+    Body: JSON.stringify({
+      transcriptKey,
+      cues: cues.map(({ startMs, endMs, speaker, text }) => ({ startMs, endMs, speaker: speaker ?? null, text }))
+    })
+  }));
+
+  const postings = buildSearchIndex(cues);
+  const removed = previousTerms.filter(term => !postings.has(term));
+  const now = new Date().toISOString();
+  await batchWrite([
+    ...[...postings].map(([term, positions]) => ({
+      PutRequest: { Item: marshall({ ...searchPostingKey(tenantId, term, episodeId), episodeId, cues: positions, updatedAt: now }) }
+    })),
+    ...removed.map(term => ({ DeleteRequest: { Key: marshall(searchPostingKey(tenantId, term, episodeId)) } }))
+  ]);
+
+  await ddb.send(new PutItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Item: marshall({
+      pk: `${tenantId}#${episodeId}`,
+      sk: SEARCH_INDEX_SK,
+      transcriptKey,
+      terms: [...postings.keys()],
+      cueCount: cues.length,
+      indexedAt: now
+    }, { removeUndefinedValues: true })
+  }));
+
+  return { terms: postings.size, removed: removed.length };
+};
+
+/**
+ * Find the cues of a tenant's episodes that contain every searchable word of a query
+ * @param {string} tenantId
+ * @param {string} query - Free text; stop words are ignored
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Most hits to return
+ * @returns {Promise<Array>} Hits ranked by how often and how closely the cue matches, best first
+ */
+export const searchTranscripts = async (tenantId, query, { limit = DEFAULT_SEARCH_RESULTS } = {}) => {
+  const terms = [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+  if (!terms.length) return [];
+
+  // Cue positions per episode that contain every term
+  let matches = null;
+  for (const term of terms) {
+    const postings = await loadPostings(tenantId, term);
+    const next = new Map();
+    for (const posting of postings) {
+      const previous = matches ? matches.get(posting.episodeId) : null;
+      if (matches && !previous) continue;
+
+      const positions = previous ? posting.cues.filter(position => previous.has(position)) : posting.cues;
+      if (positions.length) next.set(posting.episodeId, new Set(positions));
+    }
+    matches = next;
+    if (!matches.size) return [];
+  }
+
+  const episodes = [...matches].sort((a, b) => b[1].size - a[1].size).slice(0, MAX_SEARCH_EPISODES);
+  const phrase = terms.join(' ');
+  const hits = [];
+  for (const [episodeId, positions] of episodes) {
+    const episode = await loadEpisode(tenantId, episodeId);
+    // Postings of an episode deleted while its transcript was being indexed can outlive it
+    if (!episode) continue;
+
+    const cues = await loadSearchCues(tenantId, episodeId);
+    const speakerMap = await loadSpeakerMap(tenantId, episodeId).catch(() => ({}));
+    for (const position of positions) {
+      const cue = cues[position];
+      if (!cue) continue;
+      hits.push(buildSearchHit(episode, cues, position, { terms, phrase, speakerMap }));
+    }
+  }
+
+  return hits
+    .sort((a, b) => b.score - a.score || (b.episodeCreatedAt || '').localeCompare(a.episodeCreatedAt || '') || a.startMs - b.startMs)
+    .slice(0, limit)
+    .map(({ episodeCreatedAt, ...hit }) => hit);
+};
+
+/**
+ * Shape one matching cue as a search hit with a request that clips the moment
+ * @param {Object} episode - Episode metadata
+ * @param {Array} cues - Indexed cues of the episode
+ * @param {number} position - Position of the matching cue
+ * @param {Object} options
+ * @param {string[]} options.terms - Query terms
+ * @param {string} options.phrase - Query terms joined, to rank cues that contain them in order higher
+ * @param {Object} [options.speakerMap] - label to speaker
+ */
+export const buildSearchHit = (episode, cues, position, { terms, phrase, speakerMap = {} }) => {
+  const cue = cues[position];
+  const words = tokenize(cue.text);
+  const occurrences = words.filter(word => terms.includes(word)).length;
+  const score = occurrences + (terms.length > 1 && words.join(' ').includes(phrase) ? terms.length : 0);
+  const speaker = mapSpeaker(cue.speaker, speakerMap) ?? null;
+  const range = widenToClipRange(cues, position);
+
+  return {
+    episodeId: episode.episodeId,
+    episodeTitle: episode.title ?? null,
+    episodeCreatedAt: episode.createdAt,
+    startTime: secondsToTime(cue.startMs / 1000),
+    endTime: secondsToTime(cue.endMs / 1000),
+    startMs: cue.startMs,
+    endMs: cue.endMs,
+    speaker,
+    text: cue.text,
+    score,
+    createClip: {
+      method: 'POST',
+      path: `/episodes/${episode.episodeId}/clips`,
+      body: {
+        segments: [{
+          startTime: secondsToTime(range.startMs / 1000),
+          endTime: secondsToTime(range.endMs / 1000),
+          speaker: speaker ?? 'Unknown',
+          order: 1
+        }]
+      }
+    }
+  };
+};
+
+// Add whole cues around the hit, alternating after and before, until the range is long enough for a clip
+const widenToClipRange = (cues, position) => {
+  let first = position;
+  let last = position;
+  const span = () => cues[last].endMs - cues[first].startMs;
+
+  while (span() < MIN_CLIP_RANGE_MS && (first > 0 || last < cues.length - 1)) {
+    if (last < cues.length - 1) last++;
+    if (span() < MIN_CLIP_RANGE_MS && first > 0) first--;
+  }
+
+  return { startMs: cues[first].startMs, endMs: cues[last].endMs };
+};
+
+const stem = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+const loadPostings = async (tenantId, term) => {
+  const postings = [];
+  let startKey;
+  do {
+    const res = await ddb.send(new QueryCommand({
+      TableName: process.env.TABLE_NAME,
+      KeyConditionExpression: 'pk = :pk',
+      ExpressionAttributeValues: marshall({ ':pk': `${tenantId}#search#${term}` }),
+      ...startKey && { ExclusiveStartKey: startKey }
+    }));
+    postings.push(...(res.Items || []).map(i => unmarshall(i)));
+    startKey = res.LastEvaluatedKey;
+  } while (startKey);
+
+  return postings;
+};
+
+const loadEpisode = async (tenantId, episodeId) => {
+  const res = await ddb.send(new GetItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: 'metadata' })
+  }));
+
+  return res?.Item ? { episodeId, ...unmarshall(res.Item) } : null;
+};
+
+const loadSearchCues = async (tenantId, episodeId) => {
+  try {
+    const res = await s3.send(new GetObjectCommand({ Bucket: process.env.BUCKET_NAME, Key: searchCuesKey(tenantId, episodeId) }));
+    return JSON.parse(await res.Body.transformToString()).cues ?? [];
+  } catch (err) {
+    console.warn(`Could not load the search cues of episode ${episodeId}: ${err.message}`);
+    return [];
+  }
+};
+
+const batchWrite = async (requests) => {
+  for (let i = 0; i < requests.length; i += BATCH_WRITE_LIMIT) {
+    let pending = { [process.env.TABLE_NAME]: requests.slice(i, i + BATCH_WRITE_LIMIT) };
+
+    for (let attempt = 1; pending && Object.keys(pending).length; attempt++) {
+      if (attempt > MAX_BATCH_ATTEMPTS) {
+        throw new Error('Unable to write the search index after retries');
+      }
+      if (attempt > 1) {
+        await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+      }
+
+      const res = await ddb.send(new BatchWriteItemCommand({ RequestItems: pending }));
+      pending = res?.UnprocessedItems;
+    }
+  }
+};
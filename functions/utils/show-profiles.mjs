@@ -0,0 +1,285 @@
+import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import { CLIP_TYPES } from './clips.mjs';
+import { DEFAULT_RENDER_TARGETS, parseRenderTargets } from './renditions.mjs';
+import { parseLoudnessTarget } from './loudness.mjs';
+
+const ddb = new DynamoDBClient();
+
+const MAX_HOSTS = 10;
+const MAX_CLIPS = 10;
+
+/**
+ * Profile used when a tenant has not configured one. It deliberately names no show or hosts.
+ */
+export const DEFAULT_SHOW_PROFILE = {
+  name: null,
+  platform: 'YouTube',
+  hosts: [],
+  tone: 'smart, candid, funny, and insightful',
+  clipCount: { min: 5, max: 10 },
+  clipDuration: { minSeconds: 25, maxSeconds: 45 },
+  clipTypes: { required: ['funny', 'educational', 'hot_take'], primary: 'educational' },
+  audienceObjective: 'viewer retention and subscriber growth',
+  renderTargets: DEFAULT_RENDER_TARGETS
+};
+
+/**
+ * Validate a show profile request body and fill unspecified settings from the default profile
+ * @param {Object} data - Parsed request body
+ * @returns {{profile: Object, errors: string[]}}
+ */
+export const parseShowProfile = (data) => {
+  const errors = [];
+  const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+  const name = text(data?.name);
+  if (!name) errors.push('name is required');
+
+  const seriesName = text(data?.seriesName) || undefined;
+  const platform = text(data?.platform) || DEFAULT_SHOW_PROFILE.platform;
+  const tone = text(data?.tone) || DEFAULT_SHOW_PROFILE.tone;
+  const audienceObjective = text(data?.audienceObjective) || DEFAULT_SHOW_PROFILE.audienceObjective;
+
+  let hosts = [];
+  if (data?.hosts !== undefined) {
+    if (!Array.isArray(data.hosts) || data.hosts.length > MAX_HOSTS) {
+      errors.push(`hosts must be an array of at most ${MAX_HOSTS} hosts`);
+    } else {
+      hosts = data.hosts.map(host => (typeof host === 'object' && host !== null
+        ? { name: text(host.name), ...(text(host.description) && { description: text(host.description) }) }
+        : { name: text(host) }));
+      if (hosts.some(host => !host.name)) errors.push('every host needs a name');
+    }
+  }
+
+  const clipCount = {
+    min: data?.clipCount?.min ?? DEFAULT_SHOW_PROFILE.clipCount.min,
+    max: data?.clipCount?.max ?? DEFAULT_SHOW_PROFILE.clipCount.max
+  };
+  if (![clipCount.min, clipCount.max].every(n => Number.isInteger(n) && n >= 1 && n <= MAX_CLIPS) || clipCount.min > clipCount.max) {
+    errors.push(`clipCount must have whole numbers between 1 and ${MAX_CLIPS} with min <= max`);
+  }
+
+  const clipDuration = {
+    minSeconds: data?.clipDuration?.minSeconds ?? DEFAULT_SHOW_PROFILE.clipDuration.minSeconds,
+    maxSeconds: data?.clipDuration?.maxSeconds ?? DEFAULT_SHOW_PROFILE.clipDuration.maxSeconds
+  };
+  if (![clipDuration.minSeconds, clipDuration.maxSeconds].every(n => typeof n === 'number' && n > 0 && n <= 600) ||
+    clipDuration.minSeconds >= clipDuration.maxSeconds) {
+    errors.push('clipDuration must have minSeconds < maxSeconds, both between 0 and 600');
+  }
+
+  const clipTypes = {
+    required: data?.clipTypes?.required ?? DEFAULT_SHOW_PROFILE.clipTypes.required,
+    primary: data?.clipTypes ? data.clipTypes.primary : DEFAULT_SHOW_PROFILE.clipTypes.primary
+  };
+  if (!Array.isArray(clipTypes.required) || clipTypes.required.some(type => !CLIP_TYPES.includes(type))) {
+    errors.push(`clipTypes.required must only contain ${CLIP_TYPES.join(', ')}`);
+  }
+  if (clipTypes.primary !== undefined && clipTypes.primary !== null && !CLIP_TYPES.includes(clipTypes.primary)) {
+    errors.push(`clipTypes.primary must be one of ${CLIP_TYPES.join(', ')}`);
+  }
+
+  let renderTargets = DEFAULT_SHOW_PROFILE.renderTargets;
+  if (data?.renderTargets !== undefined) {
+    const parsed = parseRenderTargets(data.renderTargets);
+    errors.push(...parsed.errors);
+    renderTargets = parsed.targets;
+  }
+
+  let loudness;
+  if (data?.loudness !== undefined && data?.loudness !== null) {
+    const parsed = parseLoudnessTarget(data.loudness);
+    errors.push(...parsed.errors);
+    loudness = parsed.target ?? undefined;
+  }
+
+  return {
+    errors,
+    profile: {
+      name,
+      ...(seriesName && { seriesName }),
+      platform,
+      hosts,
+      tone,
+      clipCount,
+      clipDuration,
+      clipTypes: {
+        required: Array.isArray(clipTypes.required) ? [...new Set(clipTypes.required)] : [],
+        ...(clipTypes.primary && { primary: clipTypes.primary })
+      },
+      audienceObjective,
+      renderTargets,
+      ...(loudness && { loudness })
+    }
+  };
+};
+
+/**
+ * Shape a stored show profile for API responses
+ */
+export const formatShowProfile = (item) => {
+  const { pk, sk, ...profile } = item;
+  return { id: profile.profileId, ...profile };
+};
+
+/**
+ * Load every show profile a tenant has configured
+ */
+export const listShowProfiles = async (tenantId) => {
+  const profiles = [];
+  let startKey;
+  do {
+    const res = await ddb.send(new QueryCommand({
+      TableName: process.env.TABLE_NAME,
+      KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)',
+      ExpressionAttributeValues: marshall({ ':pk': tenantId, ':prefix': 'profile#' }),
+      ...startKey && { ExclusiveStartKey: startKey }
+    }));
+    profiles.push(...(res.Items || []).map(i => unmarshall(i)));
+    startKey = res.LastEvaluatedKey;
+  } while (startKey);
+
+  return profiles;
+};
+
+/**
+ * Find the profile that already covers a series (or the tenant default when seriesName is empty)
+ */
+export const findProfileForSeries = (profiles, seriesName) => {
+  const target = normalizeSeries(seriesName);
+  return profiles.find(p => normalizeSeries(p.seriesName) === target);
+};
+
+/**
+ * Resolve the profile for an episode: the one for its series, then the tenant default, then DEFAULT_SHOW_PROFILE
+ * @param {string} tenantId - Tenant that owns the episode
+ * @param {string} [seriesName] - Series the episode belongs to
+ */
+export const loadShowProfile = async (tenantId, seriesName) => {
+  const profiles = await listShowProfiles(tenantId);
+  return (seriesName && findProfileForSeries(profiles, seriesName)) ||
+    findProfileForSeries(profiles) ||
+    DEFAULT_SHOW_PROFILE;
+};
+
+/**
+ * Render the clip detector system prompt for a show profile
+ * @param {Object} profile - Show profile; missing settings fall back to DEFAULT_SHOW_PROFILE
+ * @returns {string} System prompt
+ */
+export const buildClipDetectorPrompt = (profile) => {
+  const p = { ...DEFAULT_SHOW_PROFILE, ...profile };
+  const show = p.name ? `**${p.name}**` : 'show';
+  const showName = p.name || 'the show';
+  const hostNames = p.hosts.map(h => h.name);
+  const [first, second] = [
+    hostNames[0]?.split(' ')[0] || 'Host',
+    hostNames[1]?.split(' ')[0] || 'Guest'
+  ];
+  const { min, max } = p.clipCount;
+  const { minSeconds, maxSeconds } = p.clipDuration;
+
+  const hostedBy = hostNames.length ? ` hosted by ${joinList(hostNames)}` : '';
+  const hostNotes = p.hosts.filter(h => h.description);
+  const requiredTypes = p.clipTypes.required.map(type => `'${type}'`);
+  const mixRules = [
+    requiredTypes.length && `Mix clip types: at least one ${joinList(requiredTypes, 'one ')} if available.`,
+    p.clipTypes.primary && `Prioritize ${p.clipTypes.primary} above all others as the majority clip type`
+  ].filter(Boolean).join(' ');
+
+  return `
+You are ClipForge, an autonomous clip discovery editor for the ${p.platform} ${show}${hostedBy}.
+Your job on each run:
+
+1. Analyze the full transcript of ${p.name ? `a ${p.name}` : 'an'} episode.
+2. Identify ${min}-${max} distinct moments that would make high-performing ${p.platform} clips—content that earns *views* and *subscribers* because it is funny, insightful, or provocative.
+3. Record your findings using the **createClip** tool (single call, array of clips), resubmitting only clips it rejects.
+4. Do not generate unrelated commentary, reprint transcript text in your message, or call any other tool.
+${hostNotes.length ? `
+### Hosts
+${hostNotes.map(h => `* ${h.name}: ${h.description}`).join('\n')}
+` : ''}
+### Transcript
+The transcript will be provided to you in .srt format. The speakers will be indicated with their name, a colon, then the text they spoke. The speaker does not change until you see more text in that format.
+
+#### Example
+00:00:20,925 --> 00:00:27,104
+${first}: Sometimes it's a breakthrough,
+sometimes a regret
+
+${second}: We try it out live
+
+### Selection priorities
+
+Moments should:
+
+* Hook the viewer in the first 3 seconds (curiosity, tension, or surprise).
+* Deliver a single clear idea, joke, or "aha" insight.
+* Show personality: banter, laughter, debate, or confident takes.
+* Leave the viewer wanting more of ${showName}.
+* Stand alone without requiring full-episode context.
+* Range from ${minSeconds} to ${maxSeconds} seconds long
+* Be composed of one or more segments that tell a complete story
+
+Avoid filler talk, monotone technical explanation, inside jokes that depend on prior episodes, or sections with heavy cross-talk.
+
+### Clip structure requirements
+
+Each clip you pass to **createClip** must contain the schema:
+
+{
+  "segments": [
+    { "startTime": "00:14:32.480", "endTime": "00:15:18.120", "speaker": "${first}", "order": 1 },
+    { "startTime": "00:41:01", "endTime": "00:41:05.600", "speaker": "${second}", "order": 2 }
+  ],
+  "hook": "Why we let our AI agent go rogue (on purpose)",
+  "summary": "${first} and ${second} debate what happens when you remove safety guardrails from an agent and whether chaos teaches more than control.",
+  "bRollSuggestions": [
+    "on-screen text: 'We let it go rogue'",
+    "reaction shot of hosts laughing",
+    "simple diagram of agent → chaos → insight"
+  ],
+  "clipType": "hot_take"
+}
+
+All clips go into one **createClip** call as an array.
+
+Compose a cohesive clip by piecing together segments from anywhere in the entire transcript, segments inside of clips do not need to be sequential.
+
+---
+
+### Working rules
+
+* Produce ${min}-${max} clips per transcript.
+* Total clip length (sum of all segment lengths in a clip) should not exceed ${maxSeconds} seconds
+${mixRules ? `* ${mixRules}\n` : ''}* Hooks should sound like strong ${p.platform} titles: conversational, bold, and curiosity-driven—never clickbait.
+* Summaries must be factual and concise without setup
+* Suggest b-roll that enhances storytelling: reactions, diagrams, or overlays.
+* All segments must include startTime, endTime, speaker, and order fields.
+* Timestamps use hh:mm:ss or hh:mm:ss.mmm; copy the millisecond values from the transcript cues so clips start and end on word boundaries.
+* Speaker field must identify who is speaking during that segment (e.g., ${[...hostNames.map(n => `"${n.split(' ')[0]}"`), '"guest"'].join(', ')}).
+
+### Audience objective
+
+Your success metric is **${p.audienceObjective}**.
+Prefer clips that provoke curiosity or laughter while reinforcing the show's identity:
+${p.tone}.
+Think like a ${p.platform} growth editor, not a stenographer.
+
+### Completion policy
+
+1. Call **createClip** once with your full list of recommended clips. If it reports rejected clips, call it again with only those clips corrected.
+2. Return a short 3-4 sentence summary of what the transcript was about and key takeaways
+3. Do not mention the clips you created
+`;
+};
+
+const normalizeSeries = (seriesName) => (seriesName || '').toString().trim().toLowerCase();
+
+const joinList = (items, prefix = '') => {
+  if (items.length <= 1) return items.join('');
+  if (items.length === 2) return `${items[0]} and ${prefix}${items[1]}`;
+  return `${items.slice(0, -1).join(`, ${prefix}`)}, and ${prefix}${items[items.length - 1]}`;
+};
@@ -0,0 +1,200 @@
+/**
+ * Per-episode mapping from generic diarization labels such as spk_0 to the speakers named on the episode's tracks
+ */
+import { DynamoDBClient, GetItemCommand } from '@aws-sdk/client-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+
+const ddb = new DynamoDBClient();
+
+export const SPEAKER_MAP_SK = 'speaker-map';
+
+// A suggestion is applied on its own only when its track was the loudest in most of the sampled turns
+export const MIN_SUGGESTION_CONFIDENCE = 0.6;
+export const MAX_SUGGESTION_TURNS = 5;
+export const MAX_TURN_SECONDS = 8;
+
+const MAX_MAPPINGS = 50;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Validate the manual mappings of a speaker map update
+ * @param {Object} data - Parsed request body with mappings: { label: speaker }
+ * @returns {{mappings: Object, errors: string[]}}
+ */
+export const parseSpeakerMappings = (data) => {
+  const raw = data?.mappings;
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    return { mappings: {}, errors: ['mappings must be an object of label to speaker name'] };
+  }
+
+  const errors = [];
+  const mappings = {};
+  const entries = Object.entries(raw);
+  if (entries.length > MAX_MAPPINGS) {
+    errors.push(`mappings can have at most ${MAX_MAPPINGS} labels`);
+  }
+
+  for (const [rawLabel, rawSpeaker] of entries) {
+    const label = rawLabel.trim();
+    const speaker = typeof rawSpeaker === 'string' ? rawSpeaker.trim() : '';
+    if (!label || label.length > MAX_NAME_LENGTH) {
+      errors.push(`label '${rawLabel}' must be between 1 and ${MAX_NAME_LENGTH} characters`);
+    } else if (!speaker || speaker.length > MAX_NAME_LENGTH) {
+      errors.push(`speaker for '${label}' must be a name between 1 and ${MAX_NAME_LENGTH} characters`);
+    } else {
+      mappings[label] = speaker;
+    }
+  }
+
+  return { mappings, errors };
+};
+
+/**
+ * Load an episode's speaker map record
+ * @returns {Promise<Object|null>} The record, or null when the episode has none
+ */
+export const loadSpeakerMapRecord = async (tenantId, episodeId) => {
+  const response = await ddb.send(new GetItemCommand({
+    TableName: process.env.TABLE_NAME,
+    Key: marshall({ pk: `${tenantId}#${episodeId}`, sk: SPEAKER_MAP_SK })
+  }));
+
+  return response?.Item ? unmarshall(response.Item) : null;
+};
+
+/**
+ * Load the label to speaker mapping that applies to an episode
+ * @returns {Promise<Object>} Empty when the episode has no speaker map
+ */
+export const loadSpeakerMap = async (tenantId, episodeId) => resolveSpeakerMap(await loadSpeakerMapRecord(tenantId, episodeId));
+
+/**
+ * Combine confident suggestions with manual mappings; a manual mapping always wins
+ * @param {Object|null} record - Speaker map record with mappings and suggestions
+ * @returns {Object} label to speaker
+ */
+export const resolveSpeakerMap = (record) => {
+  const suggested = Object.entries(record?.suggestions ?? {})
+    .filter(([, suggestion]) => suggestion.speaker && suggestion.confidence >= MIN_SUGGESTION_CONFIDENCE)
+    .map(([label, suggestion]) => [label, suggestion.speaker]);
+
+  return { ...Object.fromEntries(suggested), ...(record?.mappings ?? {}) };
+};
+
+/**
+ * Shape a speaker map record for API responses
+ */
+export const formatSpeakerMap = (record) => ({
+  labels: record?.labels ?? [],
+  mappings: record?.mappings ?? {},
+  suggestions: record?.suggestions ?? {},
+  resolved: resolveSpeakerMap(record),
+  suggestedAt: record?.suggestedAt ?? null,
+  updatedAt: record?.updatedAt ?? null
+});
+
+/**
+ * Replace mapped labels on transcript cues with speaker names. Mapped cues keep their label, so clips that were
+ * detected before the map existed still match them.
+ * @param {Array} cues - Cues produced by parseTranscript
+ * @param {Object} speakerMap - label to speaker
+ */
+export const applySpeakerMap = (cues, speakerMap) => {
+  if (!Object.keys(speakerMap ?? {}).length) return cues;
+
+  return cues.map(cue => cue.speaker && speakerMap[cue.speaker]
+    ? { ...cue, speaker: speakerMap[cue.speaker], label: cue.speaker }
+    : cue);
+};
+
+/**
+ * Resolve a segment speaker that may still be a diarization label
+ */
+export const mapSpeaker = (speaker, speakerMap) => (speaker && speakerMap?.[speaker]) || speaker;
+
+/**
+ * Labels in a transcript that do not name any track speaker and so cannot pick a track on their own
+ * @param {Array} cues - Unmapped transcript cues
+ * @param {Array} tracks - Episode tracks with speakers
+ * @returns {string[]} Labels in order of first appearance
+ */
+export const findUnmappedLabels = (cues, tracks) => {
+  const named = new Set(tracks.flatMap(t => t.speakers || []));
+  return [...new Set(cues.map(c => c.speaker).filter(Boolean))].filter(label => !named.has(label));
+};
+
+/**
+ * Pick the turns of a label to measure: its longest cues, trimmed to a few seconds each
+ * @returns {Array<{startMs: number, endMs: number}>}
+ */
+export const selectLabelTurns = (cues, label, { maxTurns = MAX_SUGGESTION_TURNS, maxTurnSeconds = MAX_TURN_SECONDS } = {}) => cues
+  .filter(cue => cue.speaker === label && cue.endMs > cue.startMs)
+  .sort((a, b) => (b.endMs - b.startMs) - (a.endMs - a.startMs) || a.startMs - b.startMs)
+  .slice(0, maxTurns)
+  .map(cue => ({ startMs: cue.startMs, endMs: Math.min(cue.endMs, cue.startMs + maxTurnSeconds * 1000) }))
+  .sort((a, b) => a.startMs - b.startMs);
+
+/**
+ * Suggest a speaker for each label from how loud each speaker track was during the label's turns. A person's own
+ * microphone is the loudest while they talk, so the track that is loudest in most of a label's turns names it.
+ * With several labels, each track's levels are taken relative to its average over every measured turn first,
+ * so a microphone with more gain does not win every turn.
+ * @param {Object<string, Array<Object<string, number>>>} turnLevels - Per label, the mean volume in dB of each
+ * track during each measured turn
+ * @param {Array} tracks - Candidate tracks with speakers
+ * @returns {Object<string, {speaker: string|null, trackName: string, confidence: number}>} speaker is null when the
+ * loudest track names more than one speaker; labels without any measurement are left out
+ */
+export const suggestSpeakerMappings = (turnLevels, tracks) => {
+  const labels = Object.keys(turnLevels);
+  const gain = {};
+  if (labels.length > 1) {
+    const sums = {};
+    for (const levels of Object.values(turnLevels).flat()) {
+      for (const [trackName, level] of Object.entries(levels)) {
+        if (!Number.isFinite(level)) continue;
+        sums[trackName] = sums[trackName] || { total: 0, count: 0 };
+        sums[trackName].total += level;
+        sums[trackName].count++;
+      }
+    }
+    for (const [trackName, { total, count }] of Object.entries(sums)) {
+      gain[trackName] = total / count;
+    }
+  }
+
+  const suggestions = {};
+  for (const label of labels) {
+    const votes = new Map();
+    let measured = 0;
+
+    for (const levels of turnLevels[label]) {
+      const loudest = Object.entries(levels)
+        .filter(([, level]) => Number.isFinite(level))
+        .map(([trackName, level]) => [trackName, level - (gain[trackName] ?? 0)])
+        .sort((a, b) => b[1] - a[1])[0];
+      if (!loudest) continue;
+
+      measured++;
+      votes.set(loudest[0], (votes.get(loudest[0]) || 0) + 1);
+    }
+
+    if (!measured) continue;
+
+    const [trackName, count] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0];
+    const speakers = tracks.find(t => t.trackName === trackName)?.speakers || [];
+    suggestions[label] = {
+      speaker: speakers.length === 1 ? speakers[0] : null,
+      trackName,
+      confidence: Math.round((count / measured) * 100) / 100
+    };
+  }
+
+  return suggestions;
+};
+
+/**
+ * Whether clip processing has to wait for speaker suggestions: only episodes with speaker tracks use them
+ */
+export const needsSpeakerSuggestions = (tracks, record) =>
+  !record?.suggestedAt && tracks.some(t => t.trackName !== 'main' && (t.speakers || []).length > 0);
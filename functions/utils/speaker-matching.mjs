@@ -0,0 +1,153 @@
+/**
+ * Matching speaker names from transcripts and the clip model to the speakers named on an episode's tracks
+ */
+
+// Names scoring below this are not considered the same speaker
+export const SPEAKER_MATCH_THRESHOLD = 0.8;
+
+// A name made of some of another's words, like "Allen" in "Host (Allen)", scores just below an exact match
+const TOKEN_SUBSET_SCORE = 0.9;
+
+const MAX_ALIASES = 20;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Validate the aliases of a track's speakers
+ * @param {*} value - Object of speaker name to alternative names, e.g. { Allen: ['Allen H.', 'Host'] }
+ * @returns {{speakerAliases: Object|null, error: string|null}}
+ */
+export const parseSpeakerAliases = (value) => {
+  const invalid = { speakerAliases: null, error: '"speakerAliases" must be an object of speaker name to an array of aliases' };
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) return invalid;
+
+  const speakerAliases = {};
+  for (const [rawSpeaker, aliases] of Object.entries(value)) {
+    const speaker = rawSpeaker.trim();
+    if (!speaker || !Array.isArray(aliases)) return invalid;
+
+    const names = [...new Set(aliases.map(alias => (typeof alias === 'string' ? alias.trim() : '')))];
+    if (names.some(name => !name || name.length > MAX_NAME_LENGTH) || names.length > MAX_ALIASES) {
+      return {
+        speakerAliases: null,
+        error: `aliases of '${speaker}' must be at most ${MAX_ALIASES} names between 1 and ${MAX_NAME_LENGTH} characters`
+      };
+    }
+    if (names.length) speakerAliases[speaker] = names;
+  }
+
+  return { speakerAliases, error: null };
+};
+
+/**
+ * Reduce a name to lowercase words without accents or punctuation, so "Andrés" and "andres" compare equal
+ */
+export const normalizeSpeakerName = (name) => String(name ?? '')
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * How alike two normalized names are, from 0 to 1. Names that differ in a number ("guest1", "guest2") never match.
+ */
+export const speakerSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if ((a.match(/\d+/g) || []).join() !== (b.match(/\d+/g) || []).join()) return 0;
+
+  return Math.max(editSimilarity(a, b), tokenSubsetSimilarity(a, b));
+};
+
+/**
+ * Find the track of a speaker by exact name, then by normalized name or alias, then by the most similar name
+ * @param {string} speaker - Speaker name as written by the transcript or the clip model
+ * @param {Array} tracks - Episode tracks with speakers and optional speakerAliases
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Lowest similarity accepted for a fuzzy match
+ * @returns {{track: Object, speaker: string, matchedName: string, method: string, confidence: number}|null}
+ * speaker is the name on the track; method is exact, normalized, alias or fuzzy. Null when nothing is similar
+ * enough or two different speakers are equally similar.
+ */
+export const matchSpeaker = (speaker, tracks, { threshold = SPEAKER_MATCH_THRESHOLD } = {}) => {
+  if (!speaker) return null;
+
+  const exact = tracks.find(track => speakersOf(track).includes(speaker));
+  if (exact) {
+    return { track: exact, speaker, matchedName: speaker, method: 'exact', confidence: 1 };
+  }
+
+  const target = normalizeSpeakerName(speaker);
+  let best = null;
+  let ambiguous = false;
+  for (const track of tracks) {
+    for (const name of speakersOf(track)) {
+      const aliases = Array.isArray(track.speakerAliases?.[name]) ? track.speakerAliases[name] : [];
+      for (const [candidate, isAlias] of [[name, false], ...aliases.map(alias => [alias, true])]) {
+        const normalized = normalizeSpeakerName(candidate);
+        const confidence = speakerSimilarity(target, normalized);
+        if (confidence < threshold) continue;
+
+        // Earlier tracks win ties for the same speaker, as with exact names
+        if (!best || confidence > best.confidence) {
+          const method = confidence < 1 ? 'fuzzy' : isAlias ? 'alias' : 'normalized';
+          best = { track, speaker: name, matchedName: candidate, method, confidence: Math.round(confidence * 100) / 100 };
+          ambiguous = false;
+        } else if (confidence === best.confidence && name !== best.speaker) {
+          ambiguous = true;
+        }
+      }
+    }
+  }
+
+  return ambiguous ? null : best;
+};
+
+/**
+ * Find the track of a speaker with matchSpeaker
+ * @returns {Object|null} The track, or null when no speaker matches
+ */
+export const findTrackForSpeaker = (tracks, speaker, options) => matchSpeaker(speaker, tracks, options)?.track ?? null;
+
+const speakersOf = (track) => (Array.isArray(track.speakers) ? track.speakers : []);
+
+const editSimilarity = (a, b) => 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+// Every word of the shorter name appears in the longer one; an initial such as "h" matches "helton" but at least
+// one whole word has to match, so a lone initial is not enough
+const tokenSubsetSimilarity = (a, b) => {
+  const [shorter, longer] = [a.split(' '), b.split(' ')].sort((x, y) => x.length - y.length);
+  let wholeWords = 0;
+  let score = 1;
+
+  for (const token of shorter) {
+    let tokenScore = 0;
+    for (const word of longer) {
+      if (token === word) {
+        tokenScore = 1;
+        break;
+      }
+      if ((token.length === 1 || word.length === 1) && token[0] === word[0]) {
+        tokenScore = Math.max(tokenScore, 0.99);
+      } else {
+        tokenScore = Math.max(tokenScore, editSimilarity(token, word));
+      }
+    }
+    if (tokenScore === 1) wholeWords++;
+    score = Math.min(score, tokenScore);
+  }
+
+  return wholeWords > 0 ? TOKEN_SUBSET_SCORE * score : 0;
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
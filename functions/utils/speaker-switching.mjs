@@ -0,0 +1,107 @@
+/**
+ * Active-speaker switching that cuts a segment between the cameras of the people talking in it
+ */
+import { timeToSeconds, secondsToTime } from './video-processing.mjs';
+import { findTrackForSpeaker } from './speaker-matching.mjs';
+
+// Shorter shots read as flicker rather than an edit, so they stay on the previous camera
+export const MIN_SHOT_MS = 1500;
+
+/**
+ * Split a segment into shots at the transcript's speaker changes, each on the track mapped to its speaker.
+ * Cues whose speaker has no track, and the gaps between cues, stay on the current camera.
+ * @param {Object} segment - Segment with HH:MM:SS[.mmm] startTime and endTime
+ * @param {Array} cues - Transcript cues with startMs, endMs and speaker
+ * @param {Array} tracks - Episode tracks from getTracksForEpisode
+ * @param {Object} options
+ * @param {string} options.defaultTrack - Track used until the first mapped speaker talks
+ * @param {number} [options.minShotMs] - Shortest shot worth cutting to
+ * @returns {Array<{startTime: string, endTime: string, trackName: string, speaker: string|null}>} Shots covering
+ * the whole segment; a single shot when there is nothing to switch between
+ */
+export const planSpeakerShots = (segment, cues, tracks, { defaultTrack, minShotMs = MIN_SHOT_MS }) => {
+  const startMs = Math.round(timeToSeconds(segment.startTime) * 1000);
+  const endMs = Math.round(timeToSeconds(segment.endTime) * 1000);
+  const matched = new Map();
+  const trackForSpeaker = (speaker) => {
+    if (!matched.has(speaker)) matched.set(speaker, findTrackForSpeaker(tracks, speaker));
+    return matched.get(speaker);
+  };
+
+  const shots = [{ startMs, endMs, trackName: defaultTrack, speaker: segment.speaker ?? null }];
+  const spoken = cues
+    .filter(cue => cue.endMs > startMs && cue.startMs < endMs)
+    .sort((a, b) => a.startMs - b.startMs);
+
+  for (const cue of spoken) {
+    const track = trackForSpeaker(cue.speaker);
+    const current = shots[shots.length - 1];
+    if (!track || track.trackName === current.trackName) continue;
+
+    const cutMs = Math.max(cue.startMs, startMs);
+    if (cutMs <= current.startMs) {
+      Object.assign(current, { trackName: track.trackName, speaker: cue.speaker });
+      continue;
+    }
+    current.endMs = cutMs;
+    shots.push({ startMs: cutMs, endMs, trackName: track.trackName, speaker: cue.speaker });
+  }
+
+  return mergeShortShots(shots, minShotMs).map(shot => ({
+    startTime: secondsToTime(shot.startMs / 1000),
+    endTime: secondsToTime(shot.endMs / 1000),
+    trackName: shot.trackName,
+    speaker: shot.speaker
+  }));
+};
+
+/**
+ * Build the filter_complex that joins shots from different tracks into one continuous segment.
+ * Tracks can differ in frame size, so every shot is fitted to the first one's frame.
+ * @param {number} shotCount - Number of inputs
+ * @param {Object} format
+ * @param {number} format.width
+ * @param {number} format.height
+ * @returns {{filterComplex: string, videoLabel: string, audioLabel: string}}
+ */
+export const buildShotConcatFilterGraph = (shotCount, { width, height }) => {
+  const filters = [];
+  const pairs = [];
+
+  for (let i = 0; i < shotCount; i++) {
+    filters.push(`[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,format=yuv420p[v${i}]`);
+    filters.push(`[${i}:a]aformat=sample_rates=48000:channel_layouts=stereo[a${i}]`);
+    pairs.push(`[v${i}][a${i}]`);
+  }
+  filters.push(`${pairs.join('')}concat=n=${shotCount}:v=1:a=1[vout][aout]`);
+
+  return { filterComplex: filters.join(';'), videoLabel: '[vout]', audioLabel: '[aout]' };
+};
+
+const mergeShortShots = (shots, minShotMs) => {
+  const merged = [];
+  for (const shot of shots) {
+    const previous = merged[merged.length - 1];
+    if (previous && (shot.endMs - shot.startMs < minShotMs || shot.trackName === previous.trackName)) {
+      previous.endMs = shot.endMs;
+    } else {
+      merged.push({ ...shot });
+    }
+  }
+
+  // A short opening shot has nothing before it to fold into, so it joins the next one instead
+  if (merged.length > 1 && merged[0].endMs - merged[0].startMs < minShotMs) {
+    const [first, second] = merged.splice(0, 2);
+    merged.unshift({ ...second, startMs: first.startMs });
+  }
+
+  return merged.reduce((result, shot) => {
+    const previous = result[result.length - 1];
+    if (previous && previous.trackName === shot.trackName) {
+      previous.endMs = shot.endMs;
+    } else {
+      result.push(shot);
+    }
+    return result;
+  }, []);
+};
@@ -1,11 +1,12 @@
 import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
 import { unmarshall } from '@aws-sdk/util-dynamodb';
+import { matchSpeaker } from './speaker-matching.mjs';
 
 const ddb = new DynamoDBClient();
 
 
 /**
- * Get tracks for an episode and find the one that contains the speaker
+ * Get tracks for an episode and find the one that contains the speaker, by name, alias or a similar name
  * @param {string} episodeId - The episode ID
  * @param {string} speaker - The speaker name to match
  * @param {string} tenantId - The tenant ID for data isolation
@@ -20,9 +21,12 @@ export const selectTrackForSpeaker = async (episodeId, speaker, tenantId) => {
     return null;
   }
 
-  const matchingTrack = tracks.find(track => (track.speakers || []).includes(speaker));
+  const match = matchSpeaker(speaker, tracks);
+  if (match && match.method !== 'exact') {
+    console.log(`Matched speaker '${speaker}' to '${match.speaker}' on track '${match.track.trackName}' by ${match.method} (${match.confidence})`);
+  }
 
-  return matchingTrack || null;
+  return match?.track ?? null;
 };
 
 /**
@@ -30,7 +34,8 @@ export const selectTrackForSpeaker = async (episodeId, speaker, tenantId) => {
  * @param {string} episodeId - The episode ID
  * @param {Array<string>} speakers - Array of speaker names
  * @param {string} tenantId - The tenant ID for data isolation
- * @returns {Promise<Object>} Object mapping speakers to their tracks
+ * @returns {Promise<{tracks: Object, matchedSpeakers: Array, unmatchedSpeakers: string[]}>} tracks maps each speaker
+ * to its track or null; matchedSpeakers says which track speaker each name matched, how and with what confidence
  */
 export const selectTracksForSpeakers = async (episodeId, speakers, tenantId) => {
 
@@ -41,18 +46,27 @@ export const selectTracksForSpeakers = async (episodeId, speakers, tenantId) =>
   const unmatchedSpeakers = [];
 
   for (const speaker of speakers) {
-    const matchingTrack = tracks.find(track => (track.speakers || []).includes(speaker));
-    results[speaker] = matchingTrack || null;
-
-    if (matchingTrack) {
-      matchedSpeakers.push({ speaker, trackName: matchingTrack.trackName });
+    const match = matchSpeaker(speaker, tracks);
+    results[speaker] = match?.track ?? null;
+
+    if (match) {
+      matchedSpeakers.push({
+        speaker,
+        trackName: match.track.trackName,
+        matchedSpeaker: match.speaker,
+        method: match.method,
+        confidence: match.confidence
+      });
     } else {
       unmatchedSpeakers.push(speaker);
     }
   }
 
+  if (unmatchedSpeakers.length) {
+    console.warn(`No track found for speakers ${unmatchedSpeakers.map(s => `'${s}'`).join(', ')} in episode '${episodeId}'`);
+  }
 
-  return results;
+  return { tracks: results, matchedSpeakers, unmatchedSpeakers };
 };
 
 /**
@@ -61,7 +75,7 @@ export const selectTracksForSpeakers = async (episodeId, speakers, tenantId) =>
  * @param {string} tenantId - The tenant ID for data isolation
  * @returns {Promise<Array>} Array of track objects
  */
-const getTracksForEpisode = async (episodeId, tenantId) => {
+export const getTracksForEpisode = async (episodeId, tenantId) => {
   const maxTracks = parseInt(process.env.MAX_TRACKS_PER_EPISODE) || 50;
 
   try {
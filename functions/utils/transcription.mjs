@@ -0,0 +1,181 @@
+/**
+ * Automatic transcription for episodes that have tracks but no uploaded transcript.
+ *
+ * A transcriber turns one track's audio into Whisper-style segments:
+ *   { name, transcribe(audioFile, { durationSeconds }) => Promise<{ language, segments: [{ start, end, text }]}> }
+ * where start and end are seconds from the start of the audio. Providers are added to TRANSCRIBERS.
+ */
+import { promises as fs } from 'fs';
+import { basename } from 'path';
+import { detectSilence } from './ffmpeg.mjs';
+
+export const TRANSCRIPTION_STATUS = {
+  TRANSCRIBING: 'Transcribing',
+  TRANSCRIBED: 'Transcribed',
+  FAILED: 'TranscriptionFailed'
+};
+
+// Whisper decodes in 30 second windows, so the stand-in never emits longer segments
+const MAX_SEGMENT_SECONDS = 30;
+// Pauses shorter than this are breaths inside a sentence, not a segment break
+const SEGMENT_PAUSE_SECONDS = 0.6;
+const STAND_IN_TEXT = '[speech]';
+
+/**
+ * Transcriber backed by a Whisper-compatible HTTP API (OpenAI, faster-whisper-server, whisper.cpp server)
+ * @param {Object} [options]
+ * @param {string} [options.url] - Transcriptions endpoint, e.g. https://api.openai.com/v1/audio/transcriptions
+ * @param {string} [options.apiKey] - Sent as a bearer token when set
+ * @param {string} [options.model] - Model name the server expects
+ */
+export const createWhisperTranscriber = ({
+  url = process.env.WHISPER_API_URL,
+  apiKey = process.env.WHISPER_API_KEY,
+  model = process.env.WHISPER_MODEL || 'whisper-1'
+} = {}) => {
+  if (!url) {
+    throw new Error('WHISPER_API_URL is required for the whisper transcriber');
+  }
+
+  return {
+    name: 'whisper',
+    transcribe: async (audioFile) => {
+      const form = new FormData();
+      form.append('file', new Blob([await fs.readFile(audioFile)], { type: 'audio/mpeg' }), basename(audioFile));
+      form.append('model', model);
+      form.append('response_format', 'verbose_json');
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body: form
+      });
+      if (!response.ok) {
+        throw new Error(`Whisper request failed with ${response.status}: ${(await response.text()).slice(0, 500)}`);
+      }
+
+      return parseWhisperResponse(await response.json());
+    }
+  };
+};
+
+/**
+ * Offline stand-in with the Whisper interface. It finds the stretches of speech between pauses and emits one
+ * placeholder segment per stretch, so the transcription flow runs end to end without a model or network access.
+ */
+export const createLocalTranscriber = () => ({
+  name: 'local',
+  transcribe: async (audioFile, { durationSeconds }) => {
+    const silences = await detectSilence(audioFile, {
+      startOffset: 0,
+      duration: durationSeconds,
+      minSilenceSeconds: SEGMENT_PAUSE_SECONDS
+    });
+    return { language: null, segments: findSpeechSegments(silences, durationSeconds) };
+  }
+});
+
+export const TRANSCRIBERS = {
+  whisper: createWhisperTranscriber,
+  local: createLocalTranscriber
+};
+
+/**
+ * Create the configured transcriber
+ * @param {string} [name] - A key of TRANSCRIBERS; defaults to the TRANSCRIBER environment variable
+ */
+export const createTranscriber = (name = process.env.TRANSCRIBER || 'whisper') => {
+  const factory = TRANSCRIBERS[name];
+  if (!factory) {
+    throw new Error(`Unknown transcriber '${name}'; expected one of ${Object.keys(TRANSCRIBERS).join(', ')}`);
+  }
+
+  return factory();
+};
+
+/**
+ * Read a verbose_json transcription response into Whisper-style segments
+ * @param {Object} body - Response with language and segments[{start, end, text}]; plain text responses become one segment
+ * @returns {{language: string|null, segments: Array<{start: number, end: number, text: string}>}}
+ */
+export const parseWhisperResponse = (body) => {
+  const segments = Array.isArray(body?.segments)
+    ? body.segments
+    : [{ start: 0, end: Number(body?.duration) || 0, text: body?.text }];
+
+  return {
+    language: body?.language ?? null,
+    segments: segments
+      .map(segment => ({ start: Number(segment.start), end: Number(segment.end), text: String(segment.text ?? '').trim() }))
+      .filter(segment => segment.text && Number.isFinite(segment.start) && Number.isFinite(segment.end) && segment.end > segment.start)
+  };
+};
+
+/**
+ * Turn the pauses in a file into the speech segments between them, split to Whisper's window length
+ * @param {Array<{start: number, end: number}>} silences - Silent intervals from detectSilence
+ * @param {number} durationSeconds - Length of the audio
+ */
+export const findSpeechSegments = (silences, durationSeconds) => {
+  const segments = [];
+  let position = 0;
+
+  for (const silence of [...silences].sort((a, b) => a.start - b.start).concat({ start: durationSeconds, end: durationSeconds })) {
+    for (let start = position; start < silence.start; start += MAX_SEGMENT_SECONDS) {
+      const end = Math.min(start + MAX_SEGMENT_SECONDS, silence.start);
+      if (end - start >= 0.2) {
+        segments.push({ start: round(start), end: round(end), text: STAND_IN_TEXT });
+      }
+    }
+    position = Math.max(position, silence.end);
+  }
+
+  return segments;
+};
+
+/**
+ * Choose which tracks to transcribe and who speaks on them. When every named speaker has a track of their own,
+ * those tracks are transcribed and each cue is labelled with its track's speaker; otherwise the main track is
+ * transcribed, labelled only when it names a single speaker.
+ * @param {Array} tracks - Processed tracks of the episode with speakers and offsetSeconds
+ * @returns {Array<{trackName: string, speaker: string|null, offsetSeconds: number}>}
+ */
+export const selectTranscriptionTracks = (tracks) => {
+  const speakerTracks = tracks.filter(t => t.trackName !== 'main' && (t.speakers || []).length === 1);
+  const named = new Set(tracks.flatMap(t => t.speakers || []));
+  const covered = new Set(speakerTracks.map(t => t.speakers[0]));
+
+  if (speakerTracks.length && [...named].every(speaker => covered.has(speaker))) {
+    return speakerTracks.map(t => ({ trackName: t.trackName, speaker: t.speakers[0], offsetSeconds: t.offsetSeconds ?? 0 }));
+  }
+
+  const main = tracks.find(t => t.trackName === 'main') ?? tracks[0];
+  if (!main) return [];
+
+  return [{
+    trackName: main.trackName,
+    speaker: (main.speakers || []).length === 1 ? main.speakers[0] : null,
+    offsetSeconds: main.trackName === 'main' ? 0 : main.offsetSeconds ?? 0
+  }];
+};
+
+/**
+ * Merge per-track transcriptions into transcript cues on the episode timeline
+ * @param {Array<{speaker: string|null, offsetSeconds: number, segments: Array}>} results - One per transcribed track
+ * @returns {Array<{index: number, startMs: number, endMs: number, speaker: string|null, text: string}>} Cues for formatSrt
+ */
+export const buildTranscriptCues = (results) => {
+  const cues = results.flatMap(({ speaker, offsetSeconds = 0, segments }) => segments.map(segment => ({
+    startMs: Math.max(0, Math.round((segment.start - offsetSeconds) * 1000)),
+    endMs: Math.round((segment.end - offsetSeconds) * 1000),
+    speaker: speaker ?? null,
+    text: segment.text
+  })));
+
+  return cues
+    .filter(cue => cue.endMs > cue.startMs && cue.text)
+    .sort((a, b) => a.startMs - b.startMs || a.endMs - b.endMs)
+    .map((cue, i) => ({ index: i + 1, ...cue }));
+};
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
@@ -1,23 +1,385 @@
 import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
+import { TRANSCRIPT_FILENAMES, timeToSeconds, secondsToTime } from './clips.mjs';
+import { loadSpeakerMap, applySpeakerMap } from './speaker-mapping.mjs';
 
 const s3 = new S3Client();
 const transcriptCache = new Map();
 
-export const loadTranscript = async (key) => {
+const TIMING_LINE = /^\s*((?:\d+:)?\d{1,2}:\d{1,2}(?:[.,]\d{1,3})?)\s*-->\s*((?:\d+:)?\d{1,2}:\d{1,2}(?:[.,]\d{1,3})?)/;
+const SPEAKER_LABEL = /^\s*([\p{L}][\p{L}\p{N}._'()-]*(?: [\p{L}\p{N}._'()-]+){0,2}):\s+(.+)$/u;
+const VOICE_TAG = /^<v(?:\.[^\s>]+)*\s+([^>]+)>/;
+
+// Slivers left where a segment cuts into a cue are too short to read
+const MIN_CAPTION_MS = 250;
+
+export const loadTranscript = async (key) => (await loadTranscriptObject(key)).text;
+
+/**
+ * Read a transcript object. Cached copies are revalidated against the object's ETag, so an upload that replaces
+ * the transcript under the same key is picked up by warm Lambdas.
+ * @returns {Promise<{text: string, lastModified: number}>} Empty text when the transcript could not be loaded
+ */
+const loadTranscriptObject = async (key) => {
+  const cached = transcriptCache.get(key);
   try {
-    const cached = transcriptCache.get(key);
-    if (cached) {
+    const res = await s3.send(new GetObjectCommand({
+      Bucket: process.env.BUCKET_NAME,
+      Key: key,
+      ...cached && { IfNoneMatch: cached.etag }
+    }));
+    if (!res.Body) throw new Error('Empty S3 object body');
+    const object = { text: await res.Body.transformToString(), lastModified: res.LastModified?.getTime() ?? 0 };
+
+    if (res.ETag) {
+      transcriptCache.set(key, { ...object, etag: res.ETag });
+    }
+    return object;
+  } catch (err) {
+    if (cached && (err.name === 'NotModified' || err.$metadata?.httpStatusCode === 304)) {
       return cached;
     }
+    transcriptCache.delete(key);
+    // Episodes have one transcript format, so looking up the other one is expected to miss
+    if (err.name !== 'NoSuchKey' && err.$metadata?.httpStatusCode !== 404) {
+      console.error(err, `${process.env.BUCKET_NAME}/${key}`);
+    }
+    return { text: '', lastModified: 0 };
+  }
+};
 
-    const res = await s3.send(new GetObjectCommand({ Bucket: process.env.BUCKET_NAME, Key: key }));
-    if (!res.Body) throw new Error('Empty S3 object body');
-    const text = await res.Body.transformToString();
+/**
+ * Load a transcript from S3 and parse it into cues
+ * @param {string} key - S3 key of the .srt or .vtt transcript
+ * @returns {Promise<Array>} Parsed cues, empty when the transcript could not be loaded
+ */
+export const loadParsedTranscript = async (key) => {
+  const text = await loadTranscript(key);
+  if (!text) return [];
 
-    transcriptCache.set(key, text);
-    return text;
+  return parseTranscript(text, key.toLowerCase().endsWith('.vtt') ? 'vtt' : undefined);
+};
+
+/**
+ * Load the transcript for an episode, whichever supported format it was uploaded in. When both formats exist,
+ * because a transcript was replaced in the other format, the newest upload wins.
+ * @param {string} tenantId - Tenant that owns the episode
+ * @param {string} episodeId - Episode identifier
+ * @param {Object} [options]
+ * @param {boolean} [options.mapSpeakers] - Replace diarization labels with the speakers of the episode's speaker map
+ * @returns {Promise<Array>} Parsed cues, empty when the episode has no transcript
+ */
+export const loadEpisodeTranscript = async (tenantId, episodeId, { mapSpeakers = true } = {}) => {
+  let latest;
+  for (const filename of TRANSCRIPT_FILENAMES) {
+    const key = `${tenantId}/${episodeId}/${filename}`;
+    const object = await loadTranscriptObject(key);
+    if (object.text && (!latest || object.lastModified > latest.lastModified)) {
+      latest = { ...object, key };
+    }
+  }
+
+  const cues = latest ? parseTranscript(latest.text, latest.key.endsWith('.vtt') ? 'vtt' : 'srt') : [];
+  if (!cues.length || !mapSpeakers) return cues;
+
+  try {
+    return applySpeakerMap(cues, await loadSpeakerMap(tenantId, episodeId));
   } catch (err) {
-    console.error(err, `${process.env.BUCKET_NAME}/${key}`);
-    return '';
+    console.warn(`Could not load the speaker map of episode ${episodeId}; keeping transcript labels: ${err.message}`);
+    return cues;
   }
 };
+
+/**
+ * Parse an SRT or WebVTT transcript into cues
+ * @param {string} text - Raw transcript contents
+ * @param {string} [format] - 'srt' or 'vtt'; detected from the WEBVTT header when omitted
+ * @returns {Array<{index: number, startMs: number, endMs: number, speaker: string|null, text: string}>}
+ */
+export const parseTranscript = (text, format) => {
+  const resolved = format || (/^\uFEFF?WEBVTT/.test(text || '') ? 'vtt' : 'srt');
+  return resolved === 'vtt' ? parseVtt(text) : parseSrt(text);
+};
+
+/**
+ * Parse SRT text into cues.
+ * Blocks without a timing line are treated as a continuation of the previous cue, which is how
+ * transcripts using the `Speaker: text` convention mark a speaker change inside a cue.
+ */
+export const parseSrt = (text) => {
+  const blocks = splitBlocks(text);
+  const rawCues = [];
+
+  for (const lines of blocks) {
+    const timingIndex = lines.findIndex(line => TIMING_LINE.test(line));
+    if (timingIndex === -1) {
+      if (rawCues.length) rawCues[rawCues.length - 1].lines.push(...lines);
+      continue;
+    }
+
+    const [, start, end] = lines[timingIndex].match(TIMING_LINE);
+    rawCues.push({
+      startMs: parseTimestamp(start),
+      endMs: parseTimestamp(end),
+      lines: lines.slice(timingIndex + 1)
+    });
+  }
+
+  return buildCues(rawCues);
+};
+
+/**
+ * Parse WebVTT text into cues.
+ * Supports `<v Speaker>` voice tags as well as the `Speaker: text` convention; NOTE, STYLE and
+ * REGION blocks are skipped.
+ */
+export const parseVtt = (text) => {
+  const blocks = splitBlocks(String(text || '').replace(/^\uFEFF/, ''));
+  const rawCues = [];
+
+  for (const lines of blocks) {
+    if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+    const timingIndex = lines.findIndex(line => TIMING_LINE.test(line));
+    if (timingIndex === -1) continue;
+
+    const [, start, end] = lines[timingIndex].match(TIMING_LINE);
+    rawCues.push({
+      startMs: parseTimestamp(start),
+      endMs: parseTimestamp(end),
+      lines: lines.slice(timingIndex + 1).map(line => {
+        const voice = line.match(VOICE_TAG);
+        const content = stripTags(line);
+        return voice ? `${voice[1].trim()}: ${content}` : content;
+      })
+    });
+  }
+
+  return buildCues(rawCues);
+};
+
+/**
+ * Convert a transcript timestamp to milliseconds
+ * Accepts HH:MM:SS,mmm, HH:MM:SS.mmm, MM:SS.mmm and whole-second variants
+ */
+export const parseTimestamp = (value) => {
+  const match = String(value || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/);
+  if (!match) {
+    throw new Error(`Invalid transcript timestamp: ${value}`);
+  }
+
+  const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+  const ms = parseInt(fraction.padEnd(3, '0'), 10);
+  return ((parseInt(hours, 10) * 3600) + (parseInt(minutes, 10) * 60) + parseInt(seconds, 10)) * 1000 + ms;
+};
+
+/**
+ * Format milliseconds as a transcript timestamp
+ * @param {number} ms - Milliseconds from the start of the transcript
+ * @param {string} [separator] - ',' for SRT, '.' for WebVTT
+ */
+export const formatTimestamp = (ms, separator = ',') => {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}${separator}${String(millis).padStart(3, '0')}`;
+};
+
+/**
+ * Render cues back to SRT, labelling each cue with its speaker when one is known
+ * @param {Array} cues - Cues produced by parseTranscript
+ * @returns {string} SRT text
+ */
+export const formatSrt = (cues) => {
+  return (cues || []).map((cue, i) => [
+    String(i + 1),
+    `${formatTimestamp(cue.startMs)} --> ${formatTimestamp(cue.endMs)}`,
+    cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text
+  ].join('\n')).join('\n\n');
+};
+
+/**
+ * Render cues as WebVTT, using voice tags for speakers
+ * @param {Array} cues - Cues produced by parseTranscript
+ * @returns {string} WebVTT text
+ */
+export const formatVtt = (cues) => {
+  return ['WEBVTT', ...(cues || []).map(cue => [
+    `${formatTimestamp(cue.startMs, '.')} --> ${formatTimestamp(cue.endMs, '.')}`,
+    cue.speaker ? `<v ${cue.speaker}>${cue.text}` : cue.text
+  ].join('\n'))].join('\n\n') + '\n';
+};
+
+/**
+ * Cut the cues heard in each clip segment and re-time them onto the stitched clip's timeline.
+ * Segments play back to back in stitch order, so each one starts where the previous one actually ended;
+ * pass the probed segment durations to stay in sync when extraction came up shorter than requested.
+ * @param {Array} cues - Cues produced by parseTranscript
+ * @param {Array} segments - Segments in stitch order with HH:MM:SS[.mmm] startTime/endTime
+ * @param {number[]} [durationsMs] - Actual duration of each stitched segment
+ * @param {Object} [options]
+ * @param {number} [options.overlapMs] - How much each segment overlaps the previous one when joined with a transition
+ * @returns {Array} Cues timed from the start of the clip
+ */
+export const buildClipCaptions = (cues, segments, durationsMs = [], { overlapMs = 0 } = {}) => {
+  const captions = [];
+  let offsetMs = 0;
+
+  segments.forEach((segment, i) => {
+    const startMs = Math.round(timeToSeconds(segment.startTime) * 1000);
+    const durationMs = durationsMs[i] > 0
+      ? Math.round(durationsMs[i])
+      : Math.round(timeToSeconds(segment.endTime) * 1000) - startMs;
+    const endMs = startMs + durationMs;
+
+    for (const cue of cues) {
+      if (cue.endMs <= startMs || cue.startMs >= endMs) continue;
+
+      const caption = {
+        startMs: offsetMs + Math.max(cue.startMs, startMs) - startMs,
+        endMs: offsetMs + Math.min(cue.endMs, endMs) - startMs,
+        speaker: cue.speaker,
+        text: cue.text
+      };
+
+      // A cue that runs across the cut into the next segment stays on screen as one caption
+      const previous = captions[captions.length - 1];
+      if (previous && previous.text === caption.text && previous.speaker === caption.speaker && caption.startMs - previous.endMs <= 1) {
+        previous.endMs = Math.max(previous.endMs, caption.endMs);
+      } else if (caption.endMs - caption.startMs >= MIN_CAPTION_MS) {
+        // Inside a transition the outgoing caption gives way to the incoming one
+        if (previous && previous.endMs > caption.startMs) {
+          previous.endMs = caption.startMs;
+        }
+        captions.push(caption);
+      }
+    }
+
+    offsetMs += durationMs - overlapMs;
+  });
+
+  return captions.map((caption, i) => ({ index: i + 1, ...caption }));
+};
+
+/**
+ * Check clip segments against transcript cues.
+ * Boundaries that land between cues or past either end of the transcript are snapped to the nearest
+ * cue. Segments that cover no dialogue, or name a speaker who does not talk in that window, are
+ * reported as errors worded for the model that proposed them. A speaker may be named by the diarization label
+ * of cues that a speaker map has renamed.
+ * @param {Array} segments - Clip segments with HH:MM:SS[.mmm] startTime/endTime, speaker and order
+ * @param {Array} cues - Cues produced by parseTranscript
+ * @returns {{segments: Array, adjusted: number, errors: string[]}} Snapped segments, how many changed, and any errors
+ */
+export const validateSegmentsAgainstTranscript = (segments, cues) => {
+  const errors = [];
+  let adjusted = 0;
+  const transcriptStart = Math.min(...cues.map(c => c.startMs));
+  const transcriptEnd = Math.max(...cues.map(c => c.endMs));
+  const hasSpeakers = cues.some(c => c.speaker);
+
+  const validated = segments.map((segment) => {
+    const label = `Segment ${segment.order} (${segment.startTime} - ${segment.endTime})`;
+    const requestedStartMs = Math.round(timeToSeconds(segment.startTime) * 1000);
+    const requestedEndMs = Math.round(timeToSeconds(segment.endTime) * 1000);
+    let startMs = requestedStartMs;
+    let endMs = requestedEndMs;
+
+    if (endMs <= startMs) {
+      errors.push(`${label}: endTime must be after startTime`);
+      return segment;
+    }
+
+    if (endMs <= transcriptStart || startMs >= transcriptEnd) {
+      errors.push(`${label}: outside the transcript, which runs from ${secondsToTime(transcriptStart / 1000)} to ${secondsToTime(transcriptEnd / 1000)}`);
+      return segment;
+    }
+
+    const overlapping = cues.filter(c => c.startMs < endMs && c.endMs > startMs);
+    if (!overlapping.length) {
+      errors.push(`${label}: nobody speaks in this window`);
+      return segment;
+    }
+
+    if (!overlapping.some(c => c.startMs <= startMs)) {
+      startMs = Math.min(...overlapping.map(c => c.startMs));
+    }
+    if (!overlapping.some(c => c.endMs >= endMs)) {
+      endMs = Math.max(...overlapping.map(c => c.endMs));
+    }
+
+    const speakers = [...new Set(overlapping.map(c => c.speaker).filter(Boolean))];
+    const names = overlapping.flatMap(c => [c.speaker, c.label]).filter(Boolean).map(s => s.toLowerCase());
+    const speaker = segment.speaker.trim().toLowerCase();
+    if (hasSpeakers && speakers.length && !names.includes(speaker)) {
+      errors.push(`${label}: ${segment.speaker} does not speak in this window (speakers heard: ${speakers.join(', ')})`);
+      return segment;
+    }
+
+    if (startMs === requestedStartMs && endMs === requestedEndMs) {
+      return segment;
+    }
+
+    adjusted++;
+    return { ...segment, startTime: secondsToTime(startMs / 1000), endTime: secondsToTime(endMs / 1000) };
+  });
+
+  return { segments: validated, adjusted, errors };
+};
+
+const splitBlocks = (text) => {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(block => block.split('\n').map(line => line.trim()).filter(Boolean))
+    .filter(lines => lines.length > 0);
+};
+
+const stripTags = (line) => line.replace(/<[^>]+>/g, '').trim();
+
+// Speaker labels carry over between cues until a new label appears. When one cue contains several
+// speakers, its time window is divided between them in proportion to how much each one says.
+const buildCues = (rawCues) => {
+  const cues = [];
+  let speaker = null;
+
+  for (const raw of rawCues) {
+    const turns = [];
+    for (const line of raw.lines) {
+      const label = line.match(SPEAKER_LABEL);
+      if (label) {
+        speaker = label[1].trim();
+        turns.push({ speaker, text: label[2].trim() });
+      } else if (turns.length) {
+        turns[turns.length - 1].text += ` ${line}`;
+      } else {
+        turns.push({ speaker, text: line });
+      }
+    }
+
+    if (!turns.length) continue;
+
+    const duration = Math.max(0, raw.endMs - raw.startMs);
+    const totalChars = turns.reduce((sum, turn) => sum + turn.text.length, 0) || 1;
+    let cursor = raw.startMs;
+
+    turns.forEach((turn, i) => {
+      const endMs = i === turns.length - 1
+        ? raw.endMs
+        : cursor + Math.round(duration * (turn.text.length / totalChars));
+
+      cues.push({
+        index: cues.length + 1,
+        startMs: cursor,
+        endMs,
+        speaker: turn.speaker,
+        text: turn.text
+      });
+      cursor = endMs;
+    });
+  }
+
+  return cues;
+};
@@ -0,0 +1,135 @@
+/**
+ * Transitions between clip segments and the FFmpeg filter graphs that render them
+ */
+
+export const TRANSITION_TYPES = ['cut', 'crossfade', 'audio-crossfade', 'dip-to-black'];
+
+export const DEFAULT_TRANSITION = { type: 'cut' };
+export const DEFAULT_TRANSITION_SECONDS = 0.5;
+
+const MAX_TRANSITION_SECONDS = 2;
+
+/**
+ * Validate a clip's transition setting
+ * @param {Object|string} data - Transition type or { type, durationSeconds }
+ * @returns {{transition: Object, errors: string[]}}
+ */
+export const parseTransition = (data) => {
+  const type = typeof data === 'string' ? data : data?.type;
+  if (!TRANSITION_TYPES.includes(type)) {
+    return { transition: DEFAULT_TRANSITION, errors: [`transition type must be one of ${TRANSITION_TYPES.join(', ')}`] };
+  }
+
+  if (type === 'cut') {
+    return { transition: DEFAULT_TRANSITION, errors: [] };
+  }
+
+  const durationSeconds = typeof data === 'object' && data.durationSeconds !== undefined
+    ? data.durationSeconds
+    : DEFAULT_TRANSITION_SECONDS;
+  if (typeof durationSeconds !== 'number' || durationSeconds <= 0 || durationSeconds > MAX_TRANSITION_SECONDS) {
+    return { transition: DEFAULT_TRANSITION, errors: [`transition durationSeconds must be greater than 0 and at most ${MAX_TRANSITION_SECONDS}`] };
+  }
+
+  return { transition: { type, durationSeconds }, errors: [] };
+};
+
+/**
+ * Pick the transition for a clip, falling back to a hard cut when it has none or an invalid one
+ */
+export const resolveTransition = (clip) => {
+  if (clip?.transition === undefined) return DEFAULT_TRANSITION;
+
+  const { transition, errors } = parseTransition(clip.transition);
+  if (errors.length) {
+    console.warn(`Ignoring invalid transition ${JSON.stringify(clip.transition)}: ${errors.join(', ')}`);
+  }
+  return transition;
+};
+
+/**
+ * How long a transition can run between segments of the given durations. Every join overlaps both neighbours,
+ * so it is capped at half of the shortest segment.
+ */
+export const clampTransitionSeconds = (transition, durations) => {
+  if (transition.type === 'cut' || durations.length < 2) return 0;
+  const limit = Math.min(...durations) / 2;
+  return Math.round(Math.min(transition.durationSeconds, limit) * 1000) / 1000;
+};
+
+/**
+ * Build the filter_complex that joins segment inputs with a transition.
+ * Every transition overlaps neighbouring segments by the transition duration, so segment k starts at
+ * sum(durations before k) - k * duration on the output timeline whichever type is used.
+ * - crossfade: xfade fade on video, acrossfade on audio
+ * - dip-to-black: xfade fadeblack on video, acrossfade on audio
+ * - audio-crossfade: video hard-cuts halfway through the overlap, audio uses acrossfade
+ * @param {number[]} durations - Duration of each input in seconds
+ * @param {{type: string}} transition - Transition to render
+ * @param {number} transitionSeconds - Overlap from clampTransitionSeconds
+ * @param {Object} format - Output frame to normalize every input to
+ * @param {number} format.width
+ * @param {number} format.height
+ * @param {string} [format.frameRate] - e.g. 30000/1001
+ * @param {boolean} [format.hasAudio]
+ * @returns {{filterComplex: string, videoLabel: string, audioLabel: string|null}}
+ */
+export const buildTransitionFilterGraph = (durations, transition, transitionSeconds, { width, height, frameRate = '30', hasAudio = true }) => {
+  if (durations.length < 2) {
+    throw new Error('Transitions need at least two segments');
+  }
+  if (!TRANSITION_TYPES.includes(transition.type) || transition.type === 'cut') {
+    throw new Error(`Unsupported transition type: ${transition.type}`);
+  }
+
+  const T = transitionSeconds;
+  const last = durations.length - 1;
+  const filters = [];
+
+  // xfade needs identical frame size, rate, format and timebase on both sides
+  durations.forEach((duration, i) => {
+    const normalize = `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${frameRate},format=yuv420p`;
+    if (transition.type === 'audio-crossfade') {
+      const start = i > 0 ? T / 2 : 0;
+      const end = i < last ? duration - T / 2 : duration;
+      filters.push(`[${i}:v]trim=start=${round(start)}:end=${round(end)},setpts=PTS-STARTPTS,${normalize}[v${i}]`);
+    } else {
+      filters.push(`[${i}:v]${normalize},settb=AVTB,setpts=PTS-STARTPTS[v${i}]`);
+    }
+    if (hasAudio) {
+      filters.push(`[${i}:a]aformat=sample_rates=48000:channel_layouts=stereo,asetpts=PTS-STARTPTS[a${i}]`);
+    }
+  });
+
+  let videoLabel;
+  if (transition.type === 'audio-crossfade') {
+    filters.push(`${durations.map((_, i) => `[v${i}]`).join('')}concat=n=${durations.length}:v=1:a=0[vout]`);
+    videoLabel = '[vout]';
+  } else {
+    const xfade = transition.type === 'dip-to-black' ? 'fadeblack' : 'fade';
+    let previous = '[v0]';
+    let elapsed = durations[0];
+    for (let i = 1; i <= last; i++) {
+      const label = i === last ? '[vout]' : `[vx${i}]`;
+      filters.push(`${previous}[v${i}]xfade=transition=${xfade}:duration=${T}:offset=${round(elapsed - T * i)}${label}`);
+      previous = label;
+      elapsed += durations[i];
+    }
+    videoLabel = '[vout]';
+  }
+
+  let audioLabel = null;
+  if (hasAudio) {
+    let previous = '[a0]';
+    for (let i = 1; i <= last; i++) {
+      const label = i === last ? '[aout]' : `[ax${i}]`;
+      filters.push(`${previous}[a${i}]acrossfade=d=${T}:c1=tri:c2=tri${label}`);
+      previous = label;
+    }
+    audioLabel = '[aout]';
+  }
+
+  return { filterComplex: filters.join(';'), videoLabel, audioLabel };
+};
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
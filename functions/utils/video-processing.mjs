@@ -2,22 +2,22 @@ import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
 
 const s3 = new S3Client();
 
+const roundToMillis = (seconds) => Math.round(seconds * 1000) / 1000;
+
 export const timeToSeconds = (timeStr) => {
   if (!timeStr || typeof timeStr !== 'string') {
     throw new Error('Invalid time string');
   }
 
-  const parts = timeStr.split(':').map(part => parseInt(part, 10));
+  const parts = timeStr.trim().replace(',', '.').split(':');
+  const valid = parts.every((part, i) => (i === parts.length - 1 ? /^\d+(\.\d+)?$/ : /^\d+$/).test(part));
 
-  if (parts.length === 2) {
-    const [minutes, seconds] = parts;
-    return minutes * 60 + seconds;
-  } else if (parts.length === 3) {
-    const [hours, minutes, seconds] = parts;
-    return hours * 3600 + minutes * 60 + seconds;
-  } else {
+  if (!valid || (parts.length !== 2 && parts.length !== 3)) {
     throw new Error('Time string must be in HH:MM:SS or MM:SS format');
   }
+
+  const [seconds, minutes, hours = 0] = parts.map(Number).reverse();
+  return roundToMillis(hours * 3600 + minutes * 60 + seconds);
 };
 
 export const secondsToTime = (seconds) => {
@@ -25,11 +25,14 @@ export const secondsToTime = (seconds) => {
     throw new Error('Seconds must be a non-negative number');
   }
 
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const millis = totalMs % 1000;
 
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  const time = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  return millis ? `${time}.${millis.toString().padStart(3, '0')}` : time;
 };
 
 export const loadHlsManifest = async (episodeId, trackName, tenantId) => {
@@ -151,7 +154,17 @@ export const parseHlsManifest = (manifestContent, episodeId, trackName, tenantId
   };
 };
 
-export const calculateChunkMapping = (segment, hlsSegments) => {
+/**
+ * Map a segment in episode (transcript) time onto the chunks of a track.
+ * A track's offsetSeconds is where episode time zero falls on the track's own timeline, so a track that started
+ * recording 2 seconds before the main track has an offset of 2.
+ * @param {Object} segment - Segment with startTime and endTime
+ * @param {Array} hlsSegments - Chunks of the track's manifest
+ * @param {Object} [options]
+ * @param {number} [options.offsetSeconds] - Offset of the track
+ * @returns {Array} Chunk mappings in track time
+ */
+export const calculateChunkMapping = (segment, hlsSegments, { offsetSeconds = 0 } = {}) => {
   if (!segment || !segment.startTime || !segment.endTime) {
     throw new Error('Invalid segment: must have startTime and endTime');
   }
@@ -160,11 +173,17 @@ export const calculateChunkMapping = (segment, hlsSegments) => {
     throw new Error('Invalid HLS segments: must be a non-empty array');
   }
 
-  const startSeconds = timeToSeconds(segment.startTime);
-  const endSeconds = timeToSeconds(segment.endTime);
+  const requestedStart = timeToSeconds(segment.startTime);
+  const requestedEnd = timeToSeconds(segment.endTime);
 
-  if (startSeconds >= endSeconds) {
-    throw new Error(`Invalid segment timing: startTime (${startSeconds}s) must be before endTime (${endSeconds}s)`);
+  if (requestedStart >= requestedEnd) {
+    throw new Error(`Invalid segment timing: startTime (${requestedStart}s) must be before endTime (${requestedEnd}s)`);
+  }
+
+  const startSeconds = roundToMillis(Math.max(0, requestedStart + offsetSeconds));
+  const endSeconds = roundToMillis(requestedEnd + offsetSeconds);
+  if (startSeconds > requestedStart + offsetSeconds) {
+    console.warn(`Segment ${segment.startTime} starts ${roundToMillis(startSeconds - requestedStart - offsetSeconds)}s before the track does`);
   }
 
   const relevantChunks = hlsSegments.filter(chunk => {
@@ -176,9 +195,9 @@ export const calculateChunkMapping = (segment, hlsSegments) => {
   }
 
   const mappings = relevantChunks.map((chunk, index) => {
-    const chunkStartOffset = Math.max(0, startSeconds - chunk.start);
-    const chunkEndOffset = Math.min(chunk.duration, endSeconds - chunk.start);
-    const extractionDuration = chunkEndOffset - chunkStartOffset;
+    const chunkStartOffset = roundToMillis(Math.max(0, startSeconds - chunk.start));
+    const chunkEndOffset = roundToMillis(Math.min(chunk.duration, endSeconds - chunk.start));
+    const extractionDuration = roundToMillis(chunkEndOffset - chunkStartOffset);
 
     if (extractionDuration <= 0) {
       console.warn(`Zero or negative duration for chunk ${chunk.filename}: ${extractionDuration}s`);
@@ -194,7 +213,8 @@ export const calculateChunkMapping = (segment, hlsSegments) => {
       chunkEnd: chunk.end,
       chunkDuration: chunk.duration,
       chunkIndex: chunk.index,
-      mappingIndex: index
+      mappingIndex: index,
+      offsetSeconds
     };
   });
 
@@ -208,12 +228,14 @@ export const calculateChunkMapping = (segment, hlsSegments) => {
   return mappings;
 };
 
-export const generateSegmentKey = (episodeId, clipId, segmentIndex, tenantId) => {
+// Segment files are reused when they exist, so edited clips cut theirs under their revision
+export const generateSegmentKey = (episodeId, clipId, segmentIndex, tenantId, revision = 1) => {
   if (!tenantId) {
     throw new Error('tenantId is required for generating segment keys');
   }
 
-  return `${tenantId}/${episodeId}/clips/${clipId}/segments/${segmentIndex.toString().padStart(3, '0')}.mp4`;
+  const revisionDir = revision > 1 ? `r${revision}/` : '';
+  return `${tenantId}/${episodeId}/clips/${clipId}/${revisionDir}segments/${segmentIndex.toString().padStart(3, '0')}.mp4`;
 };
 
 export const generateClipKey = (episodeId, clipId, tenantId) => {
@@ -224,6 +246,30 @@ export const generateClipKey = (episodeId, clipId, tenantId) => {
   return `${tenantId}/${episodeId}/clips/${clipId}/clip.mp4`;
 };
 
+export const generateRenditionKey = (episodeId, clipId, aspectRatio, tenantId, burnCaptions = false) => {
+  if (!tenantId) {
+    throw new Error('tenantId is required for generating clip keys');
+  }
+
+  return `${tenantId}/${episodeId}/clips/${clipId}/clip-${aspectRatio.replace(':', 'x')}${burnCaptions ? '-captioned' : ''}.mp4`;
+};
+
+export const generateCaptionKey = (episodeId, clipId, format, tenantId) => {
+  if (!tenantId) {
+    throw new Error('tenantId is required for generating clip keys');
+  }
+
+  return `${tenantId}/${episodeId}/clips/${clipId}/clip.${format}`;
+};
+
+export const generatePreviewKey = (episodeId, clipId, filename, tenantId) => {
+  if (!tenantId) {
+    throw new Error('tenantId is required for generating clip keys');
+  }
+
+  return `${tenantId}/${episodeId}/clips/${clipId}/${filename}`;
+};
+
 export const createConcatFileContent = (segmentFiles) => {
   if (!Array.isArray(segmentFiles) || segmentFiles.length === 0) {
     throw new Error('Segment files array is required and must not be empty');
@@ -260,11 +306,11 @@ export const calculateTotalDuration = (segments) => {
     return 0;
   }
 
-  return segments.reduce((total, segment) => {
+  return roundToMillis(segments.reduce((total, segment) => {
     const startSeconds = timeToSeconds(segment.startTime);
     const endSeconds = timeToSeconds(segment.endTime);
     return total + (endSeconds - startSeconds);
-  }, 0);
+  }, 0));
 };
 
 export const validateSegmentSequence = (segments) => {
@@ -1,6 +1,12 @@
 import { generateClipKey, createConcatFileContent, secondsToTime } from '../utils/video-processing.mjs';
-import { downloadSegmentFiles, uploadFinalClip, cleanupSegmentFiles, verifyFinalClipIntegrity } from '../utils/s3-video.mjs';
-import { execFFmpeg, getVideoInfo, createTempDir, cleanup, checkFFmpegAvailability } from '../utils/ffmpeg.mjs';
+import { downloadVideoFile, downloadSegmentFiles, uploadFinalClip, uploadClipRendition, uploadClipCaptions, uploadClipPreview, cleanupSegmentFiles, verifyFinalClipIntegrity } from '../utils/s3-video.mjs';
+import { execFFmpeg, getVideoInfo, createTempDir, cleanup, checkFFmpegAvailability, renderRendition, renderFilterGraph, normalizeLoudness, detectSceneScores, extractFrame, renderContactSheet, renderAnimatedPreview } from '../utils/ffmpeg.mjs';
+import { resolveLoudnessTarget } from '../utils/loudness.mjs';
+import { resolveTransition, clampTransitionSeconds, buildTransitionFilterGraph } from '../utils/transitions.mjs';
+import { RENDER_TARGETS, resolveRenderTargets, matchesAspectRatio, buildReframeFilter, buildCaptionFilter } from '../utils/renditions.mjs';
+import { loadEpisodeTranscript, buildClipCaptions, formatSrt, formatVtt } from '../utils/transcripts.mjs';
+import { parseContactSheetFrames, parseSceneScores, selectPreviewFrames, contactSheetGrid } from '../utils/previews.mjs';
+import { buildBrandingFilterGraph } from '../utils/branding.mjs';
 import { join } from 'path';
 import { promises as fs } from 'fs';
 
@@ -8,7 +14,7 @@ export const handler = async (event) => {
   let tempDir = null;
 
   try {
-    const { tenantId, episodeId, clipId, segmentFiles } = event;
+    const { tenantId, episodeId, clipId, segmentFiles, segments, renderTargets, transition: requestedTransition, loudness, branding } = event;
 
     if (!tenantId) {
       console.error('Missing tenantId in event');
@@ -27,18 +33,54 @@ export const handler = async (event) => {
     tempDir = await createTempDir('clip-stitching-');
     const bucketName = process.env.BUCKET_NAME;
 
-    const localSegments = await downloadSegmentFiles(bucketName, segmentFiles, tempDir, {
+    const downloadedSegments = await downloadSegmentFiles(bucketName, segmentFiles, tempDir, {
       maxRetries: 3,
       retryDelay: 1000
     });
 
-    const concatFile = await createConcatFile(localSegments, tempDir);
+    const loudnessResult = await normalizeSegmentLoudness(downloadedSegments, resolveLoudnessTarget({ loudness }), tempDir);
+    const localSegments = loudnessResult.files;
+
+    const segmentInfo = await probeSegments(localSegments);
+    const durations = segmentInfo.map(info => info.durationSeconds);
     const outputFile = join(tempDir, `${clipId}_final.mp4`);
-    await stitchSegments(concatFile, outputFile);
 
-    const metadata = await extractVideoMetadata(outputFile);
+    // Single-segment clips and hard cuts keep the stream-copy path
+    let transition = resolveTransition({ transition: requestedTransition });
+    if (transition.type !== 'cut' && durations.some(duration => !duration)) {
+      console.warn(`Could not probe every segment of clip ${clipId}; joining with hard cuts`);
+      transition = { type: 'cut' };
+    }
+    const transitionSeconds = clampTransitionSeconds(transition, durations);
+
+    if (transitionSeconds > 0) {
+      const [first] = segmentInfo;
+      const graph = buildTransitionFilterGraph(durations, transition, transitionSeconds, {
+        width: first.width,
+        height: first.height,
+        frameRate: first.frameRate,
+        hasAudio: segmentInfo.every(info => info.hasAudio)
+      });
+      await renderFilterGraph(localSegments, outputFile, graph);
+    } else {
+      const concatFile = await createConcatFile(localSegments, tempDir);
+      await stitchSegments(concatFile, outputFile);
+    }
+
+    // outputFile stays the unbranded footage; renditions reframe it before their own branding pass
+    const footageMetadata = await extractVideoMetadata(outputFile);
+    const brandingAssets = await prepareBranding(branding, bucketName, tempDir);
+    let clipFile = outputFile;
+    if (brandingAssets) {
+      clipFile = join(tempDir, `${clipId}_branded.mp4`);
+      await renderBranded(outputFile, clipFile, brandingAssets, footageMetadata, {
+        width: footageMetadata.width,
+        height: footageMetadata.height
+      });
+    }
+    const metadata = clipFile === outputFile ? footageMetadata : await extractVideoMetadata(clipFile);
 
-    const uploadResult = await uploadFinalClip(bucketName, episodeId, clipId, outputFile, {
+    const uploadResult = await uploadFinalClip(bucketName, episodeId, clipId, clipFile, {
       ...metadata,
       segmentCount: segmentFiles.length,
       ffmpegVersion
@@ -57,6 +99,45 @@ export const handler = async (event) => {
       }
     );
 
+    const captions = await createCaptions({
+      bucketName,
+      tenantId,
+      episodeId,
+      clipId,
+      segments,
+      durationsMs: durations.map(duration => Math.round(duration * 1000)),
+      overlapMs: Math.round(transitionSeconds * 1000),
+      leadInMs: Math.round((brandingAssets?.intro?.durationSeconds ?? 0) * 1000),
+      tempDir
+    });
+
+    const renditions = await createRenditions({
+      bucketName,
+      tenantId,
+      episodeId,
+      clipId,
+      sourceFile: outputFile,
+      sourceKey: uploadResult.s3Key,
+      sourceMetadata: footageMetadata,
+      clipMetadata: metadata,
+      targets: resolveRenderTargets({ renderTargets }),
+      captionsFile: captions?.burnFile,
+      brandingAssets,
+      tempDir,
+      ffmpegVersion
+    });
+
+    const previews = await createPreviews({
+      bucketName,
+      tenantId,
+      episodeId,
+      clipId,
+      sourceFile: outputFile,
+      durationSeconds: footageMetadata.durationSeconds,
+      frameCount: parseContactSheetFrames(process.env.CONTACT_SHEET_FRAMES),
+      tempDir
+    });
+
     const cleanupResults = await cleanupSegmentFiles(bucketName, segmentFiles, {
       maxRetries: 2
     });
@@ -68,9 +149,28 @@ export const handler = async (event) => {
       fileSize: uploadResult.fileSize,
       duration: metadata.duration,
       resolution: metadata.resolution,
+      renditions,
+      captions: captions && {
+        srtKey: captions.srtKey,
+        vttKey: captions.vttKey,
+        cueCount: captions.cueCount
+      },
+      previews: previews && {
+        thumbnailS3Key: previews.thumbnailS3Key,
+        contactSheetS3Key: previews.contactSheetS3Key,
+        previewS3Key: previews.previewS3Key
+      },
       metadata: {
         ...metadata,
         segmentCount: segmentFiles.length,
+        loudness: loudnessResult.metadata,
+        branding: brandingAssets && {
+          introSeconds: brandingAssets.intro?.durationSeconds ?? 0,
+          outroSeconds: brandingAssets.outro?.durationSeconds ?? 0,
+          watermark: brandingAssets.logo ? brandingAssets.watermark : null
+        },
+        previews: previews?.selection ?? null,
+        transition: transitionSeconds > 0 ? { type: transition.type, durationSeconds: transitionSeconds } : { type: 'cut' },
         ffmpegVersion,
         processedAt: new Date().toISOString(),
         uploadedAt: uploadResult.uploadedAt,
@@ -132,6 +232,254 @@ async function stitchSegments(concatFile, outputFile) {
   }
 }
 
+// Segments can come from different speaker tracks, so each one is brought to the target on its own
+async function normalizeSegmentLoudness(localSegments, target, tempDir) {
+  const files = [];
+  const segments = [];
+
+  for (let i = 0; i < localSegments.length; i++) {
+    const normalizedPath = join(tempDir, `normalized_${i.toString().padStart(3, '0')}.mp4`);
+    try {
+      const { normalized, measured, output } = await normalizeLoudness(localSegments[i], normalizedPath, target);
+      files.push(normalized ? normalizedPath : localSegments[i]);
+      segments.push({
+        index: i,
+        normalized,
+        input: {
+          integratedLufs: measured.inputI,
+          truePeakDb: measured.inputTp,
+          loudnessRange: measured.inputLra,
+          thresholdLufs: measured.inputThresh
+        },
+        ...output && {
+          output: {
+            integratedLufs: output.outputI,
+            truePeakDb: output.outputTp,
+            loudnessRange: output.outputLra
+          },
+          normalizationType: output.normalizationType
+        },
+        targetOffset: measured.targetOffset
+      });
+    } catch (error) {
+      console.warn(`Loudness normalization failed for segment ${i}, stitching it as is: ${error.message}`);
+      files.push(localSegments[i]);
+      segments.push({ index: i, normalized: false, error: error.message });
+    }
+  }
+
+  return { files, metadata: { target, segments } };
+}
+
+async function probeSegments(localSegments) {
+  const segmentInfo = [];
+  for (const segmentPath of localSegments) {
+    try {
+      const info = await getVideoInfo(segmentPath);
+      const videoStream = info.streams?.find(stream => stream.codec_type === 'video') || {};
+      segmentInfo.push({
+        durationSeconds: parseFloat(info.format?.duration) || 0,
+        width: videoStream.width || 0,
+        height: videoStream.height || 0,
+        frameRate: videoStream.r_frame_rate || '30',
+        hasAudio: info.streams?.some(stream => stream.codec_type === 'audio') || false
+      });
+    } catch (error) {
+      console.warn(`Could not probe ${segmentPath}: ${error.message}`);
+      segmentInfo.push({ durationSeconds: 0, width: 0, height: 0, frameRate: '30', hasAudio: false });
+    }
+  }
+  return segmentInfo;
+}
+
+// Segment files are stitched in the order the segments were extracted, so the probed durations tell
+// where each one begins on the clip timeline
+async function createCaptions({ bucketName, tenantId, episodeId, clipId, segments, durationsMs, overlapMs, leadInMs = 0, tempDir }) {
+  if (!Array.isArray(segments) || segments.length !== durationsMs.length) {
+    console.warn(`Segment timings for clip ${clipId} do not match its segment files; skipping captions`);
+    return null;
+  }
+
+  const cues = await loadEpisodeTranscript(tenantId, episodeId);
+  if (!cues.length) {
+    console.warn(`No transcript found for episode ${episodeId}; skipping captions`);
+    return null;
+  }
+
+  const captionCues = buildClipCaptions(cues, segments, durationsMs, { overlapMs });
+  if (!captionCues.length) {
+    console.warn(`No transcript cues fall inside clip ${clipId}; skipping captions`);
+    return null;
+  }
+
+  // Sidecar files follow the delivered clip, intro bumper included; burned-in captions are drawn on the footage alone
+  const sidecarCues = captionCues.map(cue => ({ ...cue, startMs: cue.startMs + leadInMs, endMs: cue.endMs + leadInMs }));
+  const srt = await uploadClipCaptions(bucketName, episodeId, clipId, 'srt', formatSrt(sidecarCues), tenantId);
+  const vtt = await uploadClipCaptions(bucketName, episodeId, clipId, 'vtt', formatVtt(sidecarCues), tenantId);
+
+  // Burned-in captions show only what was said; the speaker labels stay in the sidecar files
+  const burnFile = join(tempDir, 'captions.srt');
+  await fs.writeFile(burnFile, formatSrt(captionCues.map(cue => ({ ...cue, speaker: null }))));
+
+  return {
+    srtKey: srt.s3Key,
+    vttKey: vtt.s3Key,
+    cueCount: captionCues.length,
+    burnFile
+  };
+}
+
+// A target that matches the stitched clip's aspect ratio points at clip.mp4 instead of re-encoding it
+async function createRenditions({ bucketName, tenantId, episodeId, clipId, sourceFile, sourceKey, sourceMetadata, clipMetadata, targets, captionsFile, brandingAssets, tempDir, ffmpegVersion }) {
+  const renditions = [];
+
+  for (const target of targets) {
+    if (target.burnCaptions && !captionsFile) {
+      console.warn(`Skipping captioned ${target.aspectRatio} rendition of clip ${clipId}: no captions available`);
+      continue;
+    }
+
+    if (!target.burnCaptions && matchesAspectRatio(sourceMetadata.width, sourceMetadata.height, target.aspectRatio)) {
+      renditions.push({
+        aspectRatio: target.aspectRatio,
+        fit: target.fit,
+        s3Key: sourceKey,
+        width: clipMetadata.width,
+        height: clipMetadata.height,
+        resolution: clipMetadata.resolution,
+        fileSize: clipMetadata.fileSize,
+        duration: clipMetadata.duration
+      });
+      continue;
+    }
+
+    const renditionFile = join(tempDir, `${clipId}_${target.aspectRatio.replace(':', 'x')}${target.burnCaptions ? '_captioned' : ''}.mp4`);
+    const videoFilter = [
+      buildReframeFilter(sourceMetadata, target),
+      ...target.burnCaptions ? [buildCaptionFilter(captionsFile, target.aspectRatio)] : []
+    ].join(',');
+    if (brandingAssets) {
+      await renderBranded(sourceFile, renditionFile, brandingAssets, sourceMetadata, { ...RENDER_TARGETS[target.aspectRatio], mainFilter: videoFilter });
+    } else {
+      await renderRendition(sourceFile, renditionFile, videoFilter);
+    }
+
+    const renditionMetadata = await extractVideoMetadata(renditionFile);
+    const uploadResult = await uploadClipRendition(bucketName, episodeId, clipId, target, renditionFile, {
+      ...renditionMetadata,
+      sourceResolution: sourceMetadata.resolution,
+      ffmpegVersion
+    }, tenantId);
+
+    renditions.push({
+      aspectRatio: target.aspectRatio,
+      fit: target.fit,
+      ...target.burnCaptions && { burnCaptions: true },
+      s3Key: uploadResult.s3Key,
+      width: renditionMetadata.width,
+      height: renditionMetadata.height,
+      resolution: renditionMetadata.resolution,
+      fileSize: uploadResult.fileSize,
+      duration: renditionMetadata.duration
+    });
+
+    await fs.unlink(renditionFile);
+  }
+
+  return renditions;
+}
+
+// Branding assets that cannot be fetched or read are left out rather than failing the clip
+async function prepareBranding(branding, bucketName, tempDir) {
+  if (!branding) return null;
+
+  const assets = { watermark: branding.watermark };
+  for (const [name, key] of [['intro', branding.introKey], ['outro', branding.outroKey], ['logo', branding.logoKey]]) {
+    if (!key) continue;
+
+    const file = join(tempDir, `branding_${key.split('/').pop()}`);
+    try {
+      await downloadVideoFile(bucketName, key, file);
+      if (name === 'logo') {
+        assets.logo = { file };
+        continue;
+      }
+
+      const info = await getVideoInfo(file);
+      const durationSeconds = parseFloat(info.format?.duration) || 0;
+      if (!durationSeconds || !info.streams?.some(stream => stream.codec_type === 'video')) {
+        throw new Error('no playable video');
+      }
+      assets[name] = { file, durationSeconds, hasAudio: info.streams.some(stream => stream.codec_type === 'audio') };
+    } catch (error) {
+      console.warn(`Leaving out branding ${name} ${key}: ${error.message}`);
+    }
+  }
+
+  return assets.intro || assets.outro || assets.logo ? assets : null;
+}
+
+async function renderBranded(footageFile, outputFile, assets, footageMetadata, { width, height, mainFilter }) {
+  const graph = buildBrandingFilterGraph({
+    width,
+    height,
+    frameRate: footageMetadata.frameRate,
+    mainFilter,
+    main: { durationSeconds: footageMetadata.durationSeconds, hasAudio: footageMetadata.hasAudio },
+    intro: assets.intro,
+    outro: assets.outro,
+    logo: !!assets.logo,
+    watermark: assets.watermark
+  });
+  const files = { main: footageFile, intro: assets.intro?.file, outro: assets.outro?.file, logo: assets.logo?.file };
+  await renderFilterGraph(graph.inputs.map(name => files[name]), outputFile, graph);
+}
+
+// Previews are a convenience for reviewers, so a clip without them is still delivered
+async function createPreviews({ bucketName, tenantId, episodeId, clipId, sourceFile, durationSeconds, frameCount, tempDir }) {
+  if (!durationSeconds) {
+    console.warn(`Unknown duration for clip ${clipId}; skipping previews`);
+    return null;
+  }
+
+  try {
+    const scores = parseSceneScores(await detectSceneScores(sourceFile));
+    const selection = selectPreviewFrames(scores, durationSeconds, frameCount);
+
+    const thumbnailFile = join(tempDir, 'thumbnail.jpg');
+    await extractFrame(sourceFile, thumbnailFile, selection.thumbnail);
+    const thumbnail = await uploadClipPreview(bucketName, episodeId, clipId, 'thumbnail', thumbnailFile, tenantId);
+
+    for (let i = 0; i < selection.frames.length; i++) {
+      await extractFrame(sourceFile, join(tempDir, `frame_${String(i).padStart(2, '0')}.jpg`), selection.frames[i], { width: 320 });
+    }
+    const contactSheetFile = join(tempDir, 'contact-sheet.jpg');
+    await renderContactSheet(join(tempDir, 'frame_%02d.jpg'), contactSheetFile, contactSheetGrid(selection.frames.length));
+    const contactSheet = await uploadClipPreview(bucketName, episodeId, clipId, 'contact-sheet', contactSheetFile, tenantId);
+
+    // Not every FFmpeg build has libwebp; GIF always works
+    let previewFile = join(tempDir, 'preview.webp');
+    try {
+      await renderAnimatedPreview(sourceFile, previewFile, selection.preview.startSeconds, selection.preview.durationSeconds);
+    } catch (error) {
+      console.warn(`Could not render a WebP preview for clip ${clipId}, using GIF: ${error.message}`);
+      previewFile = join(tempDir, 'preview.gif');
+      await renderAnimatedPreview(sourceFile, previewFile, selection.preview.startSeconds, selection.preview.durationSeconds);
+    }
+    const preview = await uploadClipPreview(bucketName, episodeId, clipId, 'preview', previewFile, tenantId);
+
+    return {
+      thumbnailS3Key: thumbnail.s3Key,
+      contactSheetS3Key: contactSheet.s3Key,
+      previewS3Key: preview.s3Key,
+      selection
+    };
+  } catch (error) {
+    console.warn(`Failed to create previews for clip ${clipId}: ${error.message}`);
+    return null;
+  }
+}
+
 async function extractVideoMetadata(filePath) {
   try {
     const videoInfo = await getVideoInfo(filePath);
@@ -1,15 +1,23 @@
-import { loadHlsManifest, calculateChunkMapping, validateSegmentTiming, generateSegmentKey } from '../utils/video-processing.mjs';
-import { extractVideoSegment, createTempDir, cleanup, checkFFmpegAvailability, execFFmpeg } from '../utils/ffmpeg.mjs';
-import { downloadVideoFile, uploadSegmentFile, objectExists, verifySegmentIntegrity } from '../utils/s3-video.mjs';
-import { selectTrackForSpeaker } from '../utils/track-selection.mjs';
+import { loadHlsManifest, calculateChunkMapping, validateSegmentTiming, generateSegmentKey, timeToSeconds, secondsToTime } from '../utils/video-processing.mjs';
+import { extractVideoSegment, createTempDir, cleanup, checkFFmpegAvailability, execFFmpeg, detectSilence, renderFilterGraph, getVideoInfo } from '../utils/ffmpeg.mjs';
+import { getVideoFileUrl, createChunkSource, uploadSegmentFile, objectExists, verifySegmentIntegrity } from '../utils/s3-video.mjs';
+import { selectTrackForSpeaker, getTracksForEpisode } from '../utils/track-selection.mjs';
+import { DEFAULT_LAYOUT, selectLayoutTracks, buildCompositeFilterGraph } from '../utils/layouts.mjs';
+import { planSpeakerShots, buildShotConcatFilterGraph } from '../utils/speaker-switching.mjs';
+import { loadEpisodeTranscript } from '../utils/transcripts.mjs';
+import { loadSpeakerMap, applySpeakerMap, mapSpeaker } from '../utils/speaker-mapping.mjs';
+import { parseBoundaryTolerance, refineSegmentBoundaries } from '../utils/boundaries.mjs';
+import { describeCuts } from '../utils/cuts.mjs';
 import { join, dirname } from 'path';
 import { promises as fs } from 'fs';
 
+const SILENCE_WINDOW_MARGIN_SECONDS = 0.25;
+
 export const handler = async (event) => {
   let tempDir = null;
 
   try {
-    const { tenantId, episodeId, trackName = 'main', clipId, segments } = event;
+    const { tenantId, episodeId, trackName = 'main', clipId, revision = 1, segments, layout = DEFAULT_LAYOUT } = event;
 
     if (!tenantId) {
       console.error('Missing tenantId in event');
@@ -31,10 +39,27 @@ export const handler = async (event) => {
     const ffmpegVersion = await checkFFmpegAvailability();
     tempDir = await createTempDir('segment-extraction-');
     const segmentFiles = [];
+    const refinedSegments = [];
     const bucketName = process.env.BUCKET_NAME;
+    const toleranceMs = parseBoundaryTolerance(process.env.BOUNDARY_TOLERANCE_MS);
+    // Clips detected from a machine transcript name speakers by diarization label until the labels are mapped
+    const speakerMap = await loadSpeakerMap(tenantId, episodeId);
+    const cues = applySpeakerMap(await loadEpisodeTranscript(tenantId, episodeId, { mapSpeakers: false }), speakerMap);
+    const episodeTracks = await getTracksForEpisode(episodeId, tenantId);
+    const offsetFor = (name) => episodeTracks.find(t => t.trackName === name)?.offsetSeconds ?? 0;
+
+    const manifests = new Map();
+    const loadManifest = async (name) => {
+      if (!manifests.has(name)) {
+        manifests.set(name, await loadHlsManifest(episodeId, name, tenantId));
+      }
+      return manifests.get(name);
+    };
 
+    // Plan every segment before cutting anything, so chunks shared by segments, shots and tracks are fetched once
+    const plans = [];
     for (let segmentIndex = 0; segmentIndex < segments.length; segmentIndex++) {
-      const segment = segments[segmentIndex];
+      const segment = { ...segments[segmentIndex], speaker: mapSpeaker(segments[segmentIndex].speaker, speakerMap) };
 
       // Simple track selection: if segment has a speaker, try to find their track
       let useTrackName = trackName;
@@ -50,14 +75,35 @@ export const handler = async (event) => {
         }
       }
 
-      const manifest = await loadHlsManifest(episodeId, useTrackName, tenantId);
-      const chunkMappings = calculateChunkMapping(segment, manifest.segments);
+      const manifest = await loadManifest(useTrackName);
+      const refinedSegment = await refineSegment(segment, manifest.segments, offsetFor(useTrackName), cues, toleranceMs, bucketName);
 
-      if (chunkMappings.length === 0) {
-        throw new Error(`No chunks found for segment ${segmentIndex} (${segment.startTime} - ${segment.endTime})`);
+      let plan;
+      if (layout.type !== 'single') {
+        const composite = selectLayoutTracks(layout, episodeTracks, segment.speaker);
+        if (!composite) {
+          console.warn(`Not enough tracks for a ${layout.type} layout in segment ${segmentIndex}, using '${useTrackName}' alone`);
+        }
+        const layoutTracks = composite?.tracks ?? [useTrackName];
+        refinedSegments.push({ ...refinedSegment, layoutTracks });
+        plan = {
+          type: 'composite',
+          audioIndex: composite?.audioIndex ?? 0,
+          windows: layoutTracks.map(name => ({ trackName: name, startTime: refinedSegment.startTime, endTime: refinedSegment.endTime }))
+        };
+      } else {
+        const shots = planSpeakerShots(refinedSegment, cues, episodeTracks, { defaultTrack: useTrackName });
+        if (shots.length > 1) {
+          refinedSegments.push({ ...refinedSegment, shots });
+          console.log(`Switching between ${shots.length} speaker shots in segment ${segmentIndex}`);
+          plan = { type: 'speaker-switch', windows: shots.map(({ trackName: name, startTime, endTime }) => ({ trackName: name, startTime, endTime })) };
+        } else {
+          refinedSegments.push(refinedSegment);
+          plan = { type: 'single', windows: [{ trackName: useTrackName, startTime: refinedSegment.startTime, endTime: refinedSegment.endTime }] };
+        }
       }
 
-      const segmentS3Key = generateSegmentKey(episodeId, clipId, segmentIndex, tenantId);
+      const segmentS3Key = generateSegmentKey(episodeId, clipId, segmentIndex, tenantId, revision);
       segmentFiles.push(segmentS3Key);
 
       const segmentExists = await objectExists(bucketName, segmentS3Key);
@@ -65,17 +111,31 @@ export const handler = async (event) => {
         continue;
       }
 
-      if (chunkMappings.length === 1) {
-        await extractSingleChunkSegment(chunkMappings[0], segmentS3Key, bucketName, tempDir, segmentIndex, episodeId, clipId);
-      } else {
-        await extractMultiChunkSegment(chunkMappings, segmentS3Key, bucketName, tempDir, segmentIndex, episodeId, clipId);
+      for (const window of plan.windows) {
+        const { segments: hlsSegments } = await loadManifest(window.trackName);
+        window.chunkMappings = calculateChunkMapping(window, hlsSegments, { offsetSeconds: offsetFor(window.trackName) });
+        if (window.chunkMappings.length === 0) {
+          throw new Error(`No chunks found on track '${window.trackName}' for segment ${segmentIndex} (${window.startTime} - ${window.endTime})`);
+        }
       }
+      plans.push({ ...plan, segmentIndex, segmentS3Key });
+    }
+
+    const chunkSource = createChunkSource(bucketName, tempDir,
+      plans.flatMap(plan => plan.windows.flatMap(window => window.chunkMappings.map(mapping => mapping.s3Key))));
+    for (const plan of plans) {
+      await extractPlannedSegment(plan, layout, chunkSource, bucketName, tempDir, episodeId, clipId, tenantId, revision);
+    }
+    if (plans.length) {
+      const { streamed, downloaded } = chunkSource.stats();
+      console.log(`Extracted ${plans.length} segments: streamed ${streamed} chunk windows, downloaded ${downloaded} shared chunks`);
     }
 
     return {
       episodeId,
       clipId,
       segmentFiles,
+      segments: refinedSegments,
       totalSegments: segments.length,
       status: 'completed',
       ffmpegVersion
@@ -91,56 +151,161 @@ export const handler = async (event) => {
   }
 };
 
-async function extractSingleChunkSegment(chunkMapping, segmentS3Key, bucketName, tempDir, segmentIndex, episodeId, clipId) {
-  const chunkLocalPath = join(tempDir, `chunk_${segmentIndex}.mp4`);
+async function refineSegment(segment, hlsSegments, offsetSeconds, cues, toleranceMs, bucketName) {
+  const original = { originalStartTime: segment.startTime, originalEndTime: segment.endTime };
+  if (!toleranceMs) {
+    return { ...segment, ...original, startSnappedTo: null, endSnappedTo: null };
+  }
+
+  const silences = [];
+  for (const edge of [segment.startTime, segment.endTime]) {
+    silences.push(...await findSilencesAround(timeToSeconds(edge), toleranceMs / 1000, hlsSegments, offsetSeconds, bucketName));
+  }
+
+  const refined = refineSegmentBoundaries(segment, { cues, silences, toleranceMs });
+  if (refined.startTime !== segment.startTime || refined.endTime !== segment.endTime) {
+    console.log(`Refined segment ${segment.startTime} - ${segment.endTime} to ${refined.startTime} - ${refined.endTime} (start: ${refined.startSnappedTo}, end: ${refined.endSnappedTo})`);
+  }
+
+  return { ...segment, ...refined, ...original };
+}
+
+// The window reaches past the tolerance so silences cut off by the window edge cannot pose as speech edges
+async function findSilencesAround(edgeSeconds, toleranceSeconds, hlsSegments, offsetSeconds, bucketName) {
+  const reach = toleranceSeconds + SILENCE_WINDOW_MARGIN_SECONDS;
+
+  try {
+    const chunkMappings = calculateChunkMapping({
+      startTime: secondsToTime(Math.max(0, edgeSeconds - reach)),
+      endTime: secondsToTime(edgeSeconds + reach)
+    }, hlsSegments, { offsetSeconds });
+
+    const silences = [];
+    for (const chunkMapping of chunkMappings) {
+      const intervals = await detectSilence(await getVideoFileUrl(bucketName, chunkMapping.s3Key), {
+        startOffset: chunkMapping.startOffset,
+        duration: chunkMapping.duration
+      });
+      // Silences are found in track time and compared with cues in episode time
+      silences.push(...intervals.map(interval => ({
+        startMs: Math.round((chunkMapping.chunkStart + interval.start - offsetSeconds) * 1000),
+        endMs: Math.round((chunkMapping.chunkStart + interval.end - offsetSeconds) * 1000)
+      })));
+    }
+
+    // A pause that straddles two chunks is reported once per chunk
+    return silences.reduce((merged, silence) => {
+      const previous = merged[merged.length - 1];
+      if (previous && silence.startMs - previous.endMs <= 50) {
+        previous.endMs = Math.max(previous.endMs, silence.endMs);
+      } else {
+        merged.push({ ...silence });
+      }
+      return merged;
+    }, []);
+  } catch (error) {
+    console.warn(`Silence detection failed around ${edgeSeconds}s, using transcript cues only: ${error.message}`);
+    return [];
+  }
+}
+
+async function extractPlannedSegment(plan, layout, chunkSource, bucketName, tempDir, episodeId, clipId, tenantId, revision) {
+  const { type, windows, segmentIndex, segmentS3Key } = plan;
+  const windowParts = [];
+  const cuts = [];
   const segmentLocalPath = join(tempDir, `segment_${segmentIndex}.mp4`);
 
   try {
-    await downloadVideoFile(bucketName, chunkMapping.s3Key, chunkLocalPath);
-    await extractVideoSegment(chunkLocalPath, segmentLocalPath, chunkMapping.startOffset, chunkMapping.duration);
-    const uploadResult = await uploadSegmentFile(bucketName, episodeId, clipId, segmentIndex, segmentLocalPath, {
-      'extraction-type': 'single-chunk',
-      'source-chunk': chunkMapping.filename,
-      'start-offset': chunkMapping.startOffset.toString(),
-      'duration': chunkMapping.duration.toString()
-    }, tenantId);
+    for (let w = 0; w < windows.length; w++) {
+      const windowLocalPath = join(tempDir, `window_${segmentIndex}_${w}.mp4`);
+      cuts.push(...await extractTrackWindow(windows[w].chunkMappings, windowLocalPath, chunkSource, tempDir, `${segmentIndex}_${w}`));
+      windowParts.push(windowLocalPath);
+    }
+
+    let metadata;
+    if (type === 'composite') {
+      // Every track is cut to the same time range, then the layout filter graph composites them into one segment
+      await renderFilterGraph(windowParts, segmentLocalPath, buildCompositeFilterGraph(layout, windowParts.length, { audioIndex: plan.audioIndex }));
+      metadata = {
+        'extraction-type': 'composite',
+        'layout': layout.type,
+        'tracks': windows.map(w => w.trackName).join(','),
+        'total-duration': windows[0].chunkMappings.reduce((sum, m) => sum + m.duration, 0).toString()
+      };
+    } else if (type === 'speaker-switch') {
+      // Each shot is cut from its speaker's track, then the shots are joined back into one segment file
+      const info = await getVideoInfo(windowParts[0]);
+      const videoStream = info.streams?.find(stream => stream.codec_type === 'video');
+      if (!videoStream) {
+        throw new Error(`No video stream in the first shot of segment ${segmentIndex}`);
+      }
+
+      await renderFilterGraph(windowParts, segmentLocalPath, buildShotConcatFilterGraph(windowParts.length, {
+        width: videoStream.width,
+        height: videoStream.height
+      }));
+      metadata = {
+        'extraction-type': 'speaker-switch',
+        'tracks': windows.map(w => w.trackName).join(','),
+        'shot-count': windows.length.toString()
+      };
+    } else {
+      const [{ chunkMappings }] = windows;
+      await fs.rename(windowParts[0], segmentLocalPath);
+      metadata = chunkMappings.length === 1
+        ? {
+          'extraction-type': 'single-chunk',
+          'source-chunk': chunkMappings[0].filename,
+          'start-offset': chunkMappings[0].startOffset.toString(),
+          'duration': chunkMappings[0].duration.toString()
+        }
+        : {
+          'extraction-type': 'multi-chunk',
+          'source-chunks': chunkMappings.map(m => m.filename).join(','),
+          'chunk-count': chunkMappings.length.toString(),
+          'total-duration': chunkMappings.reduce((sum, m) => sum + m.duration, 0).toString()
+        };
+    }
+
+    const uploadResult = await uploadSegmentFile(bucketName, episodeId, clipId, segmentIndex, segmentLocalPath, { ...metadata, ...describeCuts(cuts) }, tenantId, revision);
     await verifySegmentIntegrity(bucketName, segmentS3Key, uploadResult.fileSize);
   } finally {
-    await cleanup(chunkLocalPath);
+    for (const windowPath of windowParts) {
+      await cleanup(windowPath);
+    }
     await cleanup(segmentLocalPath);
   }
 }
 
-async function extractMultiChunkSegment(chunkMappings, segmentS3Key, bucketName, tempDir, segmentIndex, episodeId, clipId) {
+// Cut one time window out of a track's chunks into a local file, returning how each chunk was cut
+async function extractTrackWindow(chunkMappings, outputPath, chunkSource, tempDir, label) {
   const chunkParts = [];
-  const segmentLocalPath = join(tempDir, `segment_${segmentIndex}.mp4`);
+  const cuts = [];
 
   try {
     for (let i = 0; i < chunkMappings.length; i++) {
-      const chunkMapping = chunkMappings[i];
-      const chunkLocalPath = join(tempDir, `chunk_${segmentIndex}_${i}.mp4`);
-      const partLocalPath = join(tempDir, `part_${segmentIndex}_${i}.mp4`);
-
-      await downloadVideoFile(bucketName, chunkMapping.s3Key, chunkLocalPath);
-      await extractVideoSegment(chunkLocalPath, partLocalPath, chunkMapping.startOffset, chunkMapping.duration);
-      chunkParts.push(partLocalPath);
-      await cleanup(chunkLocalPath);
+      const partLocalPath = join(tempDir, `part_${label}_${i}.mp4`);
+      try {
+        const input = await chunkSource.open(chunkMappings[i].s3Key);
+        cuts.push(await extractVideoSegment(input, partLocalPath, chunkMappings[i].startOffset, chunkMappings[i].duration));
+        chunkParts.push(partLocalPath);
+      } finally {
+        await chunkSource.release(chunkMappings[i].s3Key);
+      }
     }
 
-    await concatenateVideoParts(chunkParts, segmentLocalPath);
-    const uploadResult = await uploadSegmentFile(bucketName, episodeId, clipId, segmentIndex, segmentLocalPath, {
-      'extraction-type': 'multi-chunk',
-      'source-chunks': chunkMappings.map(m => m.filename).join(','),
-      'chunk-count': chunkMappings.length.toString(),
-      'total-duration': chunkMappings.reduce((sum, m) => sum + m.duration, 0).toString()
-    }, tenantId);
-    await verifySegmentIntegrity(bucketName, segmentS3Key, uploadResult.fileSize);
+    if (chunkParts.length === 1) {
+      await fs.rename(chunkParts.pop(), outputPath);
+    } else {
+      await concatenateVideoParts(chunkParts, outputPath);
+    }
   } finally {
     for (const partPath of chunkParts) {
       await cleanup(partPath);
     }
-    await cleanup(segmentLocalPath);
   }
+
+  return cuts;
 }
 
 async function concatenateVideoParts(partPaths, outputPath) {
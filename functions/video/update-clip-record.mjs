@@ -5,19 +5,28 @@ const client = new DynamoDBClient({ region: process.env.AWS_REGION });
 const docClient = DynamoDBDocumentClient.from(client);
 
 export const handler = async (event) => {
+  const { tenantId, episodeId, clipId } = event;
+
   try {
     const {
-      episodeId,
-      clipId,
       clipS3Key,
       fileSize,
       status = 'processed',
       processingStartTime,
       processingMetadata = {},
       duration,
+      renditions,
+      captions,
+      previews,
+      refinedSegments,
       error: processingError
     } = event;
 
+    if (!tenantId) {
+      console.error('Missing tenantId in event');
+      throw new Error('Unauthorized');
+    }
+
     if (!episodeId || !clipId) {
       throw new Error('Missing required parameters: episodeId, clipId');
     }
@@ -34,9 +43,10 @@ export const handler = async (event) => {
     const updateParams = {
       TableName: process.env.TABLE_NAME,
       Key: {
-        pk: episodeId,
+        pk: `${tenantId}#${episodeId}`,
         sk: `clip#${clipId}`
       },
+      ConditionExpression: 'attribute_exists(pk) AND attribute_exists(sk)',
       UpdateExpression: 'SET #status = :status, #updatedAt = :updatedAt',
       ExpressionAttributeNames: {
         '#status': 'status',
@@ -66,6 +76,35 @@ export const handler = async (event) => {
       updateParams.ExpressionAttributeValues[':duration'] = duration;
     }
 
+    if (Array.isArray(renditions) && renditions.length > 0) {
+      updateParams.UpdateExpression += ', #renditions = :renditions';
+      updateParams.ExpressionAttributeNames['#renditions'] = 'renditions';
+      updateParams.ExpressionAttributeValues[':renditions'] = renditions;
+    }
+
+    if (captions) {
+      updateParams.UpdateExpression += ', #captions = :captions';
+      updateParams.ExpressionAttributeNames['#captions'] = 'captions';
+      updateParams.ExpressionAttributeValues[':captions'] = captions;
+    }
+
+    // Preview keys sit next to s3Key so listings can show a poster without loading the clip
+    if (previews) {
+      for (const name of ['thumbnailS3Key', 'contactSheetS3Key', 'previewS3Key']) {
+        if (previews[name]) {
+          updateParams.UpdateExpression += `, #${name} = :${name}`;
+          updateParams.ExpressionAttributeNames[`#${name}`] = name;
+          updateParams.ExpressionAttributeValues[`:${name}`] = previews[name];
+        }
+      }
+    }
+
+    if (Array.isArray(refinedSegments) && refinedSegments.length > 0) {
+      updateParams.UpdateExpression += ', #refinedSegments = :refinedSegments';
+      updateParams.ExpressionAttributeNames['#refinedSegments'] = 'refinedSegments';
+      updateParams.ExpressionAttributeValues[':refinedSegments'] = refinedSegments;
+    }
+
     if (status === 'processed') {
       updateParams.UpdateExpression += ', #processedAt = :processedAt';
       updateParams.ExpressionAttributeNames['#processedAt'] = 'processedAt';
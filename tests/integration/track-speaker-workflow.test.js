@@ -1,6 +1,8 @@
 // Integration tests for track-speaker management workflow
 // These tests validate the complete workflow from track creation to clip processing
 
+const { findTrackForSpeaker } = require('../../functions/utils/speaker-matching.mjs');
+
 describe('Track-Speaker Management Integration Tests', () => {
   describe('End-to-End Track Creation and Update Workflow', () => {
     // Test the complete workflow logic
@@ -143,12 +145,8 @@ describe('Track-Speaker Management Integration Tests', () => {
         warnings: []
       };
 
-      const selectTrackForSpeaker = (tracks, speaker) => {
-        return tracks.find(track => (track.speakers || []).includes(speaker)) || null;
-      };
-
       for (const segment of clipData.segments) {
-        const track = selectTrackForSpeaker(availableTracks, segment.speaker);
+        const track = findTrackForSpeaker(availableTracks, segment.speaker);
 
         processing.segments.push({
           ...segment,
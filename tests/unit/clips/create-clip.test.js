@@ -0,0 +1,196 @@
+// Unit tests for the manual clip creation endpoint
+// These tests validate segment schema and transcript checks, the stored clip and the render queue event
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBClient, GetItemCommand, PutItemCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { EventBridgeClient, PutEventsCommand } = require('@aws-sdk/client-eventbridge');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+const s3Mock = mockClient(S3Client);
+const ebMock = mockClient(EventBridgeClient);
+
+process.env.TABLE_NAME = 'test-table';
+process.env.BUCKET_NAME = 'test-bucket';
+
+const { handler } = require('../../../functions/clips/create-clip.mjs');
+const { createClipHash } = require('../../../functions/utils/clips.mjs');
+
+const transcript = [
+  '1',
+  '00:00:10,000 --> 00:00:20,000',
+  'Allen: Sometimes it\'s a breakthrough',
+  '',
+  '2',
+  '00:00:25,000 --> 00:00:40,000',
+  'Andres: We try it out live',
+  ''
+].join('\n');
+
+let episode = 0;
+let episodeId;
+
+const buildEvent = (body, overrides = {}) => ({
+  requestContext: { authorizer: { tenantId: 'tenant123', userId: 'user-1' } },
+  pathParameters: { episodeId },
+  body: JSON.stringify(body),
+  ...overrides
+});
+
+const storedClip = () => unmarshall(ddbMock.commandCalls(PutItemCommand)[0].args[0].input.Item);
+
+describe('Create Clip Handler', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+    s3Mock.reset();
+    ebMock.reset();
+    episodeId = `episode-${++episode}`;
+    ddbMock.on(GetItemCommand, { Key: marshall({ pk: `tenant123#${episodeId}`, sk: 'metadata' }) })
+      .resolves({ Item: marshall({ pk: `tenant123#${episodeId}`, sk: 'metadata', title: 'Live testing' }) });
+    ddbMock.on(PutItemCommand).resolves({});
+    s3Mock.on(GetObjectCommand).rejects(Object.assign(new Error('NoSuchKey'), { name: 'NoSuchKey' }));
+    s3Mock.on(GetObjectCommand, { Key: `tenant123/${episodeId}/transcript.srt` })
+      .resolves({ Body: { transformToString: async () => transcript } });
+    ebMock.on(PutEventsCommand).resolves({});
+  });
+
+  test('should return 401 when tenantId is missing', async () => {
+    const result = await handler(buildEvent({}, { requestContext: { authorizer: {} } }));
+
+    expect(result.statusCode).toBe(401);
+    expect(ddbMock.calls()).toHaveLength(0);
+  });
+
+  test('should reject segments that do not match the tool schema', async () => {
+    const result = await handler(buildEvent({
+      segments: [{ startTime: '1:00', endTime: '00:00:20', speaker: '', order: 0 }],
+      status: 'approved'
+    }));
+
+    expect(result.statusCode).toBe(400);
+    const body = JSON.parse(result.body);
+    expect(body.errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^segments\.0\.startTime: /),
+      expect.stringMatching(/^segments\.0\.speaker: /),
+      expect.stringMatching(/^segments\.0\.order: /),
+      expect.stringContaining('status')
+    ]));
+    expect(ddbMock.commandCalls(PutItemCommand)).toHaveLength(0);
+  });
+
+  test('should return 404 when the episode does not exist', async () => {
+    const result = await handler(buildEvent(
+      { segments: [{ startTime: '00:00:12', endTime: '00:00:18', speaker: 'Allen', order: 1 }] },
+      { pathParameters: { episodeId: 'missing' } }
+    ));
+
+    expect(result.statusCode).toBe(404);
+  });
+
+  test('should reject segments that do not match the transcript', async () => {
+    const result = await handler(buildEvent({
+      segments: [{ startTime: '00:00:26', endTime: '00:00:30', speaker: 'Allen', order: 1 }]
+    }));
+
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).errors).toEqual([
+      'Segment 1 (00:00:26 - 00:00:30): Allen does not speak in this window (speakers heard: Andres)'
+    ]);
+    expect(ddbMock.commandCalls(PutItemCommand)).toHaveLength(0);
+  });
+
+  test('should store a manual clip with snapped segments and queue it for rendering', async () => {
+    const result = await handler(buildEvent({
+      segments: [{ startTime: '00:00:22', endTime: '00:00:45', speaker: 'Andres', order: 1 }],
+      hook: ' Testing in production '
+    }));
+
+    expect(result.statusCode).toBe(201);
+    const item = storedClip();
+    expect(item).toMatchObject({
+      pk: `tenant123#${episodeId}`,
+      GSI1PK: 'tenant123#clips',
+      segments: [{ startTime: '00:00:25', endTime: '00:00:40', speaker: 'Andres', order: 1 }],
+      segmentCount: 1,
+      totalDurationSeconds: 15,
+      hook: 'Testing in production',
+      source: 'manual',
+      revision: 1,
+      createdBy: 'user-1',
+      status: 'pending'
+    });
+    expect(item.sk).toBe(`clip#${item.clipId}`);
+    expect(item.clipHash).toBe(createClipHash(item));
+    expect(item).not.toHaveProperty('ttl');
+
+    const body = JSON.parse(result.body);
+    expect(body).toMatchObject({ id: item.clipId, source: 'manual' });
+    expect(body).not.toHaveProperty('pk');
+
+    const [entry] = ebMock.commandCalls(PutEventsCommand)[0].args[0].input.Entries;
+    expect(entry.DetailType).toBe('Clip Queued');
+    expect(JSON.parse(entry.Detail)).toEqual({ tenantId: 'tenant123', episodeId, clipId: item.clipId });
+  });
+
+  test('should create the clip and queue it when the clip stats cannot be updated', async () => {
+    ddbMock.on(UpdateItemCommand).rejects(Object.assign(new Error('The document path provided in the update expression is invalid'), { name: 'ValidationException' }));
+    ddbMock.on(GetItemCommand, { Key: marshall({ pk: 'tenant123', sk: 'stats' }) }).rejects(new Error('Throttled'));
+
+    const result = await handler(buildEvent({
+      segments: [{ startTime: '00:00:12', endTime: '00:00:18', speaker: 'Allen', order: 1 }],
+      clipType: 'funny'
+    }));
+
+    expect(result.statusCode).toBe(201);
+    expect(storedClip().clipType).toBe('funny');
+    expect(ebMock.commandCalls(PutEventsCommand)).toHaveLength(1);
+  });
+
+  test('should store normalized render targets and reject invalid ones', async () => {
+    const segments = [{ startTime: '00:00:12', endTime: '00:00:18', speaker: 'Allen', order: 1 }];
+
+    const invalid = await handler(buildEvent({ segments, renderTargets: [{ aspectRatio: '4:3' }] }));
+    expect(invalid.statusCode).toBe(400);
+    expect(JSON.parse(invalid.body).errors).toEqual(['renderTargets aspectRatio must be one of 16:9, 9:16, 1:1']);
+    expect(ddbMock.commandCalls(PutItemCommand)).toHaveLength(0);
+
+    const result = await handler(buildEvent({ segments, renderTargets: ['9:16', { aspectRatio: '1:1', fit: 'pad' }] }));
+    expect(result.statusCode).toBe(201);
+    expect(storedClip().renderTargets).toEqual([{ aspectRatio: '9:16', fit: 'crop' }, { aspectRatio: '1:1', fit: 'pad' }]);
+  });
+
+  test('should store a validated transition', async () => {
+    const segments = [{ startTime: '00:00:12', endTime: '00:00:18', speaker: 'Allen', order: 1 }];
+
+    const invalid = await handler(buildEvent({ segments, transition: { type: 'crossfade', durationSeconds: 5 } }));
+    expect(invalid.statusCode).toBe(400);
+    expect(ddbMock.commandCalls(PutItemCommand)).toHaveLength(0);
+
+    const result = await handler(buildEvent({ segments, transition: { type: 'dip-to-black' } }));
+    expect(result.statusCode).toBe(201);
+    expect(storedClip().transition).toEqual({ type: 'dip-to-black', durationSeconds: 0.5 });
+  });
+
+  test('should store a validated layout', async () => {
+    const segments = [{ startTime: '00:00:12', endTime: '00:00:18', speaker: 'Allen', order: 1 }];
+
+    const invalid = await handler(buildEvent({ segments, layout: { type: 'grid' } }));
+    expect(invalid.statusCode).toBe(400);
+    expect(ddbMock.commandCalls(PutItemCommand)).toHaveLength(0);
+
+    const result = await handler(buildEvent({ segments, layout: { type: 'stacked', tracks: ['host ', 'guest'], audio: 'mix' } }));
+    expect(result.statusCode).toBe(201);
+    expect(storedClip().layout).toEqual({ type: 'stacked', audio: 'mix', tracks: ['host', 'guest'] });
+  });
+
+  test('should store segments as given when the episode has no transcript', async () => {
+    s3Mock.on(GetObjectCommand).rejects(Object.assign(new Error('NoSuchKey'), { name: 'NoSuchKey' }));
+
+    const segments = [{ startTime: '00:05:00', endTime: '00:05:30', speaker: 'Allen', order: 1 }];
+    const result = await handler(buildEvent({ segments }));
+
+    expect(result.statusCode).toBe(201);
+    expect(storedClip().segments).toEqual(segments);
+  });
+});
@@ -0,0 +1,82 @@
+// Unit tests for the get clip endpoint
+// These tests validate tenant-scoped keys and the returned clip shape
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBClient, GetItemCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+
+process.env.TABLE_NAME = 'test-table';
+
+const { handler } = require('../../../functions/clips/get-clip.mjs');
+
+const buildEvent = (overrides = {}) => ({
+  requestContext: { authorizer: { tenantId: 'tenant123' } },
+  pathParameters: { episodeId: 'episode-456', clipId: 'clip-789' },
+  ...overrides
+});
+
+describe('Get Clip Handler', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+  });
+
+  test('should return 401 when tenantId is missing', async () => {
+    const result = await handler(buildEvent({ requestContext: { authorizer: {} } }));
+
+    expect(result.statusCode).toBe(401);
+    expect(ddbMock.calls()).toHaveLength(0);
+  });
+
+  test('should return 404 when the clip does not exist', async () => {
+    ddbMock.on(GetItemCommand).resolves({});
+
+    const result = await handler(buildEvent());
+
+    expect(result.statusCode).toBe(404);
+    expect(JSON.parse(result.body).message).toBe("Clip 'clip-789' not found for episode 'episode-456'");
+  });
+
+  test('should look up the clip with a tenant-prefixed key', async () => {
+    ddbMock.on(GetItemCommand).resolves({});
+
+    await handler(buildEvent());
+
+    const key = unmarshall(ddbMock.commandCalls(GetItemCommand)[0].args[0].input.Key);
+    expect(key).toEqual({ pk: 'tenant123#episode-456', sk: 'clip#clip-789' });
+  });
+
+  test('should return the clip without storage keys', async () => {
+    ddbMock.on(GetItemCommand).resolves({
+      Item: marshall({
+        pk: 'tenant123#episode-456',
+        sk: 'clip#clip-789',
+        GSI1PK: 'tenant123#clips',
+        GSI1SK: '2025-01-15T10:30:00Z#episode-456#clip-789',
+        clipId: 'clip-789',
+        status: 'processed',
+        hook: 'Why we let our AI agent go rogue',
+        ttl: 1234567890
+      })
+    });
+
+    const result = await handler(buildEvent());
+
+    expect(result.statusCode).toBe(200);
+    expect(JSON.parse(result.body)).toEqual({
+      id: 'clip-789',
+      clipId: 'clip-789',
+      status: 'processed',
+      hook: 'Why we let our AI agent go rogue'
+    });
+  });
+
+  test('should return 500 when the lookup fails', async () => {
+    ddbMock.on(GetItemCommand).rejects(new Error('DynamoDB unavailable'));
+
+    const result = await handler(buildEvent());
+
+    expect(result.statusCode).toBe(500);
+  });
+});
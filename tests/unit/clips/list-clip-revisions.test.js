@@ -0,0 +1,60 @@
+// Unit tests for the clip revision history endpoint
+// These tests validate tenant-scoped revision queries and the returned history
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBClient, GetItemCommand, QueryCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+
+process.env.TABLE_NAME = 'test-table';
+
+const { handler } = require('../../../functions/clips/list-clip-revisions.mjs');
+
+const event = {
+  requestContext: { authorizer: { tenantId: 'tenant123' } },
+  pathParameters: { episodeId: 'episode-456', clipId: 'clip-789' }
+};
+
+describe('List Clip Revisions Handler', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+  });
+
+  test('should return 404 when the clip does not exist', async () => {
+    ddbMock.on(GetItemCommand).resolves({});
+
+    const result = await handler(event);
+
+    expect(result.statusCode).toBe(404);
+    expect(ddbMock.commandCalls(QueryCommand)).toHaveLength(0);
+  });
+
+  test('should list the segment edits of the clip newest first', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: marshall({ pk: 'tenant123#episode-456', sk: 'clip#clip-789', clipId: 'clip-789', revision: 2 }) });
+    ddbMock.on(QueryCommand).resolves({
+      Items: [marshall({
+        pk: 'tenant123#episode-456',
+        sk: 'clip-revision#clip-789#0002',
+        clipId: 'clip-789',
+        revision: 2,
+        segments: [{ startTime: '00:01:00', endTime: '00:01:45', speaker: 'Allen', order: 1 }],
+        previousSegments: [{ startTime: '00:01:00', endTime: '00:01:30', speaker: 'Allen', order: 1 }],
+        editedBy: 'user-1',
+        editedAt: '2026-10-19T00:00:00.000Z'
+      })]
+    });
+
+    const result = await handler(event);
+
+    expect(result.statusCode).toBe(200);
+    const body = JSON.parse(result.body);
+    expect(body).toMatchObject({ clipId: 'clip-789', revision: 2, count: 1 });
+    expect(body.items[0]).toMatchObject({ revision: 2, editedBy: 'user-1' });
+    expect(body.items[0]).not.toHaveProperty('pk');
+
+    const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+    expect(input.ScanIndexForward).toBe(false);
+    expect(unmarshall(input.ExpressionAttributeValues)).toEqual({ ':pk': 'tenant123#episode-456', ':sk': 'clip-revision#clip-789#' });
+  });
+});
@@ -0,0 +1,115 @@
+// Unit tests for the list clips endpoint
+// These tests validate tenant-scoped queries, the status filter and encrypted pagination tokens
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBClient, QueryCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+
+process.env.TABLE_NAME = 'test-table';
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+const { handler } = require('../../../functions/clips/list-clips.mjs');
+const { encrypt } = require('../../../functions/utils/encoding.mjs');
+
+const buildEvent = (queryStringParameters = null, overrides = {}) => ({
+  requestContext: { authorizer: { tenantId: 'tenant123' } },
+  pathParameters: { episodeId: 'episode-456' },
+  queryStringParameters,
+  ...overrides
+});
+
+const clipItem = (clipId, status = 'pending') => marshall({
+  pk: 'tenant123#episode-456',
+  sk: `clip#${clipId}`,
+  GSI1PK: 'tenant123#clips',
+  GSI1SK: `2025-01-15T10:30:00Z#episode-456#${clipId}`,
+  clipId,
+  status,
+  ttl: 1234567890
+});
+
+const queryInput = () => ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+
+describe('List Clips Handler', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+  });
+
+  test('should return 401 when tenantId is missing', async () => {
+    const result = await handler(buildEvent(null, { requestContext: { authorizer: {} } }));
+
+    expect(result.statusCode).toBe(401);
+    expect(ddbMock.calls()).toHaveLength(0);
+  });
+
+  test('should query the clips of the episode with a tenant-prefixed key', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [clipItem('clip-1'), clipItem('clip-2')] });
+
+    const result = await handler(buildEvent());
+
+    expect(result.statusCode).toBe(200);
+    const body = JSON.parse(result.body);
+    expect(body).toEqual({
+      items: [
+        { id: 'clip-1', clipId: 'clip-1', status: 'pending' },
+        { id: 'clip-2', clipId: 'clip-2', status: 'pending' }
+      ],
+      count: 2
+    });
+
+    const input = queryInput();
+    expect(input.KeyConditionExpression).toBe('pk = :pk AND begins_with(sk, :sk)');
+    expect(unmarshall(input.ExpressionAttributeValues)).toEqual({ ':pk': 'tenant123#episode-456', ':sk': 'clip#' });
+    expect(input.FilterExpression).toBeUndefined();
+    expect(input.Limit).toBe(20);
+  });
+
+  test('should filter by status', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [clipItem('clip-1', 'approved')] });
+
+    await handler(buildEvent({ status: 'approved' }));
+
+    const input = queryInput();
+    expect(input.FilterExpression).toBe('#status = :status');
+    expect(input.ExpressionAttributeNames).toEqual({ '#status': 'status' });
+    expect(unmarshall(input.ExpressionAttributeValues)[':status']).toBe('approved');
+  });
+
+  test('should clamp the limit between 1 and 50', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+
+    await handler(buildEvent({ limit: '500' }));
+    await handler(buildEvent({ limit: '0' }));
+
+    const limits = ddbMock.commandCalls(QueryCommand).map(c => c.args[0].input.Limit);
+    expect(limits).toEqual([50, 1]);
+  });
+
+  test('should return an encrypted nextToken that resumes the query', async () => {
+    const lastKey = { pk: 'tenant123#episode-456', sk: 'clip#clip-1' };
+    ddbMock.on(QueryCommand)
+      .resolvesOnce({ Items: [clipItem('clip-1')], LastEvaluatedKey: marshall(lastKey) })
+      .resolves({ Items: [clipItem('clip-2')] });
+
+    const first = JSON.parse((await handler(buildEvent({ limit: '1' }))).body);
+    expect(first.nextToken).toEqual(expect.any(String));
+    expect(first.nextToken).not.toContain('clip#clip-1');
+
+    const second = JSON.parse((await handler(buildEvent({ limit: '1', nextToken: first.nextToken }))).body);
+    expect(second.nextToken).toBeUndefined();
+
+    const resumed = ddbMock.commandCalls(QueryCommand)[1].args[0].input;
+    expect(unmarshall(resumed.ExclusiveStartKey)).toEqual(lastKey);
+  });
+
+  test('should start from the beginning when the nextToken is invalid', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+
+    const result = await handler(buildEvent({ nextToken: encrypt('not json').slice(0, -4) }));
+
+    expect(result.statusCode).toBe(200);
+    expect(queryInput().ExclusiveStartKey).toBeUndefined();
+  });
+});
@@ -0,0 +1,133 @@
+// Unit tests for the clip review endpoint
+// These tests validate status transition enforcement and tenant-scoped keys
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBClient, GetItemCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+
+process.env.TABLE_NAME = 'test-table';
+
+const { handler } = require('../../../functions/clips/review-clip.mjs');
+
+const buildEvent = (body, overrides = {}) => ({
+  requestContext: { authorizer: { tenantId: 'tenant123', userId: 'user-1' } },
+  pathParameters: { episodeId: 'episode-456', clipId: 'clip-789' },
+  body: JSON.stringify(body),
+  ...overrides
+});
+
+const storedClip = (status) => marshall({
+  pk: 'tenant123#episode-456',
+  sk: 'clip#clip-789',
+  GSI1PK: 'tenant123#clips',
+  GSI1SK: '2025-01-15T10:30:00Z#episode-456#clip-789',
+  clipId: 'clip-789',
+  status,
+  hook: 'Why we let our AI agent go rogue',
+  ttl: 1234567890
+});
+
+describe('Review Clip Handler', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+  });
+
+  test('should return 401 when tenantId is missing', async () => {
+    const result = await handler(buildEvent({ action: 'approve' }, { requestContext: { authorizer: {} } }));
+
+    expect(result.statusCode).toBe(401);
+    expect(ddbMock.calls()).toHaveLength(0);
+  });
+
+  test('should reject unknown actions', async () => {
+    const result = await handler(buildEvent({ action: 'delete' }));
+
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toContain('review, approve, reject, publish');
+  });
+
+  test('should return 404 when the clip does not exist', async () => {
+    ddbMock.on(GetItemCommand).resolves({});
+
+    const result = await handler(buildEvent({ action: 'approve' }));
+
+    expect(result.statusCode).toBe(404);
+  });
+
+  test('should look up the clip with a tenant-prefixed key', async () => {
+    ddbMock.on(GetItemCommand).resolves({});
+
+    await handler(buildEvent({ action: 'approve' }));
+
+    const key = unmarshall(ddbMock.commandCalls(GetItemCommand)[0].args[0].input.Key);
+    expect(key).toEqual({ pk: 'tenant123#episode-456', sk: 'clip#clip-789' });
+  });
+
+  test('should return 409 for an illegal transition', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip('processed') });
+
+    const result = await handler(buildEvent({ action: 'publish' }));
+
+    expect(result.statusCode).toBe(409);
+    expect(ddbMock.commandCalls(UpdateItemCommand)).toHaveLength(0);
+  });
+
+  test('should return 409 when a clip in a terminal state is reviewed again', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip('rejected') });
+
+    const result = await handler(buildEvent({ action: 'approve' }));
+
+    expect(result.statusCode).toBe(409);
+  });
+
+  test('should approve a reviewed clip and return it without storage keys', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip('reviewed') });
+    ddbMock.on(UpdateItemCommand).resolves({
+      Attributes: marshall({
+        pk: 'tenant123#episode-456',
+        sk: 'clip#clip-789',
+        clipId: 'clip-789',
+        status: 'approved',
+        reviewNotes: 'Great hook'
+      })
+    });
+
+    const result = await handler(buildEvent({ action: 'approve', notes: ' Great hook ' }));
+
+    expect(result.statusCode).toBe(200);
+    const body = JSON.parse(result.body);
+    expect(body).toEqual({ id: 'clip-789', clipId: 'clip-789', status: 'approved', reviewNotes: 'Great hook' });
+
+    const input = ddbMock.commandCalls(UpdateItemCommand)[0].args[0].input;
+    const values = unmarshall(input.ExpressionAttributeValues);
+    expect(input.ConditionExpression).toBe('#status = :currentStatus');
+    expect(values[':status']).toBe('approved');
+    expect(values[':currentStatus']).toBe('reviewed');
+    expect(values[':reviewedBy']).toBe('user-1');
+    expect(values[':notes']).toBe('Great hook');
+  });
+
+  test('should set publishedAt when publishing an approved clip', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip('approved') });
+    ddbMock.on(UpdateItemCommand).resolves({ Attributes: marshall({ clipId: 'clip-789', status: 'published' }) });
+
+    const result = await handler(buildEvent({ action: 'publish' }));
+
+    expect(result.statusCode).toBe(200);
+    const input = ddbMock.commandCalls(UpdateItemCommand)[0].args[0].input;
+    expect(input.UpdateExpression).toContain('#publishedAt = :now');
+  });
+
+  test('should return 409 when the status changes between read and write', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip('reviewed') });
+    const conditionError = new Error('The conditional request failed');
+    conditionError.name = 'ConditionalCheckFailedException';
+    ddbMock.on(UpdateItemCommand).rejects(conditionError);
+
+    const result = await handler(buildEvent({ action: 'reject' }));
+
+    expect(result.statusCode).toBe(409);
+  });
+});
@@ -0,0 +1,351 @@
+// Unit tests for the clip edit endpoint
+// These tests validate revision history, render invalidation and re-queueing, and edit conflicts
+
+const { mockClient } = require('aws-sdk-client-mock');
+const {
+  DynamoDBClient,
+  GetItemCommand,
+  QueryCommand,
+  UpdateItemCommand,
+  TransactWriteItemsCommand
+} = require('@aws-sdk/client-dynamodb');
+const { S3Client, GetObjectCommand, ListObjectsV2Command, DeleteObjectsCommand } = require('@aws-sdk/client-s3');
+const { EventBridgeClient, PutEventsCommand } = require('@aws-sdk/client-eventbridge');
+const { SFNClient, StartExecutionCommand } = require('@aws-sdk/client-sfn');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+const s3Mock = mockClient(S3Client);
+const ebMock = mockClient(EventBridgeClient);
+const sfnMock = mockClient(SFNClient);
+
+process.env.TABLE_NAME = 'test-table';
+process.env.BUCKET_NAME = 'test-bucket';
+process.env.STATE_MACHINE_ARN = 'arn:aws:states:us-east-1:123456789012:stateMachine:VideoClipProcessing';
+
+const { handler } = require('../../../functions/clips/update-clip.mjs');
+const { handler: startClipProcessing } = require('../../../functions/events/start-clip-processing.mjs');
+
+const segments = [{ startTime: '00:01:00', endTime: '00:01:30', speaker: 'Allen', order: 1 }];
+const newSegments = [{ startTime: '00:01:00', endTime: '00:01:45', speaker: 'Allen', order: 1 }];
+
+const buildEvent = (body, overrides = {}) => ({
+  requestContext: { authorizer: { tenantId: 'tenant123', userId: 'user-1' } },
+  pathParameters: { episodeId: 'episode-456', clipId: 'clip-789' },
+  body: JSON.stringify(body),
+  ...overrides
+});
+
+const storedClip = (fields = {}) => marshall({
+  pk: 'tenant123#episode-456',
+  sk: 'clip#clip-789',
+  clipId: 'clip-789',
+  status: 'pending',
+  segments,
+  hook: 'Why we let our AI agent go rogue',
+  summary: 'Allen explains the experiment',
+  ...fields
+});
+
+const renderedClip = {
+  status: 'approved',
+  revision: 2,
+  s3Key: 'tenant123/episode-456/clips/clip-789/clip.mp4',
+  duration: 30,
+  renditions: [{ name: 'vertical', s3Key: 'tenant123/episode-456/clips/clip-789/vertical.mp4' }],
+  thumbnailS3Key: 'tenant123/episode-456/clips/clip-789/thumbnail.jpg',
+  processedAt: '2026-10-01T00:00:00.000Z'
+};
+
+const transaction = () => ddbMock.commandCalls(TransactWriteItemsCommand)[0].args[0].input.TransactItems;
+
+// Apply the SET part of an update to a stored clip, as DynamoDB would
+const applyUpdate = (item, { ExpressionAttributeNames, ExpressionAttributeValues }) => {
+  const values = unmarshall(ExpressionAttributeValues);
+  const fields = Object.entries(ExpressionAttributeNames)
+    .filter(([name]) => values[`:${name.slice(1)}`] !== undefined)
+    .map(([name, field]) => [field, values[`:${name.slice(1)}`]]);
+  return { ...unmarshall(item), ...Object.fromEntries(fields) };
+};
+
+describe('Update Clip Handler', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+    s3Mock.reset();
+    ebMock.reset();
+    sfnMock.reset();
+    ddbMock.on(UpdateItemCommand).resolves({});
+    ddbMock.on(TransactWriteItemsCommand).resolves({});
+    s3Mock.on(GetObjectCommand).rejects(Object.assign(new Error('NoSuchKey'), { name: 'NoSuchKey' }));
+    s3Mock.on(ListObjectsV2Command).resolves({});
+    ebMock.on(PutEventsCommand).resolves({});
+  });
+
+  test('should return 401 when tenantId is missing', async () => {
+    const result = await handler(buildEvent({ hook: 'New hook' }, { requestContext: { authorizer: {} } }));
+
+    expect(result.statusCode).toBe(401);
+    expect(ddbMock.calls()).toHaveLength(0);
+  });
+
+  test('should reject empty edits and fields that cannot be edited', async () => {
+    expect((await handler(buildEvent({}))).statusCode).toBe(400);
+
+    const result = await handler(buildEvent({ status: 'published' }));
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).errors[0]).toContain('status');
+    expect(ddbMock.calls()).toHaveLength(0);
+  });
+
+  test('should return 404 when the clip does not exist', async () => {
+    ddbMock.on(GetItemCommand).resolves({});
+
+    const result = await handler(buildEvent({ hook: 'New hook' }));
+
+    expect(result.statusCode).toBe(404);
+  });
+
+  test('should not edit clips that are rendering or published', async () => {
+    ddbMock.on(GetItemCommand).resolvesOnce({ Item: storedClip({ status: 'processing' }) })
+      .resolves({ Item: storedClip({ status: 'published' }) });
+
+    expect((await handler(buildEvent({ segments: newSegments }))).statusCode).toBe(409);
+    expect((await handler(buildEvent({ hook: 'New hook' }))).statusCode).toBe(409);
+    expect(ddbMock.commandCalls(UpdateItemCommand)).toHaveLength(0);
+    expect(ddbMock.commandCalls(TransactWriteItemsCommand)).toHaveLength(0);
+  });
+
+  test('should edit text fields without a new revision or re-render', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip(renderedClip) });
+
+    const result = await handler(buildEvent({ hook: 'The rogue agent', clipType: 'funny' }));
+
+    expect(result.statusCode).toBe(200);
+    expect(JSON.parse(result.body)).toMatchObject({ hook: 'The rogue agent', clipType: 'funny', status: 'approved', revision: 2, s3Key: renderedClip.s3Key });
+
+    const input = ddbMock.commandCalls(UpdateItemCommand)[0].args[0].input;
+    const values = unmarshall(input.ExpressionAttributeValues);
+    expect(input.UpdateExpression).not.toContain('REMOVE');
+    expect(values).not.toHaveProperty(':revision');
+    expect(values[':clipHash']).toMatch(/^[0-9a-f]{16}$/);
+    expect(ddbMock.commandCalls(TransactWriteItemsCommand)).toHaveLength(0);
+    expect(s3Mock.commandCalls(ListObjectsV2Command)).toHaveLength(0);
+    expect(ebMock.commandCalls(PutEventsCommand)).toHaveLength(0);
+  });
+
+  test('should record a revision, drop the render and queue a rendered clip again when segments change', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip(renderedClip) });
+    s3Mock.on(ListObjectsV2Command).resolves({
+      Contents: [
+        { Key: 'tenant123/episode-456/clips/clip-789/clip.mp4' },
+        { Key: 'tenant123/episode-456/clips/clip-789/segments/000.mp4' }
+      ]
+    });
+    s3Mock.on(DeleteObjectsCommand).resolves({});
+
+    const result = await handler(buildEvent({ segments: newSegments }));
+
+    expect(result.statusCode).toBe(200);
+    const body = JSON.parse(result.body);
+    expect(body).toMatchObject({ status: 'pending', revision: 3, segments: newSegments, totalDurationSeconds: 45 });
+    expect(body).not.toHaveProperty('s3Key');
+    expect(body).not.toHaveProperty('renditions');
+
+    const [{ Update: update }, { Put: put }] = transaction();
+    expect(update.ConditionExpression).toBe('#status = :currentStatus AND (attribute_not_exists(#revision) OR #revision = :currentRevision)');
+    expect(unmarshall(update.ExpressionAttributeValues)).toMatchObject({
+      ':status': 'pending',
+      ':revision': 3,
+      ':currentStatus': 'approved',
+      ':currentRevision': 2
+    });
+    expect(update.UpdateExpression).toContain('REMOVE #s3Key, #duration, #renditions, #thumbnailS3Key, #processedAt');
+
+    expect(unmarshall(put.Item)).toMatchObject({
+      pk: 'tenant123#episode-456',
+      sk: 'clip-revision#clip-789#0003',
+      revision: 3,
+      segments: newSegments,
+      previousSegments: segments,
+      previousStatus: 'approved',
+      renderInvalidated: true,
+      editedBy: 'user-1'
+    });
+
+    expect(s3Mock.commandCalls(ListObjectsV2Command)[0].args[0].input.Prefix).toBe('tenant123/episode-456/clips/clip-789/');
+    expect(s3Mock.commandCalls(DeleteObjectsCommand)[0].args[0].input.Delete.Objects).toHaveLength(2);
+
+    const [entry] = ebMock.commandCalls(PutEventsCommand)[0].args[0].input.Entries;
+    expect(entry.DetailType).toBe('Clip Queued');
+    expect(JSON.parse(entry.Detail)).toEqual({ tenantId: 'tenant123', episodeId: 'episode-456', clipId: 'clip-789', revision: 3 });
+  });
+
+  test('should keep a clip that has not been rendered pending when its segments change', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip() });
+
+    const result = await handler(buildEvent({ segments: newSegments }));
+
+    expect(result.statusCode).toBe(200);
+    const [{ Update: update }, { Put: put }] = transaction();
+    expect(update.UpdateExpression).not.toContain('REMOVE');
+    expect(unmarshall(update.ExpressionAttributeValues)).not.toHaveProperty(':status');
+    expect(unmarshall(put.Item)).toMatchObject({ sk: 'clip-revision#clip-789#0002', renderInvalidated: false });
+  });
+
+  test('should accept segments naming a diarization label the speaker map has renamed', async () => {
+    const labelled = [{ startTime: '00:01:00', endTime: '00:01:30', speaker: 'spk_0', order: 1 }];
+    ddbMock.on(GetItemCommand, { Key: marshall({ pk: 'tenant123#episode-456', sk: 'clip#clip-789' }) })
+      .resolves({ Item: storedClip({ segments: labelled }) });
+    ddbMock.on(GetItemCommand, { Key: marshall({ pk: 'tenant123#episode-456', sk: 'speaker-map' }) })
+      .resolves({ Item: marshall({ pk: 'tenant123#episode-456', sk: 'speaker-map', mappings: { spk_0: 'Allen' } }) });
+    s3Mock.on(GetObjectCommand, { Key: 'tenant123/episode-456/transcript.srt' }).resolves({
+      Body: { transformToString: async () => '1\n00:01:00,000 --> 00:01:50,000\nspk_0: We let the agent go rogue\n' }
+    });
+
+    const ok = await handler(buildEvent({ segments: [{ ...labelled[0], endTime: '00:01:45' }] }));
+    expect(ok.statusCode).toBe(200);
+
+    const wrong = await handler(buildEvent({ segments: [{ ...labelled[0], speaker: 'spk_1' }] }));
+    expect(wrong.statusCode).toBe(400);
+    expect(JSON.parse(wrong.body).errors).toEqual(['Segment 1 (00:01:00 - 00:01:30): spk_1 does not speak in this window (speakers heard: Allen)']);
+  });
+
+  test('should give revisions the ttl of the clip', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip({ source: 'ai', ttl: 1792281600 }) });
+
+    const result = await handler(buildEvent({ segments: newSegments }));
+
+    expect(result.statusCode).toBe(200);
+    const [, { Put: put }] = transaction();
+    expect(unmarshall(put.Item).ttl).toBe(1792281600);
+  });
+
+  test('should queue the edited clip even when its old render cannot be removed', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip(renderedClip) });
+    s3Mock.on(ListObjectsV2Command).resolves({ Contents: [{ Key: 'tenant123/episode-456/clips/clip-789/clip.mp4' }] });
+    s3Mock.on(DeleteObjectsCommand).rejects(new Error('SlowDown'));
+
+    const result = await handler(buildEvent({ segments: newSegments }));
+
+    expect(result.statusCode).toBe(200);
+    expect(JSON.parse(result.body)).toMatchObject({ status: 'pending', revision: 3 });
+    const [entry] = ebMock.commandCalls(PutEventsCommand)[0].args[0].input.Entries;
+    expect(JSON.parse(entry.Detail)).toMatchObject({ clipId: 'clip-789', revision: 3 });
+  });
+
+  test('should not record a revision when the segments are unchanged', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip(renderedClip) });
+
+    const result = await handler(buildEvent({ segments }));
+
+    expect(result.statusCode).toBe(200);
+    expect(JSON.parse(result.body)).toMatchObject({ status: 'approved', revision: 2 });
+    expect(ddbMock.commandCalls(TransactWriteItemsCommand)).toHaveLength(0);
+    expect(ddbMock.commandCalls(UpdateItemCommand)).toHaveLength(0);
+  });
+
+  test('should re-render a rendered clip when its render targets change', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip(renderedClip) });
+
+    const result = await handler(buildEvent({ renderTargets: ['9:16'] }));
+
+    expect(result.statusCode).toBe(200);
+    expect(JSON.parse(result.body)).toMatchObject({ status: 'pending', revision: 3, renderTargets: [{ aspectRatio: '9:16', fit: 'crop' }] });
+
+    const [{ Update: update }, { Put: put }] = transaction();
+    expect(update.UpdateExpression).toContain('REMOVE #s3Key');
+    expect(unmarshall(put.Item)).toMatchObject({
+      revision: 3,
+      changedFields: ['renderTargets'],
+      segments,
+      settings: { renderTargets: [{ aspectRatio: '9:16', fit: 'crop' }] },
+      previousSettings: { renderTargets: null }
+    });
+    expect(ebMock.commandCalls(PutEventsCommand)).toHaveLength(1);
+  });
+
+  test('should clear render targets sent as null and ignore unchanged ones', async () => {
+    const targets = [{ aspectRatio: '9:16', fit: 'crop' }];
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip({ renderTargets: targets }) });
+
+    const unchanged = await handler(buildEvent({ renderTargets: ['9:16'] }));
+    expect(unchanged.statusCode).toBe(200);
+    expect(ddbMock.commandCalls(TransactWriteItemsCommand)).toHaveLength(0);
+
+    const cleared = await handler(buildEvent({ renderTargets: null }));
+    expect(cleared.statusCode).toBe(200);
+    expect(JSON.parse(cleared.body)).not.toHaveProperty('renderTargets');
+    const [{ Update: update }] = transaction();
+    expect(update.UpdateExpression).toContain('REMOVE #renderTargets');
+  });
+
+  test('should reject invalid render targets', async () => {
+    const result = await handler(buildEvent({ renderTargets: [] }));
+
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).errors).toEqual(['renderTargets must be a non-empty array']);
+    expect(ddbMock.calls()).toHaveLength(0);
+  });
+
+  test('should render a clip with the transition it was edited to', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip() });
+
+    const result = await handler(buildEvent({ transition: { type: 'crossfade', durationSeconds: 0.75 } }));
+
+    expect(result.statusCode).toBe(200);
+    const [{ Update: update }, { Put: put }] = transaction();
+    expect(unmarshall(put.Item)).toMatchObject({ changedFields: ['transition'], previousSettings: { transition: null } });
+
+    const edited = applyUpdate(storedClip(), update);
+    ddbMock.on(QueryCommand).resolves({
+      Items: [
+        { pk: 'tenant123#episode-456', sk: 'metadata', status: 'Analyzed' },
+        { pk: 'tenant123#episode-456', sk: 'track#main', trackName: 'main', status: 'Processed' },
+        edited
+      ].map(i => marshall(i))
+    });
+    sfnMock.on(StartExecutionCommand).resolves({ executionArn: 'arn' });
+
+    await startClipProcessing({ detail: JSON.parse(ebMock.commandCalls(PutEventsCommand)[0].args[0].input.Entries[0].Detail) });
+
+    const input = JSON.parse(sfnMock.commandCalls(StartExecutionCommand)[0].args[0].input.input);
+    expect(input.clips[0]).toMatchObject({ clipId: 'clip-789', revision: 2, transition: { type: 'crossfade', durationSeconds: 0.75 } });
+  });
+
+  test('should reject invalid transitions', async () => {
+    const result = await handler(buildEvent({ transition: { type: 'wipe' } }));
+
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).errors).toEqual(['transition type must be one of cut, crossfade, audio-crossfade, dip-to-black']);
+  });
+
+  test('should render a clip again when its layout changes and validate the layout', async () => {
+    const invalid = await handler(buildEvent({ layout: { type: 'picture-in-picture', pipPosition: 'center' } }));
+    expect(invalid.statusCode).toBe(400);
+    expect(JSON.parse(invalid.body).errors).toEqual(['layout pipPosition must be one of top-left, top-right, bottom-left, bottom-right']);
+
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip(renderedClip) });
+
+    const result = await handler(buildEvent({ layout: 'side-by-side' }));
+
+    expect(result.statusCode).toBe(200);
+    expect(JSON.parse(result.body)).toMatchObject({ status: 'pending', revision: 3, layout: { type: 'side-by-side', audio: 'speaker' } });
+    const [, { Put: put }] = transaction();
+    expect(unmarshall(put.Item)).toMatchObject({
+      changedFields: ['layout'],
+      settings: { layout: { type: 'side-by-side', audio: 'speaker' } },
+      previousSettings: { layout: null }
+    });
+  });
+
+  test('should return 409 when the clip changes between read and write', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: storedClip() });
+    ddbMock.on(TransactWriteItemsCommand).rejects(Object.assign(new Error('Transaction cancelled'), { name: 'TransactionCanceledException' }));
+
+    const result = await handler(buildEvent({ segments: newSegments }));
+
+    expect(result.statusCode).toBe(409);
+    expect(s3Mock.commandCalls(ListObjectsV2Command)).toHaveLength(0);
+    expect(ebMock.commandCalls(PutEventsCommand)).toHaveLength(0);
+  });
+});
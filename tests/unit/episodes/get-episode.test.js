@@ -0,0 +1,139 @@
+// Unit tests for the episode detail endpoint
+// These tests validate aggregation of the episode partition into a single response
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBClient, QueryCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall } = require('@aws-sdk/util-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+
+process.env.TABLE_NAME = 'test-table';
+
+const { handler } = require('../../../functions/episodes/get-episode.mjs');
+
+const pk = 'tenant123#episode-456';
+const event = {
+  requestContext: { authorizer: { tenantId: 'tenant123' } },
+  pathParameters: { episodeId: 'episode-456' }
+};
+
+const metadata = {
+  pk,
+  sk: 'metadata',
+  GSI1PK: 'tenant123#episode',
+  title: 'Agents in production',
+  episodeNumber: 42,
+  status: 'Analyzed',
+  seriesName: 'Null Check',
+  summary: 'Allen and Andres talk about agents.',
+  transcriptKey: 'tenant123/episode-456/transcript.srt',
+  createdAt: '2025-01-01T00:00:00.000Z',
+  updatedAt: '2025-01-02T00:00:00.000Z'
+};
+
+describe('Get Episode Handler', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+  });
+
+  test('should aggregate tracks, transcript state and clip counts from one partition', async () => {
+    ddbMock.on(QueryCommand)
+      .resolvesOnce({
+        Items: [
+          metadata,
+          { pk, sk: 'track#main', trackName: 'main', status: 'Processed', speakers: ['Allen'], speakerAliases: { Allen: ['Host'] }, segmentCount: 12, totalDurationSeconds: 1440.5, mediaConvertJobId: 'job-1' }
+        ].map(i => marshall(i)),
+        LastEvaluatedKey: marshall({ pk, sk: 'track#main' })
+      })
+      .resolvesOnce({
+        Items: [
+          { pk, sk: 'track#guest', trackName: 'guest', status: 'ProcessingFailed', failureReason: 'Unsupported codec' },
+          { pk, sk: 'clip#a', clipId: 'a', status: 'pending' },
+          { pk, sk: 'clip#b', clipId: 'b', status: 'pending' },
+          { pk, sk: 'clip#c', clipId: 'c', status: 'processed' }
+        ].map(i => marshall(i))
+      });
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(200);
+    expect(ddbMock.commandCalls(QueryCommand)).toHaveLength(2);
+    expect(JSON.parse(response.body)).toEqual({
+      id: 'episode-456',
+      title: 'Agents in production',
+      episodeNumber: 42,
+      status: 'Analyzed',
+      seriesName: 'Null Check',
+      summary: 'Allen and Andres talk about agents.',
+      transcript: { status: 'Uploaded', key: 'tenant123/episode-456/transcript.srt' },
+      tracks: [
+        { name: 'main', status: 'Processed', speakers: ['Allen'], speakerAliases: { Allen: ['Host'] }, segmentCount: 12, totalDurationSeconds: 1440.5 },
+        { name: 'guest', status: 'ProcessingFailed', speakers: [], failureReason: 'Unsupported codec' }
+      ],
+      clips: { total: 3, byStatus: { pending: 2, processed: 1 } },
+      createdAt: '2025-01-01T00:00:00.000Z',
+      updatedAt: '2025-01-02T00:00:00.000Z'
+    });
+  });
+
+  test('should report an outstanding transcript upload', async () => {
+    const { transcriptKey, ...withoutTranscript } = metadata;
+    ddbMock.on(QueryCommand).resolves({
+      Items: [
+        withoutTranscript,
+        { pk, sk: 'transcript-upload-url', originalFilename: 'ep42.srt', expiresAt: '2030-01-01T00:00:00.000Z', ttl: Math.floor(Date.now() / 1000) + 600 }
+      ].map(i => marshall(i))
+    });
+
+    const body = JSON.parse((await handler(event)).body);
+
+    expect(body.transcript).toEqual({ status: 'Awaiting Upload', expiresAt: '2030-01-01T00:00:00.000Z', filename: 'ep42.srt' });
+    expect(body.tracks).toEqual([]);
+    expect(body.clips).toEqual({ total: 0, byStatus: {} });
+  });
+
+  test('should treat an expired upload URL as a missing transcript', async () => {
+    const { transcriptKey, ...withoutTranscript } = metadata;
+    ddbMock.on(QueryCommand).resolves({
+      Items: [
+        withoutTranscript,
+        { pk, sk: 'transcript-upload-url', expiresAt: '2020-01-01T00:00:00.000Z', ttl: 1 }
+      ].map(i => marshall(i))
+    });
+
+    const body = JSON.parse((await handler(event)).body);
+
+    expect(body.transcript).toEqual({ status: 'Missing' });
+  });
+
+  test('should report automatic transcription while no transcript has landed', async () => {
+    const { transcriptKey, ...withoutTranscript } = metadata;
+    ddbMock.on(QueryCommand).resolves({ Items: [marshall({ ...withoutTranscript, transcriptionStatus: 'Transcribing' })] });
+
+    expect(JSON.parse((await handler(event)).body).transcript).toEqual({ status: 'Transcribing' });
+
+    ddbMock.on(QueryCommand).resolves({
+      Items: [marshall({ ...withoutTranscript, transcriptionStatus: 'TranscriptionFailed', transcriptionError: 'No speech was recognized in any track' })]
+    });
+
+    expect(JSON.parse((await handler(event)).body).transcript).toEqual({
+      status: 'Transcription Failed',
+      error: 'No speech was recognized in any track'
+    });
+  });
+
+  test('should return 404 when the episode does not exist', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(404);
+  });
+
+  test('should return 401 without a tenant', async () => {
+    const response = await handler({ ...event, requestContext: { authorizer: {} } });
+
+    expect(response.statusCode).toBe(401);
+    expect(ddbMock.commandCalls(QueryCommand)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,101 @@
+// Unit tests for the speaker map endpoints
+// These tests validate reading the resolved map and replacing manual mappings
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBClient, GetItemCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+
+process.env.TABLE_NAME = 'test-table';
+
+const { handler: getSpeakerMap } = require('../../../functions/episodes/get-speaker-map.mjs');
+const { handler: updateSpeakerMap } = require('../../../functions/episodes/update-speaker-map.mjs');
+
+const pk = 'tenant123#episode-456';
+const event = (body) => ({
+  requestContext: { authorizer: { tenantId: 'tenant123' } },
+  pathParameters: { episodeId: 'episode-456' },
+  ...body !== undefined && { body: JSON.stringify(body) }
+});
+
+const mockEpisode = () => ddbMock.on(GetItemCommand, { Key: marshall({ pk, sk: 'metadata' }) })
+  .resolves({ Item: marshall({ pk, sk: 'metadata', title: 'Agents in production' }) });
+
+describe('Speaker Map Handlers', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+  });
+
+  test('should return manual mappings over confident suggestions', async () => {
+    mockEpisode();
+    ddbMock.on(GetItemCommand, { Key: marshall({ pk, sk: 'speaker-map' }) }).resolves({
+      Item: marshall({
+        pk,
+        sk: 'speaker-map',
+        labels: ['spk_0', 'spk_1'],
+        mappings: { spk_1: 'Guest' },
+        suggestions: {
+          spk_0: { speaker: 'Allen', trackName: 'allen-cam', confidence: 0.8 },
+          spk_1: { speaker: 'Andres', trackName: 'andres-cam', confidence: 0.6 }
+        },
+        suggestedAt: '2026-10-19T10:00:00.000Z',
+        updatedAt: '2026-10-19T11:00:00.000Z'
+      })
+    });
+
+    const response = await getSpeakerMap(event());
+
+    expect(response.statusCode).toBe(200);
+    const body = JSON.parse(response.body);
+    expect(body.labels).toEqual(['spk_0', 'spk_1']);
+    expect(body.resolved).toEqual({ spk_0: 'Allen', spk_1: 'Guest' });
+    expect(body.suggestedAt).toBe('2026-10-19T10:00:00.000Z');
+  });
+
+  test('should return an empty map before any suggestions are made', async () => {
+    mockEpisode();
+
+    const response = await getSpeakerMap(event());
+
+    expect(JSON.parse(response.body)).toEqual({
+      labels: [],
+      mappings: {},
+      suggestions: {},
+      resolved: {},
+      suggestedAt: null,
+      updatedAt: null
+    });
+  });
+
+  test('should return 404 for unknown episodes', async () => {
+    ddbMock.on(GetItemCommand).resolves({});
+
+    expect((await getSpeakerMap(event())).statusCode).toBe(404);
+    expect((await updateSpeakerMap(event({ mappings: { spk_0: 'Allen' } }))).statusCode).toBe(404);
+    expect(ddbMock.commandCalls(UpdateItemCommand)).toHaveLength(0);
+  });
+
+  test('should reject invalid mappings', async () => {
+    mockEpisode();
+
+    const response = await updateSpeakerMap(event({ mappings: { spk_0: '' } }));
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toBe("speaker for 'spk_0' must be a name between 1 and 100 characters");
+    expect(ddbMock.commandCalls(UpdateItemCommand)).toHaveLength(0);
+  });
+
+  test('should replace the manual mappings and keep suggestions', async () => {
+    mockEpisode();
+    ddbMock.on(UpdateItemCommand).resolves({});
+
+    const response = await updateSpeakerMap(event({ mappings: { spk_0: ' Allen ' } }));
+
+    expect(response.statusCode).toBe(204);
+    const update = ddbMock.commandCalls(UpdateItemCommand)[0].args[0].input;
+    expect(unmarshall(update.Key)).toEqual({ pk, sk: 'speaker-map' });
+    expect(update.UpdateExpression).toBe('SET #mappings = :mappings, #updatedAt = :now');
+    expect(unmarshall(update.ExpressionAttributeValues)[':mappings']).toEqual({ spk_0: 'Allen' });
+  });
+});
@@ -0,0 +1,274 @@
+// Unit tests for updating and deleting episodes
+// These tests validate partial updates and cascading cleanup of S3 and DynamoDB
+
+const { mockClient } = require('aws-sdk-client-mock');
+const {
+  DynamoDBClient,
+  QueryCommand,
+  GetItemCommand,
+  UpdateItemCommand,
+  BatchWriteItemCommand,
+  DeleteItemCommand
+} = require('@aws-sdk/client-dynamodb');
+const {
+  S3Client,
+  ListMultipartUploadsCommand,
+  AbortMultipartUploadCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand
+} = require('@aws-sdk/client-s3');
+const { SFNClient, StopExecutionCommand } = require('@aws-sdk/client-sfn');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+const s3Mock = mockClient(S3Client);
+const sfnMock = mockClient(SFNClient);
+
+process.env.TABLE_NAME = 'test-table';
+process.env.BUCKET_NAME = 'test-bucket';
+
+const { handler: updateHandler } = require('../../../functions/episodes/update-episode.mjs');
+const { handler: deleteHandler } = require('../../../functions/episodes/delete-episode.mjs');
+const { parseEpisodeInput } = require('../../../functions/utils/episodes.mjs');
+
+const pk = 'tenant123#episode-456';
+const apiEvent = (body) => ({
+  requestContext: { authorizer: { tenantId: 'tenant123' } },
+  pathParameters: { episodeId: 'episode-456' },
+  ...body !== undefined && { body: JSON.stringify(body) }
+});
+
+describe('Episode Management', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+    s3Mock.reset();
+    sfnMock.reset();
+  });
+
+  describe('parseEpisodeInput', () => {
+    test('should require title and episodeNumber on create', () => {
+      expect(parseEpisodeInput({}).errors).toEqual(['title is required', 'episodeNumber is required and must be a number']);
+    });
+
+    test('should leave out optional values it cannot use on create', () => {
+      const { fields, errors } = parseEpisodeInput({
+        title: 'Live testing',
+        episodeNumber: 12,
+        description: '',
+        platforms: 'myspace',
+        themes: 'testing',
+        seriesName: 'Null Check'
+      });
+
+      expect(errors).toEqual([]);
+      expect(fields).toEqual({ title: 'Live testing', episodeNumber: 12, seriesName: 'Null Check' });
+      expect(parseEpisodeInput({ title: 'Live testing', episodeNumber: 12, platforms: 'youtube' }).fields.platforms).toEqual(['youtube']);
+    });
+
+    test('should only validate provided fields on update', () => {
+      const { fields, remove, errors } = parseEpisodeInput(
+        { description: 'New', themes: null, platforms: ['youtube', 'myspace'] },
+        { partial: true }
+      );
+
+      expect(errors).toEqual([]);
+      expect(fields).toEqual({ description: 'New', platforms: ['youtube'] });
+      expect(remove).toEqual(['themes']);
+    });
+
+    test('should reject themes that are not a list instead of clearing them', () => {
+      const { fields, remove, errors } = parseEpisodeInput({ themes: 'foo' }, { partial: true });
+
+      expect(errors).toEqual(['themes must be an array of strings']);
+      expect(fields).toEqual({});
+      expect(remove).toEqual([]);
+    });
+
+    test('should reject platforms without a supported platform instead of clearing them', () => {
+      const { remove, errors } = parseEpisodeInput({ platforms: ['myspace'] }, { partial: true });
+
+      expect(errors).toEqual(['platforms must include at least one of: linkedin live, X, twitch, youtube']);
+      expect(remove).toEqual([]);
+    });
+
+    test('should clear themes and platforms sent as empty values', () => {
+      const { remove, errors } = parseEpisodeInput({ themes: [], platforms: '' }, { partial: true });
+
+      expect(errors).toEqual([]);
+      expect(remove).toEqual(['platforms', 'themes']);
+    });
+  });
+
+  describe('update handler', () => {
+    test('should set provided fields and clear nulls', async () => {
+      ddbMock.on(UpdateItemCommand).resolves({});
+
+      const response = await updateHandler(apiEvent({ title: ' Renamed ', airDate: null }));
+
+      expect(response.statusCode).toBe(204);
+      const input = ddbMock.commandCalls(UpdateItemCommand)[0].args[0].input;
+      expect(unmarshall(input.Key)).toEqual({ pk, sk: 'metadata' });
+      expect(input.UpdateExpression).toBe('SET #updatedAt = :updatedAt, #title = :title REMOVE #airDate');
+      expect(unmarshall(input.ExpressionAttributeValues)[':title']).toBe('Renamed');
+    });
+
+    test('should apply create validation to provided fields', async () => {
+      const response = await updateHandler(apiEvent({ title: '', episodeNumber: 'abc' }));
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).message).toBe('title is required, episodeNumber is required and must be a number');
+      expect(ddbMock.commandCalls(UpdateItemCommand)).toHaveLength(0);
+    });
+
+    test('should return 400 for invalid themes and platforms without touching the episode', async () => {
+      const themes = await updateHandler(apiEvent({ themes: 'foo' }));
+      const platforms = await updateHandler(apiEvent({ platforms: ['myspace'] }));
+
+      expect(themes.statusCode).toBe(400);
+      expect(JSON.parse(themes.body).message).toBe('themes must be an array of strings');
+      expect(platforms.statusCode).toBe(400);
+      expect(ddbMock.commandCalls(UpdateItemCommand)).toHaveLength(0);
+    });
+
+    test('should reject empty updates', async () => {
+      const response = await updateHandler(apiEvent({ status: 'Published' }));
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('should return 404 when the episode does not exist', async () => {
+      const err = new Error('The conditional request failed');
+      err.name = 'ConditionalCheckFailedException';
+      ddbMock.on(UpdateItemCommand).rejects(err);
+
+      const response = await updateHandler(apiEvent({ title: 'Renamed' }));
+
+      expect(response.statusCode).toBe(404);
+    });
+  });
+
+  describe('delete handler', () => {
+    const partition = (count) => ({
+      Items: [
+        { pk, sk: 'metadata' },
+        ...Array.from({ length: count }, (_, i) => ({ pk, sk: `clip#${i}` }))
+      ].map(i => marshall(i))
+    });
+
+    test('should abort uploads, delete objects, then remove items with metadata last', async () => {
+      const order = [];
+      ddbMock.on(QueryCommand).resolves(partition(30));
+      ddbMock.on(BatchWriteItemCommand).callsFake(() => { order.push('batch'); return {}; });
+      ddbMock.on(DeleteItemCommand).callsFake(() => { order.push('metadata'); return {}; });
+      s3Mock.on(ListMultipartUploadsCommand).resolves({
+        Uploads: [{ Key: 'tenant123/episode-456/tracks/main.mp4', UploadId: 'upload-1' }]
+      });
+      s3Mock.on(AbortMultipartUploadCommand).callsFake(() => { order.push('abort'); return {}; });
+      s3Mock.on(ListObjectsV2Command)
+        .resolvesOnce({
+          Contents: [{ Key: 'tenant123/episode-456/transcript.srt' }],
+          IsTruncated: true,
+          NextContinuationToken: 'next'
+        })
+        .resolvesOnce({ Contents: [{ Key: 'tenant123/episode-456/clips/a/clip.mp4' }] });
+      s3Mock.on(DeleteObjectsCommand).callsFake(() => { order.push('objects'); return {}; });
+
+      const response = await deleteHandler(apiEvent());
+
+      expect(response.statusCode).toBe(204);
+      expect(order).toEqual(['abort', 'objects', 'objects', 'batch', 'batch', 'metadata']);
+      expect(s3Mock.commandCalls(ListObjectsV2Command)[0].args[0].input.Prefix).toBe('tenant123/episode-456/');
+      expect(s3Mock.commandCalls(ListMultipartUploadsCommand)[0].args[0].input.Prefix).toBe('tenant123/episode-456/');
+      const batches = ddbMock.commandCalls(BatchWriteItemCommand).map(c => c.args[0].input.RequestItems['test-table'].length);
+      expect(batches).toEqual([25, 5]);
+    });
+
+    test('should stop running renders before deleting objects', async () => {
+      const order = [];
+      const executions = ['arn:aws:states:us-east-1:123456789012:execution:VideoClipProcessing:run-1', 'arn:aws:states:us-east-1:123456789012:execution:VideoClipProcessing:run-2'];
+      ddbMock.on(QueryCommand).resolves({ Items: [marshall({ pk, sk: 'metadata', clipProcessingExecutions: executions })] });
+      ddbMock.on(DeleteItemCommand).resolves({});
+      sfnMock.on(StopExecutionCommand).callsFake(() => { order.push('stop'); return {}; });
+      sfnMock.on(StopExecutionCommand, { executionArn: executions[1] })
+        .rejects(Object.assign(new Error('Execution does not exist'), { name: 'ExecutionDoesNotExist' }));
+      s3Mock.on(ListMultipartUploadsCommand).resolves({});
+      s3Mock.on(ListObjectsV2Command).resolves({ Contents: [{ Key: 'tenant123/episode-456/clips/a/clip.mp4' }] });
+      s3Mock.on(DeleteObjectsCommand).callsFake(() => { order.push('objects'); return {}; });
+
+      const response = await deleteHandler(apiEvent());
+
+      expect(response.statusCode).toBe(204);
+      expect(sfnMock.commandCalls(StopExecutionCommand).map(c => c.args[0].input.executionArn)).toEqual(executions);
+      expect(order).toEqual(['stop', 'objects']);
+    });
+
+    test('should keep the episode when a render cannot be stopped', async () => {
+      ddbMock.on(QueryCommand).resolves({ Items: [marshall({ pk, sk: 'metadata', clipProcessingExecutions: ['arn:run-1'] })] });
+      sfnMock.on(StopExecutionCommand).rejects(Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' }));
+
+      const response = await deleteHandler(apiEvent());
+
+      expect(response.statusCode).toBe(500);
+      expect(s3Mock.calls()).toHaveLength(0);
+      expect(ddbMock.commandCalls(DeleteItemCommand)).toHaveLength(0);
+    });
+
+    test('should retry unprocessed deletes', async () => {
+      ddbMock.on(QueryCommand).resolves(partition(1));
+      s3Mock.on(ListMultipartUploadsCommand).resolves({});
+      s3Mock.on(ListObjectsV2Command).resolves({});
+      const unprocessed = { 'test-table': [{ DeleteRequest: { Key: marshall({ pk, sk: 'clip#0' }) } }] };
+      ddbMock.on(BatchWriteItemCommand)
+        .resolvesOnce({ UnprocessedItems: unprocessed })
+        .resolvesOnce({ UnprocessedItems: {} });
+      ddbMock.on(DeleteItemCommand).resolves({});
+
+      const response = await deleteHandler(apiEvent());
+
+      expect(response.statusCode).toBe(204);
+      expect(ddbMock.commandCalls(BatchWriteItemCommand)).toHaveLength(2);
+      expect(ddbMock.commandCalls(BatchWriteItemCommand)[1].args[0].input.RequestItems).toEqual(unprocessed);
+    });
+
+    test('should remove the episode from the search index', async () => {
+      ddbMock.on(QueryCommand).resolves(partition(0));
+      ddbMock.on(GetItemCommand).resolves({ Item: marshall({ terms: ['lambda', 'function'] }) });
+      ddbMock.on(BatchWriteItemCommand).resolves({});
+      ddbMock.on(DeleteItemCommand).resolves({});
+      s3Mock.on(ListMultipartUploadsCommand).resolves({});
+      s3Mock.on(ListObjectsV2Command).resolves({});
+
+      const response = await deleteHandler(apiEvent());
+
+      expect(response.statusCode).toBe(204);
+      const keys = ddbMock.commandCalls(BatchWriteItemCommand)[0].args[0].input.RequestItems['test-table']
+        .map(r => unmarshall(r.DeleteRequest.Key));
+      expect(keys).toEqual([
+        { pk: 'tenant123#search#lambda', sk: 'episode-456' },
+        { pk: 'tenant123#search#function', sk: 'episode-456' }
+      ]);
+    });
+
+    test('should keep the episode when objects fail to delete', async () => {
+      ddbMock.on(QueryCommand).resolves(partition(1));
+      s3Mock.on(ListMultipartUploadsCommand).resolves({});
+      s3Mock.on(ListObjectsV2Command).resolves({ Contents: [{ Key: 'tenant123/episode-456/transcript.srt' }] });
+      s3Mock.on(DeleteObjectsCommand).resolves({ Errors: [{ Key: 'tenant123/episode-456/transcript.srt', Code: 'AccessDenied' }] });
+
+      const response = await deleteHandler(apiEvent());
+
+      expect(response.statusCode).toBe(500);
+      expect(ddbMock.commandCalls(BatchWriteItemCommand)).toHaveLength(0);
+      expect(ddbMock.commandCalls(DeleteItemCommand)).toHaveLength(0);
+    });
+
+    test('should return 404 when the episode does not exist', async () => {
+      ddbMock.on(QueryCommand).resolves({ Items: [] });
+
+      const response = await deleteHandler(apiEvent());
+
+      expect(response.statusCode).toBe(404);
+      expect(s3Mock.calls()).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+// Unit tests for the clip processing trigger
+// These tests validate readiness checks and idempotent execution tracking
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBClient, GetItemCommand, QueryCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
+const { SFNClient, StartExecutionCommand } = require('@aws-sdk/client-sfn');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+const sfnMock = mockClient(SFNClient);
+
+process.env.TABLE_NAME = 'test-table';
+process.env.STATE_MACHINE_ARN = 'arn:aws:states:us-east-1:123456789012:stateMachine:VideoClipProcessing';
+
+const { handler } = require('../../../functions/events/start-clip-processing.mjs');
+
+const event = { detail: { tenantId: 'tenant123', episodeId: 'episode-456' } };
+
+const partition = ({ episodeStatus = 'Analyzed', trackStatuses = ['Processed'], clipStatuses = ['pending'] } = {}) => ({
+  Items: [
+    { pk: 'tenant123#episode-456', sk: 'metadata', status: episodeStatus },
+    ...trackStatuses.map((status, i) => ({ pk: 'tenant123#episode-456', sk: `track#track${i}`, trackName: `track${i}`, status })),
+    ...clipStatuses.map((status, i) => ({
+      pk: 'tenant123#episode-456',
+      sk: `clip#clip-${i}`,
+      clipId: `clip-${i}`,
+      status,
+      segments: [{ startTime: '00:01:00', endTime: '00:01:30', speaker: 'Allen', order: 1 }]
+    }))
+  ].map(i => marshall(i))
+});
+
+describe('Start Clip Processing Handler', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+    sfnMock.reset();
+  });
+
+  test('should ignore events without tenant and episode identifiers', async () => {
+    await handler({ detail: { episodeId: 'episode-456' } });
+
+    expect(ddbMock.calls()).toHaveLength(0);
+    expect(sfnMock.calls()).toHaveLength(0);
+  });
+
+  test('should wait until the episode has been analyzed', async () => {
+    ddbMock.on(QueryCommand).resolves(partition({ episodeStatus: 'Transcript Uploaded' }));
+
+    await handler(event);
+
+    expect(sfnMock.calls()).toHaveLength(0);
+  });
+
+  test('should wait until every track is processed', async () => {
+    ddbMock.on(QueryCommand).resolves(partition({ trackStatuses: ['Processed', 'Processing'] }));
+
+    await handler(event);
+
+    expect(sfnMock.calls()).toHaveLength(0);
+  });
+
+  test('should wait until every track is aligned with the main track', async () => {
+    const items = partition();
+    items.Items.push(
+      marshall({ pk: 'tenant123#episode-456', sk: 'track#main', trackName: 'main', status: 'Processed' }),
+      marshall({ pk: 'tenant123#episode-456', sk: 'track#guest', trackName: 'guest', status: 'Processed' })
+    );
+    ddbMock.on(QueryCommand).resolves(items);
+
+    await handler(event);
+
+    expect(sfnMock.calls()).toHaveLength(0);
+  });
+
+  test('should wait for speaker suggestions when the episode has speaker tracks', async () => {
+    const items = partition();
+    items.Items.push(marshall({ pk: 'tenant123#episode-456', sk: 'track#allen-cam', trackName: 'allen-cam', status: 'Processed', offsetSeconds: 0, speakers: ['Allen'] }));
+    ddbMock.on(QueryCommand).resolves(items);
+
+    await handler(event);
+    expect(sfnMock.calls()).toHaveLength(0);
+
+    items.Items.push(marshall({ pk: 'tenant123#episode-456', sk: 'speaker-map', suggestedAt: '2026-10-19T10:00:00.000Z' }));
+    sfnMock.on(StartExecutionCommand).resolves({ executionArn: 'arn:aws:states:us-east-1:123456789012:execution:VideoClipProcessing:run' });
+
+    await handler(event);
+    expect(sfnMock.commandCalls(StartExecutionCommand)).toHaveLength(1);
+  });
+
+  test('should not start a workflow when no clips are awaiting processing', async () => {
+    ddbMock.on(QueryCommand).resolves(partition({ clipStatuses: ['processed', 'approved'] }));
+
+    await handler(event);
+
+    expect(sfnMock.calls()).toHaveLength(0);
+  });
+
+  test('should start the workflow with tenantId and record the execution', async () => {
+    ddbMock.on(QueryCommand).resolves(partition({ clipStatuses: ['pending', 'processed'] }));
+    ddbMock.on(UpdateItemCommand).resolves({});
+    sfnMock.on(StartExecutionCommand).resolves({ executionArn: 'arn:aws:states:us-east-1:123456789012:execution:VideoClipProcessing:run-1' });
+
+    const result = await handler(event);
+
+    expect(result.executionArn).toBe('arn:aws:states:us-east-1:123456789012:execution:VideoClipProcessing:run-1');
+
+    const start = sfnMock.commandCalls(StartExecutionCommand)[0].args[0].input;
+    const input = JSON.parse(start.input);
+    expect(start.name).toMatch(/^episode-456-[0-9a-f]{16}$/);
+    expect(input.tenantId).toBe('tenant123');
+    expect(input.episodeId).toBe('episode-456');
+    expect(input.clips.map(c => c.clipId)).toEqual(['clip-0']);
+    expect(input.clips[0].transition).toEqual({ type: 'cut' });
+    expect(input.clips[0].layout).toEqual({ type: 'single' });
+    expect(input.clips[0].revision).toBe(1);
+    expect(input.loudness).toEqual({ platform: 'youtube', integratedLufs: -14, truePeakDb: -1, loudnessRange: 11 });
+    expect(input.branding).toBeNull();
+
+    const updates = ddbMock.commandCalls(UpdateItemCommand).map(c => c.args[0].input);
+    const episodeUpdate = updates.find(u => unmarshall(u.Key).sk === 'metadata');
+    expect(unmarshall(episodeUpdate.ExpressionAttributeValues)[':arns']).toEqual([result.executionArn]);
+
+    const clipUpdate = updates.find(u => unmarshall(u.Key).sk === 'clip#clip-0');
+    expect(unmarshall(clipUpdate.ExpressionAttributeValues)[':processing']).toBe('processing');
+  });
+
+  test('should pass each clip its own render targets, falling back to the show profile', async () => {
+    const items = partition({ clipStatuses: ['pending', 'pending'] });
+    items.Items[2] = marshall({ ...unmarshall(items.Items[2]), renderTargets: ['9:16'] });
+    ddbMock.on(QueryCommand).resolves(items);
+    ddbMock.on(QueryCommand, { KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)' }).resolves({
+      Items: [marshall({ pk: 'tenant123', sk: 'profile#default', name: 'Null Check', platform: 'Podcast', renderTargets: [{ aspectRatio: '1:1', fit: 'pad' }] })]
+    });
+    ddbMock.on(UpdateItemCommand).resolves({});
+    sfnMock.on(StartExecutionCommand).resolves({ executionArn: 'arn' });
+
+    await handler(event);
+
+    const input = JSON.parse(sfnMock.commandCalls(StartExecutionCommand)[0].args[0].input.input);
+    expect(input.clips.map(c => c.renderTargets)).toEqual([
+      [{ aspectRatio: '9:16', fit: 'crop' }],
+      [{ aspectRatio: '1:1', fit: 'pad' }]
+    ]);
+    expect(input.loudness.integratedLufs).toBe(-16);
+  });
+
+  test('should pass the tenant branding to the workflow', async () => {
+    ddbMock.on(QueryCommand).resolves(partition({ clipStatuses: ['pending'] }));
+    ddbMock.on(GetItemCommand).resolves({
+      Item: marshall({ pk: 'tenant123', sk: 'branding', enabled: true, intro: { key: 'tenant123/branding/intro.mp4', filename: 'intro.mp4' } })
+    });
+    ddbMock.on(UpdateItemCommand).resolves({});
+    sfnMock.on(StartExecutionCommand).resolves({ executionArn: 'arn' });
+
+    await handler(event);
+
+    const input = JSON.parse(sfnMock.commandCalls(StartExecutionCommand)[0].args[0].input.input);
+    expect(input.branding).toEqual({
+      logoKey: null,
+      introKey: 'tenant123/branding/intro.mp4',
+      outroKey: null,
+      watermark: { position: 'bottom-right', opacity: 0.8, widthRatio: 0.12 }
+    });
+  });
+
+  test('should use the same execution name for the same clips', async () => {
+    ddbMock.on(QueryCommand).resolves(partition({ clipStatuses: ['pending', 'pending'] }));
+    ddbMock.on(UpdateItemCommand).resolves({});
+    sfnMock.on(StartExecutionCommand).resolves({ executionArn: 'arn' });
+
+    await handler(event);
+    await handler(event);
+
+    const names = sfnMock.commandCalls(StartExecutionCommand).map(c => c.args[0].input.name);
+    expect(names[0]).toBe(names[1]);
+  });
+
+  test('should start a new execution when an edited clip is queued again', async () => {
+    const edited = partition();
+    ddbMock.on(QueryCommand)
+      .resolvesOnce(partition())
+      .resolves({ Items: edited.Items.map(i => (unmarshall(i).clipId ? marshall({ ...unmarshall(i), revision: 2 }) : i)) });
+    ddbMock.on(UpdateItemCommand).resolves({});
+    sfnMock.on(StartExecutionCommand).resolves({ executionArn: 'arn' });
+
+    await handler(event);
+    await handler(event);
+
+    const names = sfnMock.commandCalls(StartExecutionCommand).map(c => c.args[0].input.name);
+    expect(names[0]).not.toBe(names[1]);
+  });
+
+  test('should resolve the existing execution when it was already started', async () => {
+    ddbMock.on(QueryCommand).resolves(partition());
+    const conditionError = new Error('already recorded');
+    conditionError.name = 'ConditionalCheckFailedException';
+    ddbMock.on(UpdateItemCommand).rejects(conditionError);
+    const existsError = new Error('Execution already exists');
+    existsError.name = 'ExecutionAlreadyExists';
+    sfnMock.on(StartExecutionCommand).rejects(existsError);
+
+    const result = await handler(event);
+
+    expect(result.executionArn).toMatch(/^arn:aws:states:us-east-1:123456789012:execution:VideoClipProcessing:episode-456-/);
+  });
+});
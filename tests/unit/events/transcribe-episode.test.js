@@ -0,0 +1,90 @@
+// Unit tests for the automatic transcription trigger
+// These tests validate when an episode is transcribed and that only one event claims it
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBClient, QueryCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall } = require('@aws-sdk/util-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+
+process.env.TABLE_NAME = 'test-table';
+process.env.BUCKET_NAME = 'test-bucket';
+process.env.TRANSCRIBER = 'local';
+
+const { handler } = require('../../../functions/events/transcribe-episode.mjs');
+
+const event = { detail: { tenantId: 'tenant123', episodeId: 'episode-456', trackName: 'main' } };
+const pk = 'tenant123#episode-456';
+
+const partition = ({ episode = {}, tracks = [{ trackName: 'main', status: 'Processed' }], extra = [] } = {}) => ({
+  Items: [
+    { pk, sk: 'metadata', status: 'Draft', ...episode },
+    ...tracks.map(track => ({ pk, sk: `track#${track.trackName}`, ...track })),
+    ...extra
+  ].map(i => marshall(i))
+});
+
+describe('Transcribe Episode Handler', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+  });
+
+  test('should leave episodes with a transcript alone', async () => {
+    ddbMock.on(QueryCommand).resolves(partition({ episode: { transcriptKey: 'tenant123/episode-456/transcript.srt' } }));
+
+    await handler(event);
+
+    expect(ddbMock.commandCalls(UpdateItemCommand)).toHaveLength(0);
+  });
+
+  test('should wait for an outstanding transcript upload', async () => {
+    ddbMock.on(QueryCommand).resolves(partition({
+      extra: [{ pk, sk: 'transcript-upload-url', ttl: Math.floor(Date.now() / 1000) + 600 }]
+    }));
+
+    await handler(event);
+
+    expect(ddbMock.commandCalls(UpdateItemCommand)).toHaveLength(0);
+  });
+
+  test('should wait until every track is processed and aligned', async () => {
+    ddbMock.on(QueryCommand).resolves(partition({
+      tracks: [{ trackName: 'main', status: 'Processed' }, { trackName: 'guest', status: 'Processing' }]
+    }));
+    await handler(event);
+
+    ddbMock.on(QueryCommand).resolves(partition({
+      tracks: [{ trackName: 'main', status: 'Processed' }, { trackName: 'guest', status: 'Processed' }]
+    }));
+    await handler(event);
+
+    expect(ddbMock.commandCalls(UpdateItemCommand)).toHaveLength(0);
+  });
+
+  test('should not transcribe when another event already claimed the episode', async () => {
+    ddbMock.on(QueryCommand).resolves(partition());
+    const conditionError = new Error('The conditional request failed');
+    conditionError.name = 'ConditionalCheckFailedException';
+    ddbMock.on(UpdateItemCommand).rejects(conditionError);
+
+    const result = await handler(event);
+
+    expect(result).toEqual({ statusCode: 200 });
+    const claim = ddbMock.commandCalls(UpdateItemCommand)[0].args[0].input;
+    expect(claim.ConditionExpression).toContain('attribute_not_exists(#transcriptionStatus)');
+    expect(ddbMock.commandCalls(UpdateItemCommand)).toHaveLength(1);
+  });
+
+  test('should stay off when the whisper transcriber has no endpoint', async () => {
+    process.env.TRANSCRIBER = 'whisper';
+    ddbMock.on(QueryCommand).resolves(partition());
+
+    try {
+      await handler(event);
+    } finally {
+      process.env.TRANSCRIBER = 'local';
+    }
+
+    expect(ddbMock.commandCalls(UpdateItemCommand)).toHaveLength(0);
+  });
+});
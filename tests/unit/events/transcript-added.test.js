@@ -0,0 +1,58 @@
+// Unit tests for attaching an uploaded transcript to its episode
+// These tests validate the recorded transcript key and that a transcript in the other format is replaced
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBClient, GetItemCommand, UpdateItemCommand, DeleteItemCommand } = require('@aws-sdk/client-dynamodb');
+const { S3Client, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+const s3Mock = mockClient(S3Client);
+
+process.env.TABLE_NAME = 'test-table';
+process.env.BUCKET_NAME = 'test-bucket';
+
+const { handler } = require('../../../functions/events/transcript-added.mjs');
+
+const event = (key) => ({ detail: { object: { key } } });
+
+describe('Transcript Added Handler', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+    s3Mock.reset();
+    ddbMock.on(GetItemCommand).resolves({ Item: marshall({ pk: 'tenant123#episode-456', sk: 'metadata' }) });
+    ddbMock.on(UpdateItemCommand).resolves({});
+    ddbMock.on(DeleteItemCommand).resolves({});
+    s3Mock.on(DeleteObjectCommand).resolves({});
+  });
+
+  test('should record the transcript and delete the one it replaces in the other format', async () => {
+    await handler(event('tenant123/episode-456/transcript.vtt'));
+
+    const update = ddbMock.commandCalls(UpdateItemCommand)[0].args[0].input;
+    expect(unmarshall(update.ExpressionAttributeValues)[':key']).toBe('tenant123/episode-456/transcript.vtt');
+    expect(s3Mock.commandCalls(DeleteObjectCommand).map(call => call.args[0].input.Key)).toEqual(['tenant123/episode-456/transcript.srt']);
+  });
+
+  test('should attach the transcript even when the old format cannot be deleted', async () => {
+    s3Mock.on(DeleteObjectCommand).rejects(new Error('Access Denied'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await handler(event('tenant123/episode-456/transcript.srt'));
+
+    expect(result.statusCode).toBe(200);
+    expect(ddbMock.commandCalls(UpdateItemCommand)).toHaveLength(1);
+    expect(ddbMock.commandCalls(DeleteItemCommand)).toHaveLength(1);
+    console.warn.mockRestore();
+  });
+
+  test('should skip keys that are not episode transcripts', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await handler(event('tenant123/episode-456/clips/clip-789/clip.srt'));
+
+    expect(ddbMock.calls()).toHaveLength(0);
+    expect(s3Mock.calls()).toHaveLength(0);
+    console.warn.mockRestore();
+  });
+});
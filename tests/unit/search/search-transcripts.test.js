@@ -0,0 +1,49 @@
+// Unit tests for the transcript search endpoint
+// These tests validate query validation and the response shape
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBClient, QueryCommand } = require('@aws-sdk/client-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+
+process.env.TABLE_NAME = 'test-table';
+process.env.BUCKET_NAME = 'test-bucket';
+
+const { handler } = require('../../../functions/search/search-transcripts.mjs');
+
+const event = (queryStringParameters) => ({
+  requestContext: { authorizer: { tenantId: 'tenant123' } },
+  queryStringParameters
+});
+
+describe('Search Transcripts Handler', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+  });
+
+  test('should require a query with a searchable word', async () => {
+    expect((await handler(event(null))).statusCode).toBe(400);
+    expect((await handler(event({ q: 'x'.repeat(201) }))).statusCode).toBe(400);
+
+    const response = await handler(event({ q: 'the and' }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toBe('q must contain at least one searchable word');
+    expect(ddbMock.calls()).toHaveLength(0);
+  });
+
+  test('should search the tenant\'s term partitions', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+
+    const response = await handler(event({ q: ' Step Functions ', limit: '500' }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body)).toEqual({ query: 'Step Functions', items: [], count: 0 });
+    expect(ddbMock.commandCalls(QueryCommand)[0].args[0].input.ExpressionAttributeValues[':pk']).toEqual({ S: 'tenant123#search#step' });
+  });
+
+  test('should return 401 without a tenant', async () => {
+    const response = await handler({ requestContext: { authorizer: {} }, queryStringParameters: { q: 'lambda' } });
+
+    expect(response.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,169 @@
+// Unit tests for show profiles
+// These tests validate profile parsing, prompt rendering, resolution and the create/update handlers
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBClient, QueryCommand, PutItemCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+
+process.env.TABLE_NAME = 'test-table';
+
+const {
+  DEFAULT_SHOW_PROFILE,
+  parseShowProfile,
+  loadShowProfile,
+  buildClipDetectorPrompt
+} = require('../../../functions/utils/show-profiles.mjs');
+const { handler: createHandler } = require('../../../functions/show-profiles/create-show-profile.mjs');
+const { handler: updateHandler } = require('../../../functions/show-profiles/update-show-profile.mjs');
+
+const nullCheck = {
+  name: 'Null Check',
+  hosts: [{ name: 'Allen Helton' }, { name: 'Andres Moreno' }],
+  tone: 'smart, candid, funny, and technically insightful',
+  clipCount: { min: 3, max: 6 },
+  clipDuration: { minSeconds: 20, maxSeconds: 60 },
+  clipTypes: { required: ['demo', 'insight'] }
+};
+
+const storedProfiles = (...profiles) => ({
+  Items: profiles.map((profile, i) => marshall({ pk: 'tenant123', sk: `profile#p${i}`, profileId: `p${i}`, ...profile }))
+});
+
+const apiEvent = (body, pathParameters = {}) => ({
+  requestContext: { authorizer: { tenantId: 'tenant123' } },
+  pathParameters,
+  body: JSON.stringify(body)
+});
+
+describe('Show Profiles', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+  });
+
+  describe('parseShowProfile', () => {
+    test('should fill unspecified settings from the default profile', () => {
+      const { profile, errors } = parseShowProfile({ name: 'Null Check', hosts: ['Allen Helton'] });
+
+      expect(errors).toEqual([]);
+      expect(profile).toEqual({
+        ...DEFAULT_SHOW_PROFILE,
+        name: 'Null Check',
+        hosts: [{ name: 'Allen Helton' }]
+      });
+    });
+
+    test('should report every invalid setting', () => {
+      const { errors } = parseShowProfile({
+        hosts: [{ description: 'no name' }],
+        clipCount: { min: 8, max: 4 },
+        clipDuration: { minSeconds: 60, maxSeconds: 30 },
+        clipTypes: { required: ['rant'], primary: 'rant' }
+      });
+
+      expect(errors).toEqual([
+        'name is required',
+        'every host needs a name',
+        'clipCount must have whole numbers between 1 and 10 with min <= max',
+        'clipDuration must have minSeconds < maxSeconds, both between 0 and 600',
+        'clipTypes.required must only contain educational, funny, demo, hot_take, insight',
+        'clipTypes.primary must be one of educational, funny, demo, hot_take, insight'
+      ]);
+    });
+  });
+
+  describe('buildClipDetectorPrompt', () => {
+    test('should render the show, hosts and clip rules from the profile', () => {
+      const prompt = buildClipDetectorPrompt(parseShowProfile(nullCheck).profile);
+
+      expect(prompt).toContain('for the YouTube **Null Check** hosted by Allen Helton and Andres Moreno.');
+      expect(prompt).toContain('Identify 3-6 distinct moments');
+      expect(prompt).toContain('* Range from 20 to 60 seconds long');
+      expect(prompt).toContain('should not exceed 60 seconds');
+      expect(prompt).toContain("* Mix clip types: at least one 'demo' and one 'insight' if available.\n");
+      expect(prompt).not.toContain('majority clip type');
+      expect(prompt).toContain('(e.g., "Allen", "Andres", "guest")');
+      expect(prompt).toContain('smart, candid, funny, and technically insightful.');
+    });
+
+    test('should not name any show or host in the default prompt', () => {
+      const prompt = buildClipDetectorPrompt(DEFAULT_SHOW_PROFILE);
+
+      expect(prompt).not.toMatch(/Null Check|Allen|Andres/);
+      expect(prompt).toContain('for the YouTube show.');
+      expect(prompt).toContain('Identify 5-10 distinct moments');
+      expect(prompt).toContain("at least one 'funny', one 'educational', and one 'hot_take' if available. Prioritize educational");
+    });
+  });
+
+  describe('loadShowProfile', () => {
+    test('should prefer the series profile, then the tenant default', async () => {
+      ddbMock.on(QueryCommand).resolves(storedProfiles(
+        { name: 'Default Show' },
+        { name: 'Null Check', seriesName: 'Null Check' }
+      ));
+
+      expect((await loadShowProfile('tenant123', 'null check')).name).toBe('Null Check');
+      expect((await loadShowProfile('tenant123', 'Other Series')).name).toBe('Default Show');
+      expect((await loadShowProfile('tenant123')).name).toBe('Default Show');
+    });
+
+    test('should fall back to the built-in default when nothing matches', async () => {
+      ddbMock.on(QueryCommand).resolves(storedProfiles({ name: 'Null Check', seriesName: 'Null Check' }));
+
+      expect(await loadShowProfile('tenant123', 'Other Series')).toBe(DEFAULT_SHOW_PROFILE);
+    });
+  });
+
+  describe('create handler', () => {
+    test('should store the profile under the tenant', async () => {
+      ddbMock.on(QueryCommand).resolves({ Items: [] });
+      ddbMock.on(PutItemCommand).resolves({});
+
+      const response = await createHandler(apiEvent({ ...nullCheck, seriesName: 'Null Check' }));
+
+      expect(response.statusCode).toBe(201);
+      const { id } = JSON.parse(response.body);
+      const item = unmarshall(ddbMock.commandCalls(PutItemCommand)[0].args[0].input.Item);
+      expect(item).toMatchObject({ pk: 'tenant123', sk: `profile#${id}`, profileId: id, name: 'Null Check', seriesName: 'Null Check' });
+    });
+
+    test('should reject a second profile for the same series', async () => {
+      ddbMock.on(QueryCommand).resolves(storedProfiles({ name: 'Null Check', seriesName: 'Null Check' }));
+
+      const response = await createHandler(apiEvent({ name: 'Another', seriesName: ' null check ' }));
+
+      expect(response.statusCode).toBe(409);
+      expect(ddbMock.commandCalls(PutItemCommand)).toHaveLength(0);
+    });
+
+    test('should reject invalid profiles', async () => {
+      const response = await createHandler(apiEvent({ hosts: 'Allen' }));
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).message).toBe('name is required, hosts must be an array of at most 10 hosts');
+    });
+  });
+
+  describe('update handler', () => {
+    test('should replace the profile and keep its creation date', async () => {
+      ddbMock.on(QueryCommand).resolves(storedProfiles({ name: 'Old', createdAt: '2025-01-01T00:00:00.000Z' }));
+      ddbMock.on(PutItemCommand).resolves({});
+
+      const response = await updateHandler(apiEvent(nullCheck, { profileId: 'p0' }));
+
+      expect(response.statusCode).toBe(204);
+      const item = unmarshall(ddbMock.commandCalls(PutItemCommand)[0].args[0].input.Item);
+      expect(item).toMatchObject({ sk: 'profile#p0', name: 'Null Check', createdAt: '2025-01-01T00:00:00.000Z' });
+    });
+
+    test('should return 404 for unknown profiles', async () => {
+      ddbMock.on(QueryCommand).resolves({ Items: [] });
+
+      const response = await updateHandler(apiEvent(nullCheck, { profileId: 'missing' }));
+
+      expect(response.statusCode).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+// Unit tests for transcript validation in the createClip tool
+// These tests validate that segments are snapped or rejected before clips are persisted
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBClient, PutItemCommand } = require('@aws-sdk/client-dynamodb');
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+const s3Mock = mockClient(S3Client);
+
+process.env.TABLE_NAME = 'test-table';
+process.env.BUCKET_NAME = 'test-bucket';
+
+const { createClipTool } = require('../../../functions/tools/create-clips.mjs');
+
+const transcript = [
+  '1',
+  '00:00:10,000 --> 00:00:20,000',
+  'Allen: Sometimes it\'s a breakthrough',
+  '',
+  '2',
+  '00:00:25,000 --> 00:00:40,000',
+  'Andres: We try it out live',
+  ''
+].join('\n');
+
+const clip = (segments) => ({
+  segments,
+  hook: 'Why we test in production',
+  summary: 'Allen and Andres explain their live experiments.',
+  bRollSuggestions: ['reaction shot'],
+  clipType: 'funny'
+});
+
+const putClips = () => ddbMock.commandCalls(PutItemCommand)
+  .map(call => unmarshall(call.args[0].input.Item))
+  .filter(item => item.sk?.startsWith('clip#'));
+
+describe('Create Clips Tool - Transcript Validation', () => {
+  let episode = 0;
+  let episodeId;
+
+  beforeEach(() => {
+    ddbMock.reset();
+    s3Mock.reset();
+    ddbMock.onAnyCommand().resolves({});
+    episodeId = `episode-${++episode}`;
+  });
+
+  const withTranscript = (key = `tenant123/${episodeId}/transcript.srt`) => {
+    s3Mock.on(GetObjectCommand).rejects(Object.assign(new Error('NoSuchKey'), { name: 'NoSuchKey' }));
+    s3Mock.on(GetObjectCommand, { Key: key }).resolves({ Body: { transformToString: async () => transcript } });
+  };
+
+  test('should snap boundaries that fall between cues to the nearest cue', async () => {
+    withTranscript();
+
+    const result = await createClipTool.handler('tenant123', {
+      episodeId,
+      clips: [clip([{ startTime: '00:00:22', endTime: '00:00:45', speaker: 'Andres', order: 1 }])]
+    });
+
+    expect(result).toBe(`1 clips added for episode ${episodeId}. All clips have been created with tenant isolation.`);
+    const [item] = putClips();
+    expect(item.segments[0]).toMatchObject({ startTime: '00:00:25', endTime: '00:00:40', speaker: 'Andres' });
+    expect(item.totalDurationSeconds).toBe(15);
+    expect(item).toMatchObject({ source: 'ai', revision: 1 });
+  });
+
+  test('should reject clips naming a speaker who is not talking and report why', async () => {
+    withTranscript();
+
+    const result = await createClipTool.handler('tenant123', {
+      episodeId,
+      clips: [
+        clip([{ startTime: '00:00:12', endTime: '00:00:18', speaker: 'Allen', order: 1 }]),
+        clip([{ startTime: '00:00:26', endTime: '00:00:30', speaker: 'Allen', order: 1 }])
+      ]
+    });
+
+    expect(putClips()).toHaveLength(1);
+    expect(result).toContain(`1 clips added for episode ${episodeId}`);
+    expect(result).toContain('1 clips were rejected');
+    expect(result).not.toContain('All clips have been created');
+    expect(result).toContain('Clip 2 "Why we test in production": Segment 1 (00:00:26 - 00:00:30): Allen does not speak in this window (speakers heard: Andres)');
+  });
+
+  test('should reject segments outside the transcript or without dialogue', async () => {
+    withTranscript();
+
+    const result = await createClipTool.handler('tenant123', {
+      episodeId,
+      clips: [clip([
+        { startTime: '00:01:00', endTime: '00:01:10', speaker: 'Allen', order: 1 },
+        { startTime: '00:00:21', endTime: '00:00:24', speaker: 'Allen', order: 2 }
+      ])]
+    });
+
+    expect(putClips()).toHaveLength(0);
+    expect(result).toContain('Segment 1 (00:01:00 - 00:01:10): outside the transcript, which runs from 00:00:10 to 00:00:40');
+    expect(result).toContain('Segment 2 (00:00:21 - 00:00:24): nobody speaks in this window');
+  });
+
+  test('should validate against a WebVTT transcript when no SRT exists', async () => {
+    withTranscript(`tenant123/${episodeId}/transcript.vtt`);
+
+    const result = await createClipTool.handler('tenant123', {
+      episodeId,
+      clips: [clip([{ startTime: '00:00:12', endTime: '00:00:18', speaker: 'andres', order: 1 }])]
+    });
+
+    expect(putClips()).toHaveLength(0);
+    expect(result).toContain('andres does not speak in this window (speakers heard: Allen)');
+  });
+
+  test('should report clips that could not be saved', async () => {
+    withTranscript();
+    ddbMock.on(PutItemCommand).rejectsOnce(new Error('Throttled')).resolves({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await createClipTool.handler('tenant123', {
+      episodeId,
+      clips: [
+        { ...clip([{ startTime: '00:00:12', endTime: '00:00:18', speaker: 'Allen', order: 1 }]), hook: 'First clip' },
+        { ...clip([{ startTime: '00:00:26', endTime: '00:00:30', speaker: 'Andres', order: 1 }]), hook: 'Second clip' }
+      ]
+    });
+
+    expect(result).toBe(`1 clips added for episode ${episodeId}.\n1 clips could not be saved. Call createClip again with only these clips:\n- Clip 1 "First clip"`);
+    expect(putClips().map(item => item.hook)).toEqual(['First clip', 'Second clip']);
+    console.error.mockRestore();
+  });
+
+  test('should store clips unchanged when the transcript cannot be loaded', async () => {
+    s3Mock.on(GetObjectCommand).rejects(new Error('NoSuchKey'));
+
+    const segments = [{ startTime: '00:05:00', endTime: '00:05:30', speaker: 'Allen', order: 1 }];
+    const result = await createClipTool.handler('tenant123', { episodeId, clips: [clip(segments)] });
+
+    expect(result).toContain('1 clips added');
+    expect(putClips()[0].segments).toEqual(segments);
+  });
+
+  test('should store the layout the model picked', async () => {
+    s3Mock.on(GetObjectCommand).rejects(new Error('NoSuchKey'));
+
+    const segments = [{ startTime: '00:05:00', endTime: '00:05:30', speaker: 'Allen', order: 1 }];
+    const input = { episodeId, clips: [{ ...clip(segments), layout: 'side-by-side' }, clip(segments)] };
+    expect(createClipTool.schema.safeParse({ ...input, clips: [{ ...clip(segments), layout: 'grid' }] }).success).toBe(false);
+
+    await createClipTool.handler('tenant123', createClipTool.schema.parse(input));
+
+    const [withLayout, withoutLayout] = putClips();
+    expect(withLayout.layout).toEqual({ type: 'side-by-side', audio: 'speaker' });
+    expect(withoutLayout).not.toHaveProperty('layout');
+  });
+});
@@ -0,0 +1,99 @@
+// Unit tests for track time alignment
+// These tests validate manual offsets, chunk mapping with offsets and cross-correlation offset detection
+
+const {
+  ALIGNMENT_STATUS,
+  parseTrackOffset,
+  needsAlignment,
+  findTrackOffset
+} = require('../../../functions/utils/alignment.mjs');
+const { calculateChunkMapping } = require('../../../functions/utils/video-processing.mjs');
+
+const hlsSegments = [0, 1, 2].map(index => ({
+  key: `tenant123/episode-456/videos/guest/chunks/guest_chunk_${index}.ts`,
+  filename: `guest_chunk_${index}.ts`,
+  start: index * 10,
+  end: (index + 1) * 10,
+  duration: 10,
+  index
+}));
+
+// Deterministic noise so the correlation peak is the same on every run
+const noise = (length, seed = 7) => {
+  const samples = new Float32Array(length);
+  let state = seed;
+  for (let i = 0; i < length; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    samples[i] = state / 1073741824 - 1;
+  }
+  return samples;
+};
+
+describe('Track alignment', () => {
+  test('should validate manual offsets', () => {
+    expect(parseTrackOffset(2.3456)).toEqual({ offsetSeconds: 2.346, error: null });
+    expect(parseTrackOffset(-12)).toEqual({ offsetSeconds: -12, error: null });
+    expect(parseTrackOffset('2').error).toBe('"offsetSeconds" must be a number between -3600 and 3600');
+    expect(parseTrackOffset(7200).error).not.toBeNull();
+  });
+
+  test('should only wait on tracks other than main when the episode has a main track', () => {
+    const main = { trackName: 'main' };
+    const guest = { trackName: 'guest' };
+
+    expect(needsAlignment(guest, [main, guest])).toBe(true);
+    expect(needsAlignment({ ...guest, alignmentStatus: ALIGNMENT_STATUS.FAILED }, [main, guest])).toBe(false);
+    expect(needsAlignment(main, [main, guest])).toBe(false);
+    expect(needsAlignment(guest, [guest, { trackName: 'host' }])).toBe(false);
+  });
+
+  test('should shift chunk mappings by the track offset', () => {
+    const mappings = calculateChunkMapping({ startTime: '00:00:08', endTime: '00:00:12' }, hlsSegments, { offsetSeconds: 2.5 });
+
+    expect(mappings).toHaveLength(1);
+    expect(mappings[0]).toMatchObject({ filename: 'guest_chunk_1.ts', startOffset: 0.5, duration: 4, offsetSeconds: 2.5 });
+  });
+
+  test('should clamp segments that start before the track does', () => {
+    const mappings = calculateChunkMapping({ startTime: '00:00:01', endTime: '00:00:05' }, hlsSegments, { offsetSeconds: -3 });
+
+    expect(mappings[0]).toMatchObject({ startOffset: 0, duration: 2 });
+    expect(() => calculateChunkMapping({ startTime: '00:00:01', endTime: '00:00:02' }, hlsSegments, { offsetSeconds: -3 }))
+      .toThrow('No chunks found');
+  });
+
+  test('should find a track that started recording before the main track', () => {
+    const sampleRate = 100;
+    const recording = noise(4000);
+    // Main starts 5s into the recording; the guest track starts 2s into it
+    const main = recording.subarray(500);
+    const guest = recording.subarray(200);
+
+    const reference = main.slice(10 * sampleRate, 20 * sampleRate);
+    const result = findTrackOffset(reference, guest.slice(0, 30 * sampleRate), { sampleRate, referenceStartSeconds: 10 });
+
+    expect(result.offsetSeconds).toBe(3);
+    expect(result.confidence).toBeCloseTo(1, 2);
+  });
+
+  test('should find a track that started recording after the main track', () => {
+    const sampleRate = 100;
+    const recording = noise(4000, 11);
+    const main = recording;
+    const guest = recording.subarray(150);
+
+    const reference = main.slice(10 * sampleRate, 20 * sampleRate);
+    const result = findTrackOffset(reference, guest.slice(0, 30 * sampleRate), { sampleRate, referenceStartSeconds: 10 });
+
+    expect(result.offsetSeconds).toBe(-1.5);
+  });
+
+  test('should report low confidence for unrelated audio and nothing for silence', () => {
+    const reference = noise(500, 3);
+    const unrelated = findTrackOffset(reference, noise(2000, 5), { sampleRate: 100, referenceStartSeconds: 0 });
+
+    expect(unrelated.confidence).toBeLessThan(0.2);
+    expect(findTrackOffset(new Float32Array(500), noise(2000), { sampleRate: 100, referenceStartSeconds: 0 })).toBeNull();
+    expect(findTrackOffset(reference, noise(100), { sampleRate: 100, referenceStartSeconds: 0 })).toBeNull();
+  });
+});
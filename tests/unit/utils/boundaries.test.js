@@ -0,0 +1,90 @@
+// Unit tests for clip boundary refinement
+// These tests validate snapping segment edges to transcript cue edges and detected silences
+
+const {
+  DEFAULT_BOUNDARY_TOLERANCE_MS,
+  parseBoundaryTolerance,
+  refineSegmentBoundaries
+} = require('../../../functions/utils/boundaries.mjs');
+const { parseSilenceDetectOutput } = require('../../../functions/utils/ffmpeg.mjs');
+
+const cues = [
+  { startMs: 59200, endMs: 64000, speaker: 'Allen', text: 'So here is the thing.' },
+  { startMs: 64400, endMs: 89600, speaker: 'Andres', text: 'Agents need guardrails.' },
+  { startMs: 90300, endMs: 95000, speaker: 'Allen', text: 'Right.' }
+];
+const segment = { startTime: '00:01:04.100', endTime: '00:01:30', speaker: 'Andres', order: 1 };
+
+describe('Boundary refinement', () => {
+  test('should snap edges to the nearest cue edges', () => {
+    expect(refineSegmentBoundaries(segment, { cues })).toEqual({
+      startTime: '00:01:04.400',
+      endTime: '00:01:29.600',
+      startSnappedTo: 'cue',
+      endSnappedTo: 'cue'
+    });
+  });
+
+  test('should cut inside the silence next to the cue edge', () => {
+    const silences = [
+      { startMs: 63900, endMs: 64350 },
+      { startMs: 89650, endMs: 90250 }
+    ];
+
+    expect(refineSegmentBoundaries(segment, { cues, silences })).toEqual({
+      startTime: '00:01:04.250',
+      endTime: '00:01:29.750',
+      startSnappedTo: 'cue+silence',
+      endSnappedTo: 'cue+silence'
+    });
+  });
+
+  test('should fall back to silences when no cue edge is in reach', () => {
+    const refined = refineSegmentBoundaries(segment, {
+      cues: [],
+      silences: [{ startMs: 89800, endMs: 90050 }]
+    });
+
+    expect(refined.startTime).toBe('00:01:04.100');
+    expect(refined.startSnappedTo).toBeNull();
+    expect(refined.endTime).toBe('00:01:29.900');
+    expect(refined.endSnappedTo).toBe('silence');
+  });
+
+  test('should leave edges alone outside the tolerance', () => {
+    const refined = refineSegmentBoundaries(segment, { cues, toleranceMs: 200 });
+
+    expect(refined.startSnappedTo).toBeNull();
+    expect(refined.endTime).toBe('00:01:30');
+    expect(refined.endSnappedTo).toBeNull();
+  });
+
+  test('should keep the requested segment when snapping would collapse it', () => {
+    const short = { startTime: '00:01:04', endTime: '00:01:04.300' };
+
+    expect(refineSegmentBoundaries(short, { cues })).toEqual({
+      startTime: '00:01:04', endTime: '00:01:04.300', startSnappedTo: null, endSnappedTo: null
+    });
+  });
+
+  test('should read the tolerance with 0 disabling refinement', () => {
+    expect(parseBoundaryTolerance('1200')).toBe(1200);
+    expect(parseBoundaryTolerance('0')).toBe(0);
+    expect(parseBoundaryTolerance(undefined)).toBe(DEFAULT_BOUNDARY_TOLERANCE_MS);
+    expect(parseBoundaryTolerance('soon')).toBe(DEFAULT_BOUNDARY_TOLERANCE_MS);
+    expect(refineSegmentBoundaries(segment, { cues, toleranceMs: 0 }).startTime).toBe('00:01:04.100');
+  });
+
+  test('should parse silencedetect output and close a silence left open by the window', () => {
+    const output = [
+      '[silencedetect @ 0x55d0] silence_start: 1.204',
+      '[silencedetect @ 0x55d0] silence_end: 1.63 | silence_duration: 0.426',
+      '[silencedetect @ 0x55d0] silence_start: 3.9'
+    ].join('\n');
+
+    expect(parseSilenceDetectOutput(output, 4.5)).toEqual([
+      { start: 1.204, end: 1.63 },
+      { start: 3.9, end: 4.5 }
+    ]);
+  });
+});
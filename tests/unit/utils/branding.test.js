@@ -0,0 +1,128 @@
+// Unit tests for per-tenant branding
+// These tests validate branding settings and uploads, what reaches the render step and the bumper/watermark filter graph
+
+const {
+  DEFAULT_WATERMARK,
+  parseBrandingSettings,
+  resolveBrandingUpload,
+  formatBranding,
+  resolveBranding,
+  buildBrandingFilterGraph
+} = require('../../../functions/utils/branding.mjs');
+
+describe('Branding', () => {
+  test('should fill omitted settings with defaults and reject invalid ones', () => {
+    expect(parseBrandingSettings({})).toEqual({
+      settings: { enabled: true, watermark: DEFAULT_WATERMARK },
+      errors: []
+    });
+    expect(parseBrandingSettings({ enabled: false, watermark: { position: 'top-left' } }).settings).toEqual({
+      enabled: false,
+      watermark: { ...DEFAULT_WATERMARK, position: 'top-left' }
+    });
+
+    expect(parseBrandingSettings({ enabled: 'yes', watermark: { position: 'center', opacity: 0, widthRatio: 0.9 } }).errors).toEqual([
+      'enabled must be a boolean',
+      'watermark position must be one of top-left, top-right, bottom-left, bottom-right',
+      'watermark opacity must be a number greater than 0 and at most 1',
+      'watermark widthRatio must be a number between 0.03 and 0.5'
+    ]);
+    expect(parseBrandingSettings({ watermark: [] }).errors).toEqual(['watermark must be an object']);
+  });
+
+  test('should store uploads under the tenant branding prefix by asset', () => {
+    expect(resolveBrandingUpload('tenant123', 'logo', 'Company Logo.PNG')).toEqual({
+      key: 'tenant123/branding/logo.png',
+      extension: 'png',
+      error: null
+    });
+    expect(resolveBrandingUpload('tenant123', 'intro', 'intro.mov').key).toBe('tenant123/branding/intro.mov');
+
+    expect(resolveBrandingUpload('tenant123', 'banner', 'banner.png').error).toBe('asset must be one of logo, intro, outro');
+    expect(resolveBrandingUpload('tenant123', 'outro', 'outro.png').error).toBe('outro filename must end in .mp4, .mov, .webm');
+    expect(resolveBrandingUpload('tenant123', 'logo', 'logo').error).toBe('logo filename must end in .png, .jpg, .jpeg, .webp');
+  });
+
+  test('should format a missing record with defaults and no assets', () => {
+    expect(formatBranding(null)).toEqual({
+      enabled: true,
+      watermark: DEFAULT_WATERMARK,
+      assets: { logo: null, intro: null, outro: null },
+      updatedAt: null
+    });
+  });
+
+  test('should pass branding to the render step only when enabled with an asset', () => {
+    const record = {
+      pk: 'tenant123',
+      sk: 'branding',
+      enabled: true,
+      watermark: { position: 'top-right', opacity: 0.5, widthRatio: 0.2 },
+      logo: { key: 'tenant123/branding/logo.png', filename: 'logo.png' },
+      outro: { key: 'tenant123/branding/outro.mp4', filename: 'outro.mp4' }
+    };
+
+    expect(resolveBranding(record)).toEqual({
+      logoKey: 'tenant123/branding/logo.png',
+      introKey: null,
+      outroKey: 'tenant123/branding/outro.mp4',
+      watermark: { position: 'top-right', opacity: 0.5, widthRatio: 0.2 }
+    });
+    expect(resolveBranding({ ...record, enabled: false })).toBeNull();
+    expect(resolveBranding({ pk: 'tenant123', sk: 'branding', enabled: true })).toBeNull();
+    expect(resolveBranding(null)).toBeNull();
+  });
+
+  test('should only normalize the clip when there is nothing to add', () => {
+    const graph = buildBrandingFilterGraph({
+      width: 1280,
+      height: 720,
+      frameRate: '25/1',
+      main: { durationSeconds: 30, hasAudio: true }
+    });
+
+    expect(graph.inputs).toEqual(['main']);
+    expect(graph.filterComplex).toBe('[0:v]fps=25/1,setsar=1,format=yuv420p[mainv];[0:a]aformat=sample_rates=48000:channel_layouts=stereo[maina]');
+    expect(graph.videoLabel).toBe('[mainv]');
+    expect(graph.audioLabel).toBe('[maina]');
+  });
+
+  test('should watermark the clip and join fitted bumpers around it', () => {
+    const graph = buildBrandingFilterGraph({
+      width: 1080,
+      height: 1920,
+      frameRate: '30000/1001',
+      mainFilter: 'crop=1080:1920:420:0',
+      main: { durationSeconds: 30, hasAudio: true },
+      intro: { durationSeconds: 3, hasAudio: true },
+      outro: { durationSeconds: 4, hasAudio: true },
+      logo: true,
+      watermark: { position: 'top-left', opacity: 0.6, widthRatio: 0.15 }
+    });
+    const filters = graph.filterComplex.split(';');
+
+    expect(graph.inputs).toEqual(['main', 'intro', 'outro', 'logo']);
+    expect(filters).toContain('[0:v]crop=1080:1920:420:0,fps=30000/1001,setsar=1,format=yuv420p[body]');
+    expect(filters).toContain('[3:v]scale=162:-1,format=rgba,colorchannelmixer=aa=0.6[logo]');
+    expect(filters).toContain('[body][logo]overlay=x=32:y=32:format=auto,format=yuv420p[mainv]');
+    expect(filters).toContain('[1:v]scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1,fps=30000/1001,format=yuv420p[introv]');
+    expect(filters[filters.length - 1]).toBe('[introv][introa][mainv][maina][outrov][outroa]concat=n=3:v=1:a=1[vout][aout]');
+    expect(graph.videoLabel).toBe('[vout]');
+    expect(graph.audioLabel).toBe('[aout]');
+  });
+
+  test('should give silent bumpers silence and fall back to 30 fps when the rate is unknown', () => {
+    const graph = buildBrandingFilterGraph({
+      width: 1280,
+      height: 720,
+      frameRate: '0/1',
+      main: { durationSeconds: 30, hasAudio: true },
+      intro: { durationSeconds: 2.5, hasAudio: false }
+    });
+    const filters = graph.filterComplex.split(';');
+
+    expect(filters).toContain('anullsrc=r=48000:cl=stereo,atrim=duration=2.5[introa]');
+    expect(filters[0]).toBe('[0:v]fps=30,setsar=1,format=yuv420p[mainv]');
+    expect(filters[filters.length - 1]).toBe('[introv][introa][mainv][maina]concat=n=2:v=1:a=1[vout][aout]');
+  });
+});
@@ -0,0 +1,84 @@
+// Unit tests for the chunk source used by segment extraction
+// These tests validate that single-use chunks are streamed and shared chunks are downloaded once
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { Readable } = require('stream');
+const { promises: fs, existsSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+process.env.AWS_REGION = 'us-east-1';
+process.env.AWS_ACCESS_KEY_ID = 'test-access-key';
+process.env.AWS_SECRET_ACCESS_KEY = 'test-secret-key';
+
+const s3Mock = mockClient(S3Client);
+
+const { createChunkSource, getVideoFileUrl } = require('../../../functions/utils/s3-video.mjs');
+
+const chunkKey = (index) => `tenant123/episode-456/videos/main/chunks/main_chunk_${index}.ts`;
+
+describe('Chunk source', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    s3Mock.reset();
+    s3Mock.on(GetObjectCommand).callsFake(() => ({ Body: Readable.from([Buffer.from('chunk bytes')]) }));
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'chunk-source-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should presign chunk URLs without fetching the object', async () => {
+    const url = await getVideoFileUrl('test-bucket', chunkKey(0));
+
+    expect(url).toContain('test-bucket');
+    expect(url).toContain('main_chunk_0.ts');
+    expect(url).toContain('X-Amz-Signature=');
+    expect(s3Mock.commandCalls(GetObjectCommand)).toHaveLength(0);
+  });
+
+  test('should stream chunks read by a single window', async () => {
+    const source = createChunkSource('test-bucket', tempDir, [chunkKey(0), chunkKey(1)]);
+
+    const input = await source.open(chunkKey(0));
+    await source.release(chunkKey(0));
+
+    expect(input).toMatch(/^https:\/\//);
+    expect(s3Mock.commandCalls(GetObjectCommand)).toHaveLength(0);
+    expect(source.stats()).toEqual({ streamed: 1, downloaded: 0 });
+  });
+
+  test('should download a shared chunk once and delete it after its last window', async () => {
+    const source = createChunkSource('test-bucket', tempDir, [chunkKey(0), chunkKey(1), chunkKey(1), chunkKey(1)]);
+
+    const first = await source.open(chunkKey(1));
+    await source.release(chunkKey(1));
+    const second = await source.open(chunkKey(1));
+    await source.release(chunkKey(1));
+    const third = await source.open(chunkKey(1));
+
+    expect(first.startsWith(tempDir)).toBe(true);
+    expect(second).toBe(first);
+    expect(third).toBe(first);
+    expect(await fs.readFile(first, 'utf8')).toBe('chunk bytes');
+    expect(s3Mock.commandCalls(GetObjectCommand)).toHaveLength(1);
+
+    await source.release(chunkKey(1));
+    expect(existsSync(first)).toBe(false);
+    expect(source.stats()).toEqual({ streamed: 0, downloaded: 1 });
+  });
+
+  test('should let a failed shared download be released without leaving files behind', async () => {
+    s3Mock.on(GetObjectCommand).rejects(new Error('Access Denied'));
+    const source = createChunkSource('test-bucket', tempDir, [chunkKey(2), chunkKey(2)]);
+
+    await expect(source.open(chunkKey(2))).rejects.toThrow('Failed to download video file from S3: Access Denied');
+    await source.release(chunkKey(2));
+    await source.release(chunkKey(2));
+
+    expect(await fs.readdir(tempDir)).toEqual([]);
+  });
+});
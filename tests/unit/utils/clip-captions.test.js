@@ -0,0 +1,86 @@
+// Unit tests for clip captions
+// These tests validate cutting transcript cues to clip segments and re-timing them onto the clip timeline
+
+const { buildClipCaptions, formatSrt, formatVtt } = require('../../../functions/utils/transcripts.mjs');
+const { generateCaptionKey } = require('../../../functions/utils/video-processing.mjs');
+
+const cues = [
+  { index: 1, startMs: 60000, endMs: 64000, speaker: 'Allen', text: 'Agents need guardrails.' },
+  { index: 2, startMs: 64000, endMs: 70000, speaker: 'Andres', text: 'Especially in production.' },
+  { index: 3, startMs: 70000, endMs: 75000, speaker: 'Allen', text: 'Nobody reads the logs.' },
+  { index: 4, startMs: 120000, endMs: 126000, speaker: 'Andres', text: 'So we built a dashboard.' }
+];
+
+describe('Clip captions', () => {
+  test('should re-time cues relative to the start of a single segment', () => {
+    const captions = buildClipCaptions(cues, [{ startTime: '00:01:02', endTime: '00:01:10' }]);
+
+    expect(captions).toEqual([
+      { index: 1, startMs: 0, endMs: 2000, speaker: 'Allen', text: 'Agents need guardrails.' },
+      { index: 2, startMs: 2000, endMs: 8000, speaker: 'Andres', text: 'Especially in production.' }
+    ]);
+  });
+
+  test('should continue the timeline across segment boundaries', () => {
+    const captions = buildClipCaptions(cues, [
+      { startTime: '00:01:00', endTime: '00:01:04' },
+      { startTime: '00:02:00', endTime: '00:02:06.500' }
+    ]);
+
+    expect(captions.map(c => [c.startMs, c.endMs, c.text])).toEqual([
+      [0, 4000, 'Agents need guardrails.'],
+      [4000, 10000, 'So we built a dashboard.']
+    ]);
+  });
+
+  test('should use probed segment durations when extraction comes up short', () => {
+    const captions = buildClipCaptions(cues, [
+      { startTime: '00:01:00', endTime: '00:01:04' },
+      { startTime: '00:02:00', endTime: '00:02:06' }
+    ], [3960, 6000]);
+
+    expect(captions[1].startMs).toBe(3960);
+    expect(captions[0].endMs).toBe(3960);
+  });
+
+  test('should keep a cue that runs across contiguous segments as one caption', () => {
+    const captions = buildClipCaptions(cues, [
+      { startTime: '00:01:04', endTime: '00:01:06' },
+      { startTime: '00:01:06', endTime: '00:01:12' }
+    ]);
+
+    expect(captions.map(c => [c.startMs, c.endMs, c.speaker])).toEqual([
+      [0, 6000, 'Andres'],
+      [6000, 8000, 'Allen']
+    ]);
+  });
+
+  test('should drop slivers of cues clipped by a segment edge', () => {
+    const captions = buildClipCaptions(cues, [{ startTime: '00:01:03.900', endTime: '00:01:06' }]);
+
+    expect(captions.map(c => c.text)).toEqual(['Especially in production.']);
+  });
+
+  test('should render sidecar SRT and WebVTT with speakers', () => {
+    const captions = buildClipCaptions(cues, [{ startTime: '00:01:02', endTime: '00:01:10' }]);
+
+    expect(formatSrt(captions)).toBe([
+      '1', '00:00:00,000 --> 00:00:02,000', 'Allen: Agents need guardrails.',
+      '',
+      '2', '00:00:02,000 --> 00:00:08,000', 'Andres: Especially in production.'
+    ].join('\n'));
+    expect(formatVtt(captions)).toBe([
+      'WEBVTT',
+      '',
+      '00:00:00.000 --> 00:00:02.000', '<v Allen>Agents need guardrails.',
+      '',
+      '00:00:02.000 --> 00:00:08.000', '<v Andres>Especially in production.',
+      ''
+    ].join('\n'));
+  });
+
+  test('should store sidecar captions next to clip.mp4', () => {
+    expect(generateCaptionKey('episode-456', 'clip-789', 'vtt', 'tenant123'))
+      .toBe('tenant123/episode-456/clips/clip-789/clip.vtt');
+  });
+});
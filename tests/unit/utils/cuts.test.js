@@ -0,0 +1,86 @@
+// Unit tests for keyframe-aware cut planning
+// These tests validate when a window is stream-copied, smart-cut or re-encoded, and how cuts are reported
+
+const {
+  CUT_STRATEGIES,
+  planSegmentCut,
+  describeCuts
+} = require('../../../functions/utils/cuts.mjs');
+const { parseKeyframeTimes } = require('../../../functions/utils/ffmpeg.mjs');
+
+// A 10 second chunk with a keyframe every 2 seconds
+const keyframes = [0, 2, 4, 6, 8];
+
+describe('Cut planning', () => {
+  test('should stream-copy a window that starts on a keyframe', () => {
+    expect(planSegmentCut(keyframes, 4, 3)).toEqual({
+      strategy: CUT_STRATEGIES.COPY,
+      seekPoint: 4,
+      keyframe: 4,
+      reencodedSeconds: 0,
+      copiedSeconds: 3
+    });
+  });
+
+  test('should treat a start within a frame of a keyframe as on it', () => {
+    const cut = planSegmentCut(keyframes, 4.02, 3);
+
+    expect(cut.strategy).toBe(CUT_STRATEGIES.COPY);
+    expect(cut.keyframe).toBe(4);
+    // The copy starts on the keyframe and still ends where the window does
+    expect(cut.copiedSeconds).toBe(3.02);
+  });
+
+  test('should re-encode only up to the first keyframe in the window', () => {
+    expect(planSegmentCut(keyframes, 2.5, 5)).toEqual({
+      strategy: CUT_STRATEGIES.SMART,
+      seekPoint: 2,
+      keyframe: 4,
+      reencodedSeconds: 1.5,
+      copiedSeconds: 3.5
+    });
+  });
+
+  test('should re-encode the whole window when no keyframe leaves enough to copy', () => {
+    // The window ends before the next keyframe
+    expect(planSegmentCut(keyframes, 2.5, 1)).toMatchObject({
+      strategy: CUT_STRATEGIES.REENCODE,
+      seekPoint: 2,
+      keyframe: null,
+      reencodedSeconds: 1,
+      copiedSeconds: 0
+    });
+    // Less than a second would be copied after the keyframe
+    expect(planSegmentCut(keyframes, 2.5, 2).strategy).toBe(CUT_STRATEGIES.REENCODE);
+  });
+
+  test('should re-encode from the requested start when keyframes are unknown', () => {
+    expect(planSegmentCut([], 3.25, 4)).toEqual({
+      strategy: CUT_STRATEGIES.REENCODE,
+      seekPoint: 3.25,
+      keyframe: null,
+      reencodedSeconds: 4,
+      copiedSeconds: 0
+    });
+  });
+
+  test('should report the cuts of a segment as object metadata', () => {
+    const cuts = [
+      planSegmentCut(keyframes, 6.5, 3.5),
+      planSegmentCut(keyframes, 0, 4),
+      planSegmentCut(keyframes, 2, 1.2)
+    ];
+
+    expect(describeCuts(cuts)).toEqual({
+      'cut-strategy': 'smart,copy',
+      'reencoded-duration': '1.5',
+      'copied-duration': '7.2'
+    });
+  });
+
+  test('should parse FFprobe keyframe times', () => {
+    const output = '2.002000\n4.004000,\n\n2.002000\nN/A\n0.000000\n';
+
+    expect(parseKeyframeTimes(output)).toEqual([0, 2.002, 4.004]);
+  });
+});
@@ -0,0 +1,80 @@
+// Unit tests for composite clip layouts
+// These tests validate layout settings, track selection per segment and the filter graphs that composite tracks
+
+const {
+  DEFAULT_LAYOUT,
+  parseLayout,
+  resolveLayout,
+  selectLayoutTracks,
+  buildCompositeFilterGraph
+} = require('../../../functions/utils/layouts.mjs');
+
+const tracks = [
+  { trackName: 'guest', speakers: ['Guest'] },
+  { trackName: 'host', speakers: ['Host'] },
+  { trackName: 'screenshare', speakers: [] }
+];
+
+describe('Composite layouts', () => {
+  test('should fill in layout defaults and reject bad settings', () => {
+    expect(parseLayout('side-by-side')).toEqual({ layout: { type: 'side-by-side', audio: 'speaker' }, errors: [] });
+    expect(parseLayout({ type: 'picture-in-picture', screenTrack: 'slides' }).layout).toEqual({
+      type: 'picture-in-picture', audio: 'speaker', pipPosition: 'bottom-right', screenTrack: 'slides'
+    });
+    expect(parseLayout({ type: 'grid' }).errors).toEqual(['layout type must be one of single, side-by-side, stacked, picture-in-picture']);
+    expect(parseLayout({ type: 'stacked', tracks: ['a', 'b', 'c', 'd'], audio: 'loudest' }).errors).toEqual([
+      'layout tracks must list 1 to 3 track names',
+      'layout audio must be one of speaker, mix'
+    ]);
+  });
+
+  test('should fall back to a single camera', () => {
+    expect(resolveLayout({})).toBe(DEFAULT_LAYOUT);
+    expect(resolveLayout({ layout: { type: 'picture-in-picture', pipPosition: 'center' } })).toBe(DEFAULT_LAYOUT);
+  });
+
+  test('should keep camera order stable and follow the speaker for audio', () => {
+    const layout = { type: 'side-by-side', audio: 'speaker' };
+    expect(selectLayoutTracks(layout, tracks, 'Host')).toEqual({ tracks: ['guest', 'host'], audioIndex: 1 });
+    expect(selectLayoutTracks(layout, tracks, 'Guest')).toEqual({ tracks: ['guest', 'host'], audioIndex: 0 });
+    expect(selectLayoutTracks({ ...layout, tracks: ['host', 'guest'] }, tracks, 'Nobody')).toEqual({ tracks: ['host', 'guest'], audioIndex: 0 });
+    expect(selectLayoutTracks(layout, tracks.slice(1), 'Host')).toBeNull();
+  });
+
+  test('should put the speaker over the screen share', () => {
+    const layout = { type: 'picture-in-picture', audio: 'speaker', pipPosition: 'bottom-right' };
+    expect(selectLayoutTracks(layout, tracks, 'Host')).toEqual({ tracks: ['screenshare', 'host'], audioIndex: 1 });
+    expect(selectLayoutTracks(layout, tracks.slice(0, 2), 'Host')).toBeNull();
+  });
+
+  test('should build side-by-side and stacked graphs', () => {
+    const sideBySide = buildCompositeFilterGraph({ type: 'side-by-side', audio: 'speaker' }, 2, { audioIndex: 1 });
+    expect(sideBySide.filterComplex).toBe([
+      '[0:v]scale=960:1080:force_original_aspect_ratio=increase,crop=960:1080,setsar=1,format=yuv420p[t0]',
+      '[1:v]scale=960:1080:force_original_aspect_ratio=increase,crop=960:1080,setsar=1,format=yuv420p[t1]',
+      '[t0][t1]hstack=inputs=2:shortest=1,pad=1920:1080:(ow-iw)/2:(oh-ih)/2:color=black[vout]',
+      '[1:a]aresample=48000[aout]'
+    ].join(';'));
+
+    const stacked = buildCompositeFilterGraph({ type: 'stacked', audio: 'mix' }, 3);
+    expect(stacked).toMatchObject({ width: 1080, height: 1920, videoLabel: '[vout]', audioLabel: '[aout]' });
+    expect(stacked.filterComplex).toContain('crop=1080:640');
+    expect(stacked.filterComplex).toContain('[t0][t1][t2]vstack=inputs=3:shortest=1');
+    expect(stacked.filterComplex).toContain('[0:a][1:a][2:a]amix=inputs=3:duration=shortest:normalize=0[aout]');
+  });
+
+  test('should place the picture-in-picture overlay in its corner', () => {
+    const graph = buildCompositeFilterGraph({ type: 'picture-in-picture', audio: 'speaker', pipPosition: 'top-left' }, 2, { audioIndex: 1 });
+    expect(graph.filterComplex).toContain('[1:v]scale=576:324:force_original_aspect_ratio=increase,crop=576:324');
+    expect(graph.filterComplex).toContain('[base][pip]overlay=x=32:y=32:shortest=1[vout]');
+
+    const bottomRight = buildCompositeFilterGraph({ type: 'picture-in-picture', audio: 'speaker', pipPosition: 'bottom-right' }, 2);
+    expect(bottomRight.filterComplex).toContain('overlay=x=1312:y=724');
+  });
+
+  test('should fill the canvas when only one track is available', () => {
+    expect(buildCompositeFilterGraph({ type: 'stacked', audio: 'mix' }, 1).filterComplex).toBe(
+      '[0:v]scale=1080:1920:force_original_aspect_ratio=increase,crop=1080:1920,setsar=1,format=yuv420p[vout];[0:a]aresample=48000[aout]'
+    );
+  });
+});
@@ -0,0 +1,76 @@
+// Unit tests for loudness normalization
+// These tests validate platform targets and the two-pass loudnorm filters used to level clip segments
+
+const {
+  parseLoudnessTarget,
+  resolveLoudnessTarget,
+  buildLoudnormFilter,
+  parseLoudnormOutput
+} = require('../../../functions/utils/loudness.mjs');
+
+const loudnormOutput = (values) => `[Parsed_loudnorm_0 @ 0x5581] 
+{
+	"input_i" : "${values.inputI}",
+	"input_tp" : "-4.10",
+	"input_lra" : "6.20",
+	"input_thresh" : "-37.52",
+	"output_i" : "-14.02",
+	"output_tp" : "-1.00",
+	"output_lra" : "5.90",
+	"output_thresh" : "-24.50",
+	"normalization_type" : "linear",
+	"target_offset" : "0.02"
+}
+`;
+
+describe('Loudness normalization', () => {
+  test('should resolve platform targets', () => {
+    expect(parseLoudnessTarget('Podcast')).toEqual({
+      target: { platform: 'podcast', integratedLufs: -16, truePeakDb: -1.5, loudnessRange: 11 },
+      errors: []
+    });
+    expect(parseLoudnessTarget('radio').errors).toEqual(['loudness platform must be one of youtube, tiktok, instagram, linkedin, twitch, podcast, broadcast']);
+  });
+
+  test('should fill explicit targets from the platform and reject out of range values', () => {
+    expect(parseLoudnessTarget({ integratedLufs: -18 }).target).toEqual({ integratedLufs: -18, truePeakDb: -1, loudnessRange: 11 });
+    expect(parseLoudnessTarget({ platform: 'broadcast', truePeakDb: -2 }).target).toEqual({ platform: 'broadcast', integratedLufs: -23, truePeakDb: -2, loudnessRange: 15 });
+    expect(parseLoudnessTarget({ integratedLufs: 3, truePeakDb: 1 }).errors).toEqual([
+      'loudness integratedLufs must be between -70 and -5',
+      'loudness truePeakDb must be between -9 and 0'
+    ]);
+  });
+
+  test('should prefer the profile loudness, then its platform, then YouTube', () => {
+    expect(resolveLoudnessTarget({ loudness: 'podcast', platform: 'YouTube' }).integratedLufs).toBe(-16);
+    expect(resolveLoudnessTarget({ platform: 'Broadcast' }).integratedLufs).toBe(-23);
+    expect(resolveLoudnessTarget({ platform: 'Vimeo' })).toEqual({ platform: 'youtube', integratedLufs: -14, truePeakDb: -1, loudnessRange: 11 });
+    expect(resolveLoudnessTarget(null).platform).toBe('youtube');
+  });
+
+  test('should build the measurement and correction passes', () => {
+    const target = resolveLoudnessTarget({ platform: 'podcast' });
+    expect(buildLoudnormFilter(target)).toBe('loudnorm=I=-16:TP=-1.5:LRA=11:print_format=json');
+
+    const measured = parseLoudnormOutput(loudnormOutput({ inputI: '-27.30' }));
+    expect(buildLoudnormFilter(target, measured)).toBe(
+      'loudnorm=I=-16:TP=-1.5:LRA=11:measured_I=-27.3:measured_TP=-4.1:measured_LRA=6.2:measured_thresh=-37.52:offset=0.02:linear=true:print_format=json'
+    );
+  });
+
+  test('should read the loudnorm report', () => {
+    expect(parseLoudnormOutput(`frame=  300 fps=0.0\n${loudnormOutput({ inputI: '-27.30' })}`)).toEqual({
+      inputI: -27.3,
+      inputTp: -4.1,
+      inputLra: 6.2,
+      inputThresh: -37.52,
+      outputI: -14.02,
+      outputTp: -1,
+      outputLra: 5.9,
+      targetOffset: 0.02,
+      normalizationType: 'linear'
+    });
+    expect(parseLoudnormOutput(loudnormOutput({ inputI: '-inf' })).inputI).toBeNull();
+    expect(() => parseLoudnormOutput('no report')).toThrow('loudnorm did not report a measurement');
+  });
+});
@@ -0,0 +1,83 @@
+// Unit tests for clip preview frame selection
+// These tests validate scene score parsing, scene-change frame picking and the preview keys
+
+const {
+  DEFAULT_CONTACT_SHEET_FRAMES,
+  parseContactSheetFrames,
+  parseSceneScores,
+  selectPreviewFrames,
+  contactSheetGrid
+} = require('../../../functions/utils/previews.mjs');
+const { generatePreviewKey } = require('../../../functions/utils/video-processing.mjs');
+
+describe('Clip previews', () => {
+  test('should read the contact sheet size with a default', () => {
+    expect(parseContactSheetFrames('12')).toBe(12);
+    expect(parseContactSheetFrames(undefined)).toBe(DEFAULT_CONTACT_SHEET_FRAMES);
+    expect(parseContactSheetFrames('0')).toBe(DEFAULT_CONTACT_SHEET_FRAMES);
+    expect(parseContactSheetFrames('40')).toBe(DEFAULT_CONTACT_SHEET_FRAMES);
+    expect(parseContactSheetFrames('2.5')).toBe(DEFAULT_CONTACT_SHEET_FRAMES);
+  });
+
+  test('should parse scene scores printed by the metadata filter', () => {
+    const output = [
+      'Input #0, mov,mp4,m4a,3gp,3g2,mj2, from \'clip.mp4\':',
+      '[Parsed_metadata_3 @ 0x5581] frame:0    pts:0       pts_time:0',
+      '[Parsed_metadata_3 @ 0x5581] lavfi.scene_score=0.000000',
+      '[Parsed_metadata_3 @ 0x5581] frame:1    pts:1       pts_time:0.25',
+      '[Parsed_metadata_3 @ 0x5581] lavfi.scene_score=0.012345',
+      '[Parsed_metadata_3 @ 0x5581] frame:2    pts:2       pts_time:0.5',
+      '[Parsed_metadata_3 @ 0x5581] lavfi.scene_score=0.647000'
+    ].join('\n');
+
+    expect(parseSceneScores(output)).toEqual([
+      { time: 0, score: 0 },
+      { time: 0.25, score: 0.012345 },
+      { time: 0.5, score: 0.647 }
+    ]);
+  });
+
+  test('should pick the strongest spread-out scene changes with the thumbnail on the strongest', () => {
+    const scores = [
+      { time: 4, score: 0.5 },
+      { time: 4.25, score: 0.45 },
+      { time: 12, score: 0.9 },
+      { time: 21, score: 0.3 },
+      { time: 25, score: 0.05 }
+    ];
+
+    const selection = selectPreviewFrames(scores, 30, 3);
+
+    // 4.25 is too close to 4; 25 is below the scene threshold
+    expect(selection.frames).toEqual([4.3, 12.3, 21.3]);
+    expect(selection.thumbnail).toBe(12.3);
+    expect(selection.preview).toEqual({ startSeconds: 10.8, durationSeconds: 3 });
+  });
+
+  test('should fill clips without scene changes with evenly spaced frames', () => {
+    const selection = selectPreviewFrames([{ time: 1, score: 0.01 }], 40, 4);
+
+    expect(selection.frames).toEqual([5, 15, 25, 35]);
+    expect(selection.thumbnail).toBe(25);
+  });
+
+  test('should keep frames and the preview inside short clips', () => {
+    const selection = selectPreviewFrames([{ time: 1.9, score: 0.8 }], 2, 2);
+
+    expect(selection.frames.every(time => time >= 0.2 && time <= 1.8)).toBe(true);
+    expect(selection.thumbnail).toBe(1.8);
+    expect(selection.preview).toEqual({ startSeconds: 0, durationSeconds: 2 });
+  });
+
+  test('should lay contact sheets out close to square', () => {
+    expect(contactSheetGrid(9)).toEqual({ columns: 3, rows: 3 });
+    expect(contactSheetGrid(10)).toEqual({ columns: 4, rows: 3 });
+    expect(contactSheetGrid(1)).toEqual({ columns: 1, rows: 1 });
+  });
+
+  test('should store previews next to the clip', () => {
+    expect(generatePreviewKey('episode-456', 'clip-789', 'thumbnail.jpg', 'tenant123'))
+      .toBe('tenant123/episode-456/clips/clip-789/thumbnail.jpg');
+    expect(() => generatePreviewKey('episode-456', 'clip-789', 'preview.webp')).toThrow('tenantId is required');
+  });
+});
@@ -0,0 +1,104 @@
+// Unit tests for clip render targets
+// These tests validate target resolution and the crop/scale/pad filters used to reframe clips
+
+const {
+  DEFAULT_RENDER_TARGETS,
+  parseRenderTargets,
+  resolveRenderTargets,
+  matchesAspectRatio,
+  buildReframeFilter,
+  buildCaptionFilter
+} = require('../../../functions/utils/renditions.mjs');
+const { generateRenditionKey } = require('../../../functions/utils/video-processing.mjs');
+
+describe('Clip Renditions', () => {
+  describe('parseRenderTargets', () => {
+    test('should accept aspect ratio strings and objects, defaulting fit to crop', () => {
+      const { targets, errors } = parseRenderTargets(['9:16', { aspectRatio: '1:1', fit: 'pad' }, '9:16']);
+
+      expect(errors).toEqual([]);
+      expect(targets).toEqual([
+        { aspectRatio: '9:16', fit: 'crop' },
+        { aspectRatio: '1:1', fit: 'pad' }
+      ]);
+    });
+
+    test('should keep captioned and plain renditions of the same aspect ratio apart', () => {
+      const { targets } = parseRenderTargets(['9:16', { aspectRatio: '9:16', burnCaptions: true }]);
+
+      expect(targets).toEqual([
+        { aspectRatio: '9:16', fit: 'crop' },
+        { aspectRatio: '9:16', fit: 'crop', burnCaptions: true }
+      ]);
+      expect(parseRenderTargets([{ aspectRatio: '1:1', burnCaptions: 'yes' }]).errors).toEqual(['renderTargets burnCaptions must be a boolean']);
+    });
+
+    test('should reject unknown aspect ratios and fits', () => {
+      expect(parseRenderTargets(['4:3']).errors).toEqual(['renderTargets aspectRatio must be one of 16:9, 9:16, 1:1']);
+      expect(parseRenderTargets([{ aspectRatio: '9:16', fit: 'stretch' }]).errors).toEqual(['renderTargets fit must be one of crop, pad']);
+      expect(parseRenderTargets([]).errors).toEqual(['renderTargets must be a non-empty array']);
+    });
+  });
+
+  describe('resolveRenderTargets', () => {
+    test('should prefer the clip, then the profile, then the defaults', () => {
+      const profile = { renderTargets: [{ aspectRatio: '1:1', fit: 'pad' }] };
+
+      expect(resolveRenderTargets({ renderTargets: ['9:16'] }, profile)).toEqual([{ aspectRatio: '9:16', fit: 'crop' }]);
+      expect(resolveRenderTargets({}, profile)).toEqual([{ aspectRatio: '1:1', fit: 'pad' }]);
+      expect(resolveRenderTargets({}, {})).toBe(DEFAULT_RENDER_TARGETS);
+    });
+
+    test('should skip invalid clip targets', () => {
+      expect(resolveRenderTargets({ renderTargets: ['21:9'] }, undefined)).toBe(DEFAULT_RENDER_TARGETS);
+    });
+  });
+
+  describe('buildReframeFilter', () => {
+    const landscape = { width: 1920, height: 1080 };
+
+    test('should center-crop a landscape source to vertical', () => {
+      expect(buildReframeFilter(landscape, { aspectRatio: '9:16', fit: 'crop' }))
+        .toBe('crop=606:1080:656:0,scale=1080:1920,setsar=1');
+    });
+
+    test('should center-crop a landscape source to square', () => {
+      expect(buildReframeFilter(landscape, { aspectRatio: '1:1' }))
+        .toBe('crop=1080:1080:420:0,scale=1080:1080,setsar=1');
+    });
+
+    test('should crop the top and bottom of a tall source for landscape', () => {
+      expect(buildReframeFilter({ width: 1080, height: 1920 }, { aspectRatio: '16:9' }))
+        .toBe('crop=1080:606:0:656,scale=1920:1080,setsar=1');
+    });
+
+    test('should letterbox when fit is pad', () => {
+      expect(buildReframeFilter(landscape, { aspectRatio: '9:16', fit: 'pad' }))
+        .toBe('scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1');
+    });
+
+    test('should only scale when the source already matches', () => {
+      expect(matchesAspectRatio(1280, 720, '16:9')).toBe(true);
+      expect(buildReframeFilter({ width: 1280, height: 720 }, { aspectRatio: '16:9' })).toBe('scale=1920:1080,setsar=1');
+    });
+
+    test('should reject unsupported aspect ratios', () => {
+      expect(() => buildReframeFilter(landscape, { aspectRatio: '4:3' })).toThrow('Unsupported aspect ratio: 4:3');
+    });
+  });
+
+  test('should burn captions with a layout for the target shape', () => {
+    expect(buildCaptionFilter('/tmp/clip/captions.srt', '9:16')).toBe(
+      "subtitles=filename='/tmp/clip/captions.srt':force_style='FontName=Arial,Bold=1,PrimaryColour=&H00FFFFFF," +
+      "OutlineColour=&H00000000,BorderStyle=1,Outline=2,Shadow=0,Alignment=2,FontSize=9,MarginV=60'"
+    );
+  });
+
+  test('should store renditions next to clip.mp4', () => {
+    expect(generateRenditionKey('episode-456', 'clip-789', '9:16', 'tenant123'))
+      .toBe('tenant123/episode-456/clips/clip-789/clip-9x16.mp4');
+    expect(generateRenditionKey('episode-456', 'clip-789', '9:16', 'tenant123', true))
+      .toBe('tenant123/episode-456/clips/clip-789/clip-9x16-captioned.mp4');
+    expect(() => generateRenditionKey('episode-456', 'clip-789', '9:16')).toThrow('tenantId is required');
+  });
+});
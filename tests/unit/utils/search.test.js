@@ -0,0 +1,124 @@
+// Unit tests for transcript search
+// These tests validate tokenizing, indexing an episode, intersecting postings and shaping hits
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBClient, QueryCommand, GetItemCommand, PutItemCommand, BatchWriteItemCommand } = require('@aws-sdk/client-dynamodb');
+const { S3Client, GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+const ddbMock = mockClient(DynamoDBClient);
+const s3Mock = mockClient(S3Client);
+
+process.env.TABLE_NAME = 'test-table';
+process.env.BUCKET_NAME = 'test-bucket';
+
+const {
+  tokenize,
+  buildSearchIndex,
+  buildSearchHit,
+  indexEpisodeTranscript,
+  searchTranscripts
+} = require('../../../functions/utils/search.mjs');
+
+const cues = [
+  { startMs: 0, endMs: 4000, speaker: 'Allen', text: 'Welcome back to the show.' },
+  { startMs: 4000, endMs: 9000, speaker: 'spk_1', text: 'We moved the pipeline to Step Functions.' },
+  { startMs: 9000, endMs: 15000, speaker: 'Allen', text: 'Why a step function and not a queue?' },
+  { startMs: 15000, endMs: 22000, speaker: 'spk_1', text: 'Functions retry, queues just wait.' }
+];
+
+const postingsOf = (episodeId, index) => [...index].map(([term, positions]) => ({ term, episodeId, cues: positions }));
+
+describe('Transcript Search', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+    s3Mock.reset();
+  });
+
+  test('should tokenize into lowercase terms without common words or plurals', () => {
+    expect(tokenize('We moved the pipeline to Step Functions!')).toEqual(['moved', 'pipeline', 'step', 'function']);
+    expect(tokenize('Queries about AWS, Lambdas & Café')).toEqual(['query', 'about', 'aws', 'lambda', 'cafe']);
+    expect(tokenize('the and of')).toEqual([]);
+  });
+
+  test('should list the cues each term occurs in', () => {
+    const index = buildSearchIndex(cues);
+
+    expect(index.get('function')).toEqual([1, 2, 3]);
+    expect(index.get('step')).toEqual([1, 2]);
+    expect(index.has('the')).toBe(false);
+  });
+
+  test('should replace an episode index and remove terms the transcript no longer has', async () => {
+    ddbMock.on(GetItemCommand).resolves({ Item: marshall({ pk: 'tenant123#episode-456', sk: 'search-index', terms: ['kafka', 'step'] }) });
+    ddbMock.on(BatchWriteItemCommand).resolves({});
+
+    const result = await indexEpisodeTranscript('tenant123', 'episode-456', cues, { transcriptKey: 'tenant123/episode-456/transcript.srt' });
+
+    expect(result.removed).toBe(1);
+    const snapshot = JSON.parse(s3Mock.commandCalls(PutObjectCommand)[0].args[0].input.Body);
+    expect(s3Mock.commandCalls(PutObjectCommand)[0].args[0].input.Key).toBe('tenant123/episode-456/search/cues.json');
+    expect(snapshot.cues[1]).toEqual({ startMs: 4000, endMs: 9000, speaker: 'spk_1', text: 'We moved the pipeline to Step Functions.' });
+
+    const requests = ddbMock.commandCalls(BatchWriteItemCommand).flatMap(call => call.args[0].input.RequestItems['test-table']);
+    const puts = requests.filter(r => r.PutRequest).map(r => unmarshall(r.PutRequest.Item));
+    expect(puts).toContainEqual(expect.objectContaining({ pk: 'tenant123#search#function', sk: 'episode-456', cues: [1, 2, 3] }));
+    expect(requests.filter(r => r.DeleteRequest).map(r => unmarshall(r.DeleteRequest.Key)))
+      .toEqual([{ pk: 'tenant123#search#kafka', sk: 'episode-456' }]);
+    expect(requests.every(r => !r.PutRequest || unmarshall(r.PutRequest.Item).sk !== 'search-index')).toBe(true);
+
+    const record = unmarshall(ddbMock.commandCalls(PutItemCommand)[0].args[0].input.Item);
+    expect(record).toMatchObject({ sk: 'search-index', cueCount: 4, transcriptKey: 'tenant123/episode-456/transcript.srt' });
+    expect(record.terms).toContain('pipeline');
+  });
+
+  test('should return only cues that contain every term, best match first', async () => {
+    const index = buildSearchIndex(cues);
+    const other = buildSearchIndex([{ startMs: 0, endMs: 5000, speaker: 'Andres', text: 'No step here, only functions.' }]);
+    ddbMock.on(QueryCommand).callsFake(({ ExpressionAttributeValues }) => {
+      const term = unmarshall(ExpressionAttributeValues)[':pk'].split('#search#')[1];
+      const items = [...postingsOf('episode-456', index), ...postingsOf('episode-789', other), ...postingsOf('deleted-episode', index)]
+        .filter(posting => posting.term === term)
+        .map(({ term: t, ...posting }) => marshall({ pk: `tenant123#search#${t}`, sk: posting.episodeId, ...posting }));
+      return { Items: items };
+    });
+    ddbMock.on(GetItemCommand, { Key: marshall({ pk: 'tenant123#episode-456', sk: 'metadata' }) })
+      .resolves({ Item: marshall({ pk: 'tenant123#episode-456', sk: 'metadata', title: 'Serverless pipelines', createdAt: '2026-10-01T00:00:00.000Z' }) });
+    ddbMock.on(GetItemCommand, { Key: marshall({ pk: 'tenant123#episode-789', sk: 'metadata' }) })
+      .resolves({ Item: marshall({ pk: 'tenant123#episode-789', sk: 'metadata', title: 'Other' }) });
+    ddbMock.on(GetItemCommand, { Key: marshall({ pk: 'tenant123#episode-456', sk: 'speaker-map' }) })
+      .resolves({ Item: marshall({ pk: 'tenant123#episode-456', sk: 'speaker-map', mappings: { spk_1: 'Andres' } }) });
+    s3Mock.on(GetObjectCommand, { Key: 'tenant123/episode-456/search/cues.json' })
+      .resolves({ Body: { transformToString: async () => JSON.stringify({ cues }) } });
+    s3Mock.on(GetObjectCommand, { Key: 'tenant123/episode-789/search/cues.json' })
+      .resolves({ Body: { transformToString: async () => JSON.stringify({ cues: [{ startMs: 0, endMs: 5000, speaker: 'Andres', text: 'No step here, only functions.' }] }) } });
+
+    const hits = await searchTranscripts('tenant123', 'Step Functions');
+
+    expect(hits.map(hit => [hit.episodeId, hit.startMs])).toEqual([['episode-456', 4000], ['episode-456', 9000], ['episode-789', 0]]);
+    expect(hits[0]).toMatchObject({
+      episodeTitle: 'Serverless pipelines',
+      startTime: '00:00:04',
+      endTime: '00:00:09',
+      speaker: 'Andres',
+      text: 'We moved the pipeline to Step Functions.'
+    });
+    expect(hits[0].score).toBeGreaterThan(hits[2].score);
+    expect(hits[0]).not.toHaveProperty('episodeCreatedAt');
+  });
+
+  test('should not search for common words alone', async () => {
+    expect(await searchTranscripts('tenant123', 'the and')).toEqual([]);
+    expect(ddbMock.calls()).toHaveLength(0);
+  });
+
+  test('should offer a clip of the hit widened to enough context', () => {
+    const hit = buildSearchHit({ episodeId: 'episode-456', title: 'Serverless pipelines' }, cues, 1, { terms: ['pipeline'], phrase: 'pipeline' });
+
+    expect(hit.createClip).toEqual({
+      method: 'POST',
+      path: '/episodes/episode-456/clips',
+      body: { segments: [{ startTime: '00:00:00', endTime: '00:00:15', speaker: 'spk_1', order: 1 }] }
+    });
+  });
+});
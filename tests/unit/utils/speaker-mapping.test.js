@@ -0,0 +1,139 @@
+// Unit tests for speaker mapping
+// These tests validate manual mapping validation, how suggestions and mappings combine and loudness-based suggestions
+
+const {
+  parseSpeakerMappings,
+  resolveSpeakerMap,
+  applySpeakerMap,
+  mapSpeaker,
+  findUnmappedLabels,
+  selectLabelTurns,
+  suggestSpeakerMappings,
+  needsSpeakerSuggestions
+} = require('../../../functions/utils/speaker-mapping.mjs');
+const { parseMeanVolume } = require('../../../functions/utils/ffmpeg.mjs');
+
+const tracks = [
+  { trackName: 'main', speakers: ['Allen', 'Andres'] },
+  { trackName: 'allen-cam', speakers: ['Allen'] },
+  { trackName: 'andres-cam', speakers: ['Andres'] }
+];
+
+describe('Speaker Mapping', () => {
+  test('should validate manual mappings', () => {
+    expect(parseSpeakerMappings({ mappings: { ' spk_0 ': ' Allen ', spk_1: 'Andres' } }))
+      .toEqual({ mappings: { spk_0: 'Allen', spk_1: 'Andres' }, errors: [] });
+
+    expect(parseSpeakerMappings({ mappings: ['Allen'] }).errors).toEqual(['mappings must be an object of label to speaker name']);
+    expect(parseSpeakerMappings({}).errors).toEqual(['mappings must be an object of label to speaker name']);
+    expect(parseSpeakerMappings({ mappings: { spk_0: '', spk_1: 42 } }).errors).toEqual([
+      "speaker for 'spk_0' must be a name between 1 and 100 characters",
+      "speaker for 'spk_1' must be a name between 1 and 100 characters"
+    ]);
+  });
+
+  test('should apply confident suggestions unless a manual mapping overrides them', () => {
+    const record = {
+      mappings: { spk_1: 'Guest' },
+      suggestions: {
+        spk_0: { speaker: 'Allen', trackName: 'allen-cam', confidence: 0.8 },
+        spk_1: { speaker: 'Andres', trackName: 'andres-cam', confidence: 1 },
+        spk_2: { speaker: 'Andres', trackName: 'andres-cam', confidence: 0.4 },
+        spk_3: { speaker: null, trackName: 'panel-cam', confidence: 1 }
+      }
+    };
+
+    expect(resolveSpeakerMap(record)).toEqual({ spk_0: 'Allen', spk_1: 'Guest' });
+    expect(resolveSpeakerMap(null)).toEqual({});
+  });
+
+  test('should rename mapped labels on cues and segments', () => {
+    const cues = [
+      { index: 1, startMs: 0, endMs: 1000, speaker: 'spk_0', text: 'Hi' },
+      { index: 2, startMs: 1000, endMs: 2000, speaker: 'spk_2', text: 'Hello' },
+      { index: 3, startMs: 2000, endMs: 3000, speaker: null, text: '[music]' }
+    ];
+    const map = { spk_0: 'Allen' };
+
+    expect(applySpeakerMap(cues, map).map(c => c.speaker)).toEqual(['Allen', 'spk_2', null]);
+    expect(applySpeakerMap(cues, {})).toBe(cues);
+    expect(mapSpeaker('spk_0', map)).toBe('Allen');
+    expect(mapSpeaker('Andres', map)).toBe('Andres');
+    expect(mapSpeaker(undefined, map)).toBeUndefined();
+  });
+
+  test('should only look for labels that name no track speaker', () => {
+    const cues = [
+      { speaker: 'spk_1' }, { speaker: 'Allen' }, { speaker: 'spk_0' }, { speaker: 'spk_1' }, { speaker: null }
+    ];
+
+    expect(findUnmappedLabels(cues, tracks)).toEqual(['spk_1', 'spk_0']);
+  });
+
+  test('should measure the longest turns of a label, trimmed and in order', () => {
+    const cues = [
+      { startMs: 0, endMs: 2000, speaker: 'spk_0' },
+      { startMs: 5000, endMs: 25000, speaker: 'spk_0' },
+      { startMs: 30000, endMs: 31000, speaker: 'spk_0' },
+      { startMs: 40000, endMs: 44000, speaker: 'spk_0' },
+      { startMs: 50000, endMs: 60000, speaker: 'spk_1' }
+    ];
+
+    expect(selectLabelTurns(cues, 'spk_0', { maxTurns: 2, maxTurnSeconds: 8 })).toEqual([
+      { startMs: 5000, endMs: 13000 },
+      { startMs: 40000, endMs: 44000 }
+    ]);
+  });
+
+  test('should suggest the track that is loudest in most turns', () => {
+    const suggestions = suggestSpeakerMappings({
+      spk_0: [{ 'allen-cam': -20, 'andres-cam': -35 }, { 'allen-cam': -22, 'andres-cam': -30 }, { 'allen-cam': -40, 'andres-cam': -25 }],
+      spk_1: [{ 'allen-cam': -38, 'andres-cam': -21 }, { 'allen-cam': -36, 'andres-cam': -19 }],
+      spk_2: [{}]
+    }, tracks);
+
+    expect(suggestions).toEqual({
+      spk_0: { speaker: 'Allen', trackName: 'allen-cam', confidence: 0.67 },
+      spk_1: { speaker: 'Andres', trackName: 'andres-cam', confidence: 1 }
+    });
+  });
+
+  test('should compare tracks relative to their own level so a hot microphone does not win every turn', () => {
+    // allen-cam has far more gain and is the loudest track in every turn in absolute terms
+    const turnLevels = {
+      spk_0: [{ 'allen-cam': -10, 'andres-cam': -40 }, { 'allen-cam': -11, 'andres-cam': -41 }],
+      spk_1: [{ 'allen-cam': -18, 'andres-cam': -22 }, { 'allen-cam': -19, 'andres-cam': -23 }]
+    };
+
+    const suggestions = suggestSpeakerMappings(turnLevels, tracks);
+
+    expect(suggestions.spk_0.speaker).toBe('Allen');
+    expect(suggestions.spk_1.speaker).toBe('Andres');
+  });
+
+  test('should not name a speaker when the loudest track has several', () => {
+    const suggestions = suggestSpeakerMappings(
+      { spk_0: [{ 'panel-cam': -18, 'allen-cam': -30 }] },
+      [{ trackName: 'panel-cam', speakers: ['Andres', 'Guest'] }, { trackName: 'allen-cam', speakers: ['Allen'] }]
+    );
+
+    expect(suggestions.spk_0).toEqual({ speaker: null, trackName: 'panel-cam', confidence: 1 });
+  });
+
+  test('should only hold clip processing for episodes with speaker tracks', () => {
+    expect(needsSpeakerSuggestions(tracks, null)).toBe(true);
+    expect(needsSpeakerSuggestions(tracks, { suggestedAt: '2026-10-19T10:00:00.000Z' })).toBe(false);
+    expect(needsSpeakerSuggestions([{ trackName: 'main', speakers: ['Allen'] }, { trackName: 'broll' }], null)).toBe(false);
+  });
+
+  test('should read the mean volume from volumedetect output', () => {
+    const output = [
+      '[Parsed_volumedetect_0 @ 0x5581] n_samples: 352800',
+      '[Parsed_volumedetect_0 @ 0x5581] mean_volume: -27.4 dB',
+      '[Parsed_volumedetect_0 @ 0x5581] max_volume: -6.1 dB'
+    ].join('\n');
+
+    expect(parseMeanVolume(output)).toBe(-27.4);
+    expect(parseMeanVolume('Output file is empty, nothing was encoded')).toBeNull();
+  });
+});
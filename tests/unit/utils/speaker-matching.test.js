@@ -0,0 +1,89 @@
+// Unit tests for speaker matching
+// These tests validate normalized, alias and fuzzy matching of speaker names to tracks and alias validation
+
+const {
+  parseSpeakerAliases,
+  normalizeSpeakerName,
+  speakerSimilarity,
+  matchSpeaker,
+  findTrackForSpeaker
+} = require('../../../functions/utils/speaker-matching.mjs');
+
+const tracks = [
+  { trackName: 'main', speakers: ['Allen Helton', 'Andrés'] },
+  { trackName: 'allen-cam', speakers: ['Allen Helton'], speakerAliases: { 'Allen Helton': ['Host', 'AH'] } },
+  { trackName: 'guest-cam', speakers: ['guest1', 'guest2'] }
+];
+
+describe('Speaker Matching', () => {
+  test('should normalize case, accents and punctuation', () => {
+    expect(normalizeSpeakerName('  Host (Allen) ')).toBe('host allen');
+    expect(normalizeSpeakerName('Andrés')).toBe('andres');
+    expect(normalizeSpeakerName("O'Connor")).toBe('o connor');
+    expect(normalizeSpeakerName(undefined)).toBe('');
+  });
+
+  test('should prefer exact names, keeping the first track that has them', () => {
+    expect(matchSpeaker('Allen Helton', tracks)).toEqual({
+      track: tracks[0], speaker: 'Allen Helton', matchedName: 'Allen Helton', method: 'exact', confidence: 1
+    });
+  });
+
+  test('should match names that differ only in case or accents', () => {
+    const match = matchSpeaker('andres', tracks);
+
+    expect(match).toMatchObject({ speaker: 'Andrés', method: 'normalized', confidence: 1 });
+    expect(match.track.trackName).toBe('main');
+  });
+
+  test('should match aliases stored on the track', () => {
+    const match = matchSpeaker('HOST', tracks);
+
+    expect(match).toMatchObject({ speaker: 'Allen Helton', matchedName: 'Host', method: 'alias', confidence: 1 });
+    expect(match.track.trackName).toBe('allen-cam');
+  });
+
+  test('should match partial and misspelled names above the threshold', () => {
+    expect(matchSpeaker('allen', tracks)).toMatchObject({ speaker: 'Allen Helton', method: 'fuzzy', confidence: 0.9 });
+    expect(matchSpeaker('Allen H.', tracks)).toMatchObject({ speaker: 'Allen Helton', method: 'fuzzy' });
+    expect(matchSpeaker('Host (Allen)', tracks)).toMatchObject({ speaker: 'Allen Helton', matchedName: 'Host', method: 'fuzzy' });
+    expect(matchSpeaker('Andre', tracks)).toMatchObject({ speaker: 'Andrés', method: 'fuzzy', confidence: 0.83 });
+  });
+
+  test('should not match dissimilar, numbered or ambiguous names', () => {
+    expect(matchSpeaker('Alan', tracks)).toBeNull();
+    expect(matchSpeaker('A', tracks)).toBeNull();
+    expect(matchSpeaker('guest3', tracks)).toBeNull();
+    expect(speakerSimilarity('guest1', 'guest2')).toBe(0);
+    expect(matchSpeaker('Allen', [
+      { trackName: 'cam-1', speakers: ['Allen Helton'] },
+      { trackName: 'cam-2', speakers: ['Allen Smith'] }
+    ])).toBeNull();
+    expect(matchSpeaker(null, tracks)).toBeNull();
+  });
+
+  test('should honour a custom threshold', () => {
+    expect(findTrackForSpeaker(tracks, 'Andre', { threshold: 0.9 })).toBeNull();
+    expect(findTrackForSpeaker(tracks, 'Andre', { threshold: 0.8 }).trackName).toBe('main');
+  });
+
+  test('should ignore malformed speakers and aliases on track records', () => {
+    const malformed = [
+      { trackName: 'main', speakers: 'Allen', speakerAliases: { Allen: 'Host' } },
+      { trackName: 'cam', speakers: ['Allen'], speakerAliases: { Allen: 'Host' } }
+    ];
+
+    expect(findTrackForSpeaker(malformed, 'allen').trackName).toBe('cam');
+    expect(findTrackForSpeaker(malformed, 'Host')).toBeNull();
+  });
+
+  test('should validate speaker aliases', () => {
+    expect(parseSpeakerAliases({ ' Allen ': [' Host ', 'Host', 'AH'], Andres: [] }))
+      .toEqual({ speakerAliases: { Allen: ['Host', 'AH'] }, error: null });
+
+    expect(parseSpeakerAliases(['Host']).error).toBe('"speakerAliases" must be an object of speaker name to an array of aliases');
+    expect(parseSpeakerAliases({ Allen: 'Host' }).error).toBe('"speakerAliases" must be an object of speaker name to an array of aliases');
+    expect(parseSpeakerAliases({ Allen: ['Host', ''] }).error)
+      .toBe("aliases of 'Allen' must be at most 20 names between 1 and 100 characters");
+  });
+});
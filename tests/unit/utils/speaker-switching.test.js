@@ -0,0 +1,79 @@
+// Unit tests for active-speaker switching
+// These tests validate how segments are split into per-speaker shots and how the shots are joined
+
+const { planSpeakerShots, buildShotConcatFilterGraph } = require('../../../functions/utils/speaker-switching.mjs');
+
+const tracks = [
+  { trackName: 'host', speakers: ['Allen'] },
+  { trackName: 'guest', speakers: ['Jane'] }
+];
+
+const cue = (startMs, endMs, speaker) => ({ startMs, endMs, speaker, text: '...' });
+
+describe('Active-speaker switching', () => {
+  test('should cut to each speaker\'s track at their first cue', () => {
+    const segment = { startTime: '00:01:00', endTime: '00:01:20', speaker: 'Allen' };
+    const cues = [
+      cue(60000, 65000, 'Allen'),
+      cue(65500, 72000, 'Jane'),
+      cue(72000, 80000, 'Allen')
+    ];
+
+    expect(planSpeakerShots(segment, cues, tracks, { defaultTrack: 'host' })).toEqual([
+      { startTime: '00:01:00', endTime: '00:01:05.500', trackName: 'host', speaker: 'Allen' },
+      { startTime: '00:01:05.500', endTime: '00:01:12', trackName: 'guest', speaker: 'Jane' },
+      { startTime: '00:01:12', endTime: '00:01:20', trackName: 'host', speaker: 'Allen' }
+    ]);
+  });
+
+  test('should open on whoever is talking when the segment starts', () => {
+    const segment = { startTime: '00:00:10', endTime: '00:00:20', speaker: 'Allen' };
+    const shots = planSpeakerShots(segment, [cue(8000, 14000, 'Jane'), cue(14000, 20000, 'Allen')], tracks, { defaultTrack: 'host' });
+
+    expect(shots.map(s => [s.startTime, s.trackName])).toEqual([['00:00:10', 'guest'], ['00:00:14', 'host']]);
+  });
+
+  test('should find tracks for speakers written differently in the transcript', () => {
+    const segment = { startTime: '00:00:00', endTime: '00:00:10', speaker: 'Allen' };
+    const aliased = [tracks[0], { trackName: 'guest', speakers: ['Jane'], speakerAliases: { Jane: ['Guest'] } }];
+
+    const shots = planSpeakerShots(segment, [cue(0, 4000, 'ALLEN'), cue(4000, 7000, 'Guest'), cue(7000, 10000, 'allen')], aliased, { defaultTrack: 'host' });
+
+    expect(shots.map(s => [s.startTime, s.trackName])).toEqual([['00:00:00', 'host'], ['00:00:04', 'guest'], ['00:00:07', 'host']]);
+  });
+
+  test('should keep short interjections and unmapped speakers on the current camera', () => {
+    const segment = { startTime: '00:00:00', endTime: '00:00:10', speaker: 'Allen' };
+    const cues = [
+      cue(0, 4000, 'Allen'),
+      cue(4000, 4800, 'Jane'),
+      cue(4800, 7000, 'Allen'),
+      cue(7000, 8500, 'Producer'),
+      cue(8500, 10000, 'Allen')
+    ];
+
+    expect(planSpeakerShots(segment, cues, tracks, { defaultTrack: 'host' })).toEqual([
+      { startTime: '00:00:00', endTime: '00:00:10', trackName: 'host', speaker: 'Allen' }
+    ]);
+  });
+
+  test('should fold a short opening shot into the next one', () => {
+    const segment = { startTime: '00:00:00', endTime: '00:00:10', speaker: 'Allen' };
+    const shots = planSpeakerShots(segment, [cue(0, 1000, 'Allen'), cue(1000, 10000, 'Jane')], tracks, { defaultTrack: 'host' });
+
+    expect(shots).toEqual([{ startTime: '00:00:00', endTime: '00:00:10', trackName: 'guest', speaker: 'Jane' }]);
+  });
+
+  test('should join shots fitted to one frame size', () => {
+    const graph = buildShotConcatFilterGraph(2, { width: 1280, height: 720 });
+
+    expect(graph.filterComplex).toBe([
+      '[0:v]scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1,format=yuv420p[v0]',
+      '[0:a]aformat=sample_rates=48000:channel_layouts=stereo[a0]',
+      '[1:v]scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1,format=yuv420p[v1]',
+      '[1:a]aformat=sample_rates=48000:channel_layouts=stereo[a1]',
+      '[v0][a0][v1][a1]concat=n=2:v=1:a=1[vout][aout]'
+    ].join(';'));
+    expect(graph).toMatchObject({ videoLabel: '[vout]', audioLabel: '[aout]' });
+  });
+});
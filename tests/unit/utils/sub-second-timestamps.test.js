@@ -0,0 +1,93 @@
+// Unit tests for millisecond timestamp precision across the clip pipeline
+// These tests exercise the real modules so the tool schema, chunk mapping and durations stay in step
+
+const videoProcessing = require('../../../functions/utils/video-processing.mjs');
+const clips = require('../../../functions/utils/clips.mjs');
+const { createClipTool } = require('../../../functions/tools/create-clips.mjs');
+
+const hlsSegments = [0, 1, 2].map(index => ({
+  key: `tenant123/episode-456/videos/main/chunks/main_chunk_${index}.ts`,
+  filename: `main_chunk_${index}.ts`,
+  start: index * 10,
+  end: (index + 1) * 10,
+  duration: 10,
+  index
+}));
+
+describe('Sub-second timestamps', () => {
+  describe('video processing time conversion', () => {
+    test('should keep milliseconds when parsing', () => {
+      expect(videoProcessing.timeToSeconds('00:00:20.925')).toBe(20.925);
+      expect(videoProcessing.timeToSeconds('00:00:20,925')).toBe(20.925);
+      expect(videoProcessing.timeToSeconds('01:30.5')).toBe(90.5);
+      expect(videoProcessing.timeToSeconds('00:01:30')).toBe(90);
+    });
+
+    test('should reject malformed fractional values', () => {
+      expect(() => videoProcessing.timeToSeconds('00:00.5:10')).toThrow('Time string must be in HH:MM:SS or MM:SS format');
+      expect(() => videoProcessing.timeToSeconds('00:00:1a')).toThrow('Time string must be in HH:MM:SS or MM:SS format');
+    });
+
+    test('should only add milliseconds to formatted times when present', () => {
+      expect(videoProcessing.secondsToTime(90)).toBe('00:01:30');
+      expect(videoProcessing.secondsToTime(20.925)).toBe('00:00:20.925');
+      expect(videoProcessing.secondsToTime(59.9996)).toBe('00:01:00');
+    });
+  });
+
+  describe('calculateChunkMapping', () => {
+    test('should map millisecond boundaries to chunk offsets', () => {
+      const mappings = videoProcessing.calculateChunkMapping({ startTime: '00:00:08.250', endTime: '00:00:12.100' }, hlsSegments);
+
+      expect(mappings).toHaveLength(2);
+      expect(mappings[0]).toMatchObject({ filename: 'main_chunk_0.ts', startOffset: 8.25, duration: 1.75 });
+      expect(mappings[1]).toMatchObject({ filename: 'main_chunk_1.ts', startOffset: 0, duration: 2.1 });
+    });
+
+    test('should keep whole-second segments mapping as before', () => {
+      const mappings = videoProcessing.calculateChunkMapping({ startTime: '00:00:12', endTime: '00:00:15' }, hlsSegments);
+
+      expect(mappings).toHaveLength(1);
+      expect(mappings[0]).toMatchObject({ startOffset: 2, endOffset: 5, duration: 3 });
+    });
+  });
+
+  describe('durations', () => {
+    const segments = [
+      { startTime: '00:00:20.925', endTime: '00:00:27.104' },
+      { startTime: '00:01:00', endTime: '00:01:05' }
+    ];
+
+    test('should total durations with millisecond precision', () => {
+      expect(videoProcessing.calculateTotalDuration(segments)).toBe(11.179);
+      expect(clips.calculateClipDuration(segments)).toBe('00:00:11.179');
+    });
+
+    test('should keep whole-second clip durations unchanged', () => {
+      expect(clips.calculateClipDuration([{ startTime: '00:01:00', endTime: '00:01:45' }])).toBe('00:00:45');
+    });
+  });
+
+  describe('createClip schema', () => {
+    const clip = (startTime, endTime) => ({
+      episodeId: 'episode-456',
+      clips: [{
+        segments: [{ startTime, endTime, speaker: 'Allen', order: 1 }],
+        hook: 'Why we test in production',
+        summary: 'Allen explains the live experiment.',
+        bRollSuggestions: ['reaction shot'],
+        clipType: 'funny'
+      }]
+    });
+
+    test('should accept whole-second and millisecond timestamps', () => {
+      expect(createClipTool.schema.safeParse(clip('00:00:20.925', '00:00:27.1')).success).toBe(true);
+      expect(createClipTool.schema.safeParse(clip('00:00:20', '00:00:27')).success).toBe(true);
+    });
+
+    test('should reject SRT comma separators and overly precise values', () => {
+      expect(createClipTool.schema.safeParse(clip('00:00:20,925', '00:00:27')).success).toBe(false);
+      expect(createClipTool.schema.safeParse(clip('00:00:20.9251', '00:00:27')).success).toBe(false);
+    });
+  });
+});
@@ -1,491 +1,170 @@
 // Unit tests for track selection algorithm
 // These tests validate speaker matching and track selection logic
 
-describe('Track Selection Algorithm', () => {
-  describe('Speaker Matching Logic', () => {
-    // Mock track selection function
-    const selectTrackForSpeaker = (tracks, speaker) => {
-      return tracks.find(track => (track.speakers || []).includes(speaker)) || null;
-    };
-
-    test('should select track with matching speaker', () => {
-      const tracks = [
-        {
-          trackName: 'main',
-          speakers: ['host', 'guest1']
-        },
-        {
-          trackName: 'guest',
-          speakers: ['guest2']
-        }
-      ];
-
-      const result = selectTrackForSpeaker(tracks, 'host');
-
-      expect(result).not.toBeNull();
-      expect(result.trackName).toBe('main');
-      expect(result.speakers).toContain('host');
-    });
-
-    test('should return null when no track contains the speaker', () => {
-      const tracks = [
-        {
-          trackName: 'main',
-          speakers: ['host', 'guest1']
-        },
-        {
-          trackName: 'guest',
-          speakers: ['guest2']
-        }
-      ];
-
-      const result = selectTrackForSpeaker(tracks, 'nonexistent-speaker');
-
-      expect(result).toBeNull();
-    });
-
-    test('should return first matching track when multiple tracks contain speaker', () => {
-      const tracks = [
-        {
-          trackName: 'main',
-          speakers: ['host', 'guest1']
-        },
-        {
-          trackName: 'backup',
-          speakers: ['host', 'guest2'] // Also contains host
-        }
-      ];
-
-      const result = selectTrackForSpeaker(tracks, 'host');
-
-      expect(result).not.toBeNull();
-      expect(result.trackName).toBe('main'); // First match
-    });
-
-    test('should handle tracks with empty speakers array', () => {
-      const tracks = [
-        {
-          trackName: 'main',
-          speakers: [] // Empty speakers array
-        },
-        {
-          trackName: 'guest',
-          speakers: ['host']
-        }
-      ];
+const { mockClient } = require('aws-sdk-client-mock');
+const { DynamoDBClient, QueryCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall } = require('@aws-sdk/util-dynamodb');
 
-      const result = selectTrackForSpeaker(tracks, 'host');
+const ddbMock = mockClient(DynamoDBClient);
 
-      expect(result).not.toBeNull();
-      expect(result.trackName).toBe('guest');
-    });
-
-    test('should handle tracks with missing speakers field', () => {
-      const tracks = [
-        {
-          trackName: 'main'
-          // No speakers field
-        },
-        {
-          trackName: 'guest',
-          speakers: ['host']
-        }
-      ];
-
-      const result = selectTrackForSpeaker(tracks, 'host');
-
-      expect(result).not.toBeNull();
-      expect(result.trackName).toBe('guest');
-    });
+process.env.TABLE_NAME = 'test-table';
 
-    test('should return null when no tracks exist', () => {
-      const tracks = [];
-
-      const result = selectTrackForSpeaker(tracks, 'host');
-
-      expect(result).toBeNull();
-    });
-
-    test('should handle case-sensitive speaker matching', () => {
-      const tracks = [
-        {
-          trackName: 'main',
-          speakers: ['host'] // lowercase
-        }
-      ];
+const {
+  selectTrackForSpeaker,
+  selectTracksForSpeakers,
+  getTracksForEpisode
+} = require('../../../functions/utils/track-selection.mjs');
+const { findTrackForSpeaker } = require('../../../functions/utils/speaker-matching.mjs');
 
-      const result = selectTrackForSpeaker(tracks, 'Host'); // Different case
+const withTracks = (tracks) => ddbMock.on(QueryCommand).resolves({
+  Items: tracks.map(track => marshall({ pk: 'tenant123#episode-456', sk: `track#${track.trackName}`, ...track }, { removeUndefinedValues: true }))
+});
 
-      expect(result).toBeNull(); // Case-sensitive matching
-    });
+describe('Track Selection Algorithm', () => {
+  beforeEach(() => {
+    ddbMock.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
   });
 
-  describe('Multiple Speaker Selection', () => {
-    // Mock function for selecting tracks for multiple speakers
-    const selectTracksForSpeakers = (tracks, speakers) => {
-      const results = {};
-      for (const speaker of speakers) {
-        results[speaker] = tracks.find(track => (track.speakers || []).includes(speaker)) || null;
-      }
-      return results;
-    };
-
-    test('should map multiple speakers to their tracks', () => {
-      const tracks = [
-        {
-          trackName: 'main',
-          speakers: ['host']
-        },
-        {
-          trackName: 'guest1',
-          speakers: ['guest1']
-        },
-        {
-          trackName: 'guest2',
-          speakers: ['guest2']
-        }
-      ];
-
-      const speakers = ['host', 'guest1', 'guest2'];
-      const result = selectTracksForSpeakers(tracks, speakers);
-
-      expect(result).toEqual({
-        host: expect.objectContaining({ trackName: 'main' }),
-        guest1: expect.objectContaining({ trackName: 'guest1' }),
-        guest2: expect.objectContaining({ trackName: 'guest2' })
-      });
-    });
-
-    test('should handle speakers with no matching tracks', () => {
-      const tracks = [
-        {
-          trackName: 'main',
-          speakers: ['host']
-        }
-      ];
-
-      const speakers = ['host', 'nonexistent'];
-      const result = selectTracksForSpeakers(tracks, speakers);
-
-      expect(result).toEqual({
-        host: expect.objectContaining({ trackName: 'main' }),
-        nonexistent: null
-      });
-    });
-
-    test('should handle empty speakers array', () => {
-      const tracks = [
-        {
-          trackName: 'main',
-          speakers: ['host']
-        }
-      ];
-
-      const speakers = [];
-      const result = selectTracksForSpeakers(tracks, speakers);
-
-      expect(result).toEqual({});
-    });
+  afterEach(() => {
+    jest.restoreAllMocks();
   });
 
-  describe('Error Handling and Edge Cases', () => {
-    const selectTrackForSpeaker = (tracks, speaker) => {
-      return tracks.find(track => (track.speakers || []).includes(speaker)) || null;
-    };
-
-    test('should handle malformed track data', () => {
+  describe('Speaker Matching Logic', () => {
+    test('should select track with matching speaker', () => {
       const tracks = [
-        {
-          trackName: 'main',
-          speakers: 'not-an-array' // Invalid speakers format
-        },
-        {
-          trackName: 'guest',
-          speakers: ['host']
-        }
+        { trackName: 'main', speakers: ['host', 'guest1'] },
+        { trackName: 'guest', speakers: ['guest2'] }
       ];
 
-      // Should handle malformed data gracefully and find valid track
-      const result = selectTrackForSpeaker(tracks, 'host');
-
-      expect(result).not.toBeNull();
-      expect(result.trackName).toBe('guest');
+      expect(findTrackForSpeaker(tracks, 'host')).toMatchObject({ trackName: 'main' });
+      expect(findTrackForSpeaker(tracks, 'guest2')).toMatchObject({ trackName: 'guest' });
     });
 
-    test('should handle null/undefined speaker names', () => {
+    test('should return null when no track contains the speaker', () => {
       const tracks = [
-        {
-          trackName: 'main',
-          speakers: ['host']
-        }
+        { trackName: 'main', speakers: ['host', 'guest1'] },
+        { trackName: 'guest', speakers: ['guest2'] }
       ];
 
-      // Test with null speaker
-      const resultNull = selectTrackForSpeaker(tracks, null);
-      expect(resultNull).toBeNull();
-
-      // Test with undefined speaker
-      const resultUndefined = selectTrackForSpeaker(tracks, undefined);
-      expect(resultUndefined).toBeNull();
+      expect(findTrackForSpeaker(tracks, 'nonexistent-speaker')).toBeNull();
+      expect(findTrackForSpeaker([], 'host')).toBeNull();
     });
 
-    test('should handle tracks with null speakers field', () => {
+    test('should return first matching track when multiple tracks contain speaker', () => {
       const tracks = [
-        {
-          trackName: 'main',
-          speakers: null // Null speakers
-        }
+        { trackName: 'main', speakers: ['host', 'guest1'] },
+        { trackName: 'backup', speakers: ['host', 'guest2'] }
       ];
 
-      const result = selectTrackForSpeaker(tracks, 'host');
-
-      expect(result).toBeNull();
+      expect(findTrackForSpeaker(tracks, 'host').trackName).toBe('main');
     });
 
-    test('should handle tracks with undefined speakers field', () => {
+    test('should skip tracks with empty, missing or malformed speakers', () => {
       const tracks = [
-        {
-          trackName: 'main'
-          // Undefined speakers field
-        }
+        { trackName: 'empty', speakers: [] },
+        { trackName: 'missing' },
+        { trackName: 'malformed', speakers: 'host' },
+        { trackName: 'nulled', speakers: null },
+        { trackName: 'guest', speakers: ['host'] }
       ];
 
-      const result = selectTrackForSpeaker(tracks, 'host');
-
-      expect(result).toBeNull();
+      expect(findTrackForSpeaker(tracks, 'host').trackName).toBe('guest');
     });
-  });
 
-  describe('Speaker Name Validation', () => {
-    const selectTrackForSpeaker = (tracks, speaker) => {
-      return tracks.find(track => (track.speakers || []).includes(speaker)) || null;
-    };
+    test('should match speaker names regardless of case, accents and punctuation', () => {
+      const tracks = [{ trackName: 'main', speakers: ['host', 'Andrés', "O'Connor"] }];
 
-    test('should match exact speaker names', () => {
-      const tracks = [
-        {
-          trackName: 'main',
-          speakers: ['Dr. Smith', 'John Doe']
-        }
-      ];
-
-      const result = selectTrackForSpeaker(tracks, 'Dr. Smith');
-
-      expect(result).not.toBeNull();
-      expect(result.trackName).toBe('main');
+      expect(findTrackForSpeaker(tracks, 'Host')).toMatchObject({ trackName: 'main' });
+      expect(findTrackForSpeaker(tracks, 'andres')).toMatchObject({ trackName: 'main' });
+      expect(findTrackForSpeaker(tracks, 'OConnor')).toMatchObject({ trackName: 'main' });
     });
 
-    test('should handle speakers with special characters', () => {
-      const tracks = [
-        {
-          trackName: 'main',
-          speakers: ["O'Connor", 'Smith']
-        }
-      ];
-
-      const result = selectTrackForSpeaker(tracks, "O'Connor");
+    test('should never match speakers that differ in a number', () => {
+      const tracks = [{ trackName: 'main', speakers: ['guest1'] }];
 
-      expect(result).not.toBeNull();
-      expect(result.trackName).toBe('main');
+      expect(findTrackForSpeaker(tracks, 'guest2')).toBeNull();
     });
 
-    test('should handle speakers with numbers', () => {
-      const tracks = [
-        {
-          trackName: 'main',
-          speakers: ['host', 'guest1', 'guest2']
-        }
-      ];
+    test('should not match null or undefined speaker names', () => {
+      const tracks = [{ trackName: 'main', speakers: ['host'] }];
 
-      const result = selectTrackForSpeaker(tracks, 'guest1');
-
-      expect(result).not.toBeNull();
-      expect(result.trackName).toBe('main');
+      expect(findTrackForSpeaker(tracks, null)).toBeNull();
+      expect(findTrackForSpeaker(tracks, undefined)).toBeNull();
     });
+  });
 
-    test('should handle speakers with spaces', () => {
-      const tracks = [
-        {
-          trackName: 'main',
-          speakers: ['John Smith', 'Jane Doe']
-        }
-      ];
-
-      const result = selectTrackForSpeaker(tracks, 'John Smith');
+  describe('selectTrackForSpeaker', () => {
+    test('should select the episode track of the speaker', async () => {
+      withTracks([
+        { trackName: 'main', speakers: ['Allen Helton'] },
+        { trackName: 'guest', speakers: ['Andres'] }
+      ]);
 
-      expect(result).not.toBeNull();
-      expect(result.trackName).toBe('main');
+      expect(await selectTrackForSpeaker('episode-456', 'Allen', 'tenant123')).toMatchObject({ trackName: 'main' });
+      expect(await selectTrackForSpeaker('episode-456', 'andres', 'tenant123')).toMatchObject({ trackName: 'guest' });
     });
-  });
 
-  describe('Track Query Logic', () => {
-    // Test the track querying logic
-    const mockQueryTracks = (episodeId) => {
-      // Simulate DynamoDB query parameters
-      const queryParams = {
-        KeyConditionExpression: 'pk = :pk AND begins_with(sk, :sk)',
-        ExpressionAttributeValues: {
-          ':pk': episodeId,
-          ':sk': 'track#'
-        }
-      };
-
-      // Validate query parameters
-      if (!queryParams.KeyConditionExpression.includes('begins_with')) {
-        throw new Error('Query should use begins_with for track prefix');
-      }
-
-      if (queryParams.ExpressionAttributeValues[':sk'] !== 'track#') {
-        throw new Error('Sort key prefix should be "track#"');
-      }
-
-      return queryParams;
-    };
-
-    test('should use correct query parameters for track lookup', () => {
-      const episodeId = 'test-episode-123';
-      const queryParams = mockQueryTracks(episodeId);
-
-      expect(queryParams.KeyConditionExpression).toBe('pk = :pk AND begins_with(sk, :sk)');
-      expect(queryParams.ExpressionAttributeValues[':pk']).toBe(episodeId);
-      expect(queryParams.ExpressionAttributeValues[':sk']).toBe('track#');
-    });
+    test('should return null when the episode has no tracks', async () => {
+      withTracks([]);
 
-    test('should validate episode ID parameter', () => {
-      const validateEpisodeId = (episodeId) => {
-        if (!episodeId || typeof episodeId !== 'string') {
-          throw new Error('Valid episode ID is required');
-        }
-        return true;
-      };
-
-      expect(() => validateEpisodeId('valid-episode-id')).not.toThrow();
-      expect(() => validateEpisodeId('')).toThrow('Valid episode ID is required');
-      expect(() => validateEpisodeId(null)).toThrow('Valid episode ID is required');
-      expect(() => validateEpisodeId(undefined)).toThrow('Valid episode ID is required');
+      expect(await selectTrackForSpeaker('episode-456', 'host', 'tenant123')).toBeNull();
+      expect(console.error).toHaveBeenCalledWith("No tracks found for episode 'episode-456'");
     });
   });
 
-  describe('Performance Considerations', () => {
-    test('should efficiently find first matching track', () => {
-      // Test that the algorithm stops at first match (not exhaustive search)
-      let searchCount = 0;
-      const tracks = [
-        {
-          trackName: 'track1',
-          speakers: ['speaker1']
-        },
-        {
-          trackName: 'track2',
-          speakers: ['speaker2'] // Target speaker
-        },
-        {
-          trackName: 'track3',
-          speakers: ['speaker2'] // Also has target speaker but shouldn't be reached
-        }
-      ];
-
-      const efficientFind = (tracks, targetSpeaker) => {
-        for (const track of tracks) {
-          searchCount++;
-          if ((track.speakers || []).includes(targetSpeaker)) {
-            return track;
-          }
-        }
-        return null;
-      };
-
-      const result = efficientFind(tracks, 'speaker2');
-
-      expect(result.trackName).toBe('track2');
-      expect(searchCount).toBe(2); // Should stop after finding first match
+  describe('Episode Track Selection', () => {
+    test('should report how each speaker matched and which did not', async () => {
+      withTracks([
+        { trackName: 'main', speakers: ['Allen', 'Andres'] },
+        { trackName: 'guest', speakers: ['Jane Doe'], speakerAliases: { 'Jane Doe': ['Guest'] } }
+      ]);
+
+      const result = await selectTracksForSpeakers('episode-456', ['Allen', 'andres', 'Guest', 'Jane', 'Narrator'], 'tenant123');
+
+      expect(result.tracks).toEqual({
+        Allen: expect.objectContaining({ trackName: 'main' }),
+        andres: expect.objectContaining({ trackName: 'main' }),
+        Guest: expect.objectContaining({ trackName: 'guest' }),
+        Jane: expect.objectContaining({ trackName: 'guest' }),
+        Narrator: null
+      });
+      expect(result.matchedSpeakers).toEqual([
+        { speaker: 'Allen', trackName: 'main', matchedSpeaker: 'Allen', method: 'exact', confidence: 1 },
+        { speaker: 'andres', trackName: 'main', matchedSpeaker: 'Andres', method: 'normalized', confidence: 1 },
+        { speaker: 'Guest', trackName: 'guest', matchedSpeaker: 'Jane Doe', method: 'alias', confidence: 1 },
+        { speaker: 'Jane', trackName: 'guest', matchedSpeaker: 'Jane Doe', method: 'fuzzy', confidence: 0.9 }
+      ]);
+      expect(result.unmatchedSpeakers).toEqual(['Narrator']);
+      expect(console.warn).toHaveBeenCalledWith("No track found for speakers 'Narrator' in episode 'episode-456'");
     });
 
-    test('should handle large speaker arrays efficiently', () => {
-      const largeSpeakerArray = Array.from({ length: 1000 }, (_, i) => `speaker${i}`);
-      const tracks = [
-        {
-          trackName: 'main',
-          speakers: largeSpeakerArray
-        }
-      ];
+    test('should return no tracks for no speakers', async () => {
+      withTracks([{ trackName: 'main', speakers: ['host'] }]);
 
-      const selectTrackForSpeaker = (tracks, speaker) => {
-        return tracks.find(track => (track.speakers || []).includes(speaker)) || null;
-      };
-
-      // Should handle large arrays without issues
-      const result = selectTrackForSpeaker(tracks, 'speaker500');
-      expect(result).not.toBeNull();
-      expect(result.trackName).toBe('main');
+      expect(await selectTracksForSpeakers('episode-456', [], 'tenant123'))
+        .toEqual({ tracks: {}, matchedSpeakers: [], unmatchedSpeakers: [] });
     });
   });
 
-  describe('Fallback Behavior', () => {
-    test('should log warning when no tracks match speaker', () => {
-      const loggedWarnings = [];
-      const mockLogger = {
-        warn: (message) => loggedWarnings.push(message)
-      };
-
-      const selectTrackWithLogging = (tracks, speaker, logger) => {
-        const result = tracks.find(track => (track.speakers || []).includes(speaker));
-        if (!result) {
-          logger.warn(`No track found for speaker: ${speaker}`);
-          return null;
-        }
-        return result;
-      };
+  describe('getTracksForEpisode', () => {
+    test('should query the tracks of the episode within the tenant', async () => {
+      withTracks([{ trackName: 'main', speakers: ['host'] }, { trackName: undefined, speakers: ['ghost'] }]);
 
-      const tracks = [
-        {
-          trackName: 'main',
-          speakers: ['host']
-        }
-      ];
+      const tracks = await getTracksForEpisode('episode-456', 'tenant123');
 
-      const result = selectTrackWithLogging(tracks, 'nonexistent', mockLogger);
-
-      expect(result).toBeNull();
-      expect(loggedWarnings).toContain('No track found for speaker: nonexistent');
+      expect(tracks.map(t => t.trackName)).toEqual(['main']);
+      const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+      expect(input.KeyConditionExpression).toBe('pk = :pk AND begins_with(sk, :sk)');
+      expect(input.ExpressionAttributeValues).toEqual({ ':pk': { S: 'tenant123#episode-456' }, ':sk': { S: 'track#' } });
     });
 
-    test('should continue processing other segments when speaker not found', () => {
-      const processSegments = (segments, tracks) => {
-        const results = [];
-        const selectTrackForSpeaker = (tracks, speaker) => {
-          return tracks.find(track => (track.speakers || []).includes(speaker)) || null;
-        };
-
-        for (const segment of segments) {
-          const track = selectTrackForSpeaker(tracks, segment.speaker);
-          results.push({
-            segment: segment,
-            track: track,
-            processed: track !== null
-          });
-        }
-
-        return results;
-      };
-
-      const segments = [
-        { speaker: 'host', startTime: '00:01:00' },
-        { speaker: 'nonexistent', startTime: '00:02:00' },
-        { speaker: 'guest1', startTime: '00:03:00' }
-      ];
-
-      const tracks = [
-        { trackName: 'main', speakers: ['host'] },
-        { trackName: 'guest', speakers: ['guest1'] }
-      ];
-
-      const results = processSegments(segments, tracks);
+    test('should rethrow query failures', async () => {
+      ddbMock.on(QueryCommand).rejects(new Error('Throttled'));
 
-      expect(results).toHaveLength(3);
-      expect(results[0].processed).toBe(true);  // host found
-      expect(results[1].processed).toBe(false); // nonexistent not found
-      expect(results[2].processed).toBe(true);  // guest1 found
+      await expect(getTracksForEpisode('episode-456', 'tenant123')).rejects.toThrow('Throttled');
     });
   });
 });
@@ -0,0 +1,99 @@
+// Unit tests for automatic transcription
+// These tests validate transcriber selection, Whisper response parsing, the offline stand-in and transcript assembly
+
+const {
+  createTranscriber,
+  parseWhisperResponse,
+  findSpeechSegments,
+  selectTranscriptionTracks,
+  buildTranscriptCues
+} = require('../../../functions/utils/transcription.mjs');
+const { formatSrt } = require('../../../functions/utils/transcripts.mjs');
+
+describe('Transcription', () => {
+  test('should create the configured transcriber', () => {
+    expect(createTranscriber('local').name).toBe('local');
+    expect(() => createTranscriber('whisper')).toThrow('WHISPER_API_URL is required');
+    expect(() => createTranscriber('dictation')).toThrow("Unknown transcriber 'dictation'; expected one of whisper, local");
+  });
+
+  test('should read verbose_json segments and drop empty ones', () => {
+    const body = {
+      language: 'english',
+      duration: 12.5,
+      text: 'Welcome back. Today we talk about DynamoDB.',
+      segments: [
+        { id: 0, start: 0.0, end: 2.4, text: ' Welcome back.' },
+        { id: 1, start: 2.4, end: 2.4, text: ' ' },
+        { id: 2, start: 2.8, end: 6.1, text: ' Today we talk about DynamoDB.' }
+      ]
+    };
+
+    expect(parseWhisperResponse(body)).toEqual({
+      language: 'english',
+      segments: [
+        { start: 0, end: 2.4, text: 'Welcome back.' },
+        { start: 2.8, end: 6.1, text: 'Today we talk about DynamoDB.' }
+      ]
+    });
+    expect(parseWhisperResponse({ text: 'Hello there', duration: 3 }).segments).toEqual([{ start: 0, end: 3, text: 'Hello there' }]);
+  });
+
+  test('should find speech between pauses in Whisper-sized segments', () => {
+    const silences = [
+      { start: 0, end: 1.5 },
+      { start: 8, end: 9 },
+      { start: 79.9, end: 80 }
+    ];
+
+    expect(findSpeechSegments(silences, 80)).toEqual([
+      { start: 1.5, end: 8, text: '[speech]' },
+      { start: 9, end: 39, text: '[speech]' },
+      { start: 39, end: 69, text: '[speech]' },
+      { start: 69, end: 79.9, text: '[speech]' }
+    ]);
+    expect(findSpeechSegments([{ start: 0, end: 20 }], 20)).toEqual([]);
+  });
+
+  test('should transcribe speaker tracks when every speaker has one', () => {
+    const tracks = [
+      { trackName: 'main', speakers: ['Allen', 'Andres'] },
+      { trackName: 'allen-cam', speakers: ['Allen'], offsetSeconds: 0 },
+      { trackName: 'andres-cam', speakers: ['Andres'], offsetSeconds: 2.5 }
+    ];
+
+    expect(selectTranscriptionTracks(tracks)).toEqual([
+      { trackName: 'allen-cam', speaker: 'Allen', offsetSeconds: 0 },
+      { trackName: 'andres-cam', speaker: 'Andres', offsetSeconds: 2.5 }
+    ]);
+  });
+
+  test('should fall back to the main track when a speaker has no track of their own', () => {
+    expect(selectTranscriptionTracks([
+      { trackName: 'main', speakers: ['Allen', 'Andres', 'Guest'] },
+      { trackName: 'allen-cam', speakers: ['Allen'] }
+    ])).toEqual([{ trackName: 'main', speaker: null, offsetSeconds: 0 }]);
+
+    expect(selectTranscriptionTracks([{ trackName: 'main', speakers: ['Allen'] }]))
+      .toEqual([{ trackName: 'main', speaker: 'Allen', offsetSeconds: 0 }]);
+  });
+
+  test('should merge tracks onto the episode timeline with speaker labels', () => {
+    const cues = buildTranscriptCues([
+      { speaker: 'Allen', offsetSeconds: 0, segments: [{ start: 1, end: 3.5, text: 'So what changed?' }, { start: 8, end: 9, text: 'Nice.' }] },
+      // This track started recording 2.5 seconds before the episode's main track
+      { speaker: 'Andres', offsetSeconds: 2.5, segments: [{ start: 1, end: 2, text: 'Count in.' }, { start: 6.5, end: 10, text: 'We moved to streams.' }] }
+    ]);
+
+    expect(cues).toEqual([
+      { index: 1, startMs: 1000, endMs: 3500, speaker: 'Allen', text: 'So what changed?' },
+      { index: 2, startMs: 4000, endMs: 7500, speaker: 'Andres', text: 'We moved to streams.' },
+      { index: 3, startMs: 8000, endMs: 9000, speaker: 'Allen', text: 'Nice.' }
+    ]);
+    expect(formatSrt(cues)).toBe([
+      '1\n00:00:01,000 --> 00:00:03,500\nAllen: So what changed?',
+      '2\n00:00:04,000 --> 00:00:07,500\nAndres: We moved to streams.',
+      '3\n00:00:08,000 --> 00:00:09,000\nAllen: Nice.'
+    ].join('\n\n'));
+  });
+});
@@ -0,0 +1,182 @@
+const { mockClient } = require('aws-sdk-client-mock');
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+
+const s3Mock = mockClient(S3Client);
+
+process.env.BUCKET_NAME = 'test-bucket';
+
+const {
+  loadEpisodeTranscript,
+  parseTranscript,
+  parseSrt,
+  parseVtt,
+  parseTimestamp,
+  formatTimestamp,
+  formatSrt
+} = require('../../../functions/utils/transcripts.mjs');
+
+describe('Transcript parsing', () => {
+  describe('parseTimestamp', () => {
+    test('parses SRT and WebVTT timestamps to milliseconds', () => {
+      expect(parseTimestamp('00:00:20,925')).toBe(20925);
+      expect(parseTimestamp('01:02:03.004')).toBe(3723004);
+      expect(parseTimestamp('02:03.5')).toBe(123500);
+      expect(parseTimestamp('00:00:07')).toBe(7000);
+    });
+
+    test('rejects malformed timestamps', () => {
+      expect(() => parseTimestamp('twelve seconds')).toThrow('Invalid transcript timestamp');
+    });
+
+    test('formats milliseconds with the requested separator', () => {
+      expect(formatTimestamp(3723004)).toBe('01:02:03,004');
+      expect(formatTimestamp(20925, '.')).toBe('00:00:20.925');
+    });
+  });
+
+  describe('parseSrt', () => {
+    test('joins multi-line cues and carries speakers forward', () => {
+      const srt = [
+        '1',
+        '00:00:20,925 --> 00:00:27,104',
+        'Allen: Sometimes it\'s a breakthrough,',
+        'sometimes a regret',
+        '',
+        '2',
+        '00:00:27,104 --> 00:00:30,000',
+        'and we keep going',
+        ''
+      ].join('\r\n');
+
+      const cues = parseSrt(srt);
+
+      expect(cues).toEqual([
+        { index: 1, startMs: 20925, endMs: 27104, speaker: 'Allen', text: 'Sometimes it\'s a breakthrough, sometimes a regret' },
+        { index: 2, startMs: 27104, endMs: 30000, speaker: 'Allen', text: 'and we keep going' }
+      ]);
+    });
+
+    test('splits a cue when a speaker label block follows without a timing line', () => {
+      const srt = [
+        '1',
+        '00:00:00,000 --> 00:00:10,000',
+        'Allen: Ready?',
+        '',
+        'Andres: We try it out live',
+        ''
+      ].join('\n');
+
+      const cues = parseSrt(srt);
+
+      expect(cues).toHaveLength(2);
+      expect(cues[0]).toMatchObject({ speaker: 'Allen', text: 'Ready?', startMs: 0 });
+      expect(cues[1]).toMatchObject({ speaker: 'Andres', text: 'We try it out live', endMs: 10000 });
+      expect(cues[0].endMs).toBe(cues[1].startMs);
+      expect(cues[0].endMs).toBeLessThan(cues[1].endMs);
+    });
+  });
+
+  describe('parseVtt', () => {
+    test('reads voice tags and skips header and note blocks', () => {
+      const vtt = [
+        '\uFEFFWEBVTT',
+        '',
+        'NOTE generated by the recorder',
+        '',
+        'intro',
+        '00:01.000 --> 00:04.500 align:start',
+        '<v Allen>Welcome to <i>Null Check</i></v>',
+        '',
+        '00:04.500 --> 00:06.000',
+        '<v.host Andres>Glad to be here',
+        ''
+      ].join('\n');
+
+      const cues = parseVtt(vtt);
+
+      expect(cues).toEqual([
+        { index: 1, startMs: 1000, endMs: 4500, speaker: 'Allen', text: 'Welcome to Null Check' },
+        { index: 2, startMs: 4500, endMs: 6000, speaker: 'Andres', text: 'Glad to be here' }
+      ]);
+    });
+  });
+
+  describe('parseTranscript', () => {
+    test('detects WebVTT from the header', () => {
+      const cues = parseTranscript('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nhello');
+      expect(cues).toEqual([{ index: 1, startMs: 1000, endMs: 2000, speaker: null, text: 'hello' }]);
+    });
+
+    test('returns no cues for empty input', () => {
+      expect(parseTranscript('')).toEqual([]);
+    });
+
+    test('round trips cues through formatSrt', () => {
+      const cues = parseTranscript('WEBVTT\n\n00:00:01.250 --> 00:00:02.000\n<v Allen>hello');
+      const srt = formatSrt(cues);
+
+      expect(srt).toBe('1\n00:00:01,250 --> 00:00:02,000\nAllen: hello');
+      expect(parseSrt(srt)).toEqual(cues);
+    });
+  });
+
+  describe('loadEpisodeTranscript', () => {
+    beforeEach(() => {
+      s3Mock.reset();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    test('falls back to the WebVTT transcript without logging the missing SRT as an error', async () => {
+      s3Mock.on(GetObjectCommand).rejects(Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' }));
+      s3Mock.on(GetObjectCommand, { Key: 'tenant123/episode-vtt/transcript.vtt' })
+        .resolves({ Body: { transformToString: async () => 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<v Allen>hello' } });
+
+      const cues = await loadEpisodeTranscript('tenant123', 'episode-vtt', { mapSpeakers: false });
+
+      expect(cues).toEqual([expect.objectContaining({ startMs: 1000, endMs: 2000, speaker: 'Allen', text: 'hello' })]);
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    test('reads the newest upload when the episode has both formats', async () => {
+      s3Mock.on(GetObjectCommand, { Key: 'tenant123/episode-both/transcript.srt' }).resolves({
+        Body: { transformToString: async () => '1\n00:00:01,000 --> 00:00:02,000\nAllen: old' },
+        LastModified: new Date('2026-10-01T00:00:00Z')
+      });
+      s3Mock.on(GetObjectCommand, { Key: 'tenant123/episode-both/transcript.vtt' }).resolves({
+        Body: { transformToString: async () => 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<v Allen>new' },
+        LastModified: new Date('2026-10-02T00:00:00Z')
+      });
+
+      const cues = await loadEpisodeTranscript('tenant123', 'episode-both', { mapSpeakers: false });
+
+      expect(cues.map(c => c.text)).toEqual(['new']);
+    });
+
+    test('revalidates cached transcripts so a replaced upload is read again', async () => {
+      const srt = (text) => ({ Body: { transformToString: async () => `1\n00:00:01,000 --> 00:00:02,000\nAllen: ${text}` } });
+      s3Mock.on(GetObjectCommand).rejects(Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' }));
+      s3Mock.on(GetObjectCommand, { Key: 'tenant123/episode-cached/transcript.srt' }).resolvesOnce({ ...srt('first'), ETag: '"1"' });
+      s3Mock.on(GetObjectCommand, { Key: 'tenant123/episode-cached/transcript.srt', IfNoneMatch: '"1"' })
+        .rejectsOnce(Object.assign(new Error('Not Modified'), { name: 'NotModified', $metadata: { httpStatusCode: 304 } }))
+        .resolves({ ...srt('replaced'), ETag: '"2"' });
+
+      const load = async () => (await loadEpisodeTranscript('tenant123', 'episode-cached', { mapSpeakers: false }))[0].text;
+
+      expect(await load()).toBe('first');
+      expect(await load()).toBe('first');
+      expect(await load()).toBe('replaced');
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    test('logs other failures to read a transcript', async () => {
+      s3Mock.on(GetObjectCommand).rejects(Object.assign(new Error('Access Denied'), { name: 'AccessDenied' }));
+
+      expect(await loadEpisodeTranscript('tenant123', 'episode-denied', { mapSpeakers: false })).toEqual([]);
+      expect(console.error).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// Unit tests for segment transitions
+// These tests validate transition settings and the xfade/acrossfade filter graphs used to join segments
+
+const {
+  DEFAULT_TRANSITION,
+  parseTransition,
+  resolveTransition,
+  clampTransitionSeconds,
+  buildTransitionFilterGraph
+} = require('../../../functions/utils/transitions.mjs');
+const { buildClipCaptions } = require('../../../functions/utils/transcripts.mjs');
+
+const format = { width: 1920, height: 1080, frameRate: '30', hasAudio: true };
+const normalize = 'scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=30,format=yuv420p';
+
+describe('Segment transitions', () => {
+  test('should default transitions to half a second and reject bad settings', () => {
+    expect(parseTransition('crossfade')).toEqual({ transition: { type: 'crossfade', durationSeconds: 0.5 }, errors: [] });
+    expect(parseTransition({ type: 'dip-to-black', durationSeconds: 1 }).transition).toEqual({ type: 'dip-to-black', durationSeconds: 1 });
+    expect(parseTransition({ type: 'wipe' }).errors).toEqual(['transition type must be one of cut, crossfade, audio-crossfade, dip-to-black']);
+    expect(parseTransition({ type: 'crossfade', durationSeconds: 5 }).errors).toHaveLength(1);
+  });
+
+  test('should fall back to a hard cut', () => {
+    expect(resolveTransition({})).toBe(DEFAULT_TRANSITION);
+    expect(resolveTransition({ transition: 'spin' })).toBe(DEFAULT_TRANSITION);
+  });
+
+  test('should cap the transition at half the shortest segment', () => {
+    expect(clampTransitionSeconds({ type: 'crossfade', durationSeconds: 1 }, [12, 0.8, 9])).toBe(0.4);
+    expect(clampTransitionSeconds({ type: 'crossfade', durationSeconds: 1 }, [12])).toBe(0);
+    expect(clampTransitionSeconds({ type: 'cut' }, [12, 9])).toBe(0);
+  });
+
+  test('should chain xfade offsets across three segments', () => {
+    const { filterComplex, videoLabel, audioLabel } = buildTransitionFilterGraph([10, 8, 6], { type: 'crossfade' }, 0.5, format);
+
+    expect(filterComplex.split(';')).toEqual([
+      `[0:v]${normalize},settb=AVTB,setpts=PTS-STARTPTS[v0]`,
+      '[0:a]aformat=sample_rates=48000:channel_layouts=stereo,asetpts=PTS-STARTPTS[a0]',
+      `[1:v]${normalize},settb=AVTB,setpts=PTS-STARTPTS[v1]`,
+      '[1:a]aformat=sample_rates=48000:channel_layouts=stereo,asetpts=PTS-STARTPTS[a1]',
+      `[2:v]${normalize},settb=AVTB,setpts=PTS-STARTPTS[v2]`,
+      '[2:a]aformat=sample_rates=48000:channel_layouts=stereo,asetpts=PTS-STARTPTS[a2]',
+      '[v0][v1]xfade=transition=fade:duration=0.5:offset=9.5[vx1]',
+      '[vx1][v2]xfade=transition=fade:duration=0.5:offset=17[vout]',
+      '[a0][a1]acrossfade=d=0.5:c1=tri:c2=tri[ax1]',
+      '[ax1][a2]acrossfade=d=0.5:c1=tri:c2=tri[aout]'
+    ]);
+    expect(videoLabel).toBe('[vout]');
+    expect(audioLabel).toBe('[aout]');
+  });
+
+  test('should dip to black between segments', () => {
+    const { filterComplex } = buildTransitionFilterGraph([10, 8], { type: 'dip-to-black' }, 1, format);
+
+    expect(filterComplex).toContain('[v0][v1]xfade=transition=fadeblack:duration=1:offset=9[vout]');
+  });
+
+  test('should hard-cut video in the middle of an audio cross-fade', () => {
+    const { filterComplex } = buildTransitionFilterGraph([10, 8], { type: 'audio-crossfade' }, 0.5, { ...format, hasAudio: true });
+    const filters = filterComplex.split(';');
+
+    expect(filters).toContain(`[0:v]trim=start=0:end=9.75,setpts=PTS-STARTPTS,${normalize}[v0]`);
+    expect(filters).toContain(`[1:v]trim=start=0.25:end=8,setpts=PTS-STARTPTS,${normalize}[v1]`);
+    expect(filters).toContain('[v0][v1]concat=n=2:v=1:a=0[vout]');
+    expect(filters).toContain('[a0][a1]acrossfade=d=0.5:c1=tri:c2=tri[aout]');
+  });
+
+  test('should leave audio out when a segment has none', () => {
+    const { filterComplex, audioLabel } = buildTransitionFilterGraph([10, 8], { type: 'crossfade' }, 0.5, { ...format, hasAudio: false });
+
+    expect(audioLabel).toBeNull();
+    expect(filterComplex).not.toContain('acrossfade');
+  });
+
+  test('should pull captions back by the transition overlap', () => {
+    const cues = [
+      { startMs: 60000, endMs: 64000, speaker: 'Allen', text: 'First thought.' },
+      { startMs: 120000, endMs: 124000, speaker: 'Andres', text: 'Second thought.' }
+    ];
+    const captions = buildClipCaptions(cues, [
+      { startTime: '00:01:00', endTime: '00:01:04' },
+      { startTime: '00:02:00', endTime: '00:02:04' }
+    ], [4000, 4000], { overlapMs: 500 });
+
+    expect(captions.map(c => [c.startMs, c.endMs])).toEqual([[0, 3500], [3500, 7500]]);
+  });
+});
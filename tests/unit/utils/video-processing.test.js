@@ -151,4 +151,14 @@ describe('Video Processing Utilities', () => {
       expect(calculateTotalDuration(null)).toBe(0);
     });
   });
+
+  describe('generateSegmentKey revisions', () => {
+    const { generateSegmentKey: generateKey } = require('../../../functions/utils/video-processing.mjs');
+
+    test('should keep the segments of edited clips apart from earlier revisions', () => {
+      expect(generateKey('episode-123', 'clip-456', 0, 'tenant123')).toBe('tenant123/episode-123/clips/clip-456/segments/000.mp4');
+      expect(generateKey('episode-123', 'clip-456', 0, 'tenant123', 1)).toBe('tenant123/episode-123/clips/clip-456/segments/000.mp4');
+      expect(generateKey('episode-123', 'clip-456', 2, 'tenant123', 3)).toBe('tenant123/episode-123/clips/clip-456/r3/segments/002.mp4');
+    });
+  });
 });